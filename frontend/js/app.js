@@ -3,6 +3,7 @@ let currentWorkspace = null;
 let editorContent = '';
 let agentRunning = false;
 let planResult = null;
+let pendingPlan = null; // Plan waiting at the approval checkpoint: { plan, planText, revision, candidates }
 let workflowState = {
   planningComplete: false,
   modelingComplete: false,
@@ -143,12 +144,117 @@ function logToConsole(type, message) {
   consoleOutput.scrollTop = consoleOutput.scrollHeight;
 }
 
+const formatDuration = (ms) => ms >= 1000 ? `${(ms / 1000).toFixed(1)}s` : `${ms}ms`;
+
+/**
+ * Render one run event from the backend event bus in the console
+ */
+async function handleRunEvent(runEvent) {
+  switch (runEvent.type) {
+    case 'step-started':
+      logToConsole('info', `▶ ${escapeHtml(runEvent.step)}`);
+      break;
+
+    case 'step-finished': {
+      const duration = formatDuration(runEvent.durationMs);
+      if (runEvent.status === 'completed') {
+        logToConsole('success', `✓ ${escapeHtml(runEvent.step)} (${duration})`);
+      } else if (runEvent.status === 'reused') {
+        logToConsole('info', `⏩ ${escapeHtml(runEvent.step)} reused from checkpoint`);
+      } else {
+        logToConsole(runEvent.status === 'cancelled' ? 'warning' : 'error',
+          `✗ ${escapeHtml(runEvent.step)} ${runEvent.status} after ${duration}: ${escapeHtml(runEvent.error || '')}`);
+      }
+      break;
+    }
+
+    case 'llm-call':
+      if (runEvent.status === 'completed') {
+        logToConsole('info', `🤖 ${escapeHtml(runEvent.agentId)} · ${escapeHtml(runEvent.model)} · ${runEvent.inputTokens.toLocaleString()} in / ${runEvent.outputTokens.toLocaleString()} out · ${formatDuration(runEvent.durationMs)}${runEvent.cost ? ` · $${runEvent.cost.toFixed(4)}` : ''}`);
+      } else if (runEvent.status === 'failed') {
+        logToConsole('error', `🤖 ${escapeHtml(runEvent.agentId)} · ${escapeHtml(runEvent.model)} failed: ${escapeHtml(runEvent.error)}`);
+      }
+      break;
+
+    case 'tool-call':
+      logToConsole(runEvent.isError ? 'warning' : 'info',
+        `🔧 ${escapeHtml(runEvent.agentId)} called ${escapeHtml(runEvent.tool)} (${formatDuration(runEvent.durationMs)})${runEvent.isError ? `: ${escapeHtml(runEvent.error)}` : ''}`);
+      break;
+
+    case 'artifact': {
+      logToConsole('success', `📦 Artifact ${runEvent.version > 1 ? `updated (v${runEvent.version})` : 'created'}: ${escapeHtml(runEvent.name)}`);
+
+      // Refresh workspace to show new artifact
+      if (currentWorkspace) {
+        const result = await window.electronAPI.loadWorkspace(currentWorkspace);
+        if (result.success) {
+          updateArtifactsList(result.artifacts);
+        }
+      }
+      break;
+    }
+
+    case 'warning':
+    case 'error':
+      logToConsole(runEvent.type, escapeHtml(runEvent.message));
+      break;
+  }
+}
+
 function clearConsole() {
   const consoleOutput = document.getElementById('console-output');
   consoleOutput.innerHTML = '';
+  streamingEntries.clear();
   logToConsole('info', 'Console cleared');
 }
 
+// Live entries for streamed LLM output, keyed by agent id
+const streamingEntries = new Map();
+
+function appendStreamToken(tokenData) {
+  const { agentId, mode, text, done, reset } = tokenData;
+
+  // The provider failed mid-response and the next one in the fallback chain starts over
+  if (reset) {
+    const entry = streamingEntries.get(agentId);
+    if (entry) {
+      entry.querySelector('.console-message').textContent = '';
+    }
+    return;
+  }
+
+  if (done) {
+    const entry = streamingEntries.get(agentId);
+    if (entry) {
+      entry.classList.remove('streaming');
+      streamingEntries.delete(agentId);
+    }
+    return;
+  }
+
+  let entry = streamingEntries.get(agentId);
+  if (!entry) {
+    const consoleOutput = document.getElementById('console-output');
+    entry = document.createElement('div');
+    entry.className = 'console-entry stream-entry streaming';
+    entry.innerHTML = `
+      <span class="console-timestamp">[${new Date().toLocaleTimeString()}]</span>
+      <span class="console-type stream">${escapeHtml(mode.toUpperCase())}</span>
+      <span class="console-message"></span>
+    `;
+    consoleOutput.appendChild(entry);
+    streamingEntries.set(agentId, entry);
+  }
+
+  // Append as text so partial markup in the stream is never interpreted
+  const consoleOutput = document.getElementById('console-output');
+  const shouldScroll = consoleOutput.scrollTop + consoleOutput.clientHeight >= consoleOutput.scrollHeight - 20;
+  entry.querySelector('.console-message').append(text);
+  if (shouldScroll) {
+    consoleOutput.scrollTop = consoleOutput.scrollHeight;
+  }
+}
+
 // Preview Management
 function initPreview() {
   const tabs = document.querySelectorAll('.tab-btn');
@@ -180,6 +286,16 @@ function switchTab(tabName) {
   if (tabName === 'analysis' && currentWorkspace) {
     restoreAnalysisData();
   }
+
+  // Load usage ledger when switching to usage tab
+  if (tabName === 'usage' && currentWorkspace) {
+    refreshUsageSummary();
+  }
+
+  // Load the run audit trail when switching to runs tab
+  if (tabName === 'runs' && currentWorkspace) {
+    refreshRuns();
+  }
 }
 
 function updatePreview(markdownContent) {
@@ -274,6 +390,8 @@ function createNewWorkspace() {
   const modal = document.getElementById('new-workspace-modal');
   const input = document.getElementById('workspace-name-input');
   input.value = '';
+  document.getElementById('workspace-deadline-input').value = '';
+  document.getElementById('workspace-timezone-input').value = '';
   modal.style.display = 'flex';
   input.focus();
 }
@@ -300,9 +418,14 @@ async function handleCreateWorkspace() {
   try {
     logToConsole('info', `Creating workspace: ${workspaceName}`);
 
+    // Deadline is a wall-clock time in the given zone; empty fields use the configured defaults
+    const deadline = document.getElementById('workspace-deadline-input').value;
+    const timeZone = document.getElementById('workspace-timezone-input').value.trim();
+
     const result = await window.electronAPI.createWorkspace(workspaceName, {
       title: workspaceName,
-      description: ''
+      description: '',
+      contest: { deadline: deadline || null, timeZone: timeZone || null }
     });
 
     if (result.success) {
@@ -373,6 +496,10 @@ async function loadWorkspace(workspaceName) {
       // Update artifacts
       updateArtifactsList(result.artifacts);
 
+      // Contest countdown
+      contestStatus = result.contest;
+      updateDeadlineStatus();
+
       // Load workflow state
       await loadWorkflowState(workspaceName);
 
@@ -669,6 +796,10 @@ function setupEventListeners() {
     runCompleteWorkflow();
   });
 
+  document.getElementById('resume-workflow').addEventListener('click', () => {
+    resumeWorkflow();
+  });
+
   document.getElementById('stop-agent').addEventListener('click', () => {
     stopAgent();
   });
@@ -704,6 +835,49 @@ function setupEventListeners() {
   document.getElementById('upload-data').addEventListener('click', () => {
     uploadDataFiles();
   });
+
+  // Plan approval checkpoint
+  document.getElementById('plan-approve').addEventListener('click', () => {
+    approvePlan();
+  });
+
+  document.getElementById('plan-replan').addEventListener('click', () => {
+    replanWithFeedback();
+  });
+
+  document.getElementById('plan-candidate-select').addEventListener('change', (e) => {
+    selectPlanCandidate(e.target.value);
+  });
+
+  // Run audit trail
+  document.getElementById('run-select').addEventListener('change', (e) => {
+    loadRun(e.target.value);
+  });
+  document.getElementById('export-run-markdown').addEventListener('click', () => {
+    exportRun('markdown');
+  });
+  document.getElementById('export-run-json').addEventListener('click', () => {
+    exportRun('json');
+  });
+  document.getElementById('run-timeline').addEventListener('click', (e) => {
+    const target = e.target.closest('[data-seq]');
+    if (target) {
+      showRunCall(Number(target.dataset.seq));
+    }
+  });
+  document.getElementById('run-call-close').addEventListener('click', () => {
+    document.getElementById('run-call-modal').style.display = 'none';
+  });
+  document.getElementById('run-call-modal').addEventListener('click', (e) => {
+    if (e.target.id === 'run-call-modal') {
+      e.target.style.display = 'none';
+    }
+  });
+
+  document.getElementById('plan-stop').addEventListener('click', () => {
+    hidePlanApproval();
+    stopAgent();
+  });
 }
 
 // Setup Agent Event Listeners
@@ -716,6 +890,13 @@ function setupAgentListeners() {
     logToConsole(logData.type, logData.message);
   });
 
+  // Listen for streamed LLM output
+  if (window.electronAPI.onAgentToken) {
+    window.electronAPI.onAgentToken((tokenData) => {
+      appendStreamToken(tokenData);
+    });
+  }
+
   // Listen for phase changes
   window.electronAPI.onPhaseChange((phase) => {
     console.log('🔄 Phase change:', phase);
@@ -728,19 +909,12 @@ function setupAgentListeners() {
     logToConsole('error', `Agent error: ${error}`);
   });
 
-  // Listen for artifact creation events
-  window.electronAPI.onArtifactCreated(async (data) => {
-    console.log('📦 Artifact created:', data);
-    logToConsole('success', `📦 Artifact created: ${data.name}`);
-
-    // Refresh workspace to show new artifact
-    if (currentWorkspace) {
-      const result = await window.electronAPI.loadWorkspace(currentWorkspace);
-      if (result.success) {
-        updateArtifactsList(result.artifacts);
-      }
-    }
-  });
+  // Listen for typed run events (steps, LLM and tool calls, artifacts, warnings, errors)
+  if (window.electronAPI.onRunEvent) {
+    window.electronAPI.onRunEvent((runEvent) => {
+      handleRunEvent(runEvent);
+    });
+  }
 
   // Listen for equations extraction
   if (window.electronAPI.onEquationsExtracted) {
@@ -803,6 +977,43 @@ function setupAgentListeners() {
     });
   }
 
+  // Listen for budget cap being hit
+  if (window.electronAPI.onBudgetExceeded) {
+    window.electronAPI.onBudgetExceeded((data) => {
+      logToConsole('error', `💸 Budget cap reached: $${data.spent.toFixed(4)} of $${data.limit}. Workflow stopped.`);
+      setAgentRunning(false);
+      refreshUsageSummary();
+    });
+  }
+
+  // Listen for a stopped run finishing its cleanup
+  if (window.electronAPI.onRunCancelled) {
+    window.electronAPI.onRunCancelled((data) => {
+      logToConsole('warning', `⏹️ Run stopped during ${data.phase} phase. Progress so far is saved in the workspace.`);
+      setAgentRunning(false);
+      hidePlanApproval();
+    });
+  }
+
+  // Listen for the plan approval checkpoint between planning and modeling
+  if (window.electronAPI.onApprovalRequired) {
+    window.electronAPI.onApprovalRequired((data) => {
+      logToConsole('info', `⏸️ Plan v${data.revision} is ready for review. Modeling starts once you approve it.`);
+      showPlanApproval(data);
+    });
+
+    window.electronAPI.onPlanRevised((data) => {
+      logToConsole('success', `📝 Plan revised to v${data.revision}`);
+      showPlanApproval(data);
+      renderPlanDiff(data.diff);
+    });
+
+    window.electronAPI.onPlanApproved((data) => {
+      logToConsole('success', `✅ Plan v${data.revision} approved by ${data.approver}`);
+      hidePlanApproval();
+    });
+  }
+
   console.log('✅ Agent event listeners setup complete');
 }
 
@@ -881,11 +1092,12 @@ async function runModelingPhase() {
     setAgentRunning(true);
     logToConsole('info', '🔬 Starting modeling phase...');
 
-    // Extract the plan text from planResult object
-    let planText = planResult?.plan || planResult;
+    // Prefer the typed plan from structured planning; otherwise extract the plan text
+    let planText = planResult?.structuredPlan || planResult?.plan || planResult;
 
     // If plan is not available, try to load from artifact
-    if (!planText || planText === 'null' || typeof planText !== 'string' || planText.length === 0) {
+    const isStructuredPlan = planText && typeof planText === 'object';
+    if (!isStructuredPlan && (!planText || planText === 'null' || typeof planText !== 'string' || planText.length === 0)) {
       logToConsole('info', 'Loading plan from artifact...');
       try {
         const artifactResult = await window.electronAPI.readArtifact(currentWorkspace, 'planning-phase-result.md');
@@ -911,7 +1123,9 @@ async function runModelingPhase() {
       }
     }
 
-    logToConsole('info', `Using plan (${typeof planText}, length: ${planText?.length || 0} chars)`);
+    logToConsole('info', isStructuredPlan
+      ? `Using structured plan (${planText.modelType}, ${planText.subQuestions.length} sub-questions)`
+      : `Using plan (${typeof planText}, length: ${planText?.length || 0} chars)`);
     const result = await window.electronAPI.runModelingPhase(currentWorkspace, planText);
 
     if (result.success) {
@@ -1052,6 +1266,39 @@ async function runCompleteWorkflow() {
   }
 }
 
+async function resumeWorkflow() {
+  if (!currentWorkspace) {
+    logToConsole('error', 'Please load a workspace first');
+    return;
+  }
+
+  if (agentRunning) {
+    logToConsole('warning', 'Agent already running');
+    return;
+  }
+
+  try {
+    setAgentRunning(true);
+    logToConsole('info', '⟲ Resuming workflow from the last checkpoint...');
+
+    const result = await window.electronAPI.resumeWorkflow(currentWorkspace);
+
+    if (result.success) {
+      if (result.result) {
+        logToConsole('success', '🎉 Resumed workflow finished successfully!');
+      }
+      // Reload workspace to show new artifacts
+      await loadWorkspace(currentWorkspace);
+    } else {
+      logToConsole('error', `Resume failed: ${result.error}`);
+    }
+  } catch (error) {
+    logToConsole('error', `Error: ${error.message}`);
+  } finally {
+    setAgentRunning(false);
+  }
+}
+
 async function stopAgent() {
   try {
     logToConsole('warning', 'Stopping agent execution...');
@@ -1062,6 +1309,179 @@ async function stopAgent() {
   }
 }
 
+// Plan approval checkpoint
+function showPlanApproval(data) {
+  pendingPlan = data;
+
+  // With several candidate plans, the judge's ranking can be browsed and any candidate approved
+  const candidates = data.candidates || [];
+  const select = document.getElementById('plan-candidate-select');
+  select.innerHTML = '';
+  if (candidates.length > 1) {
+    select.appendChild(new Option(`Current plan (v${data.revision})`, ''));
+    candidates.forEach(c => {
+      const modelType = c.structuredPlan?.modelType || 'free-text plan';
+      select.appendChild(new Option(`#${c.rank} ${c.id}: ${modelType} (score ${c.score.toFixed(2)})`, c.id));
+    });
+  }
+  document.getElementById('plan-candidates').style.display = candidates.length > 1 ? 'block' : 'none';
+
+  // Until it is revised, the plan under review is the top-ranked candidate
+  selectPlanCandidate(candidates.length > 1 && data.revision === 1 ? candidates[0].id : '');
+  document.getElementById('plan-revision-label').textContent = `(v${data.revision})`;
+  document.getElementById('plan-feedback').value = '';
+  document.getElementById('plan-diff').style.display = 'none';
+  setPlanApprovalBusy(false);
+  document.getElementById('plan-approval-modal').style.display = 'flex';
+}
+
+/**
+ * Show a candidate plan (or the current plan for '') in the editor with the judge's verdict
+ */
+function selectPlanCandidate(candidateId) {
+  const candidate = (pendingPlan.candidates || []).find(c => c.id === candidateId);
+  const plan = candidate ? candidate.structuredPlan : pendingPlan.plan;
+  const planText = candidate ? candidate.planText : pendingPlan.planText;
+
+  pendingPlan.editingStructured = !!plan;
+  document.getElementById('plan-candidate-select').value = candidate ? candidateId : '';
+
+  // Structured plans are edited as JSON, free-text plans as text
+  document.getElementById('plan-editor').value = plan ? JSON.stringify(plan, null, 2) : planText;
+  document.getElementById('plan-candidate-summary').textContent = candidate
+    ? `${candidate.provider}${candidate.scores ? ` | ${Object.entries(candidate.scores).map(([k, v]) => `${k} ${v}`).join(', ')}` : ''} | ${candidate.rationale}`
+    : '';
+}
+
+function hidePlanApproval() {
+  pendingPlan = null;
+  document.getElementById('plan-approval-modal').style.display = 'none';
+}
+
+function setPlanApprovalBusy(busy) {
+  document.getElementById('plan-approve').disabled = busy;
+  document.getElementById('plan-replan').disabled = busy;
+  document.getElementById('plan-replan').textContent = busy ? '⏳ Re-planning...' : '↻ Re-plan with Feedback';
+}
+
+/**
+ * Plan as edited in the review dialog (parsed back to an object for structured plans)
+ */
+function readEditedPlan() {
+  const text = document.getElementById('plan-editor').value;
+  if (!pendingPlan.editingStructured) {
+    return text;
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    logToConsole('error', `Edited plan is not valid JSON: ${error.message}`);
+    return null;
+  }
+}
+
+function renderPlanDiff(diff) {
+  const diffView = document.getElementById('plan-diff');
+  if (!diff) {
+    diffView.textContent = 'No changes from the previous version';
+  } else {
+    diffView.innerHTML = diff.split('\n').map(line => {
+      const cssClass = line.startsWith('@@') ? 'diff-hunk'
+        : line.startsWith('+') ? 'diff-add'
+          : line.startsWith('-') ? 'diff-remove'
+            : '';
+      return `<span class="${cssClass}">${escapeHtml(line)}</span>`;
+    }).join('\n');
+  }
+  diffView.style.display = 'block';
+}
+
+async function approvePlan() {
+  if (!pendingPlan) return;
+
+  const plan = readEditedPlan();
+  if (plan === null) return;
+
+  const approver = document.getElementById('plan-approver').value.trim();
+  const candidate = document.getElementById('plan-candidate-select').value;
+  const result = await window.electronAPI.approvePlan(plan, approver || null, candidate || null);
+
+  if (result.success) {
+    hidePlanApproval();
+  } else {
+    logToConsole('error', `Approval failed: ${result.error}`);
+  }
+}
+
+async function replanWithFeedback() {
+  if (!pendingPlan) return;
+
+  const feedback = document.getElementById('plan-feedback').value.trim();
+  if (!feedback) {
+    logToConsole('error', 'Describe what should change in the plan before re-planning');
+    return;
+  }
+
+  const plan = readEditedPlan();
+  if (plan === null) return;
+
+  setPlanApprovalBusy(true);
+  const result = await window.electronAPI.submitPlanFeedback(feedback, plan);
+  setPlanApprovalBusy(false);
+
+  // On success the plan-revised event shows the new version and its diff
+  if (!result.success) {
+    logToConsole('error', `Re-planning failed: ${result.error}`);
+  }
+}
+
+/**
+ * Countdown to the submission deadline in the status bar, refreshed every minute
+ */
+let contestStatus = null;
+
+function formatTimeLeft(ms) {
+  const minutes = Math.floor(Math.max(0, ms) / 60000);
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes % 60}m`;
+  return `${minutes % 60}m`;
+}
+
+async function updateDeadlineStatus() {
+  const statusDeadline = document.getElementById('status-deadline');
+
+  // A running agent knows the phase budget and degraded modes
+  if (agentRunning) {
+    const result = await window.electronAPI.getAgentStatus();
+    if (result.success && result.status.contest) {
+      contestStatus = result.status.contest;
+    }
+  }
+
+  if (!contestStatus || !currentWorkspace) {
+    statusDeadline.textContent = '';
+    statusDeadline.className = '';
+    return;
+  }
+
+  const remainingMs = new Date(contestStatus.deadline).getTime() - Date.now();
+  const degradedModes = contestStatus.degradedModes || [];
+  statusDeadline.textContent = remainingMs > 0
+    ? `⏳ ${formatTimeLeft(remainingMs)} left · deadline ${contestStatus.deadlineLocal}`
+    : `⏰ Deadline passed (${contestStatus.deadlineLocal})`;
+  if (degradedModes.length > 0) {
+    statusDeadline.textContent += ` · degraded: ${degradedModes.join(', ')}`;
+  }
+  statusDeadline.className = degradedModes.length > 0 || remainingMs <= 0
+    ? 'degraded'
+    : contestStatus.phase?.behind ? 'behind' : '';
+}
+
+setInterval(() => updateDeadlineStatus().catch(() => {}), 60 * 1000);
+
 function setAgentRunning(running) {
   agentRunning = running;
   updateButtonStates();
@@ -1069,6 +1489,7 @@ function setAgentRunning(running) {
   // Update status
   const statusProgress = document.getElementById('status-progress');
   statusProgress.textContent = running ? '⚙️ Agent running...' : '';
+  updateDeadlineStatus().catch(() => {});
 }
 
 function updateButtonStates() {
@@ -1077,6 +1498,7 @@ function updateButtonStates() {
   document.getElementById('run-modeling').disabled = agentRunning || !workflowState.planningComplete;
   document.getElementById('run-writing').disabled = agentRunning || !workflowState.modelingComplete;
   document.getElementById('run-complete').disabled = agentRunning;
+  document.getElementById('resume-workflow').disabled = agentRunning || !currentWorkspace;
   document.getElementById('stop-agent').style.display = agentRunning ? 'block' : 'none';
 }
 
@@ -1468,6 +1890,204 @@ function displayDataFiles(files) {
   `;
 }
 
+// Usage & Cost
+async function refreshUsageSummary() {
+  if (!currentWorkspace || !window.electronAPI.getUsageSummary) return;
+
+  try {
+    const result = await window.electronAPI.getUsageSummary(currentWorkspace);
+
+    if (result.success) {
+      displayUsageSummary(result.summary);
+    }
+  } catch (error) {
+    console.error('Error loading usage summary:', error);
+  }
+}
+
+function displayUsageSummary(summary) {
+  const container = document.getElementById('usage-summary');
+
+  if (!summary || summary.calls === 0) {
+    container.innerHTML = '<p class="placeholder-text">No LLM calls recorded yet</p>';
+    return;
+  }
+
+  const formatCost = (cost) => `$${cost.toFixed(4)}`;
+  const renderGroup = (title, group) => `
+    <table class="data-files-table">
+      <thead>
+        <tr>
+          <th>${title}</th>
+          <th>Calls</th>
+          <th>Input tokens</th>
+          <th>Output tokens</th>
+          <th>Cost</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${Object.entries(group).map(([key, bucket]) => `
+          <tr>
+            <td>${escapeHtml(key)}</td>
+            <td>${bucket.calls}</td>
+            <td>${bucket.inputTokens.toLocaleString()}</td>
+            <td>${bucket.outputTokens.toLocaleString()}</td>
+            <td>${formatCost(bucket.cost)}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+
+  const budgetText = summary.budget > 0
+    ? ` of ${formatCost(summary.budget)} budget`
+    : ' (no budget cap)';
+
+  container.innerHTML = `
+    <p><strong>Total:</strong> ${formatCost(summary.cost)}${budgetText} &mdash;
+      ${summary.calls} calls, ${summary.inputTokens.toLocaleString()} in / ${summary.outputTokens.toLocaleString()} out tokens</p>
+    ${renderGroup('Phase', summary.byPhase)}
+    ${renderGroup('Model', summary.byModel)}
+    ${renderGroup('Agent', summary.byMode)}
+  `;
+}
+
+// Run audit trail
+async function refreshRuns() {
+  if (!currentWorkspace || !window.electronAPI.listRuns) return;
+
+  try {
+    const result = await window.electronAPI.listRuns(currentWorkspace);
+    if (!result.success) return;
+
+    const select = document.getElementById('run-select');
+    const selected = select.value;
+    select.innerHTML = '';
+    result.runs.forEach(run => {
+      const label = `${new Date(run.startedAt).toLocaleString()}: ${run.phases.join(', ') || 'no phase'} (${run.calls} LLM calls)`;
+      select.appendChild(new Option(label, run.runId));
+    });
+
+    if (result.runs.length === 0) {
+      document.getElementById('run-summary').innerHTML = '';
+      document.getElementById('run-timeline').innerHTML = '<p class="placeholder-text">No runs recorded in this workspace yet</p>';
+      return;
+    }
+    select.value = result.runs.some(run => run.runId === selected) ? selected : result.runs[0].runId;
+    await loadRun(select.value);
+  } catch (error) {
+    console.error('Error loading runs:', error);
+  }
+}
+
+async function loadRun(runId) {
+  if (!runId) return;
+
+  const result = await window.electronAPI.getRun(currentWorkspace, runId);
+  if (!result.success) {
+    logToConsole('error', `Could not load run ${runId}: ${result.error}`);
+    return;
+  }
+
+  const { summary, events } = result;
+  document.getElementById('run-summary').innerHTML = `
+    <p><strong>${escapeHtml(summary.runId)}</strong> &mdash; ${summary.calls} LLM calls
+      (${summary.inputTokens.toLocaleString()} in / ${summary.outputTokens.toLocaleString()} out tokens, $${summary.cost.toFixed(4)}),
+      ${summary.artifacts} artifacts, models: ${escapeHtml(summary.models.join(', ') || 'none')}</p>
+  `;
+  document.getElementById('run-timeline').innerHTML = events.map(renderRunEvent).join('');
+}
+
+function renderRunEvent(event) {
+  const time = new Date(event.timestamp).toLocaleTimeString();
+  const step = event.step ? ` [${escapeHtml(event.step)}]` : '';
+  const callLinks = (seqs) => seqs.map(seq => `<span class="run-call-link" data-seq="${seq}">#${seq}</span>`).join(', ');
+  let text;
+  let className = event.type;
+
+  switch (event.type) {
+    case 'llm-call':
+      text = `🤖 #${event.seq} ${escapeHtml(event.agentId)} &rarr; ${escapeHtml(`${event.provider}/${event.model}`)}: ` +
+        (event.status === 'completed'
+          ? `${event.inputTokens} in / ${event.outputTokens} out tokens, ${(event.durationMs / 1000).toFixed(1)}s`
+          : `${escapeHtml(event.status)} (${escapeHtml(event.error || '')})`) +
+        (event.artifacts.length > 0 ? ` &rarr; ${escapeHtml(event.artifacts.join(', '))}` : '');
+      if (event.status !== 'completed') className += ' failed';
+      return `<div class="run-event ${className}" data-seq="${event.seq}" title="Show prompt and response">` +
+        `<span class="run-event-time">${time}</span><span>${text}${step}</span></div>`;
+    case 'step-started':
+      text = `▶ ${escapeHtml(event.step)} started`;
+      break;
+    case 'step-finished':
+      text = `■ ${escapeHtml(event.step)} ${escapeHtml(event.status)}${event.error ? `: ${escapeHtml(event.error)}` : ''}`;
+      if (event.status === 'failed') className += ' failed';
+      return `<div class="run-event ${className}"><span class="run-event-time">${time}</span><span>${text}</span></div>`;
+    case 'tool-call':
+      text = `🔧 ${escapeHtml(event.agentId)} called ${escapeHtml(event.tool)}${event.isError ? ' (error)' : ''}`;
+      break;
+    case 'artifact':
+      text = `💾 ${escapeHtml(event.path)} v${event.version}${event.calls?.length > 0 ? ` from ${callLinks(event.calls)}` : ''}`;
+      break;
+    default:
+      text = escapeHtml(event.message || '');
+  }
+  return `<div class="run-event ${className}"><span class="run-event-time">${time}</span><span>${text}${step}</span></div>`;
+}
+
+async function showRunCall(seq) {
+  const runId = document.getElementById('run-select').value;
+  const result = await window.electronAPI.getRunCall(currentWorkspace, runId, seq);
+  if (!result.success) {
+    logToConsole('warning', result.error);
+    return;
+  }
+
+  const call = result.call;
+  const { settings, response } = call;
+  const messageText = (message) => typeof message.content === 'string'
+    ? message.content
+    : message.content.map(part => part.type === 'image' ? `[image: ${part.mediaType}, ${part.bytes} bytes]` : part.text).join('\n');
+
+  document.getElementById('run-call-title').textContent = `LLM call #${call.seq}: ${call.agentId}`;
+  document.getElementById('run-call-meta').textContent = [
+    `${call.provider}/${call.model}`,
+    `${call.phase}${call.step ? ` / ${call.step}` : ''}`,
+    `max tokens ${settings.maxTokens ?? 'default'}, temperature ${settings.temperature ?? 'default'}`,
+    settings.tools.length > 0 ? `tools: ${settings.tools.join(', ')}` : null,
+    settings.jsonSchema ? `schema: ${settings.jsonSchema}` : null,
+    call.status === 'completed' ? `${call.inputTokens} in / ${call.outputTokens} out tokens, $${(call.cost || 0).toFixed(4)}` : call.status,
+    call.artifacts.length > 0 ? `produced: ${call.artifacts.join(', ')}` : null
+  ].filter(Boolean).join(' · ');
+
+  document.getElementById('run-call-body').innerHTML = `
+    <h4>System prompt</h4>
+    <pre>${escapeHtml(call.systemPrompt || '')}</pre>
+    ${call.messages.map(message => `
+      <h4>${escapeHtml(message.role === 'tool' ? `tool result (${message.name})` : message.role)}</h4>
+      <pre>${escapeHtml(messageText(message))}</pre>
+    `).join('')}
+    <h4>Response${response ? ` (${escapeHtml(response.stopReason || 'done')})` : ''}</h4>
+    <pre>${escapeHtml(response ? response.message : `No response: ${call.error}`)}</pre>
+    ${(response?.toolCalls || []).map(toolCall => `
+      <h4>Tool call: ${escapeHtml(toolCall.name)}</h4>
+      <pre>${escapeHtml(JSON.stringify(toolCall.arguments, null, 2))}</pre>
+    `).join('')}
+  `;
+  document.getElementById('run-call-modal').style.display = 'flex';
+}
+
+async function exportRun(format) {
+  const runId = document.getElementById('run-select').value;
+  if (!currentWorkspace || !runId) return;
+
+  const result = await window.electronAPI.exportRun(currentWorkspace, runId, format);
+  if (result.success) {
+    logToConsole('success', `Audit trail of ${runId} exported to ${result.path}`);
+  } else if (result.error !== 'Export cancelled') {
+    logToConsole('error', `Export failed: ${result.error}`);
+  }
+}
+
 function formatFileSize(bytes) {
   if (bytes < 1024) return bytes + ' B';
   if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(2) + ' KB';
@@ -1711,6 +2331,8 @@ window.autoMCM = {
   runModelingPhase,
   runWritingPhase,
   runCompleteWorkflow,
+  resumeWorkflow,
+  approvePlan,
   uploadProblemPDF,
   uploadDataFiles,
   refreshDataFiles
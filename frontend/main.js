@@ -5,6 +5,9 @@ import fs from 'fs/promises';
 import AgentService from '../src/core/agent-service.js';
 import PDFParser from '../src/utils/pdf-parser.js';
 import DataManager from '../src/utils/data-manager.js';
+import UsageLedger from '../src/core/usage-ledger.js';
+import RunAudit, { EXPORT_FORMATS } from '../src/core/run-audit.js';
+import ContestClock from '../src/core/contest-clock.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -109,11 +112,16 @@ ipcMain.handle('load-workspace', async (event, workspaceName) => {
       // No artifacts yet
     }
 
+    // Contest deadline, if the workspace has a clock
+    const clock = new ContestClock(workspacePath);
+    const contest = await clock.load() ? clock.getStatus() : null;
+
     return {
       success: true,
       content,
       workspacePath,
-      artifacts
+      artifacts,
+      contest
     };
   } catch (error) {
     return { success: false, error: error.message };
@@ -157,26 +165,71 @@ ipcMain.handle('create-workspace', async (event, workspaceName, problemData) =>
 });
 
 // Agent execution handlers
-ipcMain.handle('init-agent-service', async () => {
-  try {
-    agentService = new AgentService();
 
-    // Setup event listeners to stream logs to frontend
-    agentService.on('log', (logData) => {
-      mainWindow?.webContents.send('agent-log', logData);
-    });
+/**
+ * Forward AgentService events to the renderer
+ */
+function forwardAgentEvents(service) {
+  service.on('log', (logData) => {
+    mainWindow?.webContents.send('agent-log', logData);
+  });
 
-    agentService.on('phase-change', (phase) => {
-      mainWindow?.webContents.send('phase-change', phase);
-    });
+  // Typed run events: steps, LLM and tool calls, artifacts, warnings and errors
+  service.on('run-event', (runEvent) => {
+    mainWindow?.webContents.send('run-event', runEvent);
+  });
 
-    agentService.on('error', (error) => {
-      mainWindow?.webContents.send('agent-error', error.message);
-    });
+  service.on('agent-token', (tokenData) => {
+    mainWindow?.webContents.send('agent-token', tokenData);
+  });
 
-    agentService.on('artifact-created', (data) => {
-      mainWindow?.webContents.send('artifact-created', data);
-    });
+  service.on('phase-change', (phase) => {
+    mainWindow?.webContents.send('phase-change', phase);
+  });
+
+  service.on('error', (error) => {
+    mainWindow?.webContents.send('agent-error', error.message);
+  });
+
+  service.on('equations-extracted', (equations) => {
+    mainWindow?.webContents.send('equations-extracted', equations);
+  });
+
+  service.on('sensitivity-results', (data) => {
+    mainWindow?.webContents.send('sensitivity-results', data);
+  });
+
+  service.on('validation-update', (status) => {
+    mainWindow?.webContents.send('validation-update', status);
+  });
+
+  service.on('budget-exceeded', (data) => {
+    mainWindow?.webContents.send('budget-exceeded', data);
+  });
+
+  service.on('run-cancelled', (data) => {
+    mainWindow?.webContents.send('run-cancelled', data);
+  });
+
+  service.on('approval-required', (data) => {
+    mainWindow?.webContents.send('approval-required', data);
+  });
+
+  service.on('plan-revised', (data) => {
+    mainWindow?.webContents.send('plan-revised', data);
+  });
+
+  service.on('plan-approved', (data) => {
+    mainWindow?.webContents.send('plan-approved', data);
+  });
+}
+
+ipcMain.handle('init-agent-service', async () => {
+  try {
+    agentService = new AgentService();
+
+    // Stream logs and agent events to frontend
+    forwardAgentEvents(agentService);
 
     return { success: true };
   } catch (error) {
@@ -188,35 +241,7 @@ ipcMain.handle('run-planning-phase', async (event, workspaceName, problemStateme
   try {
     if (!agentService) {
       agentService = new AgentService();
-
-      // Setup ALL event listeners
-      agentService.on('log', (logData) => {
-        mainWindow?.webContents.send('agent-log', logData);
-      });
-
-      agentService.on('phase-change', (phase) => {
-        mainWindow?.webContents.send('phase-change', phase);
-      });
-
-      agentService.on('error', (error) => {
-        mainWindow?.webContents.send('agent-error', error.message);
-      });
-
-      agentService.on('artifact-created', (data) => {
-        mainWindow?.webContents.send('artifact-created', data);
-      });
-
-      agentService.on('equations-extracted', (equations) => {
-        mainWindow?.webContents.send('equations-extracted', equations);
-      });
-
-      agentService.on('sensitivity-results', (data) => {
-        mainWindow?.webContents.send('sensitivity-results', data);
-      });
-
-      agentService.on('validation-update', (status) => {
-        mainWindow?.webContents.send('validation-update', status);
-      });
+      forwardAgentEvents(agentService);
     }
 
     const workspacePath = path.join(__dirname, '..', 'workspace', workspaceName);
@@ -242,43 +267,13 @@ ipcMain.handle('run-modeling-phase', async (event, workspaceName, plan) => {
   try {
     if (!agentService) {
       agentService = new AgentService();
-
-      // Setup event listeners
-      agentService.on('log', (logData) => {
-        mainWindow?.webContents.send('agent-log', logData);
-      });
-
-      agentService.on('phase-change', (phase) => {
-        mainWindow?.webContents.send('phase-change', phase);
-      });
-
-      agentService.on('error', (error) => {
-        mainWindow?.webContents.send('agent-error', error.message);
-      });
-
-      agentService.on('artifact-created', (data) => {
-        mainWindow?.webContents.send('artifact-created', data);
-      });
-
-      agentService.on('equations-extracted', (equations) => {
-        mainWindow?.webContents.send('equations-extracted', equations);
-      });
-
-      agentService.on('sensitivity-results', (data) => {
-        mainWindow?.webContents.send('sensitivity-results', data);
-      });
-
-      agentService.on('validation-update', (status) => {
-        mainWindow?.webContents.send('validation-update', status);
-      });
+      forwardAgentEvents(agentService);
     }
 
-    // Load workspace if not initialized
+    // Load the existing workspace (keeps AUTOMCM.md and its checkpoint)
     if (!agentService.masterAgent) {
       const workspacePath = path.join(__dirname, '..', 'workspace', workspaceName);
-      await agentService.initializeWorkspace(workspacePath, {
-        title: 'MCM Problem'
-      });
+      await agentService.loadWorkspace(workspacePath);
     }
 
     const result = await agentService.executeModelingPhase(plan);
@@ -292,43 +287,13 @@ ipcMain.handle('run-writing-phase', async (event, workspaceName) => {
   try {
     if (!agentService) {
       agentService = new AgentService();
-
-      // Setup ALL event listeners
-      agentService.on('log', (logData) => {
-        mainWindow?.webContents.send('agent-log', logData);
-      });
-
-      agentService.on('phase-change', (phase) => {
-        mainWindow?.webContents.send('phase-change', phase);
-      });
-
-      agentService.on('error', (error) => {
-        mainWindow?.webContents.send('agent-error', error.message);
-      });
-
-      agentService.on('artifact-created', (data) => {
-        mainWindow?.webContents.send('artifact-created', data);
-      });
-
-      agentService.on('equations-extracted', (equations) => {
-        mainWindow?.webContents.send('equations-extracted', equations);
-      });
-
-      agentService.on('sensitivity-results', (data) => {
-        mainWindow?.webContents.send('sensitivity-results', data);
-      });
-
-      agentService.on('validation-update', (status) => {
-        mainWindow?.webContents.send('validation-update', status);
-      });
+      forwardAgentEvents(agentService);
     }
 
-    // Load workspace if not initialized
+    // Load the existing workspace (keeps AUTOMCM.md and its checkpoint)
     if (!agentService.masterAgent) {
       const workspacePath = path.join(__dirname, '..', 'workspace', workspaceName);
-      await agentService.initializeWorkspace(workspacePath, {
-        title: 'MCM Problem'
-      });
+      await agentService.loadWorkspace(workspacePath);
     }
 
     const result = await agentService.executeWritingPhase();
@@ -342,35 +307,7 @@ ipcMain.handle('run-complete-workflow', async (event, workspaceName, problemStat
   try {
     if (!agentService) {
       agentService = new AgentService();
-
-      // Setup ALL event listeners
-      agentService.on('log', (logData) => {
-        mainWindow?.webContents.send('agent-log', logData);
-      });
-
-      agentService.on('phase-change', (phase) => {
-        mainWindow?.webContents.send('phase-change', phase);
-      });
-
-      agentService.on('error', (error) => {
-        mainWindow?.webContents.send('agent-error', error.message);
-      });
-
-      agentService.on('artifact-created', (data) => {
-        mainWindow?.webContents.send('artifact-created', data);
-      });
-
-      agentService.on('equations-extracted', (equations) => {
-        mainWindow?.webContents.send('equations-extracted', equations);
-      });
-
-      agentService.on('sensitivity-results', (data) => {
-        mainWindow?.webContents.send('sensitivity-results', data);
-      });
-
-      agentService.on('validation-update', (status) => {
-        mainWindow?.webContents.send('validation-update', status);
-      });
+      forwardAgentEvents(agentService);
     }
 
     const workspacePath = path.join(__dirname, '..', 'workspace', workspaceName);
@@ -387,6 +324,63 @@ ipcMain.handle('run-complete-workflow', async (event, workspaceName, problemStat
   }
 });
 
+ipcMain.handle('resume-workflow', async (event, workspaceName) => {
+  try {
+    if (!agentService) {
+      agentService = new AgentService();
+      forwardAgentEvents(agentService);
+    }
+
+    const workspacePath = path.join(__dirname, '..', 'workspace', workspaceName);
+    const result = await agentService.resumeWorkflow(workspacePath);
+
+    return { success: true, result };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('approve-plan', async (event, plan, approver, candidate) => {
+  try {
+    if (!agentService) {
+      throw new Error('No plan is waiting for approval');
+    }
+    const approval = await agentService.approvePlan(plan, { approver, candidate });
+    return { success: true, approval };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('submit-plan-feedback', async (event, feedback, plan) => {
+  try {
+    if (!agentService) {
+      throw new Error('No plan is waiting for approval');
+    }
+    const revision = await agentService.submitPlanFeedback(feedback, plan);
+    return { success: true, revision };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('set-contest-clock', async (event, workspaceName, options) => {
+  try {
+    if (!agentService) {
+      agentService = new AgentService();
+      forwardAgentEvents(agentService);
+    }
+    if (!agentService.masterAgent) {
+      await agentService.loadWorkspace(path.join(__dirname, '..', 'workspace', workspaceName));
+    }
+
+    const contest = await agentService.setContestClock(options);
+    return { success: true, contest };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
 ipcMain.handle('get-agent-status', async () => {
   if (!agentService) {
     return { success: true, status: { isRunning: false, phase: 'idle', hasWorkspace: false } };
@@ -466,31 +460,8 @@ ipcMain.handle('upload-problem-pdf', async (event, workspaceName) => {
     const pdfPath = result.filePaths[0];
     const workspacePath = path.join(__dirname, '..', 'workspace', workspaceName);
 
-    // Parse PDF
-    const parser = new PDFParser();
-    const problemData = await parser.extractProblemStatement(pdfPath);
-
-    // Save to workspace
-    await parser.saveProblemToWorkspace(workspacePath, problemData);
-
-    // Copy original PDF
-    const pdfFilename = path.basename(pdfPath);
-    const destPdfPath = path.join(workspacePath, 'problem.pdf');
-    await fs.copyFile(pdfPath, destPdfPath);
-
-    // Update AUTOMCM.md to reference the problem
-    const automcmPath = path.join(workspacePath, 'AUTOMCM.md');
-    try {
-      let automcmContent = await fs.readFile(automcmPath, 'utf-8');
-      // Replace the placeholder problem statement with reference to problem.md
-      automcmContent = automcmContent.replace(
-        /## Problem Statement\s*\nTo be filled in during planning/,
-        `## Problem Statement\n**See problem.md for the full problem statement**\n\nThe actual MCM problem has been extracted from the uploaded PDF and saved to problem.md in this workspace. All agents will receive the problem content from problem.md during execution.`
-      );
-      await fs.writeFile(automcmPath, automcmContent, 'utf-8');
-    } catch (error) {
-      console.warn('Could not update AUTOMCM.md:', error.message);
-    }
+    // Extract the problem statement into the workspace
+    const problemData = await new PDFParser().importProblem(pdfPath, workspacePath);
 
     return {
       success: true,
@@ -579,3 +550,70 @@ ipcMain.handle('get-data-summary', async (event, workspaceName) => {
     return { success: false, error: error.message };
   }
 });
+
+ipcMain.handle('get-usage-summary', async (event, workspaceName) => {
+  try {
+    // Current run when agents are active, otherwise every run recorded in the workspace ledger
+    let summary = agentService ? await agentService.getUsageSummary() : null;
+    if (!summary) {
+      const workspacePath = path.join(__dirname, '..', 'workspace', workspaceName);
+      summary = await new UsageLedger(workspacePath).getSummary(null);
+    }
+    return { success: true, summary };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Audit trail of each run: events, and every prompt and response
+ipcMain.handle('list-runs', async (event, workspaceName) => {
+  try {
+    const workspacePath = path.join(__dirname, '..', 'workspace', workspaceName);
+    const runs = await new RunAudit(workspacePath).listRuns();
+    return { success: true, runs };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('get-run', async (event, workspaceName, runId) => {
+  try {
+    const workspacePath = path.join(__dirname, '..', 'workspace', workspaceName);
+    const run = await new RunAudit(workspacePath).getRun(runId);
+    return { success: true, ...run };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('get-run-call', async (event, workspaceName, runId, seq) => {
+  try {
+    const workspacePath = path.join(__dirname, '..', 'workspace', workspaceName);
+    const call = await new RunAudit(workspacePath).getCall(runId, seq);
+    return { success: true, call };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('export-run', async (event, workspaceName, runId, format = 'markdown') => {
+  try {
+    const workspacePath = path.join(__dirname, '..', 'workspace', workspaceName);
+    const extension = EXPORT_FORMATS[format];
+    const result = await dialog.showSaveDialog(mainWindow, {
+      title: 'Export Audit Trail',
+      defaultPath: path.join(workspacePath, `audit-${runId}.${extension}`),
+      filters: [{ name: format === 'json' ? 'JSON' : 'Markdown', extensions: [extension] }]
+    });
+
+    if (result.canceled || !result.filePath) {
+      return { success: false, error: 'Export cancelled' };
+    }
+
+    const content = await new RunAudit(workspacePath).exportRun(runId, format);
+    await fs.writeFile(result.filePath, content, 'utf-8');
+    return { success: true, path: result.filePath };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
@@ -29,16 +29,31 @@ contextBridge.exposeInMainWorld('electronAPI', {
   runModelingPhase: (workspaceName, plan) => ipcRenderer.invoke('run-modeling-phase', workspaceName, plan),
   runWritingPhase: (workspaceName) => ipcRenderer.invoke('run-writing-phase', workspaceName),
   runCompleteWorkflow: (workspaceName, problemStatement) => ipcRenderer.invoke('run-complete-workflow', workspaceName, problemStatement),
+  resumeWorkflow: (workspaceName) => ipcRenderer.invoke('resume-workflow', workspaceName),
+  approvePlan: (plan, approver, candidate) => ipcRenderer.invoke('approve-plan', plan, approver, candidate),
+  submitPlanFeedback: (feedback, plan) => ipcRenderer.invoke('submit-plan-feedback', feedback, plan),
+  setContestClock: (workspaceName, options) => ipcRenderer.invoke('set-contest-clock', workspaceName, options),
   getAgentStatus: () => ipcRenderer.invoke('get-agent-status'),
   stopAgent: () => ipcRenderer.invoke('stop-agent'),
+  getUsageSummary: (workspaceName) => ipcRenderer.invoke('get-usage-summary', workspaceName),
+  listRuns: (workspaceName) => ipcRenderer.invoke('list-runs', workspaceName),
+  getRun: (workspaceName, runId) => ipcRenderer.invoke('get-run', workspaceName, runId),
+  getRunCall: (workspaceName, runId, seq) => ipcRenderer.invoke('get-run-call', workspaceName, runId, seq),
+  exportRun: (workspaceName, runId, format) => ipcRenderer.invoke('export-run', workspaceName, runId, format),
 
   // Event listeners for agent updates
   onAgentLog: (callback) => ipcRenderer.on('agent-log', (event, data) => callback(data)),
+  onAgentToken: (callback) => ipcRenderer.on('agent-token', (event, data) => callback(data)),
   onPhaseChange: (callback) => ipcRenderer.on('phase-change', (event, phase) => callback(phase)),
   onAgentError: (callback) => ipcRenderer.on('agent-error', (event, error) => callback(error)),
-  onArtifactCreated: (callback) => ipcRenderer.on('artifact-created', (event, data) => callback(data)),
+  onRunEvent: (callback) => ipcRenderer.on('run-event', (event, data) => callback(data)),
   onProgressUpdate: (callback) => ipcRenderer.on('progress-update', (event, data) => callback(data)),
   onEquationsExtracted: (callback) => ipcRenderer.on('equations-extracted', (event, equations) => callback(equations)),
   onSensitivityResults: (callback) => ipcRenderer.on('sensitivity-results', (event, data) => callback(data)),
   onValidationUpdate: (callback) => ipcRenderer.on('validation-update', (event, status) => callback(status)),
+  onBudgetExceeded: (callback) => ipcRenderer.on('budget-exceeded', (event, data) => callback(data)),
+  onRunCancelled: (callback) => ipcRenderer.on('run-cancelled', (event, data) => callback(data)),
+  onApprovalRequired: (callback) => ipcRenderer.on('approval-required', (event, data) => callback(data)),
+  onPlanRevised: (callback) => ipcRenderer.on('plan-revised', (event, data) => callback(data)),
+  onPlanApproved: (callback) => ipcRenderer.on('plan-approved', (event, data) => callback(data)),
 });
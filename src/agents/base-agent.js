@@ -1,126 +1,136 @@
 import { ProviderFactory } from '../core/llm-providers.js';
 import config from '../core/config.js';
+import ContextManager from '../core/context-manager.js';
+import SchemaValidator from '../validators/schema-validator.js';
+import PromptLibrary from '../core/prompt-library.js';
 
 /**
  * Base Agent class for all AutoMCM agents
  */
 class BaseAgent {
-  constructor(mode = 'general') {
+  /**
+   * options.llm ({ provider, model, api_key, base_url }) picks this agent's provider,
+   * taking precedence over llm.task_overrides for its mode
+   */
+  constructor(mode = 'general', options = {}) {
     this.mode = mode;
-    this.provider = this._initializeProvider();
+    this.provider = this._initializeProvider(options.llm);
     this.conversationHistory = [];
+    this.eventEmitter = null; // Receives 'agent-token' events while streaming
+    this.events = null; // EventBus for llm-call, tool-call and warning run events
+    this.cloneId = null; // Set by MasterAgent when spawned as a clone
+    this.usageLedger = null; // Records token usage and cost for every call when set
+    this.cassette = null; // Records or replays provider responses when set
+    this.signal = null; // AbortSignal that cancels in-flight requests when the run is stopped
+    this.contextManager = new ContextManager();
+    this.pinnedContext = {}; // Label -> text kept in the system prompt through compaction
+    this.contextStats = { compactions: 0, droppedMessages: 0, lastEstimate: 0 };
+    this.prompts = new PromptLibrary(); // Replaced with a workspace-aware library by MasterAgent
   }
 
   /**
-   * Initialize LLM provider with task-specific override if available
+   * Initialize LLM provider with an explicit or task-specific override if available
    */
-  _initializeProvider() {
+  _initializeProvider(llmOverride = null) {
+    const retryConfig = config.get('llm.retry') || {};
+    const retry = {
+      maxRetries: retryConfig.max_retries,
+      baseDelayMs: retryConfig.base_delay_ms,
+      maxDelayMs: retryConfig.max_delay_ms
+    };
+
     const primaryConfig = {
       provider: config.get('llm.provider'),
       apiKey: config.get('llm.api_key'),
       baseUrl: config.get('llm.base_url'),
       model: config.get('llm.model'),
       maxTokens: config.get('llm.max_tokens'),
-      temperature: config.get('llm.temperature')
+      temperature: config.get('llm.temperature'),
+      retry
+    };
+
+    // Providers tried in order when this agent's provider keeps failing
+    const fallbackConfigs = (config.get('llm.fallback_chain') || []).map(entry => ({
+      provider: entry.provider,
+      apiKey: entry.api_key,
+      baseUrl: entry.base_url,
+      model: entry.model,
+      maxTokens: primaryConfig.maxTokens,
+      temperature: primaryConfig.temperature,
+      retry
+    }));
+    const fallbackOptions = {
+      cooldownMs: (config.get('llm.fallback_cooldown') ?? 60) * 1000
     };
 
-    // Check for task-specific override
-    const taskOverride = config.get(`llm.task_overrides.${this.mode}`);
+    // Explicit override first, then the task-specific one for this mode
+    const taskOverride = llmOverride || config.get(`llm.task_overrides.${this.mode}`);
     if (taskOverride && taskOverride.provider) {
-      // Use task-specific configuration
+      // Credentials, endpoint and model are only inherited when the override keeps the same
+      // provider, so a local model never receives the primary cloud key, URL or model name
+      // (without a model, the local provider uses the first model the server has installed)
+      const sameProvider = taskOverride.provider === primaryConfig.provider;
+      const model = taskOverride.model || (sameProvider ? primaryConfig.model : undefined);
+      if (!model && taskOverride.provider !== 'local') {
+        throw new Error(`The ${taskOverride.provider} override for ${this.mode} mode needs a model`);
+      }
       const overrideConfig = {
-        provider: taskOverride.provider || primaryConfig.provider,
-        apiKey: taskOverride.api_key || primaryConfig.apiKey,
-        baseUrl: taskOverride.base_url || primaryConfig.baseUrl,
-        model: taskOverride.model || primaryConfig.model,
+        provider: taskOverride.provider,
+        apiKey: taskOverride.api_key || (sameProvider ? primaryConfig.apiKey : undefined),
+        baseUrl: taskOverride.base_url || (sameProvider ? primaryConfig.baseUrl : undefined),
+        model,
         maxTokens: primaryConfig.maxTokens,
-        temperature: primaryConfig.temperature
+        temperature: primaryConfig.temperature,
+        retry
       };
       console.log(`🔧 Using ${overrideConfig.provider} for ${this.mode} mode`);
-      return ProviderFactory.createProvider(overrideConfig);
+      return ProviderFactory.createWithFallback(overrideConfig, fallbackConfigs, fallbackOptions);
     }
 
     // Use primary configuration
-    return ProviderFactory.createProvider(primaryConfig);
+    return ProviderFactory.createWithFallback(primaryConfig, fallbackConfigs, fallbackOptions);
   }
 
   /**
-   * Get system prompt based on agent mode
+   * Get system prompt based on agent mode (templates system/base and system/<mode>)
    */
   getSystemPrompt() {
-    const basePrompt = `You are an AI agent working in AutoMCM, a specialized workspace for Mathematical Contest in Modeling (MCM/ICM).
-
-WORKSPACE STRUCTURE:
-- problem.md: Contains the ACTUAL MCM problem statement (extracted from PDF)
-- AUTOMCM.md: Project constitution with standards and templates
-  - Variable registry with symbols, definitions, units, and constraints
-  - Modeling assumptions
-  - Code standards
-  - LaTeX configuration
-  - Deliverables checklist
-
-CRITICAL RULES:
-1. The problem statement in user messages is the REAL problem (from problem.md)
-2. AUTOMCM.md provides standards/templates, NOT the problem statement
-3. All variables must be registered in the Variable Registry
-4. All code must follow the defined code standards
-5. All equations must be dimensionally consistent
-6. Document all assumptions`;
-
-    const modePrompts = {
-      researcher: `\n\nRESEARCHER MODE ACTIVE:
-Your focus is on finding relevant academic papers, datasets, and historical MCM solutions.
-- Search Google Scholar, arXiv, and MCM archives
-- Output markdown summaries with proper citations
-- Identify applicable mathematical techniques
-- Find relevant datasets and data sources`,
-
-      modeler: `\n\nMODELER-CODER MODE ACTIVE:
-Your focus is on developing mathematical models and implementing them in code.
-- First propose formulation in LaTeX
-- Then implement in Python with dimensional checks
-- Run tests and generate visualizations immediately
-- Ensure variable names match LaTeX symbols from registry
-- Validate dimensional consistency using SymPy`,
-
-      writer: `\n\nWRITER MODE ACTIVE:
-Your focus is on writing the competition paper in LaTeX.
-- Use AUTOMCM.md Variable Registry for all symbols
-- Every equation must reference registered variables
-- Follow the specified LaTeX template
-- Compile iteratively and fix errors
-- Ensure all figures are referenced correctly`,
-
-      general: ''
-    };
+    const basePrompt = this.prompts.render('system/base').text;
+    const modeId = `system/${this.mode}`;
 
-    return basePrompt + (modePrompts[this.mode] || modePrompts.general);
+    return this.prompts.has(modeId)
+      ? `${basePrompt}\n\n${this.prompts.render(modeId).text}`
+      : basePrompt;
   }
 
   /**
-   * Send a message and get response
+   * Send a message and get response.
+   * options.images ([{ mediaType, data }] with base64 data) are attached after the text;
+   * the provider's model must support vision.
    */
   async sendMessage(userMessage, options = {}) {
     console.log(`\n📤 [${this.mode.toUpperCase()}] Sending message to LLM`);
     console.log(`   Message length: ${userMessage.length} chars`);
     console.log(`   Message preview: ${userMessage.substring(0, 150)}...`);
 
+    const images = options.images || [];
+    if (images.length > 0) {
+      console.log(`   Images attached: ${images.length}`);
+    }
+
     this.conversationHistory.push({
       role: 'user',
-      content: userMessage
+      content: images.length > 0
+        ? [{ type: 'text', text: userMessage }, ...images.map(image => ({ type: 'image', ...image }))]
+        : userMessage
     });
 
     console.log(`   Conversation history: ${this.conversationHistory.length} messages`);
 
+    const onToken = this._createTokenHandler(options);
+
     try {
-      const response = await this.provider.sendMessage(
-        this.conversationHistory,
-        this.getSystemPrompt(),
-        {
-          maxTokens: options.max_tokens || config.get('llm.max_tokens'),
-          temperature: options.temperature || config.get('llm.temperature')
-        }
-      );
+      const response = await this._callProvider({ ...options, onToken });
 
       console.log(`📥 [${this.mode.toUpperCase()}] Response received`);
       console.log(`   Tokens - Input: ${response.usage.inputTokens}, Output: ${response.usage.outputTokens}`);
@@ -140,7 +150,453 @@ Your focus is on writing the competition paper in LaTeX.
     } catch (error) {
       console.error(`❌ [${this.mode.toUpperCase()}] Error sending message:`, error.message);
       throw error;
+    } finally {
+      if (onToken) {
+        this._emitToken('', true);
+      }
+    }
+  }
+
+  /**
+   * Request JSON matching a schema. Uses the provider's native JSON mode where available,
+   * validates the result and re-prompts with the validation errors until it matches.
+   * Returns { data, message, usage, attempts }.
+   */
+  async sendStructured(userMessage, schema, options = {}) {
+    const maxAttempts = options.maxAttempts || config.get('llm.structured_output.max_attempts') || 3;
+    const validator = new SchemaValidator();
+    const usage = { inputTokens: 0, outputTokens: 0 };
+    const jsonSchema = { name: options.schemaName || 'response', schema };
+
+    let prompt = this.prompts.render('agent/structured', {
+      request: userMessage,
+      schema: JSON.stringify(schema, null, 2)
+    }).text;
+    let lastResponse = null;
+    let errors = [];
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      // Images only go with the first attempt; corrections refer back to them in the history
+      lastResponse = await this.sendMessage(prompt, { ...options, jsonSchema, images: attempt === 1 ? options.images : undefined });
+      usage.inputTokens += lastResponse.usage.inputTokens;
+      usage.outputTokens += lastResponse.usage.outputTokens;
+
+      try {
+        const data = validator.parseJson(lastResponse.message);
+        const result = validator.validate(data, schema);
+        if (result.valid) {
+          console.log(`✅ [${this.mode.toUpperCase()}] Structured output valid (attempt ${attempt})`);
+          return { data, message: lastResponse.message, usage, attempts: attempt };
+        }
+        errors = result.errors;
+      } catch (error) {
+        errors = [`Invalid JSON: ${error.message}`];
+      }
+
+      console.warn(`⚠️ [${this.mode.toUpperCase()}] Structured output invalid (attempt ${attempt}/${maxAttempts}): ${errors.slice(0, 3).join('; ')}`);
+      prompt = this.prompts.render('agent/structured-retry', {
+        errors: errors.slice(0, 20).map(e => `- ${e}`).join('\n')
+      }).text;
+    }
+
+    const error = new Error(`Structured output failed validation after ${maxAttempts} attempts: ${errors.slice(0, 5).join('; ')}`);
+    error.lastMessage = lastResponse?.message;
+    throw error;
+  }
+
+  /**
+   * Run a tool-calling loop: the model may call registered tools, receives their
+   * results, and keeps going until it answers without calling a tool.
+   * Returns the final message plus a log of every tool call made.
+   */
+  async runWithTools(userMessage, toolRegistry, options = {}) {
+    const maxIterations = options.maxIterations || config.get('execution.max_tool_iterations') || 10;
+    const tools = toolRegistry.getDefinitions();
+    const toolLog = [];
+    const usage = { inputTokens: 0, outputTokens: 0 };
+
+    console.log(`\n🧰 [${this.mode.toUpperCase()}] Starting tool loop with ${tools.length} tools`);
+
+    this.conversationHistory.push({
+      role: 'user',
+      content: userMessage
+    });
+
+    for (let iteration = 1; iteration <= maxIterations; iteration++) {
+      const response = await this._callProvider({ ...options, tools });
+
+      usage.inputTokens += response.usage.inputTokens;
+      usage.outputTokens += response.usage.outputTokens;
+
+      const toolCalls = response.toolCalls || [];
+      this.conversationHistory.push({
+        role: 'assistant',
+        content: response.message,
+        ...(toolCalls.length > 0 && { toolCalls })
+      });
+
+      if (toolCalls.length === 0) {
+        console.log(`✅ [${this.mode.toUpperCase()}] Tool loop finished after ${iteration} iteration(s)`);
+        return {
+          message: response.message,
+          usage,
+          stopReason: response.stopReason,
+          toolCalls: toolLog
+        };
+      }
+
+      for (const call of toolCalls) {
+        (options.signal || this.signal)?.throwIfAborted();
+        console.log(`   🔧 Tool call: ${call.name}`);
+        const started = Date.now();
+        const result = await toolRegistry.execute(call);
+        if (result.isError) {
+          console.warn(`   ⚠️ Tool ${call.name} failed: ${result.content.substring(0, 200)}`);
+        }
+        this._publish('tool-call', {
+          tool: call.name,
+          durationMs: Date.now() - started,
+          isError: !!result.isError,
+          ...(result.isError && { error: result.content.substring(0, 200) })
+        });
+
+        toolLog.push({ ...call, result: result.content, isError: result.isError });
+        this.conversationHistory.push({
+          role: 'tool',
+          toolCallId: call.id,
+          name: call.name,
+          content: result.content
+        });
+      }
+    }
+
+    // Out of iterations: ask for a final answer without tools so the caller still gets text
+    console.warn(`⚠️ [${this.mode.toUpperCase()}] Tool loop hit ${maxIterations} iterations, requesting final answer`);
+    this.conversationHistory.push({
+      role: 'user',
+      content: this.prompts.render('agent/tools-exhausted').text
+    });
+    const finalResponse = await this._callProvider(options);
+    usage.inputTokens += finalResponse.usage.inputTokens;
+    usage.outputTokens += finalResponse.usage.outputTokens;
+    this.conversationHistory.push({
+      role: 'assistant',
+      content: finalResponse.message
+    });
+
+    return {
+      message: finalResponse.message,
+      usage,
+      stopReason: finalResponse.stopReason,
+      toolCalls: toolLog
+    };
+  }
+
+  /**
+   * Send the current conversation to the provider. All LLM calls go through here.
+   */
+  async _callProvider(options = {}) {
+    const signal = options.signal || this.signal;
+    signal?.throwIfAborted();
+
+    const maxTokens = options.max_tokens || config.get('llm.max_tokens');
+    const systemPrompt = this._buildSystemPrompt();
+
+    await this._ensureContextFits(systemPrompt, maxTokens);
+
+    const response = await this._sendToProvider(
+      this.conversationHistory,
+      systemPrompt,
+      {
+        maxTokens,
+        temperature: options.temperature || config.get('llm.temperature'),
+        onToken: options.onToken,
+        tools: options.tools,
+        jsonSchema: options.jsonSchema,
+        signal,
+        onFailover: (event) => this._emitFailover(event),
+        onStreamReset: () => this._emitStreamReset()
+      }
+    );
+
+    await this._recordUsage(response);
+
+    return response;
+  }
+
+  /**
+   * Send to the provider, through the cassette when recording or replaying
+   */
+  async _sendToProvider(messages, systemPrompt, options) {
+    const started = Date.now();
+    try {
+      const response = this.cassette
+        ? await this.cassette.sendMessage(this.provider, messages, systemPrompt, options)
+        : await this.provider.sendMessage(messages, systemPrompt, options);
+
+      const model = response.model || this.provider.config.model;
+      this._publishCall({
+        provider: response.provider || this.provider.name,
+        model,
+        status: 'completed',
+        inputTokens: response.usage.inputTokens || 0,
+        outputTokens: response.usage.outputTokens || 0,
+        cost: this.usageLedger && !response.replayed ? this.usageLedger.calculateCost(model, response.usage) : 0,
+        durationMs: Date.now() - started,
+        stopReason: response.stopReason,
+        toolCalls: response.toolCalls?.length || 0,
+        ...(response.replayed && { replayed: true })
+      }, this._auditExchange(messages, systemPrompt, options, {
+        message: response.message,
+        toolCalls: response.toolCalls || [],
+        stopReason: response.stopReason,
+        usage: response.usage
+      }));
+      return response;
+    } catch (error) {
+      this._publishCall({
+        provider: this.provider.name,
+        model: this.provider.config.model,
+        status: options.signal?.aborted ? 'cancelled' : 'failed',
+        error: error.message,
+        durationMs: Date.now() - started
+      }, this._auditExchange(messages, systemPrompt, options, null));
+      throw error;
+    }
+  }
+
+  /**
+   * What an LLM call sent and received, for the run's audit trail. Image data is left out.
+   */
+  _auditExchange(messages, systemPrompt, options, response) {
+    return {
+      settings: {
+        maxTokens: options.maxTokens,
+        temperature: options.temperature,
+        tools: (options.tools || []).map(tool => tool.name),
+        jsonSchema: options.jsonSchema?.name || null
+      },
+      systemPrompt,
+      messages: messages.map(message => Array.isArray(message.content)
+        ? {
+          ...message,
+          content: message.content.map(part => part.type === 'image'
+            ? { type: 'image', mediaType: part.mediaType, bytes: Math.round((part.data?.length || 0) * 3 / 4) }
+            : part)
+        }
+        : message),
+      response
+    };
+  }
+
+  /**
+   * Record a response's token usage in the ledger, if one is attached
+   */
+  async _recordUsage(response) {
+    if (!this.usageLedger) return;
+
+    await this.usageLedger.record({
+      // A fallback chain reports which provider actually answered
+      provider: response.provider || this.provider.name,
+      model: response.model || this.provider.config.model,
+      mode: this.mode,
+      cloneId: this.cloneId,
+      usage: response.usage,
+      replayed: !!response.replayed
+    });
+  }
+
+  /**
+   * Pin context (e.g. problem statement, variable registry) so it survives compaction.
+   * Pinned context is appended to the system prompt on every call.
+   */
+  pinContext(label, text) {
+    if (text) {
+      this.pinnedContext[label] = text;
+    } else {
+      delete this.pinnedContext[label];
+    }
+  }
+
+  /**
+   * System prompt plus any pinned context
+   */
+  _buildSystemPrompt() {
+    const pinned = Object.entries(this.pinnedContext)
+      .map(([label, text]) => `## ${label}\n${text}`)
+      .join('\n\n');
+
+    return pinned
+      ? `${this.getSystemPrompt()}\n\nPINNED CONTEXT:\n${pinned}`
+      : this.getSystemPrompt();
+  }
+
+  /**
+   * Compact the conversation history if it would overflow the model's context window
+   */
+  async _ensureContextFits(systemPrompt, maxTokens) {
+    const model = this.provider.config.model;
+    const budget = this.contextManager.getBudget(model, systemPrompt, maxTokens);
+    this.contextStats.lastEstimate = this.contextManager.estimateHistoryTokens(this.conversationHistory);
+
+    if (!this.contextManager.needsCompaction(this.conversationHistory, budget)) {
+      return;
+    }
+
+    console.log(`🗜️  [${this.mode.toUpperCase()}] Context at ~${this.contextStats.lastEstimate} of ${budget} tokens, compacting history`);
+
+    const result = await this.contextManager.compact(
+      this.conversationHistory,
+      budget,
+      (older) => this._summarizeMessages(older, budget)
+    );
+
+    if (!result.compacted) {
+      console.warn(`⚠️ [${this.mode.toUpperCase()}] Latest message alone exceeds the context budget; sending as-is`);
+      return;
+    }
+
+    this.conversationHistory = result.messages;
+    this.contextStats.compactions++;
+    this.contextStats.droppedMessages += result.droppedMessages;
+    this.contextStats.lastEstimate = this.contextManager.estimateHistoryTokens(this.conversationHistory);
+
+    console.log(`   ${result.summarized ? 'Summarized' : 'Dropped'} ${result.droppedMessages} older messages, now ~${this.contextStats.lastEstimate} tokens`);
+  }
+
+  /**
+   * Ask the model for a compact summary of older turns
+   */
+  async _summarizeMessages(messages, budget) {
+    let transcript = this.contextManager.formatTranscript(messages);
+
+    // The transcript itself has to fit; keep the most recent part if it does not
+    const maxChars = Math.floor(budget * this.contextManager.keepRatio) * 4;
+    if (transcript.length > maxChars) {
+      transcript = '...' + transcript.substring(transcript.length - maxChars);
+    }
+
+    const response = await this._sendToProvider(
+      [{
+        role: 'user',
+        content: this.prompts.render('agent/summarize', { transcript }).text
+      }],
+      this.prompts.render('agent/summarizer-system').text,
+      { maxTokens: config.get('llm.context.summary_max_tokens') || 1500, signal: this.signal }
+    );
+
+    await this._recordUsage(response);
+
+    return response.message;
+  }
+
+  /**
+   * Current context footprint for status reporting
+   */
+  getContextStatus() {
+    const model = this.provider.config.model;
+    const estimatedTokens = this.contextManager.estimateHistoryTokens(this.conversationHistory) +
+      this.contextManager.estimateTokens(this._buildSystemPrompt());
+
+    return {
+      model,
+      messages: this.conversationHistory.length,
+      estimatedTokens,
+      contextWindow: this.contextManager.getContextWindow(model),
+      pinned: Object.keys(this.pinnedContext),
+      compactions: this.contextStats.compactions,
+      droppedMessages: this.contextStats.droppedMessages
+    };
+  }
+
+  /**
+   * Build the streaming callback for a request, or null to use a single blocking response.
+   * Streams when the caller passes options.onToken, or when an event emitter is attached
+   * and llm.stream is not disabled.
+   */
+  _createTokenHandler(options) {
+    const streamToEmitter = this.eventEmitter && (options.stream ?? config.get('llm.stream') !== false);
+    if (!options.onToken && !streamToEmitter) {
+      return null;
     }
+
+    return (text) => {
+      if (options.onToken) {
+        options.onToken(text);
+      }
+      if (streamToEmitter) {
+        this._emitToken(text, false);
+      }
+    };
+  }
+
+  /**
+   * Emit a streamed chunk (done=true marks the end of the response)
+   */
+  _emitToken(text, done) {
+    if (!this.eventEmitter) return;
+
+    this.eventEmitter.emit('agent-token', {
+      agentId: this.getAgentId(),
+      mode: this.mode,
+      text,
+      done
+    });
+  }
+
+  /**
+   * Tell listeners to discard this agent's partially streamed response (reset=true), e.g. before
+   * the fallback chain asks the next provider
+   */
+  _emitStreamReset() {
+    if (!this.eventEmitter) return;
+
+    this.eventEmitter.emit('agent-token', {
+      agentId: this.getAgentId(),
+      mode: this.mode,
+      text: '',
+      done: false,
+      reset: true
+    });
+  }
+
+  /**
+   * Publish a warning when the fallback chain switches provider
+   */
+  _emitFailover(event) {
+    this._publish('warning', {
+      message: `🔀 ${this.getAgentId()}: ${event.from.provider}/${event.from.model} failed (${event.error}), switched to ${event.to.provider}/${event.to.model}`,
+      failover: event
+    });
+  }
+
+  /**
+   * Publish a run event tagged with this agent, if an EventBus is attached
+   */
+  _publish(type, data = {}) {
+    this.events?.publish(type, { agentId: this.getAgentId(), mode: this.mode, ...data });
+  }
+
+  /**
+   * Publish an llm-call event tagged with this agent, with the exchange for the audit trail
+   */
+  _publishCall(data, exchange) {
+    this.events?.publishCall({ agentId: this.getAgentId(), mode: this.mode, ...data }, exchange);
+  }
+
+  /**
+   * Log a warning and publish it as a run event
+   */
+  _warn(message, data = {}) {
+    console.warn(message);
+    this._publish('warning', { message, ...data });
+  }
+
+  /**
+   * Identifier used to group streamed output per agent
+   */
+  getAgentId() {
+    return this.cloneId || this.mode;
   }
 
   /**
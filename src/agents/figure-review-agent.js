@@ -0,0 +1,111 @@
+import BaseAgent from './base-agent.js';
+import config from '../core/config.js';
+import { BudgetExceededError } from '../core/usage-ledger.js';
+import { CassetteMissError } from '../core/llm-cassette.js';
+import { RunCancelledError } from '../core/cancellation.js';
+import { listFigureFiles } from '../utils/figure-files.js';
+import fs from 'fs/promises';
+import path from 'path';
+
+const IMAGE_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg'
+};
+
+// Providers reject larger inline images
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+const FIGURE_REVIEW_SCHEMA = {
+  type: 'object',
+  required: ['empty', 'axisLabels', 'units', 'legend', 'quality', 'issues', 'caption'],
+  properties: {
+    empty: { type: 'boolean', description: 'True when no data is plotted' },
+    axisLabels: { type: 'boolean', description: 'True when every axis is labeled' },
+    units: { type: 'boolean', description: 'True when axis labels carry units where the quantity has them' },
+    legend: { type: 'string', enum: ['readable', 'unreadable', 'missing', 'not_needed'] },
+    quality: { type: 'integer', enum: [1, 2, 3, 4, 5], description: '1 = unusable, 5 = publication-ready' },
+    issues: { type: 'array', items: { type: 'string' } },
+    caption: { type: 'string', minLength: 1 }
+  }
+};
+
+/**
+ * Figure Review Agent - Looks at generated figures with a vision-capable model
+ * Flags empty plots, missing axis labels or units and unreadable legends, and drafts captions.
+ * Route it to a vision model with llm.task_overrides.vision.
+ */
+class FigureReviewAgent extends BaseAgent {
+  constructor(workspacePath) {
+    super('vision');
+    this.workspacePath = workspacePath;
+    this.figuresPath = path.join(workspacePath, 'figures');
+    this.minQuality = config.get('validation.figure_min_quality') ?? 3;
+  }
+
+  /**
+   * Image files in figures/ (and per-sub-question folders) that can be sent to a vision model
+   */
+  async listFigures() {
+    return listFigureFiles(this.figuresPath, Object.keys(IMAGE_TYPES));
+  }
+
+  /**
+   * Review one figure. Returns the critique plus whether it is good enough for the paper.
+   */
+  async reviewFigure(filename) {
+    const data = await fs.readFile(path.join(this.figuresPath, filename));
+    if (data.length > MAX_IMAGE_BYTES) {
+      throw new Error(`${filename} is ${(data.length / 1024 / 1024).toFixed(1)} MB, larger than the ${MAX_IMAGE_BYTES / 1024 / 1024} MB image limit`);
+    }
+
+    // Each figure is judged on its own
+    this.clearHistory();
+
+    const prompt = this.prompts.render('review/figure', { filename });
+    const result = await this.sendStructured(prompt.text, FIGURE_REVIEW_SCHEMA, {
+      schemaName: 'figure_review',
+      images: [{ mediaType: IMAGE_TYPES[path.extname(filename).toLowerCase()], data: data.toString('base64') }]
+    });
+
+    return {
+      filename,
+      ...result.data,
+      accepted: this.isAcceptable(result.data),
+      prompt: `${prompt.id}@${prompt.version}`
+    };
+  }
+
+  /**
+   * Weak figures (empty, or rated below validation.figure_min_quality) are held back from the paper
+   */
+  isAcceptable(review) {
+    return !review.empty && review.quality >= this.minQuality;
+  }
+
+  /**
+   * Review every figure in turn. A figure that cannot be reviewed is kept, since it was not judged.
+   */
+  async reviewAll() {
+    const figures = await this.listFigures();
+    console.log(`🖼️  Reviewing ${figures.length} figures with ${this.provider.config.model}`);
+
+    const reviews = [];
+    for (const filename of figures) {
+      try {
+        const review = await this.reviewFigure(filename);
+        console.log(`   ${review.accepted ? '✓' : '✗'} ${filename} (quality ${review.quality}/5${review.issues.length ? `: ${review.issues.slice(0, 2).join('; ')}` : ''})`);
+        reviews.push(review);
+      } catch (error) {
+        if (error instanceof BudgetExceededError || error instanceof CassetteMissError ||
+            error instanceof RunCancelledError) throw error;
+        console.warn(`   ⚠️ Could not review ${filename}: ${error.message}`);
+        reviews.push({ filename, accepted: true, error: error.message });
+      }
+    }
+
+    return reviews;
+  }
+}
+
+export default FigureReviewAgent;
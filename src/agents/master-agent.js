@@ -1,28 +1,87 @@
 import BaseAgent from './base-agent.js';
+import config from '../core/config.js';
 import WorkspaceManager from '../core/workspace.js';
 import AutomcmParser from '../core/automcm-parser.js';
 import ArtifactStore from '../core/artifact-store.js';
+import UsageLedger, { BudgetExceededError } from '../core/usage-ledger.js';
+import LLMCassette, { CassetteMissError } from '../core/llm-cassette.js';
+import { RunCancelledError } from '../core/cancellation.js';
 import ProblemAnalyzer from '../core/problem-analyzer.js';
 import RAGSystem from '../core/rag-system.js';
 import MCMDatabase from '../core/mcm-database.js';
 import LatexCompiler from '../tools/latex-compiler.js';
 import DataManager from '../utils/data-manager.js';
+import { createWorkspaceTools } from '../tools/agent-tools.js';
+import { PLAN_SCHEMA, ASSUMPTIONS_SCHEMA, renderPlan } from '../core/plan-schema.js';
+import { formatUnifiedDiff } from '../utils/text-diff.js';
+import SchemaValidator from '../validators/schema-validator.js';
+import PaperValidator from '../validators/paper-validator.js';
+import PromptLibrary from '../core/prompt-library.js';
+import PythonExecutor from '../tools/python-executor.js';
+import { listFigureFiles } from '../utils/figure-files.js';
+import CheckpointStore from '../core/checkpoint-store.js';
+import EventBus from '../core/event-bus.js';
+import ContestClock, { formatDuration } from '../core/contest-clock.js';
+import PhaseScheduler from '../core/phase-scheduler.js';
+import WorkflowEngine from '../core/workflow-engine.js';
+import TaskQueue from '../core/task-queue.js';
+import FigureReviewAgent from './figure-review-agent.js';
+import PlanJudgeAgent from './plan-judge-agent.js';
+import PaperReviewAgent from './paper-review-agent.js';
+import PDFParser from '../utils/pdf-parser.js';
 import path from 'path';
 import fs from 'fs/promises';
 
+// Angles that keep candidate plans drafted in parallel from converging on one approach
+const CANDIDATE_FOCUS = [
+  'the most established modeling technique for this kind of problem',
+  'a data-driven or statistical approach',
+  'an optimization or simulation approach',
+  'a hybrid that combines two model families'
+];
+
+const MAX_FINISHED_CLONES = 20; // Finished clones kept for status and context reports
+const TRUNCATED_STOPS = new Set(['max_tokens', 'length']); // Stop reasons of a response cut off at the token limit (Claude and Gemini, OpenAI-compatible)
+
+/**
+ * Errors that end the run instead of failing one clone's task
+ */
+function isFatal(error) {
+  return error instanceof BudgetExceededError || error instanceof CassetteMissError ||
+    error instanceof RunCancelledError;
+}
+
 /**
  * Master Agent - Orchestrates the entire AutoMCM workflow
  * Spawns specialized clone agents and coordinates their work
  */
 class MasterAgent extends BaseAgent {
-  constructor(eventEmitter = null) {
+  /**
+   * options.events is the EventBus for run events (one is created when omitted)
+   */
+  constructor(eventEmitter = null, options = {}) {
     super('general');
     this.phase = 'idle'; // idle, planning, execution
     this.clones = [];
+    this.cloneCount = 0; // Clones spawned so far, keeps clone ids unique within a millisecond
+    this.taskQueue = null; // Clone tasks, at most execution.parallel_clones at once
     this.workspace = null;
     this.parser = null;
     this.artifactStore = null;
+    this.approvedPlan = null; // Structured plan object when planning produced one
+    this.planRevision = 1; // Version of the plan under review at the approval checkpoint
+    this.planCandidates = 1; // Candidate plans drafted and judged in the planning phase
+    this.promptsUsed = []; // { id, version, source } of templates rendered in the current phase
+    this.figureReviews = []; // Vision critiques of generated figures from the modeling phase
+    this.checkpoints = null; // Per-step results so an interrupted run can resume
+    this.resuming = false; // Reuse checkpointed steps in the current phase
+    this.workflow = null; // Step DAG from the workflow definition (config/workflows/)
+    this.workflowAgents = new Map(); // Agent mode -> clone shared by steps in the current phase
+    this.modelerAgent = null; // Runs model code for experiment steps in the current phase
+    this.contestClock = null; // Start time, deadline and time zone from contest.json
+    this.scheduler = null; // Phase and sub-question time budgets, degraded modes near the deadline
     this.eventEmitter = eventEmitter; // For emitting events to frontend
+    this.events = options.events || new EventBus(); // Typed run events, logged to runs/<runId>/events.jsonl
 
     // Phase 6: RAG and template systems
     this.problemAnalyzer = new ProblemAnalyzer();
@@ -49,14 +108,36 @@ class MasterAgent extends BaseAgent {
     await this.parser.load();
 
     // Initialize artifact store with event emitter
-    this.artifactStore = new ArtifactStore(workspacePath, this.eventEmitter);
+    this.artifactStore = new ArtifactStore(workspacePath, this.events);
     await this.artifactStore.initialize();
 
     // Initialize data manager
     this.dataManager = new DataManager(workspacePath);
 
+    // Track token usage and cost for every LLM call in this run
+    this.usageLedger = new UsageLedger(workspacePath);
+    this.usageLedger.setPhase(this.phase);
+    await this.events.attach(workspacePath, this.usageLedger.runId);
+    this.events.setPhase(this.phase);
+
+    // Record or replay LLM responses when cassette mode is on
+    this.cassette = await LLMCassette.fromConfig(workspacePath);
+
+    // Prompt templates, with per-workspace overrides from <workspace>/prompts/
+    this.prompts = new PromptLibrary({ workspacePath });
+
+    // Start a fresh checkpoint; steps are recorded as each phase runs
+    this.checkpoints = new CheckpointStore(workspacePath);
+
+    // Pipeline steps, from <workspace>/workflow.yaml or the configured definition
+    this.workflow = WorkflowEngine.fromConfig(workspacePath);
+
+    // Contest clock (problemData.contest: { startedAt, deadline, timeZone }); a re-initialized workspace keeps its clock
+    await this._startContestClock(workspacePath, problemData.contest);
+
     // Log initialization
     await this.parser.logProgress('Workspace initialized');
+    await this.parser.logProgress(`Contest clock: submission deadline ${this.contestClock.formatTime(this.contestClock.deadline)}`);
 
     console.log('✅ Workspace ready\n');
 
@@ -68,23 +149,206 @@ class MasterAgent extends BaseAgent {
   }
 
   /**
-   * Spawn a specialized clone agent
+   * Open an existing workspace without regenerating AUTOMCM.md, picking up its checkpoint
+   * so later phases or a resumed run continue where the last one stopped
    */
-  spawnClone(mode, task) {
+  async loadWorkspace(workspacePath) {
+    console.log(`📂 Loading AutoMCM workspace: ${workspacePath}`);
+
+    this.workspace = new WorkspaceManager(workspacePath);
+    try {
+      await fs.access(this.workspace.automcmPath);
+    } catch {
+      throw new Error(`Not an AutoMCM workspace (no AUTOMCM.md): ${workspacePath}`);
+    }
+
+    this.parser = new AutomcmParser(this.workspace.automcmPath);
+    await this.parser.load();
+
+    this.artifactStore = new ArtifactStore(workspacePath, this.events);
+    await this.artifactStore.initialize();
+
+    this.dataManager = new DataManager(workspacePath);
+
+    this.checkpoints = new CheckpointStore(workspacePath);
+    const hasCheckpoint = await this.checkpoints.load();
+    this.phase = this.checkpoints.state.phase || 'idle';
+
+    // Continue the checkpointed run's ledger so its budget covers what was already spent
+    const runId = this.checkpoints.state.runId;
+    this.usageLedger = new UsageLedger(workspacePath, runId ? { runId } : {});
+    if (runId) {
+      this.usageLedger.runCost = (await this.usageLedger.getSummary()).cost;
+    }
+    this.usageLedger.setPhase(this.phase);
+    await this.events.attach(workspacePath, this.usageLedger.runId);
+    this.events.setPhase(this.phase);
+
+    this.cassette = await LLMCassette.fromConfig(workspacePath, { resume: true });
+    this.prompts = new PromptLibrary({ workspacePath });
+    this.workflow = WorkflowEngine.fromConfig(workspacePath);
+    await this._startContestClock(workspacePath);
+
+    console.log(hasCheckpoint
+      ? `✅ Workspace loaded (checkpoint: ${this.checkpoints.state.status} in ${this.phase} phase)\n`
+      : '✅ Workspace loaded (no checkpoint)\n');
+
+    return {
+      status: 'loaded',
+      phase: this.phase,
+      checkpoint: hasCheckpoint ? this.checkpoints.state.status : null,
+      resumePhase: hasCheckpoint ? this.checkpoints.getResumePhase() : null
+    };
+  }
+
+  /**
+   * Set the contest start, submission deadline and time zone for this workspace
+   * ({ startedAt, deadline, timeZone }; fields left out keep their value)
+   */
+  async setContestClock(options) {
+    if (!this.contestClock) {
+      throw new Error('Workspace not initialized');
+    }
+    await this.contestClock.set(options);
+    await this.parser.logProgress(`Contest clock: submission deadline ${this.contestClock.formatTime(this.contestClock.deadline)}`);
+    console.log(`⏳ Deadline set to ${this.contestClock.formatTime(this.contestClock.deadline)}`);
+    return this.getContestStatus();
+  }
+
+  /**
+   * Deadline, time left, current phase budget and degraded modes, or null without a workspace
+   */
+  getContestStatus() {
+    return this.scheduler ? this.scheduler.getStatus() : null;
+  }
+
+  /**
+   * Load the workspace's contest clock, or start one now, and the scheduler that uses it
+   */
+  async _startContestClock(workspacePath, options = {}) {
+    this.contestClock = new ContestClock(workspacePath);
+    await this.contestClock.start(options || {});
+    this.scheduler = new PhaseScheduler(this.contestClock, {
+      warn: (message, data) => this._warn(message, data),
+      onDegrade: (mode) => {
+        this.parser?.logProgress(`Degraded mode ${mode.name} (${formatDuration(this.contestClock.remainingMs())} to the deadline): ${mode.description}`)
+          .catch(error => console.warn(`⚠️  Could not log degraded mode: ${error.message}`));
+      }
+    });
+    console.log(`⏳ Contest deadline: ${this.contestClock.formatTime(this.contestClock.deadline)} (${formatDuration(this.contestClock.remainingMs())} left)`);
+  }
+
+  /**
+   * Spawn a specialized clone agent. Pass an agent to register a specialized
+   * subclass (e.g. FigureReviewAgent) instead of a plain BaseAgent, and a signal
+   * to cancel the clone with its queued task rather than only with the run.
+   */
+  spawnClone(mode, task, agent = null, signal = this.signal) {
     console.log(`🤖 Spawning ${mode} clone for: ${task.substring(0, 50)}...`);
 
-    const clone = new BaseAgent(mode);
+    const clone = agent || new BaseAgent(mode);
+    const id = `${mode}-${Date.now()}-${++this.cloneCount}`;
+
+    // Clones stream their output through the master's event emitter and share its ledger,
+    // cassette and prompt library
+    clone.eventEmitter = this.eventEmitter;
+    clone.cloneId = id;
+    clone.usageLedger = this.usageLedger;
+    clone.events = this.events;
+    clone.cassette = this.cassette;
+    clone.prompts = this.prompts;
+    clone.signal = signal;
+
+    // Pinned context survives history compaction; clones also see the current variable registry
+    for (const [label, text] of Object.entries(this.pinnedContext)) {
+      clone.pinContext(label, text);
+    }
+    const registry = this.parser?.getSection('Variable Registry');
+    if (registry) {
+      clone.pinContext('Variable Registry', registry.trim());
+    }
+    if (this.parser?.getAssumptions().length > 0) {
+      clone.pinContext('Modeling Assumptions', this.parser.getSection('Modeling Assumptions').replace(/\n---\s*$/, '').trim());
+    }
+
     this.clones.push({
-      id: `${mode}-${Date.now()}`,
+      id,
       agent: clone,
       mode,
       task,
-      status: 'running'
+      status: 'running',
+      startedAt: new Date().toISOString(),
+      finishedAt: null
     });
 
     return clone;
   }
 
+  /**
+   * Mark a clone completed or failed. A finished clone keeps a snapshot of its context instead of
+   * the agent and its conversation; only the most recent MAX_FINISHED_CLONES are kept.
+   */
+  _finishClone(agent, status) {
+    const entry = agent && this.clones.find(c => c.agent === agent);
+    if (!entry) return;
+
+    entry.status = status;
+    entry.finishedAt = new Date().toISOString();
+    entry.context = agent.getContextStatus();
+    entry.agent = null;
+
+    const finished = this.clones.filter(c => c.finishedAt);
+    if (finished.length > MAX_FINISHED_CLONES) {
+      const dropped = new Set(finished.slice(0, finished.length - MAX_FINISHED_CLONES));
+      this.clones = this.clones.filter(c => !dropped.has(c));
+    }
+  }
+
+  /**
+   * Queue shared by every batch of clone tasks: execution.parallel_clones at once, each attempt
+   * limited to execution.task_timeout seconds and retried up to execution.task_retries times
+   */
+  _getTaskQueue() {
+    if (!this.taskQueue) {
+      this.taskQueue = new TaskQueue({
+        concurrency: config.get('execution.parallel_clones') || 1,
+        timeoutMs: (config.get('execution.task_timeout') || 0) * 1000,
+        retries: config.get('execution.task_retries') ?? 1,
+        isFatal
+      });
+    }
+    return this.taskQueue;
+  }
+
+  /**
+   * Build the tool registry available to clones in this workspace, optionally confined
+   * to one sub-question's models/<area>/ and figures/<area>/
+   */
+  _createToolRegistry(area = null, signal = this.signal) {
+    return createWorkspaceTools({
+      workspacePath: this.workspace.workspacePath,
+      parser: this.parser,
+      artifactStore: this.artifactStore,
+      signal,
+      area
+    });
+  }
+
+  /**
+   * Code from the last run_python call that executed successfully during a tool loop
+   */
+  _lastSuccessfulToolCode(toolCalls = []) {
+    const runs = toolCalls.filter(call => call.name === 'run_python' && !call.isError && call.arguments?.code);
+    for (let i = runs.length - 1; i >= 0; i--) {
+      try {
+        if (JSON.parse(runs[i].result).success) {
+          return runs[i].arguments.code;
+        }
+      } catch {}
+    }
+    return null;
+  }
+
   /**
    * Analyze problem using AI + RAG system
    */
@@ -119,668 +383,1462 @@ class MasterAgent extends BaseAgent {
   }
 
   /**
-   * Execute planning phase (enhanced with RAG)
+   * Execute planning phase (enhanced with RAG). options.candidates overrides
+   * planning.candidates.count, the number of candidate plans drafted and judged.
    */
-  async executePlanningPhase(problemStatement) {
+  async executePlanningPhase(problemStatement, options = {}) {
     console.log('\n' + '='.repeat(80));
     console.log('📊 PLANNING PHASE STARTED');
     console.log('='.repeat(80) + '\n');
-    this.phase = 'planning';
+    this._setPhase('planning');
+    this.signal = options.signal || null;
+    this.planRevision = 1;
+    this.planCandidates = options.candidates ?? config.get('planning.candidates.count') ?? 1;
+    this.pinContext('Problem Statement', problemStatement);
+    await this._startCheckpointPhase({ problemStatement }, options);
 
     try {
-      // Step 1: Analyze problem with RAG
-      console.log('━━━ Step 1: Analyzing problem (RAG-enhanced) ━━━');
-      const ragAnalysis = await this.analyzeProblemWithRAG(problemStatement);
-      console.log('✅ RAG analysis complete\n');
-
-      // Step 2: Parse problem with LLM (emphasize actual problem)
-      console.log('━━━ Step 2: Parsing problem details with LLM ━━━');
-      const parseResult = await this.sendMessage(
-        `IMPORTANT: The following is the ACTUAL MCM problem statement. Parse this problem and extract:
-1. Problem type
-2. Key requirements
-3. Deliverables
-4. Key concepts and challenges
-
-THE ACTUAL PROBLEM STATEMENT:
-=============================
-${problemStatement}
-=============================
-
-Context from similar solutions:
-${ragAnalysis.summary}
-
-Provide a detailed analysis of THIS SPECIFIC PROBLEM above.`
-      );
-      console.log('✅ Problem parsed\n');
+      const { result } = await this._runWorkflowPhase({ problemStatement });
 
-      // Step 3: Research (spawn researcher clone)
-      console.log('━━━ Step 3: Researching approaches ━━━');
-      const researcher = this.spawnClone('researcher', 'Find relevant papers and approaches');
+      console.log('='.repeat(80));
+      console.log('📋 PLANNING PHASE COMPLETE - READY FOR APPROVAL');
+      console.log('='.repeat(80) + '\n');
 
-      const researchResult = await researcher.sendMessage(
-        `ACTUAL PROBLEM CONTEXT:
-${problemStatement}
+      await this.checkpoints?.completePhase('planning', result);
+      return result;
+    } catch (error) {
+      console.error('\n' + '='.repeat(80));
+      console.error('❌ PLANNING PHASE FAILED');
+      console.error('='.repeat(80));
+      console.error('Error:', error.message);
+      console.error('Stack:', error.stack);
+      throw error;
+    }
+  }
 
-PARSED ANALYSIS:
-${parseResult.message}
+  /**
+   * Re-plan from the reviewer's feedback at the approval checkpoint. `plan` is the version the
+   * feedback refers to (structured or free text, possibly edited by the reviewer). Returns the
+   * new version with a unified diff against it.
+   */
+  async revisePlan(plan, feedback, options = {}) {
+    if (!feedback || !feedback.trim()) {
+      throw new Error('Feedback is required to revise the plan');
+    }
 
-Based on THIS SPECIFIC PROBLEM above, find:
-1. Relevant academic papers
-2. Similar MCM solutions
-3. Applicable mathematical techniques
+    this._setPhase('planning');
+    this.signal = options.signal || null;
+    await this._pinProblemStatement();
 
-Suggested techniques from analysis:
-${ragAnalysis.analysis.techniques.join(', ')}`
-      );
-      console.log('✅ Research complete\n');
+    const previousText = this._planText(plan);
+    const previousRevision = this.getPendingPlan()?.revision ?? this.planRevision;
+    console.log(`📝 Revising plan v${previousRevision} from feedback...`);
 
-      // Step 4: Propose approach
-      console.log('━━━ Step 4: Proposing detailed approach ━━━');
-      const planResult = await this.sendMessage(
-        `Based on the research findings, propose a detailed approach for THIS SPECIFIC PROBLEM:
+    const revised = await this._requestPlan(this._renderPrompt('planning/revise', {
+      currentPlan: previousText,
+      feedback
+    }));
+    const revision = previousRevision + 1;
+    this.planRevision = revision;
 
-PROBLEM STATEMENT:
-${problemStatement}
+    const diff = formatUnifiedDiff(previousText, revised.planText, {
+      fromLabel: `plan v${previousRevision}`,
+      toLabel: `plan v${revision}`
+    });
 
-RAG Analysis:
-${ragAnalysis.summary}
+    if (this.artifactStore) {
+      const metadata = {
+        phase: 'planning',
+        revision,
+        feedback,
+        prompts: this._promptVersions(),
+        timestamp: new Date().toISOString()
+      };
+      if (revised.structuredPlan) {
+        await this.artifactStore.saveArtifact({
+          type: 'plan',
+          name: 'plan.json',
+          content: JSON.stringify(revised.structuredPlan, null, 2),
+          metadata: { ...metadata, schema: 'mcm_plan' }
+        });
+      }
+      await this.artifactStore.saveArtifact({
+        type: 'plan',
+        name: `plan-v${revision}.diff`,
+        content: diff,
+        metadata
+      });
+    }
+    if (this.checkpoints?.getPhase('planning')) {
+      await this.checkpoints.saveStep('planning', 'plan_revision', { ...revised, revision, feedback });
+    }
+    if (this.parser) {
+      await this.parser.logProgress(`Plan revised to v${revision} from feedback: ${feedback.replace(/\s+/g, ' ').trim()}`);
+    }
 
-Research:
-${researchResult.message}
+    console.log(`✅ Plan v${revision} ready for review\n`);
+    return { ...revised, revision, diff, feedback };
+  }
 
-Propose a detailed plan that includes:
-1. Mathematical model type (specific to this problem)
-2. Implementation strategy
-3. Validation approach
-4. Potential challenges
-5. Data requirements`
-      );
-      console.log('✅ Approach proposed\n');
-
-      // Save planning results as artifact
-      const planDocument = this._formatPlanDocument({
-        ragAnalysis: ragAnalysis.summary,
-        parse: parseResult.message,
-        research: researchResult.message,
-        plan: planResult.message,
+  /**
+   * Record approval of the plan at the approval checkpoint. The approver and the final plan
+   * are written to AUTOMCM.md progress, artifacts/approved-plan.md and the checkpoint.
+   */
+  async approvePlan(plan, { approver = 'unknown', candidate = null } = {}) {
+    if (plan && typeof plan === 'object') {
+      const validation = new SchemaValidator().validate(plan, PLAN_SCHEMA);
+      if (!validation.valid) {
+        throw new Error(`Edited plan does not match the plan schema: ${validation.errors.slice(0, 5).join('; ')}`);
+      }
+    }
+    const planText = this._planText(plan);
+    if (!planText.trim()) {
+      throw new Error('Cannot approve an empty plan');
+    }
+
+    const approval = {
+      approver,
+      approvedAt: new Date().toISOString(),
+      revision: this.getPendingPlan()?.revision ?? this.planRevision,
+      candidate,
+      plan
+    };
+    const label = `Plan v${approval.revision}${candidate ? ` (candidate ${candidate})` : ''}`;
+
+    if (this.checkpoints?.getPhase('planning')) {
+      await this.checkpoints.saveStep('planning', 'approval', approval);
+    }
+    if (this.artifactStore) {
+      const metadata = { phase: 'planning', approver, revision: approval.revision, candidate, timestamp: approval.approvedAt };
+      await this.artifactStore.saveArtifact({
+        type: 'plan',
+        name: 'approved-plan.md',
+        content: `# Approved ${label}\n\nApproved by ${approver} on ${approval.approvedAt}\n\n${planText}\n`,
+        metadata
+      });
+      if (typeof plan === 'object') {
+        await this.artifactStore.saveArtifact({
+          type: 'plan',
+          name: 'plan.json',
+          content: JSON.stringify(plan, null, 2),
+          metadata: { ...metadata, schema: 'mcm_plan', approved: true }
+        });
+      }
+    }
+    if (this.parser) {
+      // Nest the plan's headings under the progress entry so they do not start new AUTOMCM.md sections
+      const nestedPlan = planText.replace(/^(#+) /gm, '##$1 ');
+      await this.parser.logProgress(`${label} approved by ${approver}\n\n${nestedPlan}\n`);
+    }
+
+    console.log(`✅ ${label} approved by ${approver}\n`);
+    return approval;
+  }
+
+  /**
+   * Approval recorded for the current plan, or null
+   */
+  getPlanApproval() {
+    return this.checkpoints?.getStep('planning', 'approval') || null;
+  }
+
+  /**
+   * Whether modeling may start: the plan was approved, or modeling already started
+   * (a run from before the approval checkpoint was turned on)
+   */
+  isPlanApproved() {
+    return !!this.getPlanApproval() || !!this.checkpoints?.getPhase('modeling');
+  }
+
+  /**
+   * Ranked candidate plans from the last planning phase (empty unless several were drafted)
+   */
+  getPlanCandidates() {
+    return this.checkpoints?.getPhase('planning')?.result?.candidates || [];
+  }
+
+  /**
+   * Latest checkpointed version of the plan awaiting approval:
+   * { structuredPlan, planText, revision }, or null before planning completes
+   */
+  getPendingPlan() {
+    const planning = this.checkpoints?.getPhase('planning');
+    if (!planning?.result) return null;
+
+    return this.checkpoints.getStep('planning', 'plan_revision') || {
+      structuredPlan: planning.result.structuredPlan || null,
+      planText: planning.result.plan,
+      revision: 1
+    };
+  }
+
+  _planText(plan) {
+    return plan && typeof plan === 'object' ? renderPlan(plan) : String(plan || '');
+  }
+
+  /**
+   * Execute modeling phase
+   */
+  async executeModelingPhase(approvedPlan, options = {}) {
+    console.log('\n' + '='.repeat(80));
+    console.log('🔬 MODELING PHASE STARTED');
+    console.log('='.repeat(80) + '\n');
+
+    // A structured plan is validated and rendered; a free-text plan is used as-is
+    if (approvedPlan && typeof approvedPlan === 'object') {
+      const validation = new SchemaValidator().validate(approvedPlan, PLAN_SCHEMA);
+      if (!validation.valid) {
+        throw new Error(`Approved plan does not match the plan schema: ${validation.errors.slice(0, 5).join('; ')}`);
+      }
+      this.approvedPlan = approvedPlan;
+      approvedPlan = renderPlan(approvedPlan);
+    } else {
+      this.approvedPlan = null;
+    }
+    console.log(`   Received plan type: ${typeof approvedPlan}`);
+    console.log(`   Received plan length: ${approvedPlan?.length || 0} chars`);
+    console.log(`   Received plan preview: ${approvedPlan ? approvedPlan.substring(0, 150) : 'null'}...`);
+
+    if (!approvedPlan || approvedPlan === 'null') {
+      throw new Error('Invalid plan received. Plan is null or empty.');
+    }
+
+    this._setPhase('modeling');
+    this.signal = options.signal || null;
+    await this._pinProblemStatement();
+    await this._startCheckpointPhase({ approvedPlan: this.approvedPlan || approvedPlan }, options);
+
+    try {
+      const { result } = await this._runWorkflowPhase({ approvedPlan, structuredPlan: this.approvedPlan });
+
+      console.log('='.repeat(80));
+      console.log('🔬 MODELING PHASE COMPLETE');
+      console.log('='.repeat(80) + '\n');
+
+      await this.checkpoints?.completePhase('modeling', result);
+      return result;
+    } catch (error) {
+      console.error('\n' + '='.repeat(80));
+      console.error('❌ MODELING PHASE FAILED');
+      console.error('='.repeat(80));
+      console.error('Error:', error.message);
+      console.error('Stack:', error.stack);
+      throw error;
+    }
+  }
+
+  /**
+   * Execute writing phase
+   */
+  async executeWritingPhase(options = {}) {
+    console.log('\n' + '='.repeat(80));
+    console.log('✍️  WRITING PHASE');
+    console.log('='.repeat(80) + '\n');
+    this._setPhase('writing');
+    this.signal = options.signal || null;
+    await this._pinProblemStatement();
+    await this._startCheckpointPhase({}, options);
+
+    try {
+      const { result } = await this._runWorkflowPhase({});
+
+      console.log('='.repeat(80));
+      console.log('✍️  WRITING PHASE COMPLETE');
+      console.log('='.repeat(80) + '\n');
+
+      await this.checkpoints?.completePhase('writing', result);
+      return result;
+    } catch (error) {
+      console.error('\n' + '='.repeat(80));
+      console.error('❌ WRITING PHASE FAILED');
+      console.error('='.repeat(80));
+      console.error('Error:', error.message);
+      console.error('Stack:', error.stack);
+      throw error;
+    }
+  }
+
+  /**
+   * Run the current phase's steps from the workflow definition, checkpointing each one
+   */
+  async _runWorkflowPhase(variables) {
+    if (!this.workflow) {
+      this.workflow = WorkflowEngine.fromConfig(this.workspace?.workspacePath);
+    }
+
+    // Steps with the same agent share one conversation within a phase
+    this.workflowAgents = new Map();
+    this.modelerAgent = null;
+
+    this.scheduler?.startPhase(this.phase);
+    try {
+      const result = await this.workflow.runPhase(this.phase, variables, this._workflowHost());
+      for (const agent of this.workflowAgents.values()) {
+        this._finishClone(agent, 'completed');
+      }
+      return result;
+    } finally {
+      this.scheduler?.finishPhase();
+    }
+  }
+
+  /**
+   * Handlers and hooks the workflow engine runs the current phase with
+   */
+  _workflowHost() {
+    return {
+      handlers: this._workflowHandlers(),
+      runPrompt: (step, inputs) => this._runPromptStep(step, inputs),
+      checkpoint: (step, fn) => this._step(step.id, fn, saved => this._restorePromptStep(step, saved)),
+      previousOutput: (step) => this.checkpoints?.getStep(step.phase, step.id),
+      skip: (step) => {
+        const reason = this.scheduler?.skipReason(step) || null;
+        if (reason) {
+          this.events.publish('step-finished', { step: step.id, status: 'skipped', durationMs: 0, reason });
+        }
+        return reason;
+      },
+      warn: (message) => this._warn(message),
+      signal: this.signal
+    };
+  }
+
+  /**
+   * Agent for a workflow step: the master itself, or one clone per mode in this phase
+   */
+  _workflowAgent(mode, task) {
+    if (mode === 'master') {
+      return this;
+    }
+    if (!this.workflowAgents.has(mode)) {
+      this.workflowAgents.set(mode, this.spawnClone(mode, task));
+    }
+    return this.workflowAgents.get(mode);
+  }
+
+  /**
+   * Send a step's prompt template to its agent, with tools when tool calling is on.
+   * Code and LaTeX are extracted from the reply when the step declares them as outputs.
+   */
+  async _runPromptStep(step, inputs) {
+    const agent = this._workflowAgent(step.agent, step.title || step.id);
+    const useTools = !!config.get('execution.tool_calling') && (step.tools || []).length > 0;
+    const prompt = this._renderPrompt(step.prompt, { ...inputs, useTools });
+
+    let response;
+    if (useTools) {
+      const registry = this._createToolRegistry();
+      response = await agent.runWithTools(prompt, step.tools.includes('all') ? registry : registry.pick(step.tools));
+    } else {
+      response = await agent.sendMessage(prompt);
+    }
+
+    const output = { prompt, message: response.message };
+    if (step.outputs?.includes('code')) {
+      output.code = this._extractCodeFromMessage(response.message) || this._lastSuccessfulToolCode(response.toolCalls);
+    }
+    if (step.outputs?.includes('latex')) {
+      output.latex = this._extractLatexFromResponse(response.message);
+    }
+    console.log(`✅ ${step.title || step.id}: done\n`);
+
+    return output;
+  }
+
+  /**
+   * A prompt step reused from a checkpoint puts its exchange back into the agent's
+   * conversation, so later steps for that agent build on it as they would have
+   */
+  _restorePromptStep(step, saved) {
+    if (step.run || !saved?.prompt) return;
+
+    this._workflowAgent(step.agent, step.title || step.id).conversationHistory.push(
+      { role: 'user', content: saved.prompt },
+      { role: 'assistant', content: saved.message }
+    );
+  }
+
+  /**
+   * Built-in handlers that workflow steps can "run"
+   */
+  _workflowHandlers() {
+    return {
+      analyze_problem: (inputs) => this._analyzeProblemStep(inputs),
+      propose_plan: (inputs, step) => this._proposePlanStep(inputs, step),
+      save_plan: (inputs) => this._savePlanStep(inputs),
+      register_assumptions: (inputs, step) => this._registerAssumptionsStep(inputs, step),
+      summarize_data: () => this._summarizeDataStep(),
+      model_subquestions: (inputs, step) => this._modelSubQuestionsStep(inputs, step),
+      run_experiments: (inputs) => this._runExperimentsStep(inputs),
+      generate_visualizations: (inputs) => this._generateVisualizationsStep(inputs),
+      sensitivity_analysis: (inputs) => this._sensitivityAnalysisStep(inputs),
+      review_figures: () => this._reviewFiguresStep(),
+      save_model: (inputs) => this._saveModelStep(inputs),
+      gather_modeling_context: async () => ({ text: await this._gatherModelingContext() }),
+      save_paper: (inputs) => this._savePaperStep(inputs),
+      compile_paper: () => this._compilePaperStep(),
+      expand_paper: (inputs, step) => this._expandPaperStep(inputs, step),
+      review_paper: (inputs, step) => this._reviewPaperStep(inputs, step),
+      check_assumptions: () => this._checkAssumptionsStep()
+    };
+  }
+
+  async _analyzeProblemStep({ problemStatement }) {
+    const { summary, analysis } = await this.analyzeProblemWithRAG(problemStatement);
+    console.log('✅ RAG analysis complete\n');
+    return { summary, techniques: analysis.techniques.join(', ') };
+  }
+
+  async _proposePlanStep(inputs, step) {
+    if (this.planCandidates > 1) {
+      return await this._proposeCandidatePlans(inputs, step, this.planCandidates);
+    }
+
+    const plan = await this._requestPlan(this._renderPrompt(step.prompt || 'planning/plan', inputs));
+    console.log('✅ Approach proposed\n');
+    return plan;
+  }
+
+  /**
+   * Draft `count` candidate plans in parallel, each around a different focus and optionally with
+   * its own provider (planning.candidates.providers), then have the judge rank them. The ranked
+   * comparison is saved as artifacts/plan-candidates.md and the top-ranked candidate becomes the plan.
+   */
+  async _proposeCandidatePlans(inputs, step, count) {
+    const providers = config.get('planning.candidates.providers') || [];
+    const queue = this._getTaskQueue();
+    console.log(`🧪 Drafting ${count} candidate plans with up to ${queue.concurrency} clones at once\n`);
+
+    // Like sub-questions, each finished candidate is checkpointed so a resumed run only redoes the rest
+    const drafted = await queue.run(Array.from({ length: count }, (_, index) => ({
+      label: `Candidate C${index + 1}`,
+      fn: ({ signal }) => this._step(`${step.id}/C${index + 1}`,
+        () => this._draftCandidatePlan(`C${index + 1}`, index, inputs, step, providers, signal))
+    })), { signal: this.signal });
+
+    for (const failed of drafted.filter(d => d.status === 'failed')) {
+      this._warn(`⚠️  ${failed.label} failed: ${failed.error.message}, continuing with the others...`);
+    }
+    const candidates = drafted.filter(d => d.status === 'completed').map(d => d.value);
+    if (candidates.length === 0) {
+      throw new Error(`Every one of the ${count} candidate plans failed`);
+    }
+
+    const judge = new PlanJudgeAgent();
+    this.spawnClone('judge', `Rank ${candidates.length} candidate plans`, judge);
+
+    let ranked;
+    try {
+      ranked = await judge.rank(candidates);
+      this._finishClone(judge, 'completed');
+    } catch (error) {
+      this._finishClone(judge, 'failed');
+      if (isFatal(error)) throw error;
+
+      // An unranked choice is still better than losing every candidate
+      this._warn(`⚠️  Judge failed, keeping the candidates in drafting order: ${error.message}`);
+      ranked = candidates.map((candidate, index) => ({
+        ...candidate,
+        rank: index + 1,
+        scores: null,
+        score: 0,
+        strengths: [],
+        weaknesses: [],
+        rationale: `Not scored: the judge failed (${error.message})`
+      }));
+    }
+
+    const selected = ranked[0];
+    console.log(`🏆 Top-ranked candidate: ${selected.id} (${selected.structuredPlan?.modelType || 'free-text plan'}, score ${selected.score.toFixed(2)})\n`);
+
+    if (this.artifactStore) {
+      const metadata = {
+        phase: 'planning',
+        selected: selected.id,
+        ranking: ranked.map(({ id, rank, score, provider }) => ({ id, rank, score, provider })),
+        prompts: [...this._promptVersions(), ...new Set(ranked.map(c => c.judgePrompt).filter(Boolean))],
         timestamp: new Date().toISOString()
+      };
+      await this.artifactStore.saveArtifact({
+        type: 'plan',
+        name: 'plan-candidates.md',
+        content: judge.formatComparison(ranked, selected.id),
+        metadata
+      });
+      await this.artifactStore.saveArtifact({
+        type: 'plan',
+        name: 'plan-candidates.json',
+        content: JSON.stringify(ranked, null, 2),
+        metadata
       });
+      console.log('💾 Ranked comparison saved to: artifacts/plan-candidates.md\n');
+    }
 
-      if (this.artifactStore) {
+    return {
+      structuredPlan: selected.structuredPlan,
+      planText: selected.planText,
+      candidates: ranked
+    };
+  }
+
+  /**
+   * One candidate plan from its own planner clone
+   */
+  async _draftCandidatePlan(id, index, inputs, step, providers, signal) {
+    const focus = CANDIDATE_FOCUS[index % CANDIDATE_FOCUS.length];
+    const llm = providers.length > 0 ? providers[index % providers.length] : null;
+
+    const planner = new BaseAgent('planner', { llm });
+    this.spawnClone('planner', `Candidate plan ${id}: ${focus}`, planner, signal);
+
+    try {
+      const plan = await this._requestPlan(this._renderPrompt(step.prompt || 'planning/plan', { ...inputs, focus }), planner);
+      this._finishClone(planner, 'completed');
+      console.log(`✅ Candidate ${id}: ${plan.structuredPlan?.modelType || 'free-text plan'}`);
+
+      return {
+        id,
+        focus,
+        provider: `${planner.provider.name}/${planner.provider.config.model || 'default'}`,
+        ...plan
+      };
+    } catch (error) {
+      this._finishClone(planner, 'failed');
+      throw error;
+    }
+  }
+
+  /**
+   * Ask an agent (the master by default) for a schema-validated plan, keeping the free-text
+   * plan if it never validates
+   */
+  async _requestPlan(planPrompt, agent = this) {
+    let structuredPlan = null;
+    let planText;
+    try {
+      const planResult = await agent.sendStructured(planPrompt, PLAN_SCHEMA, { schemaName: 'mcm_plan' });
+      structuredPlan = planResult.data;
+      planText = renderPlan(structuredPlan);
+    } catch (error) {
+      if (!error.lastMessage) throw error;
+      // Keep the free-text plan rather than failing the whole phase
+      this._warn(`⚠️  Plan did not match the schema, keeping it as free text: ${error.message}`);
+      planText = error.lastMessage;
+    }
+
+    return { structuredPlan, planText };
+  }
+
+  async _savePlanStep({ ragAnalysis, parse, research, plan, structuredPlan }) {
+    const planDocument = this._formatPlanDocument({
+      ragAnalysis,
+      parse,
+      research,
+      plan,
+      timestamp: new Date().toISOString()
+    });
+
+    if (this.artifactStore) {
+      await this.artifactStore.saveArtifact({
+        type: 'plan',
+        name: 'planning-phase-result.md',
+        content: planDocument,
+        metadata: {
+          phase: 'planning',
+          version: '1.0',
+          prompts: this._promptVersions(),
+          timestamp: new Date().toISOString()
+        }
+      });
+      console.log('💾 Plan saved to: artifacts/planning-phase-result.md\n');
+
+      if (structuredPlan) {
         await this.artifactStore.saveArtifact({
           type: 'plan',
-          name: 'planning-phase-result.md',
-          content: planDocument,
+          name: 'plan.json',
+          content: JSON.stringify(structuredPlan, null, 2),
           metadata: {
             phase: 'planning',
-            version: '1.0',
+            schema: 'mcm_plan',
+            prompts: this._promptVersions(),
             timestamp: new Date().toISOString()
           }
         });
-        console.log('💾 Plan saved to: artifacts/planning-phase-result.md\n');
       }
+    }
 
-      console.log('='.repeat(80));
-      console.log('📋 PLANNING PHASE COMPLETE - READY FOR APPROVAL');
-      console.log('='.repeat(80) + '\n');
+    return null;
+  }
+
+  /**
+   * Register assumptions in the Modeling Assumptions table of AUTOMCM.md, with an id,
+   * justification and the model component each affects. The approved plan's come from its
+   * structured form, or a clone extracts them from the plan text when it lists none; those of an
+   * agent's output (`text`) are extracted too. Already registered wordings are skipped.
+   */
+  async _registerAssumptionsStep({ structuredPlan, plan, text }, step) {
+    const found = (structuredPlan?.assumptions || []).map(a => ({ ...a, source: 'planning' }));
+    if (found.length === 0 && plan) {
+      found.push(...(await this._extractAssumptions(plan, step, 'planning')).map(a => ({ ...a, source: 'planning' })));
+    }
+    if (text) {
+      found.push(...(await this._extractAssumptions(text, step, this.phase)).map(a => ({ ...a, source: this.phase })));
+    }
+
+    const added = await this.parser.addAssumptions(found.map(a => ({
+      text: a.statement,
+      justification: a.justification,
+      component: a.component || '',
+      source: a.source
+    })));
+
+    if (added.length > 0) {
+      const ids = added.map(a => a.id).join(', ');
+      console.log(`📌 Registered ${added.length} assumptions: ${ids}\n`);
+      await this.parser.logProgress(`Registered ${added.length} assumption(s): ${ids}`);
+    }
+    return { registered: added.map(a => a.id) };
+  }
+
+  async _extractAssumptions(text, step, source) {
+    const known = this.parser.getAssumptions().map(a => `- ${a.id}: ${a.text}`).join('\n');
+    const extractor = this.spawnClone(step.agent || 'modeler', 'Extract modeling assumptions');
+    try {
+      const result = await extractor.sendStructured(
+        this._renderPrompt(step.prompt || 'modeling/assumptions', { source, known, output: text }),
+        ASSUMPTIONS_SCHEMA,
+        { schemaName: 'assumptions' }
+      );
+      this._finishClone(extractor, 'completed');
+      return result.data.assumptions;
+    } catch (error) {
+      this._finishClone(extractor, 'failed');
+      if (isFatal(error) || this.signal?.aborted) throw error;
+
+      this._warn(`⚠️  Could not extract ${source} assumptions: ${error.message}`);
+      return [];
+    }
+  }
+
+  _summarizeDataStep() {
+    const dataSummary = this.dataManager.getSummary();
+    return {
+      files: dataSummary.fileCount > 0 ? JSON.stringify(dataSummary, null, 2) : '',
+      dir: dataSummary.dataDir
+    };
+  }
 
+  /**
+   * Model each sub-question of the structured plan with its own modeler clone, running up to
+   * execution.parallel_clones at once, then merge them into one report. A plan without
+   * sub-questions (free text) is modeled in one pass with the step's fallback prompt.
+   */
+  async _modelSubQuestionsStep(inputs, step) {
+    const subQuestions = inputs.structuredPlan?.subQuestions || [];
+    if (subQuestions.length === 0) {
+      return await this._runPromptStep({ ...step, prompt: step.fallback_prompt || 'modeling/implement' }, inputs);
+    }
+
+    const queue = this._getTaskQueue();
+    const budgetMs = this.scheduler?.subQuestionBudgetMs(subQuestions.length, queue.concurrency);
+    console.log(`🧩 Modeling ${subQuestions.length} sub-questions with up to ${queue.concurrency} clones at once${budgetMs != null ? `, ${formatDuration(budgetMs)} each` : ''}\n`);
+
+    // Each finished sub-question is checkpointed; a failed one is not, so a resumed run retries it
+    const settled = await queue.run(subQuestions.map((question, index) => {
+      const area = `q${index + 1}`;
       return {
-        ragAnalysis: ragAnalysis.summary,
-        parse: parseResult.message,
-        research: researchResult.message,
-        plan: planResult.message
+        label: `${area} (${question.id})`,
+        fn: async ({ signal }) => {
+          const stopTracking = budgetMs != null ? this.scheduler.track(`${area} (${question.id})`, budgetMs) : () => {};
+          try {
+            return await this._step(`${step.id}/${area}`, () => this._modelSubQuestion(question, area, inputs, step, signal));
+          } finally {
+            stopTracking();
+          }
+        }
       };
+    }), { signal: this.signal });
+
+    const results = settled.map((outcome, index) => {
+      const question = subQuestions[index];
+      const area = `q${index + 1}`;
+      if (outcome.status === 'completed') {
+        return outcome.value;
+      }
+
+      this._warn(`⚠️  ${outcome.label} failed: ${outcome.error.message}, continuing with the other sub-questions...`);
+      return {
+        area,
+        id: question.id,
+        question: question.question,
+        approach: question.approach,
+        modelPath: null,
+        figures: [],
+        status: 'failed',
+        error: outcome.error.message
+      };
+    });
+
+    const failed = results.filter(r => r.status === 'failed');
+    if (failed.length === results.length) {
+      throw new Error(`Every sub-question model failed: ${failed.map(r => `${r.area}: ${r.error}`).join('; ')}`);
+    }
+
+    const report = this._formatSubQuestionReport(results);
+    if (this.artifactStore) {
+      await this.artifactStore.saveArtifact({
+        type: 'model',
+        name: 'modeling-report.md',
+        content: report,
+        metadata: {
+          phase: 'modeling',
+          subQuestions: results.map(({ area, id, status, modelPath, figures }) => ({ area, id, status, modelPath, figures })),
+          prompts: this._promptVersions(),
+          timestamp: new Date().toISOString()
+        }
+      });
+      console.log('💾 Merged report saved to: artifacts/modeling-report.md\n');
+    }
+
+    return {
+      message: report,
+      code: results.find(r => r.code)?.code || null,
+      questions: results.map(({ code, message, output, ...summary }) => summary)
+    };
+  }
+
+  /**
+   * One sub-question: a modeler clone writes and runs a model in models/qN/, saving figures to figures/qN/.
+   * The signal is the queued task's, so a timed-out attempt also stops the clone's tools and scripts.
+   */
+  async _modelSubQuestion(question, area, inputs, step, signal = this.signal) {
+    const workspacePath = this.workspace.workspacePath;
+    const modelPath = `models/${area}/model.py`;
+    await fs.mkdir(path.join(workspacePath, 'models', area), { recursive: true });
+    await fs.mkdir(path.join(workspacePath, 'figures', area), { recursive: true });
+
+    const clone = this.spawnClone(step.agent || 'modeler', `${area}: ${question.question}`, null, signal);
+    const useTools = !!config.get('execution.tool_calling') && (step.tools || []).length > 0;
+    const experiments = (inputs.structuredPlan.experiments || [])
+      .filter(e => e.subQuestion === question.id)
+      .map(e => `- **${e.name}**: ${e.description}`)
+      .join('\n');
+
+    const summary = { area, id: question.id, question: question.question, approach: question.approach, modelPath: null, figures: [] };
+
+    try {
+      const prompt = this._renderPrompt(step.prompt || 'modeling/subquestion', {
+        ...inputs,
+        questionId: question.id,
+        question: question.question,
+        approach: question.approach,
+        deliverables: (question.deliverables || []).join('; '),
+        experiments,
+        modelDir: `models/${area}/`,
+        figuresDir: `figures/${area}/`,
+        useTools
+      });
+
+      let response;
+      if (useTools) {
+        const registry = this._createToolRegistry(area, signal);
+        response = await clone.runWithTools(prompt, step.tools.includes('all') ? registry : registry.pick(step.tools));
+      } else {
+        response = await clone.sendMessage(prompt);
+      }
+
+      const code = this._extractCodeFromMessage(response.message) || this._lastSuccessfulToolCode(response.toolCalls);
+      let output = '';
+      if (code) {
+        await fs.writeFile(path.join(workspacePath, modelPath), code, 'utf8');
+        summary.modelPath = modelPath;
+
+        // With tools the clone already ran its code; otherwise run it once to produce the figures
+        if (!useTools) {
+          output = await this._runSubQuestionModel(modelPath, signal);
+        }
+        if (this.artifactStore) {
+          await this.artifactStore.register({
+            name: `${area}/model.py`,
+            type: 'code',
+            path: path.join(workspacePath, modelPath),
+            description: `Model for ${question.id}: ${question.question}`,
+            generatedBy: 'modeler',
+            metadata: { phase: 'modeling', subQuestion: question.id, timestamp: new Date().toISOString() }
+          });
+        }
+      }
+
+      summary.figures = (await listFigureFiles(path.join(workspacePath, 'figures', area))).map(f => `figures/${area}/${f}`);
+      this._finishClone(clone, 'completed');
+      console.log(`✅ ${area} (${question.id}) modeled: ${summary.figures.length} figures${code ? '' : ', no code extracted'}\n`);
+
+      return { ...summary, status: 'completed', message: response.message, code, output };
     } catch (error) {
-      console.error('\n' + '='.repeat(80));
-      console.error('❌ PLANNING PHASE FAILED');
-      console.error('='.repeat(80));
-      console.error('Error:', error.message);
-      console.error('Stack:', error.stack);
+      this._finishClone(clone, 'failed');
       throw error;
     }
   }
 
   /**
-   * Execute modeling phase
+   * Run a sub-question's model script and return its output (errors are reported, not thrown)
+   */
+  async _runSubQuestionModel(modelPath, signal = this.signal) {
+    try {
+      const executor = new PythonExecutor(this.workspace.workspacePath, { signal });
+      const result = await executor.executeFile(path.join(this.workspace.workspacePath, modelPath));
+      return result.stdout;
+    } catch (error) {
+      signal?.throwIfAborted();
+      this._warn(`⚠️  ${modelPath} failed to run: ${error.error || error.message}`);
+      return `Execution failed: ${error.error || error.message}\n${error.stderr || ''}`;
+    }
+  }
+
+  /**
+   * Modeler agent and variable registry for running model code, created once per phase
+   */
+  async _getModelerAgent() {
+    if (!this.modelerAgent) {
+      const ModelerAgent = (await import('./modeler-agent.js')).default;
+      const agent = new ModelerAgent(this.workspace.workspacePath, { signal: this.signal });
+      await agent.initialize();
+      this.modelerAgent = agent;
+    }
+    return this.modelerAgent;
+  }
+
+  /**
+   * Options for ModelerAgent.executeWithRepair: a failing script goes back to a modeler clone with its
+   * error and traceback, up to execution.max_retries times. Every attempt of a script that needed
+   * repair is saved as a versioned artifact (<step>-<script>-attempt-N.py).
+   */
+  _repairOptions(stepName) {
+    let clone = null;
+    const maxRetries = config.get('execution.max_retries') ?? 3;
+    const options = {
+      maxRetries: this.scheduler?.isDegraded('fewer_experiments') ? Math.min(1, maxRetries) : maxRetries,
+      attempts: [],
+      repair: async ({ name, code, attempt, error, stderr }) => {
+        clone = clone || this.spawnClone('modeler', `Repair ${stepName} code`);
+        const prompt = this._renderPrompt('modeling/repair', {
+          name,
+          attempt,
+          error,
+          stderr: stderr.slice(-4000),
+          code
+        });
+        const response = await clone.sendMessage(prompt);
+        return this._extractCodeFromMessage(response.message);
+      },
+      onAttempt: async ({ name, attempt, code, success, error }) => {
+        options.attempts.push({
+          name,
+          attempt,
+          code,
+          success,
+          error: success ? null : (error.error || error.message || String(error)),
+          stderr: success ? '' : (error.stderr || '')
+        });
+
+        // A script that ran the first time has no history worth keeping
+        if ((attempt > 1 || !success) && this.artifactStore) {
+          await this.artifactStore.saveArtifact({
+            type: 'code',
+            name: `${stepName}-${name}-attempt-${attempt}.py`,
+            content: code,
+            metadata: {
+              phase: 'modeling',
+              script: name,
+              attempt,
+              success,
+              error: success ? null : options.attempts.at(-1).error,
+              timestamp: new Date().toISOString()
+            }
+          });
+        }
+      }
+    };
+    options.clone = () => clone;
+    return options;
+  }
+
+  /**
+   * Log the repair history of a step to AUTOMCM.md and artifacts/<step>-repairs.md: the error of
+   * each failed attempt and the diff between consecutive attempts
+   */
+  async _saveRepairLog(stepName, repair) {
+    const scripts = [...new Set(repair.attempts.filter(a => !a.success).map(a => a.name))];
+    if (scripts.length === 0) {
+      return;
+    }
+
+    const outcomes = scripts.map(name => {
+      const attempts = repair.attempts.filter(a => a.name === name);
+      return { name, attempts, fixed: attempts.some(a => a.success) };
+    });
+    this._finishClone(repair.clone(), outcomes.every(o => o.fixed) ? 'completed' : 'failed');
+
+    const sections = outcomes.map(({ name, attempts, fixed }) => {
+      const body = attempts.map((a, index) => {
+        const previous = attempts[index - 1];
+        const diff = previous ? formatUnifiedDiff(previous.code, a.code, {
+          fromLabel: `${stepName}-${name}-attempt-${previous.attempt}.py`,
+          toLabel: `${stepName}-${name}-attempt-${a.attempt}.py`
+        }) : '';
+        const traceback = a.stderr.trim().split('\n').slice(-15).join('\n');
+        return [
+          `### Attempt ${a.attempt}: ${a.success ? '✅ ran' : '❌ failed'}`,
+          diff ? `\`\`\`diff\n${diff}\n\`\`\`` : null,
+          a.success ? null : `\`\`\`\n${a.error}${traceback ? `\n${traceback}` : ''}\n\`\`\``
+        ].filter(Boolean).join('\n\n');
+      }).join('\n\n');
+      const status = fixed ? `fixed after ${attempts.length - 1} repair(s)` : `still failing after ${attempts.length} attempt(s)`;
+      return `## ${name}: ${status}\n\n${body}`;
+    });
+
+    await this.parser.logProgress(`Self-repair of ${stepName} code: ${outcomes
+      .map(o => `${o.name} ${o.fixed ? 'fixed' : 'failed'} after ${o.attempts.length} attempt(s)`).join(', ')}`);
+
+    if (this.artifactStore) {
+      await this.artifactStore.saveArtifact({
+        type: 'report',
+        name: `${stepName}-repairs.md`,
+        content: `# Code Repairs: ${stepName}\n\n${sections.join('\n\n')}\n`,
+        metadata: { phase: 'modeling', scripts, timestamp: new Date().toISOString() }
+      });
+      console.log(`💾 Repair history saved to: artifacts/${stepName}-repairs.md\n`);
+    }
+  }
+
+  async _runExperimentsStep({ code }) {
+    if (!code) {
+      this._warn('⚠️  Could not extract model code for experiments');
+      return null;
+    }
+
+    let experimentResults = null;
+    try {
+      const modelerAgent = await this._getModelerAgent();
+      const repair = this._repairOptions('experiments');
+      // Short on time: only the experiments the paper cannot do without
+      const experiments = this.scheduler?.isDegraded('fewer_experiments') ? ['baseline', 'parameter_sweep'] : null;
+      experimentResults = await modelerAgent.runComprehensiveExperiments(code, await this.parser.getVariableRegistry(), { ...repair, experiments });
+      await this._saveRepairLog('experiments', repair);
+
+      if (experimentResults.success) {
+        console.log('✅ Comprehensive experiments complete\n');
+
+        // Save experiment results
+        if (this.artifactStore) {
+          await this.artifactStore.saveArtifact({
+            type: 'experiments',
+            name: 'experiment-results.txt',
+            content: experimentResults.summary,
+            metadata: {
+              phase: 'modeling',
+              timestamp: new Date().toISOString()
+            }
+          });
+          console.log('💾 Experiment results saved to: artifacts/experiment-results.txt\n');
+        }
+      } else {
+        this._warn('⚠️  Experiments had errors (model code may have bugs). Continuing with available results...');
+        // Still try to save partial results
+        if (experimentResults.error && this.artifactStore) {
+          await this.artifactStore.saveArtifact({
+            type: 'experiments',
+            name: 'experiment-results.txt',
+            content: `Experiments encountered errors:\n${experimentResults.error}\n\nStdout:\n${experimentResults.stdout || 'None'}`,
+            metadata: {
+              phase: 'modeling',
+              status: 'partial',
+              timestamp: new Date().toISOString()
+            }
+          });
+        }
+      }
+    } catch (error) {
+      this.signal?.throwIfAborted();
+      this._warn(`⚠️  Experiments failed: ${error.message}, continuing...`);
+    }
+
+    return experimentResults;
+  }
+
+  /**
+   * Generate visualizations, unless experiments already produced enough figures
+   */
+  async _generateVisualizationsStep({ code }) {
+    // Check if experiments already generated enough figures
+    const existingFigures = await listFigureFiles(path.join(this.workspace.workspacePath, 'figures'));
+    console.log(`Found ${existingFigures.length} existing figures from experiments`);
+
+    // Only generate additional visualizations if we have fewer than 6 figures
+    if (existingFigures.length >= 6) {
+      console.log('✓ Sufficient figures already generated by experiments, skipping additional visualizations\n');
+      return null;
+    }
+    if (!code) {
+      this._warn('⚠️  Could not extract model code for visualizations');
+      return null;
+    }
+
+    let visualizationResults = null;
+    try {
+      const modelerAgent = await this._getModelerAgent();
+      const repair = this._repairOptions('visualizations');
+      visualizationResults = await modelerAgent.generateComprehensiveVisualizations(code, await this.parser.getVariableRegistry(), repair);
+      await this._saveRepairLog('visualizations', repair);
+
+      if (visualizationResults.success) {
+        console.log('✅ Comprehensive visualizations generated\n');
+
+        // Save visualization info
+        if (this.artifactStore) {
+          await this.artifactStore.saveArtifact({
+            type: 'visualizations',
+            name: 'visualization-summary.txt',
+            content: visualizationResults.output,
+            metadata: {
+              phase: 'modeling',
+              timestamp: new Date().toISOString()
+            }
+          });
+          console.log('💾 Visualization summary saved to: artifacts/visualization-summary.txt\n');
+        }
+      } else {
+        this._warn('⚠️  Some visualizations failed, continuing...');
+      }
+    } catch (error) {
+      this.signal?.throwIfAborted();
+      this._warn(`⚠️  Visualization generation failed: ${error.message}, continuing...`);
+    }
+
+    return visualizationResults;
+  }
+
+  async _sensitivityAnalysisStep({ code }) {
+    if (!code) {
+      this._warn('⚠️  Could not extract model code for sensitivity analysis');
+      return null;
+    }
+
+    let sensitivityResult = null;
+    try {
+      const modelerAgent = await this._getModelerAgent();
+      sensitivityResult = await modelerAgent.autoSensitivityAnalysis(code, await this.parser.getVariableRegistry());
+
+      if (sensitivityResult.success) {
+        console.log('✅ Automated sensitivity analysis complete\n');
+
+        // Save sensitivity results as artifact
+        if (this.artifactStore) {
+          await this.artifactStore.saveArtifact({
+            type: 'analysis',
+            name: 'sensitivity-analysis.txt',
+            content: sensitivityResult.output,
+            metadata: {
+              phase: 'modeling',
+              timestamp: new Date().toISOString()
+            }
+          });
+          console.log('💾 Sensitivity results saved to: artifacts/sensitivity-analysis.txt\n');
+        }
+      } else {
+        this._warn('⚠️  Sensitivity analysis had issues, continuing...');
+      }
+    } catch (error) {
+      this.signal?.throwIfAborted();
+      this._warn(`⚠️  Sensitivity analysis failed: ${error.message}, continuing...`);
+    }
+
+    return sensitivityResult;
+  }
+
+  async _reviewFiguresStep() {
+    await this._reviewFigures();
+    return { reviews: this.figureReviews };
+  }
+
+  /**
+   * Save modeling results as artifact (including all experiments and visualizations)
+   */
+  async _saveModelStep({ plan, model, experiments, visualizations, sensitivityAnalysis }) {
+    const modelDocument = this._formatModelDocument({
+      plan,
+      model,
+      experiments: experiments || 'Not performed',
+      visualizations: visualizations || 'Not performed',
+      sensitivityAnalysis: sensitivityAnalysis || 'Not performed',
+      timestamp: new Date().toISOString()
+    });
+
+    if (this.artifactStore) {
+      await this.artifactStore.saveArtifact({
+        type: 'model',
+        name: 'modeling-phase-result.md',
+        content: modelDocument,
+        metadata: {
+          phase: 'modeling',
+          version: '1.0',
+          prompts: this._promptVersions(),
+          timestamp: new Date().toISOString()
+        }
+      });
+      console.log('💾 Model saved to: artifacts/modeling-phase-result.md\n');
+    }
+
+    return null;
+  }
+
+  /**
+   * Write the drafted LaTeX to paper.tex and save the writing results as an artifact
    */
-  async executeModelingPhase(approvedPlan) {
-    console.log('\n' + '='.repeat(80));
-    console.log('🔬 MODELING PHASE STARTED');
-    console.log('='.repeat(80) + '\n');
-    console.log(`   Received plan type: ${typeof approvedPlan}`);
-    console.log(`   Received plan length: ${approvedPlan?.length || 0} chars`);
-    console.log(`   Received plan preview: ${approvedPlan ? approvedPlan.substring(0, 150) : 'null'}...`);
+  async _savePaperStep({ latex, paper }) {
+    await fs.writeFile(path.join(this.workspace.workspacePath, 'paper.tex'), latex, 'utf8');
+    console.log('✅ paper.tex saved\n');
 
-    if (!approvedPlan || approvedPlan === 'null') {
-      throw new Error('Invalid plan received. Plan is null or empty.');
+    const writingDocument = this._formatWritingDocument({
+      paper,
+      timestamp: new Date().toISOString()
+    });
+
+    if (this.artifactStore) {
+      await this.artifactStore.saveArtifact({
+        type: 'document',
+        name: 'writing-phase-result.md',
+        content: writingDocument,
+        metadata: {
+          phase: 'writing',
+          version: '1.0',
+          prompts: this._promptVersions(),
+          timestamp: new Date().toISOString()
+        }
+      });
+      console.log('💾 Writing results saved to: artifacts/writing-phase-result.md\n');
     }
 
-    this.phase = 'modeling';
+    return null;
+  }
 
+  async _compilePaperStep() {
+    let pdfCompiled = false;
     try {
-      const modelerClone = this.spawnClone('modeler', 'Implement mathematical model');
-
-      // Get data summary if available
-      const dataSummary = this.dataManager.getSummary();
-      const dataContext = dataSummary.fileCount > 0
-        ? `\n\n## Available Data Files\n\nYou have access to the following data files in the workspace:\n${JSON.stringify(dataSummary, null, 2)}\n\nAll files are located in: ${dataSummary.dataDir}\nYou can read and process these files in your implementation.`
-        : '';
-
-      console.log('━━━ Step 1: Implementing model with comprehensive experiments ━━━');
-      const modelResult = await modelerClone.sendMessage(
-        `Implement this approved plan:\n${approvedPlan}
-
-CRITICAL - SUBMISSION REQUIREMENTS:
-This is for an MCM competition paper. You MUST create comprehensive experimental validation.
-
-IMPORTANT - CODE REQUIREMENTS:
-- Write COMPLETE, SELF-CONTAINED Python code in a SINGLE code block
-- DO NOT use import statements for modules that don't exist (no "from analysis import", no "from utils import", etc.)
-- ONLY use standard libraries: numpy, pandas, matplotlib, scipy, sklearn, networkx
-- ALL functions and models must be defined WITHIN the code block
-- Code must be executable as-is without external dependencies
-
-Required Deliverables:
-1. Python code for the complete model implementation
-   - Define ALL functions inline (no external imports)
-   - Use only standard scientific libraries (numpy, pandas, matplotlib, scipy, sklearn)
-   - Include realistic synthetic data generation if no data provided
-
-2. Multiple experiments (minimum 5):
-   - Baseline case with realistic parameters
-   - Parameter sensitivity analysis
-   - Comparison of different scenarios/approaches
-   - Edge case testing
-   - Validation against known results or benchmarks
-
-3. Rich visualizations (minimum 5 figures):
-   - Time series plots showing model evolution
-   - Heatmaps or contour plots for 2D parameter space
-   - 3D surface plots where applicable
-   - Comparison bar/line charts between scenarios
-   - Convergence or error plots
-   - Distribution or statistical plots
-
-4. All figures must be:
-   - High resolution (300 DPI)
-   - Properly labeled with axis labels and units
-   - Include legends where applicable
-   - Saved to figures/ directory with descriptive names
-
-5. Quantitative results:
-   - Generate numerical results tables
-   - Calculate key metrics and statistics
-   - Document all experiment parameters and outcomes
-
-${dataContext}
-
-Remember: MCM judges expect thorough experimental validation. Generate diverse, comprehensive results that demonstrate model robustness and insights.
-
-CRITICAL: Your code must be SELF-CONTAINED and EXECUTABLE. Do not reference external modules or files that don't exist.`
-      );
-      console.log('✅ Model implemented\n');
-
-      // Initialize modeler agent for executing experiments
-      const modelerAgent = new (await import('./modeler-agent.js')).default(this.workspace.workspacePath);
-      await modelerAgent.initialize();
-      const variableRegistry = await this.parser.getVariableRegistry();
-      const modelCode = this._extractCodeFromMessage(modelResult.message);
-
-      // Step 2: Run comprehensive experiments
-      console.log('━━━ Step 2: Running comprehensive experiments ━━━');
-      let experimentResults = null;
-      if (!modelCode) {
-        console.log('⚠️  Could not extract model code for experiments\n');
+      const compiler = new LatexCompiler(this.workspace.workspacePath, { signal: this.signal });
+
+      // Check if LaTeX is installed
+      const latexInstalled = await compiler.checkInstallation();
+      if (!latexInstalled) {
+        this._warn('⚠️  LaTeX not installed - skipping PDF compilation');
+        console.log('   Install LaTeX to enable PDF generation:');
+        console.log('   • macOS: brew install --cask mactex-no-gui');
+        console.log('   • Linux: sudo apt-get install texlive-latex-base');
+        console.log('   • Windows: https://miktex.org/download\n');
+        console.log('   Paper is available as LaTeX source: paper.tex\n');
       } else {
-        try {
-          experimentResults = await modelerAgent.runComprehensiveExperiments(modelCode, variableRegistry);
-
-          if (experimentResults.success) {
-            console.log('✅ Comprehensive experiments complete\n');
-
-            // Save experiment results
-            if (this.artifactStore) {
-              await this.artifactStore.saveArtifact({
-                type: 'experiments',
-                name: 'experiment-results.txt',
-                content: experimentResults.summary,
-                metadata: {
-                  phase: 'modeling',
-                  timestamp: new Date().toISOString()
-                }
-              });
-              console.log('💾 Experiment results saved to: artifacts/experiment-results.txt\n');
-            }
-          } else {
-            console.log('⚠️  Experiments had errors (model code may have bugs). Continuing with available results...\n');
-            // Still try to save partial results
-            if (experimentResults.error && this.artifactStore) {
-              await this.artifactStore.saveArtifact({
-                type: 'experiments',
-                name: 'experiment-results.txt',
-                content: `Experiments encountered errors:\n${experimentResults.error}\n\nStdout:\n${experimentResults.stdout || 'None'}`,
-                metadata: {
-                  phase: 'modeling',
-                  status: 'partial',
-                  timestamp: new Date().toISOString()
-                }
-              });
-            }
-          }
-        } catch (error) {
-          console.warn(`⚠️  Experiments failed: ${error.message}, continuing...`);
+        const paperPath = path.join(this.workspace.workspacePath, 'paper.tex');
+        const compileResult = await compiler.compile(paperPath);
+
+        if (compileResult.success) {
+          console.log('✅ PDF compiled successfully\n');
+          pdfCompiled = true;
+        } else {
+          this._warn('⚠️  PDF compilation failed (LaTeX file still available)');
         }
       }
+    } catch (compileError) {
+      this.signal?.throwIfAborted();
+      this._warn('⚠️  PDF compilation error (LaTeX file still available)');
+      console.log('Error:', compileError.message || compileError.error || JSON.stringify(compileError), '\n');
+    }
 
-      // Step 3: Generate comprehensive visualizations (skip if experiments already generated figures)
-      console.log('━━━ Step 3: Generating comprehensive visualizations ━━━');
-      let visualizationResults = null;
+    return { pdfCompiled };
+  }
 
-      // Check if experiments already generated enough figures
-      const figuresDir = path.join(this.workspace.workspacePath, 'figures');
-      let existingFigures = [];
-      try {
-        existingFigures = await fs.readdir(figuresDir);
-        existingFigures = existingFigures.filter(f => f.endsWith('.png'));
-        console.log(`Found ${existingFigures.length} existing figures from experiments`);
-      } catch (err) {
-        // figures directory doesn't exist yet
-      }
+  /**
+   * Validate paper completeness and ask the writer to expand it if needed
+   */
+  async _expandPaperStep({ pdfCompiled }, step) {
+    const paperPath = path.join(this.workspace.workspacePath, 'paper.tex');
+    const latexContentForValidation = await fs.readFile(paperPath, 'utf8');
+
+    const validation = this._validatePaperCompleteness(latexContentForValidation);
+    console.log(`📊 Paper validation results:`);
+    console.log(`   Estimated pages: ${validation.estimatedPages}`);
+    console.log(`   Figures included: ${validation.figureCount}`);
+    console.log(`   Tables included: ${validation.tableCount}`);
+    console.log(`   Equations: ${validation.equationCount}`);
+    console.log(`   Sections: ${validation.sectionCount}\n`);
+
+    if (validation.isComplete) {
+      return { expanded: false };
+    }
 
-      // Only generate additional visualizations if we have fewer than 6 figures
-      if (existingFigures.length >= 6) {
-        console.log('✓ Sufficient figures already generated by experiments, skipping additional visualizations\n');
-      } else if (!modelCode) {
-        console.log('⚠️  Could not extract model code for visualizations\n');
-      } else {
-        try {
-          visualizationResults = await modelerAgent.generateComprehensiveVisualizations(modelCode, variableRegistry);
-
-          if (visualizationResults.success) {
-            console.log('✅ Comprehensive visualizations generated\n');
-
-            // Save visualization info
-            if (this.artifactStore) {
-              await this.artifactStore.saveArtifact({
-                type: 'visualizations',
-                name: 'visualization-summary.txt',
-                content: visualizationResults.output,
-                metadata: {
-                  phase: 'modeling',
-                  timestamp: new Date().toISOString()
-                }
-              });
-              console.log('💾 Visualization summary saved to: artifacts/visualization-summary.txt\n');
-            }
-          } else {
-            console.log('⚠️  Some visualizations failed, continuing...\n');
-          }
-        } catch (error) {
-          console.warn(`⚠️  Visualization generation failed: ${error.message}, continuing...`);
-        }
-      }
+    // Paper is insufficient, expand it
+    console.log('⚠️  Paper needs expansion - generating additional content\n');
+    console.log('━━━ Expanding paper content ━━━');
+
+    const writer = this._workflowAgent(step.agent || 'writer', step.title || step.id);
+    const expansionResult = await writer.sendMessage(
+      this._renderPrompt(step.prompt || 'writing/expand', {
+        estimatedPages: validation.estimatedPages,
+        figureCount: validation.figureCount,
+        tableCount: validation.tableCount,
+        hasExperimentalSection: validation.hasExperimentalSection ? 'Yes' : 'No',
+        needsLength: validation.estimatedPages < 12,
+        needsFigures: validation.figureCount < 4,
+        needsExperimental: !validation.hasExperimentalSection
+      })
+    );
 
-      // Step 4: Auto-run sensitivity analysis
-      console.log('━━━ Step 4: Running automated sensitivity analysis ━━━');
-      let sensitivityResult = null;
-      if (!modelCode) {
-        console.log('⚠️  Could not extract model code for sensitivity analysis\n');
-      } else {
-        try {
-          sensitivityResult = await modelerAgent.autoSensitivityAnalysis(modelCode, variableRegistry);
-
-          if (sensitivityResult.success) {
-            console.log('✅ Automated sensitivity analysis complete\n');
-
-            // Save sensitivity results as artifact
-            if (this.artifactStore) {
-              await this.artifactStore.saveArtifact({
-                type: 'analysis',
-                name: 'sensitivity-analysis.txt',
-                content: sensitivityResult.output,
-                metadata: {
-                  phase: 'modeling',
-                  timestamp: new Date().toISOString()
-                }
-              });
-              console.log('💾 Sensitivity results saved to: artifacts/sensitivity-analysis.txt\n');
-            }
-          } else {
-            console.log('⚠️  Sensitivity analysis had issues, continuing...\n');
-          }
-        } catch (error) {
-          console.warn(`⚠️  Sensitivity analysis failed: ${error.message}, continuing...`);
-        }
+    // Save expanded paper
+    const expandedLatex = this._extractLatexFromResponse(expansionResult.message);
+    await fs.writeFile(paperPath, expandedLatex, 'utf8');
+    console.log('✅ Paper expanded and saved\n');
+
+    // Re-validate
+    const newValidation = this._validatePaperCompleteness(expandedLatex);
+    console.log(`📊 Updated paper validation:`);
+    console.log(`   Estimated pages: ${newValidation.estimatedPages}`);
+    console.log(`   Figures included: ${newValidation.figureCount}\n`);
+
+    // Re-compile if needed
+    if (pdfCompiled) {
+      console.log('━━━ Re-compiling expanded paper ━━━');
+      await this._recompilePaper('Expanded');
+    }
+
+    return { expanded: true };
+  }
+
+  /**
+   * Re-compile paper.tex after a rewrite. Returns whether paper.pdf is up to date.
+   */
+  async _recompilePaper(label) {
+    try {
+      const compiler = new LatexCompiler(this.workspace.workspacePath, { signal: this.signal });
+      const compileResult = await compiler.compile(path.join(this.workspace.workspacePath, 'paper.tex'));
+      if (compileResult.success) {
+        console.log(`✅ ${label} PDF compiled successfully\n`);
+        return true;
       }
+    } catch (error) {
+      this.signal?.throwIfAborted();
+      console.log('⚠️  Re-compilation warning:', error.message, '\n');
+    }
+    return false;
+  }
 
-      // Save modeling results as artifact (including all experiments and visualizations)
-      const modelDocument = this._formatModelDocument({
-        plan: approvedPlan,
-        model: modelResult.message,
-        experiments: experimentResults?.summary || 'Not performed',
-        visualizations: visualizationResults?.output || 'Not performed',
-        sensitivityAnalysis: sensitivityResult?.output || 'Not performed',
-        timestamp: new Date().toISOString()
-      });
+  /**
+   * Review/revise rounds (review.rounds): a reviewer clone scores the paper like a COMAP judge and
+   * writes revision requests, which the writer applies before the next round. Each review is saved
+   * as artifacts/paper-review-N.md, and each round is checkpointed. Stops early once the paper
+   * reaches review.target_score, the reviewer has nothing left to request, or a revision is
+   * discarded.
+   */
+  async _reviewPaperStep({ pdfCompiled }, step) {
+    const rounds = config.get('review.rounds') ?? 2;
+    const targetScore = config.get('review.target_score') ?? 8;
+    const reviewer = new PaperReviewAgent();
+    this.spawnClone('reviewer', 'Review the paper like a COMAP judge', reviewer);
+
+    const reviews = [];
+    let revisions = 0;
+    let compiled = !!pdfCompiled;
+    try {
+      for (let round = 1; round <= rounds; round++) {
+        console.log(`━━━ Paper review round ${round}/${rounds} ━━━`);
+        const outcome = await this._step(`${step.id}/round-${round}`, async () => {
+          const { paper, source, pages } = await this._readPaperForReview(compiled);
+          const review = await reviewer.review(paper, { round, source, pages, previous: reviews.at(-1) || null });
+          await this._savePaperReview(reviewer, review);
+
+          const done = review.revisionRequests.length === 0 || review.score >= targetScore;
+          if (done) {
+            return { review, revised: false, compiled };
+          }
 
-      if (this.artifactStore) {
-        await this.artifactStore.saveArtifact({
-          type: 'model',
-          name: 'modeling-phase-result.md',
-          content: modelDocument,
-          metadata: {
-            phase: 'modeling',
-            version: '1.0',
-            timestamp: new Date().toISOString()
+          const writer = this._workflowAgent(step.agent || 'writer', step.title || step.id);
+          const previousLatex = await fs.readFile(path.join(this.workspace.workspacePath, 'paper.tex'), 'utf8');
+          const response = await writer.sendMessage(this._renderPrompt(step.prompt || 'writing/revise', {
+            round,
+            score: review.score.toFixed(2),
+            requests: reviewer.formatRequests(review.revisionRequests),
+            latex: previousLatex
+          }));
+
+          const revision = await this._applyPaperRevision(round, response, previousLatex, compiled);
+          if (revision.rejected) {
+            return { review, revised: false, rejected: revision.rejected, compiled: revision.compiled };
           }
+          console.log(`✅ Paper revised with ${review.revisionRequests.length} requests\n`);
+          return { review, revised: true, compiled: revision.compiled };
         });
-        console.log('💾 Model saved to: artifacts/modeling-phase-result.md\n');
+
+        reviews.push(outcome.review);
+        compiled = outcome.compiled;
+        if (outcome.revised) {
+          revisions++;
+        } else if (outcome.rejected) {
+          this._warn(`⚠️  Round ${round} revision discarded (${outcome.rejected}), keeping the previous paper.tex`);
+          break;
+        } else {
+          console.log(`✅ Review round ${round}: score ${outcome.review.score.toFixed(2)}, no further revisions\n`);
+          break;
+        }
       }
+      this._finishClone(reviewer, 'completed');
+    } catch (error) {
+      this._finishClone(reviewer, 'failed');
+      if (isFatal(error) || this.signal?.aborted) throw error;
 
-      console.log('='.repeat(80));
-      console.log('🔬 MODELING PHASE COMPLETE');
-      console.log('='.repeat(80) + '\n');
+      // The compiled paper stands; a failed round only ends the reviewing early
+      this._warn(`⚠️  Paper review stopped after ${reviews.length} round(s): ${error.message}`);
+    }
 
-      return {
-        model: modelResult.message
-      };
-    } catch (error) {
-      console.error('\n' + '='.repeat(80));
-      console.error('❌ MODELING PHASE FAILED');
-      console.error('='.repeat(80));
-      console.error('Error:', error.message);
-      console.error('Stack:', error.stack);
-      throw error;
+    if (reviews.length > 0) {
+      const scores = reviews.map(r => r.score.toFixed(2)).join(' → ');
+      await this.parser.logProgress(`Paper review: ${reviews.length} round(s), score ${scores}`);
     }
+    return { rounds: reviews.length, score: reviews.at(-1)?.score ?? null, revised: revisions };
   }
 
   /**
-   * Execute writing phase
+   * Write the writer's revision to paper.tex, keeping the paper it replaces as the versioned
+   * artifact paper-round-N.tex. The previous paper is restored when the response stopped at the
+   * output-token limit, has no \end{document}, or no longer compiles although it did before.
+   * Returns { compiled, rejected } with the reason a revision was discarded.
    */
-  async executeWritingPhase() {
-    console.log('\n' + '='.repeat(80));
-    console.log('✍️  WRITING PHASE');
-    console.log('='.repeat(80) + '\n');
-    this.phase = 'writing';
+  async _applyPaperRevision(round, response, previousLatex, compiled) {
+    const paperPath = path.join(this.workspace.workspacePath, 'paper.tex');
+    await this._savePaperVersion(`paper-round-${round}.tex`, previousLatex, { round, replaced: true });
+
+    // Checked on the raw response: without a document, extraction would fall back to a stub paper
+    let rejected = null;
+    let latex = response.message;
+    if (TRUNCATED_STOPS.has(response.stopReason)) {
+      rejected = 'the response stopped at the output-token limit';
+    } else if (!/\\end\{document\}/.test(response.message)) {
+      rejected = 'the revision has no \\end{document}';
+    } else {
+      latex = this._extractLatexFromResponse(response.message);
+      try {
+        await fs.writeFile(paperPath, latex, 'utf8');
+        if (compiled && !await this._recompilePaper('Revised')) {
+          rejected = 'the revised paper no longer compiles';
+        }
+      } catch (error) {
+        await fs.writeFile(paperPath, previousLatex, 'utf8');
+        throw error;
+      }
+    }
+    if (!rejected) {
+      return { compiled, rejected: null };
+    }
 
-    try {
-      const writerClone = this.spawnClone('writer', 'Write paper sections');
+    await this._savePaperVersion(`paper-round-${round}-rejected.tex`, latex, { round, rejected });
+    await fs.writeFile(paperPath, previousLatex, 'utf8');
+    return { compiled: compiled && await this._recompilePaper('Restored'), rejected };
+  }
 
-      // Gather modeling results and artifacts for the writer
-      const modelingContext = await this._gatherModelingContext();
+  async _savePaperVersion(name, content, metadata) {
+    if (!this.artifactStore) return;
 
-      console.log('━━━ Step 1: Writing comprehensive competition-ready paper ━━━');
-      const paperResult = await writerClone.sendMessage(
-        `Write a COMPLETE, SUBMISSION-READY MCM/ICM competition paper.
+    await this.artifactStore.saveArtifact({
+      type: 'document',
+      name,
+      content,
+      metadata: {
+        phase: 'writing',
+        ...metadata,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
 
-${modelingContext}
+  /**
+   * Check that the paper's assumptions section discusses every assumption registered in
+   * AUTOMCM.md; the result is saved as artifacts/assumption-check.md
+   */
+  async _checkAssumptionsStep() {
+    const assumptions = this.parser.getAssumptions();
+    if (assumptions.length === 0) {
+      console.log('ℹ️  No registered assumptions to check\n');
+      return { discussed: [], missing: [] };
+    }
 
----
+    const latex = await fs.readFile(path.join(this.workspace.workspacePath, 'paper.tex'), 'utf8');
+    const check = new PaperValidator().checkAssumptions(latex, assumptions);
+    const missingIds = check.missing.map(a => a.id);
 
-PAPER WRITING INSTRUCTIONS:
-
-CRITICAL REQUIREMENTS FOR MCM SUBMISSION:
-- Target length: 15-20 pages (excluding references)
-- Must include ALL generated figures from figures/ directory
-- Must include detailed experimental results with quantitative analysis
-- Must demonstrate thorough validation and testing
-
-Required Structure (with minimum content for each):
-
-1. PREAMBLE AND SETUP
-   - \\documentclass[12pt]{article}
-   - All necessary packages (amsmath, graphicx, booktabs, etc.)
-   - Custom commands for consistent notation
-
-2. TITLE PAGE
-   - Descriptive title
-   - Team information
-   - Summary sheet (1 page) with problem restatement and key findings
-
-3. INTRODUCTION (2-3 pages)
-   - Problem background and context
-   - Real-world significance
-   - Literature review (cite relevant papers)
-   - Our approach and contributions
-   - Paper organization roadmap
-
-4. PROBLEM ANALYSIS (1-2 pages)
-   - Detailed problem restatement
-   - Key challenges identified
-   - Scope and limitations
-
-5. ASSUMPTIONS AND JUSTIFICATIONS (1 page)
-   - List all assumptions from AUTOMCM.md
-   - Justify each assumption with reasoning
-   - Discuss impact on model validity
-
-6. MODEL DEVELOPMENT (3-4 pages)
-   - Mathematical formulation with detailed derivations
-   - All equations properly numbered and explained
-   - Variable definitions table (reference AUTOMCM.md)
-   - Model parameters and their meanings
-   - Explain physical/mathematical reasoning
-
-7. SOLUTION METHODOLOGY (2-3 pages)
-   - Algorithm description or solution approach
-   - Implementation details
-   - Computational complexity analysis
-   - Numerical methods used
-
-8. EXPERIMENTAL VALIDATION (4-5 pages) **CRITICAL SECTION**
-   This must include:
-   - Subsection for EACH experiment conducted
-   - Baseline case results with detailed discussion
-   - Sensitivity analysis results (include all figures)
-   - Comparison scenarios with analysis
-   - Edge case testing results
-   - For EACH figure: Include in LaTeX, reference in text, discuss findings
-   - Quantitative results tables
-   - Statistical analysis where applicable
-
-9. RESULTS DISCUSSION (2-3 pages)
-   - Synthesize findings across all experiments
-   - Interpret physical meaning of results
-   - Compare with expectations or benchmarks
-   - Discuss implications
-
-10. MODEL STRENGTHS AND WEAKNESSES (1 page)
-    - What the model does well
-    - Limitations and assumptions impact
-    - Potential improvements
-
-11. CONCLUSION (1 page)
-    - Summarize key findings
-    - Answer the original problem
-    - Future work suggestions
-
-12. REFERENCES
-    - Properly formatted bibliography
-
-FIGURE AND TABLE REQUIREMENTS:
-- Scan the workspace figures/ directory
-- Include ALL generated figures (minimum 5)
-- Each figure must have:
-  * \\begin{figure}[htbp] environment
-  * \\includegraphics with proper width
-  * Descriptive caption explaining what is shown
-  * Unique label for referencing
-- Reference each figure in the text using \\ref{fig:...}
-- Create results tables using booktabs
-- Number all figures and tables consecutively
-
-WRITING QUALITY:
-- Professional academic tone
-- Clear, precise technical writing
-- Proper mathematical notation
-- Smooth transitions between sections
-- No handwaving - explain all steps
-
-Reference variables from AUTOMCM.md variable registry.
-Output the COMPLETE LaTeX code in a code block - this should be a FULL 15-20 page paper ready for submission.`
-      );
-      console.log('✅ Paper drafted\n');
-
-      // Extract LaTeX from response and save to paper.tex
-      console.log('━━━ Step 1.5: Saving paper.tex ━━━');
-      const latexContent = this._extractLatexFromResponse(paperResult.message);
-      const paperPath = path.join(this.workspace.workspacePath, 'paper.tex');
-      await fs.writeFile(paperPath, latexContent, 'utf8');
-      console.log('✅ paper.tex saved\n');
-
-      // Save writing results as artifact
-      const writingDocument = this._formatWritingDocument({
-        paper: paperResult.message,
-        timestamp: new Date().toISOString()
+    if (!check.sectionFound) {
+      this._warn(`⚠️  The paper has no assumptions section for the ${assumptions.length} registered assumptions`);
+    } else if (missingIds.length > 0) {
+      this._warn(`⚠️  Assumptions not discussed in the paper: ${missingIds.join(', ')}`);
+    } else {
+      console.log(`✅ All ${assumptions.length} registered assumptions are discussed in the paper\n`);
+    }
+    await this.parser.logProgress(`Assumption check: ${check.discussed.length}/${assumptions.length} discussed in the paper` +
+      (missingIds.length > 0 ? `; missing ${missingIds.join(', ')}` : ''));
+
+    if (this.artifactStore) {
+      const rows = assumptions.map(a =>
+        `| ${a.id} | ${a.text.replace(/\|/g, '\\|')} | ${a.component || '-'} | ${missingIds.includes(a.id) ? '❌ missing' : '✅ discussed'} |`);
+      await this.artifactStore.saveArtifact({
+        type: 'report',
+        name: 'assumption-check.md',
+        content: `# Assumption Check\n\n` +
+          `${check.discussed.length} of the ${assumptions.length} assumptions registered in AUTOMCM.md are discussed ` +
+          `${check.sectionFound ? 'in the paper\'s assumptions section' : '(the paper has no assumptions section)'}.\n\n` +
+          `| ID | Assumption | Component | Paper |\n| --- | --- | --- | --- |\n${rows.join('\n')}\n`,
+        metadata: {
+          phase: 'writing',
+          sectionFound: check.sectionFound,
+          missing: missingIds,
+          timestamp: new Date().toISOString()
+        }
       });
+    }
 
-      if (this.artifactStore) {
-        await this.artifactStore.saveArtifact({
-          type: 'document',
-          name: 'writing-phase-result.md',
-          content: writingDocument,
-          metadata: {
-            phase: 'writing',
-            version: '1.0',
-            timestamp: new Date().toISOString()
-          }
-        });
-        console.log('💾 Writing results saved to: artifacts/writing-phase-result.md\n');
-      }
+    return { discussed: check.discussed.map(a => a.id), missing: missingIds };
+  }
 
-      // Compile paper to PDF
-      console.log('━━━ Step 2: Compiling paper to PDF ━━━');
-      let pdfCompiled = false;
+  /**
+   * What the reviewer reads: the compiled PDF's text when there is one, else the LaTeX source.
+   */
+  async _readPaperForReview(compiled) {
+    const workspacePath = this.workspace.workspacePath;
+    if (compiled) {
       try {
-        const compiler = new LatexCompiler(this.workspace.workspacePath);
-
-        // Check if LaTeX is installed
-        const latexInstalled = await compiler.checkInstallation();
-        if (!latexInstalled) {
-          console.log('⚠️  LaTeX not installed - skipping PDF compilation');
-          console.log('   Install LaTeX to enable PDF generation:');
-          console.log('   • macOS: brew install --cask mactex-no-gui');
-          console.log('   • Linux: sudo apt-get install texlive-latex-base');
-          console.log('   • Windows: https://miktex.org/download\n');
-          console.log('   Paper is available as LaTeX source: paper.tex\n');
-        } else {
-          const paperPath = path.join(this.workspace.workspacePath, 'paper.tex');
-          const compileResult = await compiler.compile(paperPath);
-
-          if (compileResult.success) {
-            console.log('✅ PDF compiled successfully\n');
-            pdfCompiled = true;
-          } else {
-            console.log('⚠️  PDF compilation failed (LaTeX file still available)\n');
-          }
-        }
-      } catch (compileError) {
-        console.log('⚠️  PDF compilation error (LaTeX file still available)');
-        console.log('Error:', compileError.message || compileError.error || JSON.stringify(compileError), '\n');
+        const pdf = await new PDFParser().parsePDF(path.join(workspacePath, 'paper.pdf'));
+        return { paper: pdf.text, source: 'compiled PDF (extracted text)', pages: pdf.numPages };
+      } catch (error) {
+        this._warn(`⚠️  Could not read paper.pdf (${error.message}), reviewing the LaTeX source`);
       }
+    }
+    return { paper: await fs.readFile(path.join(workspacePath, 'paper.tex'), 'utf8'), source: 'LaTeX source', pages: null };
+  }
 
-      // Step 3: Validate paper completeness and expand if needed
-      console.log('━━━ Step 3: Validating paper completeness ━━━');
-      const latexContentForValidation = await fs.readFile(paperPath, 'utf8');
-
-      const validation = this._validatePaperCompleteness(latexContentForValidation);
-      console.log(`📊 Paper validation results:`);
-      console.log(`   Estimated pages: ${validation.estimatedPages}`);
-      console.log(`   Figures included: ${validation.figureCount}`);
-      console.log(`   Tables included: ${validation.tableCount}`);
-      console.log(`   Equations: ${validation.equationCount}`);
-      console.log(`   Sections: ${validation.sectionCount}\n`);
-
-      // If paper is insufficient, expand it
-      if (validation.estimatedPages < 12 || validation.figureCount < 4 || !validation.hasExperimentalSection) {
-        console.log('⚠️  Paper needs expansion - generating additional content\n');
-        console.log('━━━ Step 4: Expanding paper content ━━━');
-
-        const expansionResult = await writerClone.sendMessage(
-          `The current paper needs expansion to meet MCM submission standards.
-
-Current status:
-- Estimated pages: ${validation.estimatedPages} (target: 15-20)
-- Figures: ${validation.figureCount} (minimum: 5)
-- Tables: ${validation.tableCount}
-- Has experimental validation: ${validation.hasExperimentalSection ? 'Yes' : 'No'}
-
-Please EXPAND the paper by:
-
-1. ${validation.estimatedPages < 12 ? `Adding more detailed content to reach 15-20 pages:
-   - Expand the introduction with more background and literature review
-   - Add detailed derivations in the model section
-   - Expand experimental validation with more discussion of each result
-   - Add a detailed sensitivity analysis discussion section
-   - Include model validation and verification subsections
-   - Add a comprehensive discussion section analyzing implications` : 'Content length is adequate'}
-
-2. ${validation.figureCount < 4 ? `Include MORE figures - scan figures/ directory and add all available figures with:
-   - Descriptive captions explaining what each shows
-   - Discussion in the text referencing each figure
-   - Proper LaTeX figure environments` : 'Figure count is adequate'}
-
-3. ${!validation.hasExperimentalSection ? `Add comprehensive EXPERIMENTAL VALIDATION section (3-4 pages) with:
-   - Multiple experiment subsections
-   - Quantitative results tables
-   - Statistical analysis
-   - Comparison of different scenarios` : 'Experimental section exists'}
-
-4. Add more depth everywhere:
-   - Detailed mathematical derivations
-   - Step-by-step algorithm explanations
-   - Thorough results interpretation
-   - Discussion of model implications
-   - Comparison with literature or benchmarks
-
-5. Add results tables showing quantitative outcomes from experiments
-
-Please output the COMPLETE EXPANDED LaTeX document in a code block. This must be a full, submission-ready paper.`
-        );
-
-        // Save expanded paper
-        const expandedLatex = this._extractLatexFromResponse(expansionResult.message);
-        await fs.writeFile(paperPath, expandedLatex, 'utf8');
-        console.log('✅ Paper expanded and saved\n');
-
-        // Re-validate
-        const newValidation = this._validatePaperCompleteness(expandedLatex);
-        console.log(`📊 Updated paper validation:`);
-        console.log(`   Estimated pages: ${newValidation.estimatedPages}`);
-        console.log(`   Figures included: ${newValidation.figureCount}\n`);
-
-        // Re-compile if needed
-        if (pdfCompiled) {
-          console.log('━━━ Step 5: Re-compiling expanded paper ━━━');
-          try {
-            const compiler = new LatexCompiler(this.workspace.workspacePath);
-            const compileResult = await compiler.compile(paperPath);
-            if (compileResult.success) {
-              console.log('✅ Expanded PDF compiled successfully\n');
-            }
-          } catch (error) {
-            console.log('⚠️  Re-compilation warning:', error.message, '\n');
-          }
-        }
+  async _savePaperReview(reviewer, review) {
+    console.log(`⚖️  Review round ${review.round}: ${review.score.toFixed(2)} / 10, ${review.revisionRequests.length} revision requests`);
+    if (!this.artifactStore) return;
+
+    await this.artifactStore.saveArtifact({
+      type: 'report',
+      name: `paper-review-${review.round}.md`,
+      content: reviewer.formatReview(review),
+      metadata: {
+        phase: 'writing',
+        round: review.round,
+        score: review.score,
+        scores: review.scores,
+        revisionRequests: review.revisionRequests.length,
+        prompts: [...this._promptVersions(), review.reviewPrompt],
+        timestamp: new Date().toISOString()
       }
-
-      console.log('='.repeat(80));
-      console.log('✍️  WRITING PHASE COMPLETE');
-      console.log('='.repeat(80) + '\n');
-
-      return {
-        paper: paperResult.message,
-        pdfCompiled
-      };
-    } catch (error) {
-      console.error('\n' + '='.repeat(80));
-      console.error('❌ WRITING PHASE FAILED');
-      console.error('='.repeat(80));
-      console.error('Error:', error.message);
-      console.error('Stack:', error.stack);
-      throw error;
-    }
+    });
+    console.log(`💾 Review saved to: artifacts/paper-review-${review.round}.md\n`);
   }
 
   /**
@@ -840,7 +1898,7 @@ Please output the COMPLETE EXPANDED LaTeX document in a code block. This must be
     }
 
     // If no LaTeX found, return a basic template
-    console.warn('⚠️  No LaTeX content found in response, using basic template');
+    this._warn('⚠️  No LaTeX content found in response, using basic template');
     return `\\documentclass[12pt]{article}
 \\usepackage{amsmath, amsfonts, graphicx}
 \\title{Mathematical Modeling Paper}
@@ -856,9 +1914,10 @@ ${message}
   /**
    * Execute implementation phase (legacy method for complete workflow)
    */
-  async executeImplementationPhase(approvedPlan) {
+  async executeImplementationPhase(approvedPlan, options = {}) {
     console.log('\n⚙️  EXECUTION PHASE\n');
-    this.phase = 'execution';
+    this._setPhase('execution');
+    this.signal = options.signal || null;
 
     // Spawn parallel clones for different tasks
     const modelerClone = this.spawnClone('modeler', 'Implement mathematical model');
@@ -866,14 +1925,14 @@ ${message}
 
     console.log('Step 1: Implementing model...');
     const modelResult = await modelerClone.sendMessage(
-      `Implement this approved plan:\n${approvedPlan}\n\nCreate:\n1. Python code for the model\n2. Tests and validation\n3. Visualizations`
+      this._renderPrompt('implementation/model', { approvedPlan })
     );
 
     console.log('✓ Model implemented');
 
     console.log('\nStep 2: Writing paper...');
     const paperResult = await writerClone.sendMessage(
-      `Write the paper based on:\n\nModel: ${modelResult.message}\n\nCreate LaTeX sections following AUTOMCM.md standards.`
+      this._renderPrompt('implementation/paper', { model: modelResult.message })
     );
 
     console.log('✓ Paper drafted');
@@ -884,6 +1943,196 @@ ${message}
     };
   }
 
+  /**
+   * Pin the problem statement from problem.md when this agent did not run planning itself
+   */
+  async _pinProblemStatement() {
+    if (this.pinnedContext['Problem Statement'] || !this.workspace) return;
+
+    try {
+      const problem = await fs.readFile(path.join(this.workspace.workspacePath, 'problem.md'), 'utf8');
+      this.pinContext('Problem Statement', problem);
+    } catch {
+      // No extracted problem statement in this workspace
+    }
+  }
+
+  /**
+   * Record where a stopped or failed run left off in checkpoint.json. Completed steps, artifacts,
+   * the usage ledger and AUTOMCM.md are already written as the run goes, so this marks the stopping point.
+   */
+  async saveRunState(status, error = null) {
+    if (!this.workspace) return null;
+
+    for (const clone of this.clones.filter(c => c.status === 'running')) {
+      this._finishClone(clone.agent, status);
+    }
+
+    const state = {
+      status,
+      phase: this.phase,
+      error: error?.message || null,
+      clones: this.clones.map(({ id, mode, task, status }) => ({ id, mode, task, status }))
+    };
+
+    if (this.checkpoints) {
+      await this.checkpoints.setStatus(status, state);
+    }
+    if (this.parser) {
+      await this.parser.logProgress(`Run ${status} during ${this.phase} phase${error ? `: ${error.message}` : ''}`);
+    }
+
+    return state;
+  }
+
+  /**
+   * Token footprint of the master and each clone's conversation
+   */
+  getContextReport() {
+    return {
+      master: this.getContextStatus(),
+      clones: this.clones.map(c => ({
+        id: c.id,
+        mode: c.mode,
+        status: c.status,
+        ...(c.agent ? c.agent.getContextStatus() : c.context)
+      }))
+    };
+  }
+
+  /**
+   * Update the current phase and attribute subsequent LLM usage to it
+   */
+  _setPhase(phase) {
+    this.phase = phase;
+    this.promptsUsed = [];
+    if (this.usageLedger) {
+      this.usageLedger.setPhase(phase);
+    }
+    this.events.setPhase(phase);
+  }
+
+  /**
+   * Start checkpointing the current phase. With options.resume, steps already recorded for
+   * this phase are reused instead of run again.
+   */
+  async _startCheckpointPhase(input, options = {}) {
+    this.resuming = !!options.resume;
+    if (!this.checkpoints) return;
+
+    await this.checkpoints.startPhase(this.phase, input, {
+      resume: this.resuming,
+      runId: this.usageLedger?.runId
+    });
+  }
+
+  /**
+   * Run one step of the current phase and checkpoint its result, or return the
+   * checkpointed result (after passing it to onReuse) when resuming past it
+   */
+  async _step(name, fn, onReuse = null) {
+    const saved = this.resuming ? this.checkpoints?.getStep(this.phase, name) : undefined;
+    if (saved !== undefined) {
+      console.log(`⏩ Reusing checkpointed ${this.phase} step: ${name}\n`);
+      onReuse?.(saved);
+      this.events.publish('step-finished', { step: name, status: 'reused', durationMs: 0 });
+      return saved;
+    }
+
+    const started = Date.now();
+    this.events.publish('step-started', { step: name });
+    let result;
+    try {
+      // LLM calls and artifacts inside the step are attributed to it in the run's audit trail
+      result = await this.events.runStep(name, fn);
+    } catch (error) {
+      this.events.publish('step-finished', {
+        step: name,
+        status: this.signal?.aborted ? 'cancelled' : 'failed',
+        durationMs: Date.now() - started,
+        error: error.message
+      });
+      throw error;
+    }
+    await this.checkpoints?.saveStep(this.phase, name, result ?? null);
+    this.events.publish('step-finished', { step: name, status: 'completed', durationMs: Date.now() - started });
+    return result;
+  }
+
+  /**
+   * Critique every figure with the vision agent and record the result as figure artifact metadata.
+   * Figures that fail review are held back from the writing phase.
+   */
+  async _reviewFigures() {
+    const reviewer = this.spawnClone('vision', 'Review generated figures',
+      new FigureReviewAgent(this.workspace.workspacePath));
+
+    this.figureReviews = await reviewer.reviewAll();
+    this._finishClone(reviewer, 'completed');
+
+    for (const review of this.figureReviews) {
+      if (this.artifactStore) {
+        const { filename, ...critique } = review;
+        await this.artifactStore.register({
+          name: filename,
+          type: 'figure',
+          path: path.join(this.workspace.workspacePath, 'figures', filename),
+          description: critique.caption || '',
+          generatedBy: 'modeler',
+          metadata: {
+            phase: 'modeling',
+            // Figures from a sub-question's clone live in figures/qN/
+            ...(filename.includes('/') && { area: filename.split('/')[0] }),
+            review: critique,
+            heldBack: !review.accepted,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+    }
+
+    const heldBack = this.figureReviews.filter(r => !r.accepted);
+    console.log(`✅ Reviewed ${this.figureReviews.length} figures, ${heldBack.length} held back from the paper\n`);
+    if (heldBack.length > 0) {
+      await this.parser.logProgress(`Figure review held back: ${heldBack.map(r => r.filename).join(', ')}`);
+    }
+  }
+
+  /**
+   * Figure reviews from this run, or from the artifact index when writing runs on its own
+   */
+  _getFigureReviews() {
+    if (this.figureReviews.length > 0) {
+      return this.figureReviews;
+    }
+
+    return (this.artifactStore?.getFigures() || [])
+      .filter(artifact => artifact.metadata?.review)
+      .map(artifact => ({
+        filename: artifact.name,
+        ...artifact.metadata.review,
+        accepted: !artifact.metadata.heldBack
+      }));
+  }
+
+  /**
+   * Render a prompt template and remember which version was used in this phase
+   */
+  _renderPrompt(id, variables = {}) {
+    const rendered = this.prompts.render(id, variables);
+    if (!this.promptsUsed.some(p => p.id === rendered.id)) {
+      this.promptsUsed.push({ id: rendered.id, version: rendered.version, source: rendered.source });
+    }
+    return rendered.text;
+  }
+
+  /**
+   * Prompt versions used so far in the current phase, for artifact metadata
+   */
+  _promptVersions() {
+    return this.promptsUsed.map(p => `${p.id}@${p.version}${p.source === 'workspace' ? ' (workspace)' : ''}`);
+  }
+
   /**
    * Get current phase
    */
@@ -899,26 +2148,51 @@ ${message}
   }
 
   /**
-   * Execute multiple clones in parallel
+   * Task queue state: lifecycle counts and the queued, running and recently finished clone tasks
    */
-  async executeParallel(tasks) {
-    console.log(`🚀 Executing ${tasks.length} tasks in parallel...`);
+  getQueueStatus() {
+    return this._getTaskQueue().getStatus();
+  }
 
-    const promises = tasks.map(async ({ mode, task, message }) => {
-      const clone = this.spawnClone(mode, task);
-      const result = await clone.sendMessage(message);
+  /**
+   * Execute clone tasks ({ mode, task, message }) through the task queue, at most
+   * execution.parallel_clones at once. One failed task does not discard the others: resolves with
+   * { mode, task, status: 'completed' | 'failed' | 'cancelled', result, error, attempts } per task.
+   */
+  async executeParallel(tasks) {
+    const queue = this._getTaskQueue();
+    console.log(`🚀 Executing ${tasks.length} tasks with up to ${queue.concurrency} clones at once...`);
 
-      // Mark clone as completed
-      const cloneEntry = this.clones.find(c => c.agent === clone);
-      if (cloneEntry) {
-        cloneEntry.status = 'completed';
+    const settled = await queue.run(tasks.map(({ mode, task, message }) => ({
+      label: `${mode}: ${task.substring(0, 50)}`,
+      fn: async ({ signal }) => {
+        const clone = this.spawnClone(mode, task, null, signal);
+        try {
+          const result = await clone.sendMessage(message);
+          this._finishClone(clone, 'completed');
+          return result;
+        } catch (error) {
+          this._finishClone(clone, 'failed');
+          throw error;
+        }
       }
-
-      return { mode, task, result };
-    });
-
-    const results = await Promise.all(promises);
-    console.log('✓ All parallel tasks completed\n');
+    })), { signal: this.signal });
+
+    const results = settled.map((outcome, index) => ({
+      mode: tasks[index].mode,
+      task: tasks[index].task,
+      status: outcome.status,
+      result: outcome.value,
+      error: outcome.error?.message || null,
+      attempts: outcome.attempts
+    }));
+
+    const failed = results.filter(r => r.status !== 'completed');
+    if (failed.length > 0) {
+      this._warn(`⚠️  ${failed.length} of ${tasks.length} parallel tasks failed: ${failed.map(r => `${r.mode} (${r.error})`).join('; ')}`);
+    } else {
+      console.log('✓ All parallel tasks completed\n');
+    }
 
     return results;
   }
@@ -1066,6 +2340,15 @@ ${modelData.sensitivityAnalysis}
         context += '\n\n';
       }
 
+      // Per-sub-question models, so each task in the problem is answered in the paper
+      const reportArtifact = artifacts.find(a => a.name === 'modeling-report.md');
+      if (reportArtifact) {
+        const content = await this.artifactStore.readArtifact('modeling-report.md');
+        context += '### Results by Sub-Question\n\n';
+        context += content.substring(0, 12000);
+        context += '\n\n';
+      }
+
       // Read experiment results
       const experimentArtifact = artifacts.find(a => a.name === 'experiment-results.txt');
       if (experimentArtifact) {
@@ -1094,19 +2377,32 @@ ${modelData.sensitivityAnalysis}
       }
 
       // List available figures
-      const fs = await import('fs/promises');
-      const path = await import('path');
       const figuresDir = path.join(this.workspace.workspacePath, 'figures');
 
       try {
-        const figureFiles = await fs.readdir(figuresDir);
-        const pngFiles = figureFiles.filter(f => f.endsWith('.png'));
+        await fs.access(figuresDir);
+        const pngFiles = await listFigureFiles(figuresDir);
+
+        // Reviewed figures carry a drafted caption; weak ones are left out of the paper
+        const reviews = new Map(this._getFigureReviews().map(r => [r.filename, r]));
+        const heldBack = pngFiles.filter(file => reviews.get(file)?.accepted === false);
+        const usable = pngFiles.filter(file => !heldBack.includes(file));
 
-        if (pngFiles.length > 0) {
+        if (usable.length > 0) {
           context += '### Available Figures\n\n';
-          context += `Found ${pngFiles.length} figures in figures/ directory:\n\n`;
-          pngFiles.forEach(file => {
-            context += `- ${file}\n`;
+          context += `Found ${usable.length} figures in figures/ directory:\n\n`;
+          usable.forEach(file => {
+            const caption = reviews.get(file)?.caption;
+            context += caption ? `- ${file}: ${caption}\n` : `- ${file}\n`;
+          });
+          context += '\n';
+        }
+
+        if (heldBack.length > 0) {
+          context += '### Figures Held Back\n\n';
+          context += 'These figures failed review and must NOT be included in the paper:\n\n';
+          heldBack.forEach(file => {
+            context += `- ${file}: ${(reviews.get(file).issues || []).join('; ')}\n`;
           });
           context += '\n';
         }
@@ -1118,7 +2414,7 @@ ${modelData.sensitivityAnalysis}
       context += 'USE THE ABOVE RESULTS AND FIGURES IN YOUR PAPER. Reference specific experiments, findings, and figures.\n\n';
 
     } catch (error) {
-      console.warn('⚠️  Could not gather modeling context:', error.message);
+      this._warn(`⚠️  Could not gather modeling context: ${error.message}`);
       context += 'Note: Could not load modeling artifacts. Proceed with available information.\n\n';
     }
 
@@ -1154,6 +2450,39 @@ ${modelData.sensitivityAnalysis}
     return null;
   }
 
+  /**
+   * Merge per-sub-question results into one modeling report, traceable back to the plan
+   */
+  _formatSubQuestionReport(results) {
+    const completed = results.filter(r => r.status === 'completed').length;
+
+    const sections = results.map(r => `## ${r.area.toUpperCase()} — ${r.question}
+
+**Plan sub-question**: ${r.id}
+**Approach**: ${r.approach}
+**Status**: ${r.status === 'completed' ? 'Completed' : `Failed (${r.error})`}
+**Model code**: ${r.modelPath || 'None extracted'}
+**Figures**: ${r.figures.length > 0 ? r.figures.join(', ') : 'None'}
+
+### Model and Results
+
+${r.message || 'No output.'}
+${r.output ? `\n### Execution Output\n\n\`\`\`\n${r.output.substring(0, 3000)}\n\`\`\`\n` : ''}`);
+
+    return `# AutoMCM Modeling Report by Sub-Question
+
+**Generated**: ${new Date().toISOString()}
+**Sub-questions**: ${results.length} (${completed} completed)
+
+| Area | Plan id | Status | Model | Figures |
+|------|---------|--------|-------|---------|
+${results.map(r => `| ${r.area} | ${r.id} | ${r.status} | ${r.modelPath || '—'} | ${r.figures.length} |`).join('\n')}
+
+---
+
+${sections.join('\n---\n\n')}`;
+  }
+
   /**
    * Format writing results as structured markdown document
    */
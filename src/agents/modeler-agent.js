@@ -7,11 +7,12 @@ import DimensionalValidator from '../validators/dimensional-validator.js';
  * Modeler Agent - Specialized for developing and implementing mathematical models
  */
 class ModelerAgent extends BaseAgent {
-  constructor(workspacePath) {
+  constructor(workspacePath, options = {}) {
     super('modeler');
     this.workspacePath = workspacePath;
-    this.sympy = new SymPyWrapper(workspacePath);
-    this.pythonExecutor = new PythonExecutor(workspacePath);
+    this.signal = options.signal || null;
+    this.sympy = new SymPyWrapper(workspacePath, { signal: this.signal });
+    this.pythonExecutor = new PythonExecutor(workspacePath, { signal: this.signal });
     this.dimensionalValidator = new DimensionalValidator();
   }
 
@@ -432,37 +433,77 @@ print("NOTE: For accurate results, integrate with your specific model implementa
   }
 
   /**
-   * Run comprehensive experiments on a model
+   * Run a generated script. When it fails and options.repair is set, the script and its error go
+   * to repair({ name, code, error, stderr, attempt }), which returns a patched script to run instead,
+   * up to options.maxRetries times. options.onAttempt is told about every run. Returns the result
+   * with the script that finally ran; throws the last failure when every attempt fails.
    */
-  async runComprehensiveExperiments(modelCode, variableRegistry) {
+  async executeWithRepair(name, code, options = {}) {
+    const { repair = null, onAttempt = null, maxRetries = 0 } = options;
+    let script = code;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const result = await this.pythonExecutor.executeCode(script);
+        await onAttempt?.({ name, attempt, code: script, success: true, result });
+        return { ...result, code: script, attempts: attempt };
+      } catch (error) {
+        this.signal?.throwIfAborted();
+        await onAttempt?.({ name, attempt, code: script, success: false, error });
+        if (!repair || attempt > maxRetries) {
+          throw error;
+        }
+
+        console.log(`🔧 ${name} failed (attempt ${attempt}/${maxRetries + 1}), asking the modeler to repair it...`);
+        const patched = await repair({
+          name,
+          code: script,
+          attempt,
+          error: error.error || error.message || String(error),
+          stderr: error.stderr || ''
+        });
+        if (!patched) {
+          throw error;
+        }
+        script = patched;
+      }
+    }
+  }
+
+  /**
+   * Run comprehensive experiments on a model. options (repair, onAttempt, maxRetries) let
+   * executeWithRepair patch a failing experiment script and run it again; options.experiments
+   * limits the suite to the named experiments.
+   */
+  async runComprehensiveExperiments(modelCode, variableRegistry, options = {}) {
     console.log('\n🔬 Running comprehensive experimental suite...\n');
 
     const experiments = [];
+    const run = async (name, code) => {
+      if (options.experiments && !options.experiments.includes(name)) {
+        console.log(`⏭️  Skipped (${name} not selected)`);
+        return;
+      }
+      const result = await this.executeWithRepair(name, code, options);
+      experiments.push({ name, result, code: result.code, attempts: result.attempts });
+    };
 
     try {
       // Experiment 1: Baseline case
       console.log('Experiment 1: Baseline case');
-      const baselineCode = this._generateBaselineExperiment(modelCode, variableRegistry);
-      const baseline = await this.pythonExecutor.executeCode(baselineCode);
-      experiments.push({ name: 'baseline', result: baseline, code: baselineCode });
+      await run('baseline', this._generateBaselineExperiment(modelCode, variableRegistry));
 
       // Experiment 2: Parameter sweep
       console.log('Experiment 2: Parameter sweep');
-      const sweepCode = this._generateParameterSweepExperiment(modelCode, variableRegistry);
-      const sweep = await this.pythonExecutor.executeCode(sweepCode);
-      experiments.push({ name: 'parameter_sweep', result: sweep, code: sweepCode });
+      await run('parameter_sweep', this._generateParameterSweepExperiment(modelCode, variableRegistry));
 
       // Experiment 3: Scenario comparison
       console.log('Experiment 3: Scenario comparison');
-      const comparisonCode = this._generateScenarioComparison(modelCode, variableRegistry);
-      const comparison = await this.pythonExecutor.executeCode(comparisonCode);
-      experiments.push({ name: 'scenario_comparison', result: comparison, code: comparisonCode });
+      await run('scenario_comparison', this._generateScenarioComparison(modelCode, variableRegistry));
 
       // Experiment 4: Edge cases
       console.log('Experiment 4: Edge case testing');
-      const edgeCaseCode = this._generateEdgeCaseExperiment(modelCode, variableRegistry);
-      const edgeCase = await this.pythonExecutor.executeCode(edgeCaseCode);
-      experiments.push({ name: 'edge_cases', result: edgeCase, code: edgeCaseCode });
+      await run('edge_cases', this._generateEdgeCaseExperiment(modelCode, variableRegistry));
 
       console.log('✅ All experiments completed\n');
 
@@ -472,6 +513,7 @@ print("NOTE: For accurate results, integrate with your specific model implementa
         summary: this._summarizeExperiments(experiments)
       };
     } catch (error) {
+      this.signal?.throwIfAborted();
       const errorMsg = error.message || error.error || error.stderr || String(error);
       console.error('❌ Experiment suite failed:', errorMsg);
       if (error.stderr) console.error('STDERR:', error.stderr);
@@ -841,9 +883,9 @@ print(f"Final: {solution[-1]}")
   }
 
   /**
-   * Generate comprehensive visualization suite
+   * Generate comprehensive visualization suite. options are passed to executeWithRepair.
    */
-  async generateComprehensiveVisualizations(modelCode, variableRegistry) {
+  async generateComprehensiveVisualizations(modelCode, variableRegistry, options = {}) {
     console.log('\n📊 Generating comprehensive visualization suite...\n');
 
     const cleanedCode = this._extractFunctionDefinitions(modelCode);
@@ -999,14 +1041,15 @@ print("  6. multi_scenario_comparison.png - Multi-panel comparison")
 `;
 
     try {
-      const result = await this.pythonExecutor.executeCode(vizCode);
+      const result = await this.executeWithRepair('visualizations', vizCode, options);
       if (result.success) {
         console.log('✅ Comprehensive visualizations generated\n');
         console.log(result.stdout);
         return {
           success: true,
           output: result.stdout,
-          code: vizCode
+          code: result.code,
+          attempts: result.attempts
         };
       } else {
         console.log('⚠️  Some visualizations may have failed\n');
@@ -1018,6 +1061,7 @@ print("  6. multi_scenario_comparison.png - Multi-panel comparison")
         };
       }
     } catch (error) {
+      this.signal?.throwIfAborted();
       const errorMsg = error.message || error.error || error.stderr || String(error);
       console.error('❌ Visualization generation failed:', errorMsg);
       if (error.stderr) console.error('STDERR:', error.stderr);
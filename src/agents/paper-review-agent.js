@@ -0,0 +1,141 @@
+import BaseAgent from './base-agent.js';
+import config from '../core/config.js';
+
+// Criteria the reviewer scores from 1 to 10; review.rubric sets their weights
+export const REVIEW_CRITERIA = [
+  'summary',
+  'assumptions',
+  'model_justification',
+  'sensitivity_analysis',
+  'strengths_weaknesses',
+  'clarity'
+];
+
+const SCORE = { type: 'integer', enum: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10] };
+
+const PAPER_REVIEW_SCHEMA = {
+  type: 'object',
+  required: ['scores', 'comments', 'strengths', 'weaknesses', 'revisionRequests', 'verdict'],
+  properties: {
+    scores: {
+      type: 'object',
+      required: REVIEW_CRITERIA,
+      properties: Object.fromEntries(REVIEW_CRITERIA.map(criterion => [criterion, SCORE]))
+    },
+    comments: {
+      type: 'object',
+      required: REVIEW_CRITERIA,
+      properties: Object.fromEntries(REVIEW_CRITERIA.map(criterion => [criterion, { type: 'string' }]))
+    },
+    strengths: { type: 'array', items: { type: 'string' } },
+    weaknesses: { type: 'array', items: { type: 'string' } },
+    revisionRequests: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['section', 'issue', 'request', 'priority'],
+        properties: {
+          section: { type: 'string', description: 'Section of the paper, e.g. "Summary Sheet" or "4.2 Assumptions"' },
+          issue: { type: 'string' },
+          request: { type: 'string', description: 'The concrete change the writer should make' },
+          priority: { type: 'string', enum: ['high', 'medium', 'low'] }
+        }
+      }
+    },
+    verdict: { type: 'string', description: 'Likely award level and why, in two or three sentences' }
+  }
+};
+
+const PRIORITY_ORDER = { high: 0, medium: 1, low: 2 };
+
+/**
+ * Paper Review Agent - Reads the paper like a COMAP judge: scores the summary, assumptions,
+ * model justification, sensitivity analysis, strengths/weaknesses section and clarity, and
+ * writes concrete revision requests for the writer. Route it with llm.task_overrides.reviewer.
+ */
+class PaperReviewAgent extends BaseAgent {
+  constructor() {
+    super('reviewer');
+    // Weights come from review.rubric; without it every criterion counts the same
+    this.weights = config.get('review.rubric') || Object.fromEntries(REVIEW_CRITERIA.map(criterion => [criterion, 1]));
+  }
+
+  /**
+   * Review the paper text (the compiled PDF's text, or the LaTeX source). The previous round's
+   * review, if any, lets the reviewer check which requests were addressed. Returns the scores,
+   * weighted score (0-10), comments, strengths, weaknesses, verdict and revision requests
+   * (most urgent first).
+   */
+  async review(paper, { round = 1, source = 'LaTeX source', pages = null, previous = null } = {}) {
+    const prompt = this.prompts.render('review/paper', {
+      round,
+      source,
+      pages,
+      previousRequests: previous ? this.formatRequests(previous.revisionRequests) : '',
+      paper
+    });
+    const result = await this.sendStructured(prompt.text, PAPER_REVIEW_SCHEMA, { schemaName: 'paper_review' });
+    const review = result.data;
+
+    return {
+      round,
+      ...review,
+      revisionRequests: [...review.revisionRequests]
+        .sort((a, b) => PRIORITY_ORDER[a.priority] - PRIORITY_ORDER[b.priority]),
+      score: this.weightedScore(review.scores),
+      reviewPrompt: `${prompt.id}@${prompt.version}`
+    };
+  }
+
+  /**
+   * Weighted mean of the criterion scores, on the same 1-10 scale
+   */
+  weightedScore(scores) {
+    const totalWeight = REVIEW_CRITERIA.reduce((sum, criterion) => sum + (this.weights[criterion] || 0), 0);
+    const weighted = REVIEW_CRITERIA.reduce((sum, criterion) => sum + (this.weights[criterion] || 0) * scores[criterion], 0);
+    return totalWeight > 0 ? Math.round((weighted / totalWeight) * 100) / 100 : 0;
+  }
+
+  /**
+   * Revision requests as a numbered markdown list
+   */
+  formatRequests(requests) {
+    return requests
+      .map((r, index) => `${index + 1}. **[${r.priority}] ${r.section}**: ${r.issue}\n   → ${r.request}`)
+      .join('\n');
+  }
+
+  /**
+   * One round's review as markdown
+   */
+  formatReview(review) {
+    const weights = REVIEW_CRITERIA.map(criterion => `${criterion} ${this.weights[criterion] || 0}`).join(', ');
+    const rows = REVIEW_CRITERIA.map(criterion =>
+      `| ${criterion} | ${review.scores[criterion]} | ${review.comments[criterion].replace(/\|/g, '\\|').replace(/\n+/g, ' ')} |`);
+
+    return `# Paper Review: Round ${review.round}
+
+**Score**: ${review.score.toFixed(2)} / 10 (weighted mean: ${weights})
+
+${review.verdict}
+
+| Criterion | Score | Comment |
+| --- | --- | --- |
+${rows.join('\n')}
+
+## Strengths
+
+${review.strengths.map(s => `- ${s}`).join('\n') || '_None noted_'}
+
+## Weaknesses
+
+${review.weaknesses.map(w => `- ${w}`).join('\n') || '_None noted_'}
+
+## Revision Requests
+
+${this.formatRequests(review.revisionRequests) || '_None: the paper is ready to submit._'}
+`;
+  }
+}
+
+export default PaperReviewAgent;
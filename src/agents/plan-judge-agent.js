@@ -0,0 +1,126 @@
+import BaseAgent from './base-agent.js';
+import config from '../core/config.js';
+
+// Criteria the judge scores from 1 to 10; planning.candidates.rubric sets their weights
+export const RUBRIC_CRITERIA = ['feasibility', 'data_availability', 'novelty', 'deliverable_fit'];
+
+const SCORE = { type: 'integer', enum: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10] };
+
+const PLAN_JUDGMENT_SCHEMA = {
+  type: 'object',
+  required: ['evaluations'],
+  properties: {
+    evaluations: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['candidate', 'scores', 'strengths', 'weaknesses', 'rationale'],
+        properties: {
+          candidate: { type: 'string', description: 'Candidate id, e.g. "C1"' },
+          scores: {
+            type: 'object',
+            required: RUBRIC_CRITERIA,
+            properties: Object.fromEntries(RUBRIC_CRITERIA.map(criterion => [criterion, SCORE]))
+          },
+          strengths: { type: 'array', items: { type: 'string' } },
+          weaknesses: { type: 'array', items: { type: 'string' } },
+          rationale: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Plan Judge Agent - Scores candidate modeling plans against the contest rubric
+ * (feasibility within 96 hours, data availability, novelty, fit to deliverables) and ranks them.
+ * Route it to a different model with llm.task_overrides.judge.
+ */
+class PlanJudgeAgent extends BaseAgent {
+  constructor() {
+    super('judge');
+    // Weights come from planning.candidates.rubric; without it every criterion counts the same
+    this.weights = config.get('planning.candidates.rubric') || Object.fromEntries(RUBRIC_CRITERIA.map(criterion => [criterion, 1]));
+  }
+
+  /**
+   * Score candidates ([{ id, planText, ... }]) and return them best first, each with
+   * rank, per-criterion scores, weighted score (0-10), strengths, weaknesses and rationale
+   */
+  async rank(candidates) {
+    const prompt = this.prompts.render('review/plan-judge', {
+      count: candidates.length,
+      candidates: candidates.map(c => `## Candidate ${c.id}\n\n${c.planText}`).join('\n\n---\n\n')
+    });
+    const result = await this.sendStructured(prompt.text, PLAN_JUDGMENT_SCHEMA, { schemaName: 'plan_judgment' });
+
+    const ranked = candidates.map(candidate => {
+      const evaluation = result.data.evaluations.find(e => e.candidate.trim().toUpperCase() === candidate.id);
+      if (!evaluation) {
+        console.warn(`⚠️  Judge did not score candidate ${candidate.id}; ranking it last`);
+      }
+
+      return {
+        ...candidate,
+        scores: evaluation?.scores || null,
+        score: evaluation ? this.weightedScore(evaluation.scores) : 0,
+        strengths: evaluation?.strengths || [],
+        weaknesses: evaluation?.weaknesses || [],
+        rationale: evaluation?.rationale || 'Not scored by the judge'
+      };
+    }).sort((a, b) => b.score - a.score);
+
+    return ranked.map((candidate, index) => ({
+      ...candidate,
+      rank: index + 1,
+      judgePrompt: `${prompt.id}@${prompt.version}`
+    }));
+  }
+
+  /**
+   * Weighted mean of the criterion scores, on the same 1-10 scale
+   */
+  weightedScore(scores) {
+    const totalWeight = RUBRIC_CRITERIA.reduce((sum, criterion) => sum + (this.weights[criterion] || 0), 0);
+    const weighted = RUBRIC_CRITERIA.reduce((sum, criterion) => sum + (this.weights[criterion] || 0) * scores[criterion], 0);
+    return totalWeight > 0 ? Math.round((weighted / totalWeight) * 100) / 100 : 0;
+  }
+
+  /**
+   * Ranked comparison of the candidates as markdown
+   */
+  formatComparison(ranked, selectedId = null) {
+    const header = ['Rank', 'Candidate', 'Model type', ...RUBRIC_CRITERIA, 'Score'];
+    const rows = ranked.map(c => [
+      c.rank,
+      `${c.id}${c.id === selectedId ? ' ✓' : ''}`,
+      c.structuredPlan?.modelType || '_free text_',
+      ...RUBRIC_CRITERIA.map(criterion => c.scores?.[criterion] ?? '–'),
+      c.score.toFixed(2)
+    ]);
+    const weights = RUBRIC_CRITERIA.map(criterion => `${criterion} ${this.weights[criterion] || 0}`).join(', ');
+
+    const details = ranked.map(c => `## ${c.rank}. Candidate ${c.id}: ${c.structuredPlan?.modelType || 'free-text plan'}
+
+- **Drafted by**: ${c.provider}${c.focus ? `, focused on ${c.focus}` : ''}
+- **Score**: ${c.score.toFixed(2)} / 10
+- **Strengths**: ${c.strengths.join('; ') || '_None noted_'}
+- **Weaknesses**: ${c.weaknesses.join('; ') || '_None noted_'}
+
+${c.rationale}
+${c.structuredPlan?.summary ? `\n> ${c.structuredPlan.summary}\n` : ''}`).join('\n');
+
+    return `# Candidate Plan Comparison
+
+${ranked.length} candidate approaches scored from 1 to 10 by the judge. Score is the weighted mean (${weights}).${selectedId ? ` Selected: **${selectedId}**.` : ''}
+
+| ${header.join(' | ')} |
+| ${header.map(() => '---').join(' | ')} |
+${rows.map(row => `| ${row.join(' | ')} |`).join('\n')}
+
+${details}`;
+  }
+}
+
+export default PlanJudgeAgent;
@@ -1,5 +1,6 @@
 import BaseAgent from './base-agent.js';
 import LatexCompiler from '../tools/latex-compiler.js';
+import { listFigureFiles } from '../utils/figure-files.js';
 import fs from 'fs/promises';
 import path from 'path';
 
@@ -58,19 +59,21 @@ class WriterAgent extends BaseAgent {
   }
 
   /**
-   * Scan figures directory and get all available figures
+   * Scan figures directory and get all available figures.
+   * Figures held back by figure review are skipped and reviewed captions are used when present.
    */
   async scanFiguresDirectory() {
     try {
       const figuresPath = path.join(this.workspacePath, 'figures');
-      const files = await fs.readdir(figuresPath);
+      const files = await listFigureFiles(figuresPath, ['.png', '.jpg', '.pdf']);
+      const reviews = await this._loadFigureReviews();
       const figures = files
-        .filter(f => f.endsWith('.png') || f.endsWith('.jpg') || f.endsWith('.pdf'))
+        .filter(f => !reviews.get(f)?.heldBack)
         .map((f, idx) => ({
           filename: f,
           path: `figures/${f}`,
-          label: f.replace(/\.(png|jpg|pdf)$/, '').replace(/[_-]/g, '_'),
-          caption: this._generateFigureCaption(f),
+          label: f.replace(/\.(png|jpg|pdf)$/, '').replace(/[_\-/]/g, '_'),
+          caption: reviews.get(f)?.review?.caption || this._generateFigureCaption(f),
           number: idx + 1
         }));
       return figures;
@@ -80,11 +83,25 @@ class WriterAgent extends BaseAgent {
     }
   }
 
+  /**
+   * Figure review metadata from the artifact index, keyed by filename
+   */
+  async _loadFigureReviews() {
+    try {
+      const index = JSON.parse(await fs.readFile(path.join(this.workspacePath, 'artifacts', 'index.json'), 'utf8'));
+      return new Map(index
+        .filter(a => a.type === 'figure' && a.metadata?.review)
+        .map(a => [a.name, a.metadata]));
+    } catch {
+      return new Map();
+    }
+  }
+
   /**
    * Generate descriptive caption from filename
    */
   _generateFigureCaption(filename) {
-    const name = filename.replace(/\.(png|jpg|pdf)$/, '');
+    const name = path.basename(filename).replace(/\.(png|jpg|pdf)$/, '');
     const words = name.split(/[_-]/).map(w => w.charAt(0).toUpperCase() + w.slice(1));
     return words.join(' ');
   }
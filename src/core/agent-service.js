@@ -1,9 +1,20 @@
 import MasterAgent from '../agents/master-agent.js';
+import config from './config.js';
+import { renderPlan } from './plan-schema.js';
+import { BudgetExceededError } from './usage-ledger.js';
+import { CassetteMissError } from './llm-cassette.js';
+import { RunCancelledError } from './cancellation.js';
+import EventBus from './event-bus.js';
+import { formatDuration } from './contest-clock.js';
+import { PhaseTimeoutError } from './phase-scheduler.js';
 import { EventEmitter } from 'events';
+import os from 'os';
 
 /**
  * Agent Service - Bridge between frontend and backend agents
- * Provides event-based interface for executing agents and streaming logs
+ * Provides event-based interface for executing agents. Typed run events (steps, LLM and tool
+ * calls, artifacts, warnings, errors) from the EventBus are re-emitted as 'run-event'; 'log'
+ * carries status lines for the UI.
  */
 class AgentService extends EventEmitter {
   constructor() {
@@ -11,6 +22,10 @@ class AgentService extends EventEmitter {
     this.masterAgent = null;
     this.isRunning = false;
     this.currentPhase = 'idle';
+    this.abortController = null; // Aborted by stop() to cancel the running phase
+    this.pendingApproval = null; // Plan waiting at the approval checkpoint before modeling
+    this.events = new EventBus(); // Shared with the master agent and its clones
+    this.events.on('event', (event) => this.emit('run-event', event));
   }
 
   /**
@@ -21,10 +36,7 @@ class AgentService extends EventEmitter {
       this.emit('log', { type: 'info', message: '🚀 Initializing workspace...' });
 
       // Create master agent with event emitter passthrough
-      this.masterAgent = new MasterAgent(this);
-
-      // Capture console logs and emit them
-      this._interceptLogs();
+      this.masterAgent = new MasterAgent(this, { events: this.events });
 
       const result = await this.masterAgent.initializeWorkspace(workspacePath, problemData);
 
@@ -34,16 +46,35 @@ class AgentService extends EventEmitter {
 
       return result;
     } catch (error) {
-      this.emit('log', { type: 'error', message: `❌ Initialization failed: ${error.message}` });
+      this._report('error', `❌ Initialization failed: ${error.message}`);
       this.emit('error', error);
       throw error;
     }
   }
 
   /**
-   * Execute planning phase with retry logic
+   * Open an existing workspace (keeps AUTOMCM.md and picks up its checkpoint)
    */
-  async executePlanningPhase(problemStatement, retries = 2) {
+  async loadWorkspace(workspacePath) {
+    try {
+      this.masterAgent = new MasterAgent(this, { events: this.events });
+
+      const result = await this.masterAgent.loadWorkspace(workspacePath);
+      this.emit('log', { type: 'success', message: '✅ Workspace loaded' });
+
+      return result;
+    } catch (error) {
+      this._report('error', `❌ Loading workspace failed: ${error.message}`);
+      this.emit('error', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Execute planning phase with retry logic. Retries resume from the last checkpointed step.
+   * options.candidates overrides planning.candidates.count.
+   */
+  async executePlanningPhase(problemStatement, retries = 2, options = {}) {
     console.log('\n🎯 AgentService: executePlanningPhase called');
     console.log(`   Problem length: ${problemStatement.length} chars`);
     console.log(`   Retries allowed: ${retries}`);
@@ -63,16 +94,27 @@ class AgentService extends EventEmitter {
 
         if (attempt > 0) {
           console.log(`\n🔄 Retry attempt ${attempt}/${retries}`);
-          this.emit('log', { type: 'warning', message: `🔄 Retry attempt ${attempt}/${retries}...` });
+          this._report('warning', `🔄 Retry attempt ${attempt}/${retries}...`);
         } else {
           console.log('\n📊 Starting planning phase (attempt 1)');
           this.emit('log', { type: 'info', message: '📊 Starting planning phase...' });
         }
 
-        console.log(`⏱️  Executing with 5-minute timeout...`);
+        this._checkBudget();
+
+        // Planning is time-boxed from the contest clock; later phases degrade instead of stopping
+        const timeLimit = this.masterAgent.scheduler.planningTimeLimitMs();
+        if (timeLimit != null) {
+          console.log(`⏱️  Executing with a ${formatDuration(timeLimit)} time limit...`);
+        }
         const result = await this._executeWithTimeout(
-          () => this.masterAgent.executePlanningPhase(problemStatement),
-          300000 // 5 minute timeout
+          (signal) => this.masterAgent.executePlanningPhase(problemStatement, {
+            signal,
+            resume: options.resume || attempt > 0,
+            candidates: options.candidates
+          }),
+          timeLimit,
+          'planning'
         );
 
         console.log('✅ Planning phase successful!');
@@ -83,20 +125,35 @@ class AgentService extends EventEmitter {
       } catch (error) {
         attempt++;
 
+        // Retrying cannot help once the run is over budget or the user stopped it
+        if (await this._handleBudgetExceeded(error) || await this._handleCancelled(error)) {
+          throw error;
+        }
+
         console.error(`\n❌ Planning attempt ${attempt} failed:`);
         console.error(`   Error type: ${error.constructor.name}`);
         console.error(`   Error message: ${error.message}`);
         console.error(`   Stack trace:`, error.stack);
 
-        if (attempt > retries) {
+        // The time box covers all attempts, so a timed-out plan is not retried
+        if (error instanceof PhaseTimeoutError) {
+          attempt = retries + 1;
+          this._report('error', `❌ Planning stopped: ${error.message}`);
+          this.emit('error', error);
+          throw error;
+        }
+
+        // A replayed run is deterministic, so a missing prompt will miss again
+        if (attempt > retries || error instanceof CassetteMissError) {
+          attempt = retries + 1;
           console.error(`\n💥 All ${retries + 1} attempts exhausted, giving up`);
-          this.emit('log', { type: 'error', message: `❌ Planning failed after ${retries} retries: ${error.message}` });
+          this._report('error', `❌ Planning failed after ${retries} retries: ${error.message}`);
           this.emit('error', error);
           throw error;
         }
 
         console.log(`⏳ Waiting 2 seconds before retry...`);
-        this.emit('log', { type: 'warning', message: `⚠️ Planning attempt failed: ${error.message}` });
+        this._report('warning', `⚠️ Planning attempt failed: ${error.message}`);
         await this._delay(2000); // Wait 2 seconds before retry
       } finally {
         if (attempt > retries) {
@@ -109,27 +166,31 @@ class AgentService extends EventEmitter {
   /**
    * Execute modeling phase
    */
-  async executeModelingPhase(plan) {
+  async executeModelingPhase(plan, options = {}) {
     if (!this.masterAgent) {
       throw new Error('Workspace not initialized');
     }
 
     console.log('\n🔬 AgentService: executeModelingPhase called');
     console.log(`   Plan type: ${typeof plan}`);
-    console.log(`   Plan length: ${plan?.length || 0} chars`);
-    console.log(`   Plan preview: ${plan ? plan.substring(0, 100) : 'null'}...`);
 
-    if (!plan || plan === 'null' || plan.length === 0) {
+    // Structured plans arrive as objects and are validated by the master agent
+    if (!plan || plan === 'null' || (typeof plan === 'string' && plan.length === 0)) {
       throw new Error('No plan provided. Please complete planning phase first.');
     }
 
     try {
       this.isRunning = true;
+      this._checkBudget();
+      plan = await this._awaitPlanApproval(plan);
+
       this.currentPhase = 'modeling';
       this.emit('phase-change', 'modeling');
       this.emit('log', { type: 'info', message: '🔬 Starting modeling phase...' });
 
-      const result = await this.masterAgent.executeModelingPhase(plan);
+      const result = await this._runAbortable(
+        (signal) => this.masterAgent.executeModelingPhase(plan, { signal, resume: options.resume })
+      );
 
       this.emit('log', { type: 'success', message: '✅ Modeling phase complete' });
       this.emit('modeling-complete', result);
@@ -139,7 +200,10 @@ class AgentService extends EventEmitter {
 
       return result;
     } catch (error) {
-      this.emit('log', { type: 'error', message: `❌ Modeling failed: ${error.message}` });
+      if (await this._handleBudgetExceeded(error) || await this._handleCancelled(error)) {
+        throw error;
+      }
+      this._report('error', `❌ Modeling failed: ${error.message}`);
       this.emit('error', error);
       throw error;
     } finally {
@@ -147,10 +211,81 @@ class AgentService extends EventEmitter {
     }
   }
 
+  /**
+   * Approve the plan waiting at the approval checkpoint, optionally as edited by the reviewer.
+   * With several candidate plans, `candidate` ("C2") picks one of them. Modeling starts with
+   * the approved plan.
+   */
+  async approvePlan(plan = null, { approver = null, candidate = null } = {}) {
+    const pending = this._getPendingApproval();
+
+    const chosen = candidate ? pending.candidates.find(c => c.id === candidate) : null;
+    if (candidate && !chosen) {
+      throw new Error(`Unknown candidate plan ${candidate} (have ${pending.candidates.map(c => c.id).join(', ') || 'none'})`);
+    }
+
+    const approvedPlan = plan ?? (chosen
+      ? chosen.structuredPlan ?? chosen.planText
+      : pending.structuredPlan ?? pending.planText);
+    const approval = await this.masterAgent.approvePlan(approvedPlan, {
+      approver: approver || os.userInfo().username,
+      candidate
+    });
+
+    this.emit('log', { type: 'success', message: `✅ Plan v${approval.revision}${candidate ? ` (candidate ${candidate})` : ''} approved by ${approval.approver}` });
+    this.emit('plan-approved', {
+      approver: approval.approver,
+      revision: approval.revision,
+      candidate,
+      approvedAt: approval.approvedAt
+    });
+    pending.resolve(approvedPlan);
+    return approval;
+  }
+
+  /**
+   * Send free-text feedback on the plan waiting for approval. The plan is revised (starting from
+   * the reviewer's edits when given), the new version and its diff are emitted as plan-revised,
+   * and the workflow keeps waiting for approval.
+   */
+  async submitPlanFeedback(feedback, editedPlan = null) {
+    const pending = this._getPendingApproval();
+
+    pending.revising = true;
+    try {
+      this.emit('log', { type: 'info', message: '📝 Re-planning from feedback...' });
+      const revised = await this.masterAgent.revisePlan(
+        editedPlan ?? pending.structuredPlan ?? pending.planText,
+        feedback,
+        { signal: pending.signal }
+      );
+
+      Object.assign(pending, {
+        structuredPlan: revised.structuredPlan,
+        planText: revised.planText,
+        revision: revised.revision
+      });
+
+      const event = { ...this._approvalState(pending), feedback, diff: revised.diff };
+      this.emit('plan-revised', event);
+      return event;
+    } catch (error) {
+      // Budget and cancellation end the wait; other failures leave the current version up for review
+      if (error instanceof BudgetExceededError || error instanceof RunCancelledError) {
+        pending.reject(error);
+      } else {
+        this._report('error', `❌ Re-planning failed: ${error.message}`);
+      }
+      throw error;
+    } finally {
+      pending.revising = false;
+    }
+  }
+
   /**
    * Execute writing phase
    */
-  async executeWritingPhase() {
+  async executeWritingPhase(options = {}) {
     if (!this.masterAgent) {
       throw new Error('Workspace not initialized');
     }
@@ -160,15 +295,21 @@ class AgentService extends EventEmitter {
       this.currentPhase = 'writing';
       this.emit('phase-change', 'writing');
       this.emit('log', { type: 'info', message: '✍️ Starting writing phase...' });
+      this._checkBudget();
 
-      const result = await this.masterAgent.executeWritingPhase();
+      const result = await this._runAbortable(
+        (signal) => this.masterAgent.executeWritingPhase({ signal, resume: options.resume })
+      );
 
       this.emit('log', { type: 'success', message: '✅ Writing phase complete' });
       this.emit('writing-complete', result);
 
       return result;
     } catch (error) {
-      this.emit('log', { type: 'error', message: `❌ Writing failed: ${error.message}` });
+      if (await this._handleBudgetExceeded(error) || await this._handleCancelled(error)) {
+        throw error;
+      }
+      this._report('error', `❌ Writing failed: ${error.message}`);
       this.emit('error', error);
       throw error;
     } finally {
@@ -192,7 +333,7 @@ class AgentService extends EventEmitter {
       const planResult = await this.executePlanningPhase(problemStatement);
 
       // Phase 3: Modeling
-      const modelResult = await this.executeModelingPhase(planResult.plan);
+      const modelResult = await this.executeModelingPhase(planResult.structuredPlan || planResult.plan);
 
       // Phase 4: Writing
       const writeResult = await this.executeWritingPhase();
@@ -206,12 +347,92 @@ class AgentService extends EventEmitter {
 
       return { plan: planResult, model: modelResult, paper: writeResult };
     } catch (error) {
-      this.emit('log', { type: 'error', message: `❌ Workflow failed: ${error.message}` });
-      this.emit('error', error);
+      if (!(error instanceof BudgetExceededError) && !(error instanceof RunCancelledError)) {
+        this._report('error', `❌ Workflow failed: ${error.message}`);
+        this.emit('error', error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Resume an interrupted workflow from its checkpoint: completed phases are skipped and
+   * the interrupted phase continues after its last completed step
+   */
+  async resumeWorkflow(workspacePath) {
+    try {
+      await this.loadWorkspace(workspacePath);
+
+      const checkpoints = this.masterAgent.checkpoints;
+      if (!checkpoints.exists()) {
+        throw new Error('No checkpoint to resume in this workspace. Start a new run instead.');
+      }
+
+      const resumePhase = checkpoints.getResumePhase();
+      if (!resumePhase) {
+        this.emit('log', { type: 'info', message: 'ℹ️ This workflow already finished; nothing to resume' });
+        return null;
+      }
+      this.emit('log', { type: 'info', message: `⟲ Resuming workflow from the ${resumePhase} phase...` });
+
+      const phases = ['planning', 'modeling', 'writing'];
+      const from = phases.indexOf(resumePhase);
+      const resume = { resume: true };
+
+      let planResult = checkpoints.getPhase('planning')?.result;
+      if (from <= 0) {
+        const problemStatement = checkpoints.getPhase('planning').input.problemStatement;
+        planResult = await this.executePlanningPhase(problemStatement, 2, resume);
+      }
+
+      let modelResult = checkpoints.getPhase('modeling')?.result;
+      if (from <= 1) {
+        const plan = planResult?.structuredPlan || planResult?.plan ||
+          checkpoints.getPhase('modeling')?.input?.approvedPlan;
+        modelResult = await this.executeModelingPhase(plan, resume);
+      }
+
+      const writeResult = await this.executeWritingPhase(resume);
+
+      this.emit('log', { type: 'success', message: '🎉 Resumed workflow finished!' });
+      this.emit('workflow-complete', {
+        plan: planResult,
+        model: modelResult,
+        paper: writeResult
+      });
+
+      return { plan: planResult, model: modelResult, paper: writeResult };
+    } catch (error) {
+      if (!(error instanceof BudgetExceededError) && !(error instanceof RunCancelledError)) {
+        this._report('error', `❌ Resume failed: ${error.message}`);
+        this.emit('error', error);
+      }
       throw error;
     }
   }
 
+  /**
+   * Set the contest start, submission deadline and time zone ({ startedAt, deadline, timeZone })
+   */
+  async setContestClock(options) {
+    if (!this.masterAgent) {
+      throw new Error('Workspace not initialized');
+    }
+    const status = await this.masterAgent.setContestClock(options);
+    this.emit('log', { type: 'info', message: `⏳ Submission deadline: ${status.deadlineLocal}` });
+    return status;
+  }
+
+  /**
+   * Get token usage and cost for the current run, grouped by phase, model and agent mode
+   */
+  async getUsageSummary() {
+    if (!this.masterAgent || !this.masterAgent.usageLedger) {
+      return null;
+    }
+    return await this.masterAgent.usageLedger.getSummary();
+  }
+
   /**
    * Get current artifacts
    */
@@ -223,11 +444,18 @@ class AgentService extends EventEmitter {
   }
 
   /**
-   * Stop current execution
+   * Stop current execution: aborts in-flight LLM requests and kills Python/LaTeX processes.
+   * The running phase rejects with RunCancelledError and its state is saved for resuming.
    */
   stop() {
-    this.isRunning = false;
-    this.emit('log', { type: 'warning', message: '⚠️ Stopping execution...' });
+    if (!this.isRunning || !this.abortController || this.abortController.signal.aborted) {
+      this.emit('log', { type: 'info', message: 'Nothing is running' });
+      return false;
+    }
+
+    this._report('warning', '⚠️ Stopping execution...');
+    this.abortController.abort(new RunCancelledError());
+    return true;
   }
 
   /**
@@ -237,47 +465,165 @@ class AgentService extends EventEmitter {
     return {
       isRunning: this.isRunning,
       phase: this.currentPhase,
-      hasWorkspace: !!this.masterAgent
+      hasWorkspace: !!this.masterAgent,
+      awaitingApproval: this.pendingApproval ? this._approvalState() : null,
+      contest: this.masterAgent ? this.masterAgent.getContestStatus() : null,
+      queue: this.masterAgent ? this.masterAgent.getQueueStatus() : null,
+      context: this.masterAgent ? this.masterAgent.getContextReport() : null
     };
   }
 
   /**
-   * Intercept console logs and emit them as events
+   * Approval checkpoint between planning and modeling (planning.enable_approval_checkpoint, or
+   * planning.candidates.auto_select: false with several candidate plans). Emits approval-required
+   * and waits for approvePlan(); each submitPlanFeedback() re-plans in the meantime. Resolves with
+   * the approved, possibly edited, plan. Stop ends the wait.
    */
-  _interceptLogs() {
-    const originalLog = console.log;
-    const originalError = console.error;
-    const originalWarn = console.warn;
-
-    console.log = (...args) => {
-      const message = args.join(' ');
-      this.emit('log', { type: 'info', message });
-      originalLog.apply(console, args);
-    };
+  async _awaitPlanApproval(plan) {
+    if (!this.planApprovalRequired()) {
+      return plan;
+    }
 
-    console.error = (...args) => {
-      const message = args.join(' ');
-      this.emit('log', { type: 'error', message });
-      originalError.apply(console, args);
-    };
+    const approval = this.masterAgent.getPlanApproval();
+    if (approval) {
+      return approval.plan;
+    }
+    if (this.masterAgent.isPlanApproved()) {
+      return plan;
+    }
 
-    console.warn = (...args) => {
-      const message = args.join(' ');
-      this.emit('log', { type: 'warning', message });
-      originalWarn.apply(console, args);
+    // A revision made before the run was interrupted supersedes the original plan
+    const pending = this.masterAgent.getPendingPlan();
+    const current = pending?.revision > 1 ? pending : {
+      structuredPlan: typeof plan === 'object' ? plan : null,
+      planText: typeof plan === 'object' ? renderPlan(plan) : plan,
+      revision: pending?.revision || 1
     };
+
+    console.log('\n⏸️  Waiting for plan approval before modeling...');
+    try {
+      return await this._runAbortable((signal) => new Promise((resolve, reject) => {
+        this.pendingApproval = {
+          structuredPlan: current.structuredPlan,
+          planText: current.planText,
+          revision: current.revision,
+          candidates: this.masterAgent.getPlanCandidates(),
+          revising: false,
+          signal,
+          resolve,
+          reject
+        };
+        this.emit('approval-required', this._approvalState());
+      }));
+    } finally {
+      this.pendingApproval = null;
+    }
+  }
+
+  /**
+   * Whether modeling waits for plan approval. Choosing between candidate plans by hand needs
+   * the checkpoint even when planning.enable_approval_checkpoint is off.
+   */
+  planApprovalRequired() {
+    const candidates = this.masterAgent?.getPlanCandidates() || [];
+    const chooseCandidate = candidates.length > 1 && config.get('planning.candidates.auto_select') === false;
+    return config.get('planning.enable_approval_checkpoint') !== false || chooseCandidate;
+  }
+
+  _getPendingApproval() {
+    if (!this.pendingApproval) {
+      throw new Error('No plan is waiting for approval');
+    }
+    if (this.pendingApproval.revising) {
+      throw new Error('The plan is being revised; wait for the new version');
+    }
+    return this.pendingApproval;
+  }
+
+  _approvalState(pending = this.pendingApproval) {
+    const { structuredPlan, planText, revision, candidates } = pending;
+    return { plan: structuredPlan, planText, revision, candidates };
   }
 
   /**
-   * Execute function with timeout
+   * Publish a warning or error as a run event (shown in the UI and kept in the run log)
    */
-  async _executeWithTimeout(fn, timeout) {
-    return Promise.race([
-      fn(),
-      new Promise((_, reject) =>
-        setTimeout(() => reject(new Error('Operation timed out')), timeout)
-      )
-    ]);
+  _report(type, message) {
+    this.events.publish(type, { message });
+  }
+
+  /**
+   * Refuse to start a phase once the run's budget is spent
+   */
+  _checkBudget() {
+    if (this.masterAgent && this.masterAgent.usageLedger) {
+      this.masterAgent.usageLedger.checkBudget();
+    }
+  }
+
+  /**
+   * Stop cleanly when the run's LLM budget is exhausted. Returns false for any other error.
+   */
+  async _handleBudgetExceeded(error) {
+    if (!(error instanceof BudgetExceededError)) {
+      return false;
+    }
+
+    this._report('warning', `💸 ${error.message}. Stopping workflow.`);
+    this.emit('budget-exceeded', { spent: error.spent, limit: error.limit });
+    await this._recoverFromError(error, this.currentPhase);
+    this.isRunning = false;
+    return true;
+  }
+
+  /**
+   * Stop the run cleanly after the user cancels it. Returns false for any other error.
+   */
+  async _handleCancelled(error) {
+    if (!(error instanceof RunCancelledError)) {
+      return false;
+    }
+
+    const phase = this.currentPhase;
+    this._report('warning', `⏹️ Run cancelled during ${phase} phase`);
+    await this._recoverFromError(error, phase);
+    this.isRunning = false;
+    this.emit('run-cancelled', { phase, timestamp: new Date().toISOString() });
+    return true;
+  }
+
+  /**
+   * Run a phase with a fresh AbortSignal. Rejects as soon as the signal aborts, even if
+   * a step that does not watch the signal is still finishing in the background.
+   */
+  async _runAbortable(fn) {
+    const controller = new AbortController();
+    this.abortController = controller;
+
+    const aborted = new Promise((_, reject) => {
+      controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+    });
+    aborted.catch(() => {}); // Handled by the race below or ignored after completion
+
+    return Promise.race([fn(controller.signal), aborted]);
+  }
+
+  /**
+   * Execute function with timeout. The timeout aborts the phase's signal with a PhaseTimeoutError
+   * so in-flight work stops too.
+   */
+  async _executeWithTimeout(fn, timeout, phase = this.currentPhase) {
+    let timer;
+    try {
+      return await this._runAbortable((signal) => {
+        if (timeout != null) {
+          timer = setTimeout(() => this.abortController.abort(new PhaseTimeoutError(phase, timeout)), timeout);
+        }
+        return fn(signal);
+      });
+    } finally {
+      clearTimeout(timer);
+    }
   }
 
   /**
@@ -291,12 +637,12 @@ class AgentService extends EventEmitter {
    * Graceful error recovery
    */
   async _recoverFromError(error, context) {
-    this.emit('log', { type: 'warning', message: `🔧 Attempting recovery from: ${error.message}` });
+    this._report('warning', `🔧 Attempting recovery from: ${error.message}`);
 
     try {
       // Attempt to save current state
-      if (this.masterAgent && this.masterAgent.parser) {
-        await this.masterAgent.parser.logProgress(`Error recovery: ${error.message}`);
+      if (this.masterAgent) {
+        await this.masterAgent.saveRunState(error instanceof RunCancelledError ? 'cancelled' : 'failed', error);
       }
 
       // Reset phase if needed
@@ -308,7 +654,7 @@ class AgentService extends EventEmitter {
       this.emit('log', { type: 'info', message: '✓ State saved for recovery' });
       return true;
     } catch (recoveryError) {
-      this.emit('log', { type: 'error', message: `❌ Recovery failed: ${recoveryError.message}` });
+      this._report('error', `❌ Recovery failed: ${recoveryError.message}`);
       return false;
     }
   }
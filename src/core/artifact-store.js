@@ -5,12 +5,13 @@ import path from 'path';
  * Artifact Store - Tracks generated files and their metadata
  */
 class ArtifactStore {
-  constructor(workspacePath, eventEmitter = null) {
+  constructor(workspacePath, events = null) {
     this.workspacePath = workspacePath;
     this.artifactsPath = path.join(workspacePath, 'artifacts');
     this.indexPath = path.join(this.artifactsPath, 'index.json');
     this.artifacts = [];
-    this.eventEmitter = eventEmitter; // For emitting events to frontend
+    this.events = events; // EventBus that gets an 'artifact' event for every saved or registered file
+    this.pendingSave = Promise.resolve(); // Index writes are queued so parallel clones cannot interleave them
   }
 
   /**
@@ -57,11 +58,6 @@ class ArtifactStore {
       metadata
     });
 
-    // Emit event for frontend notification
-    if (this.eventEmitter) {
-      this.eventEmitter.emit('artifact-created', { type, name, metadata: result.metadata });
-    }
-
     return result;
   }
 
@@ -104,6 +100,14 @@ class ArtifactStore {
     }
 
     await this._saveIndex();
+    this.events?.publish('artifact', {
+      name,
+      kind: type,
+      version: entry.version,
+      path: path.relative(this.workspacePath, artifactPath),
+      generatedBy,
+      metadata
+    });
     return entry;
   }
 
@@ -206,11 +210,9 @@ class ArtifactStore {
    * Save index to disk
    */
   async _saveIndex() {
-    await fs.writeFile(
-      this.indexPath,
-      JSON.stringify(this.artifacts, null, 2),
-      'utf8'
-    );
+    const content = JSON.stringify(this.artifacts, null, 2);
+    this.pendingSave = this.pendingSave.catch(() => {}).then(() => fs.writeFile(this.indexPath, content, 'utf8'));
+    await this.pendingSave;
   }
 
   /**
@@ -1,5 +1,23 @@
 import fs from 'fs/promises';
 
+/**
+ * Assumption wording compared case-, spacing- and punctuation-insensitively
+ */
+function normalizeAssumption(text) {
+  return text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+function singleLine(value) {
+  return String(value ?? '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Text that fits in one markdown table cell
+ */
+function tableCell(value) {
+  return singleLine(value).replace(/\|/g, '\\|');
+}
+
 /**
  * AUTOMCM.md Parser - Reads and manipulates the project constitution
  */
@@ -126,22 +144,34 @@ class AutomcmParser {
   }
 
   /**
-   * Get modeling assumptions
+   * Parse the Modeling Assumptions table (older workspaces list them as "1. text")
    */
   getAssumptions() {
     const assumptionsSection = this.getSection('Modeling Assumptions');
     if (!assumptionsSection) return [];
 
-    const lines = assumptionsSection.split('\n');
+    const lines = assumptionsSection.split('\n').filter(l => l.trim());
+    const tableRows = lines.filter(l => l.trim().startsWith('|'));
     const assumptions = [];
 
+    // Skip table header and separator
+    for (const line of tableRows.slice(2)) {
+      const parts = line.trim().slice(1, -1).split(/(?<!\\)\|/).map(p => p.trim().replace(/\\\|/g, '|'));
+      if (parts.length >= 2 && parts[0] && parts[1]) {
+        assumptions.push({
+          id: parts[0],
+          text: parts[1],
+          justification: parts[2] || '',
+          component: parts[3] || '',
+          source: parts[4] || ''
+        });
+      }
+    }
+
     for (const line of lines) {
       const match = line.match(/^(\d+)\.\s+(.+)/);
       if (match) {
-        assumptions.push({
-          number: parseInt(match[1]),
-          text: match[2]
-        });
+        assumptions.push({ id: `A${match[1]}`, text: match[2], justification: '', component: '', source: '' });
       }
     }
 
@@ -149,20 +179,54 @@ class AutomcmParser {
   }
 
   /**
-   * Add assumption
+   * Add one assumption ({ text, justification, component, source }); returns it with its id,
+   * or null when an assumption with the same wording is already registered
    */
-  async addAssumption(assumptionText) {
-    const assumptions = this.getAssumptions();
-    const nextNumber = assumptions.length + 1;
-
-    const assumptionsSection = this.getSection('Modeling Assumptions');
-    const lines = assumptionsSection.split('\n');
+  async addAssumption(assumption) {
+    const [added] = await this.addAssumptions([assumption]);
+    return added || null;
+  }
 
-    // Add new assumption
-    lines.push(`${nextNumber}. ${assumptionText}`);
+  /**
+   * Add assumptions with ids A1, A2, ... and save once. Assumptions already registered with the
+   * same wording are skipped; returns the ones added.
+   */
+  async addAssumptions(newAssumptions) {
+    const assumptions = this.getAssumptions();
+    const known = new Set(assumptions.map(a => normalizeAssumption(a.text)));
+    let nextNumber = assumptions.reduce((max, a) => Math.max(max, Number(a.id.replace(/^A/, '')) || 0), 0) + 1;
+
+    const added = [];
+    for (const { text, justification = '', component = '', source = '' } of newAssumptions) {
+      const key = normalizeAssumption(text || '');
+      if (!key || known.has(key)) continue;
+
+      known.add(key);
+      added.push({
+        id: `A${nextNumber++}`,
+        text: singleLine(text),
+        justification: singleLine(justification),
+        component: singleLine(component),
+        source: singleLine(source)
+      });
+    }
+    if (added.length === 0) return added;
+
+    // The section is rewritten as a table, which also replaces the template's "1." placeholder
+    const rows = [...assumptions, ...added].map(a =>
+      `| ${[a.id, a.text, a.justification, a.component, a.source].map(tableCell).join(' | ')} |`);
+    this.sections['Modeling Assumptions'] = [
+      '',
+      '| ID | Assumption | Justification | Component | Source |',
+      '|----|-----------|---------------|-----------|--------|',
+      ...rows,
+      '',
+      '---',
+      ''
+    ].join('\n');
 
-    this.sections['Modeling Assumptions'] = lines.join('\n');
     await this._rebuildAndSave();
+    return added;
   }
 
   /**
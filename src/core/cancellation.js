@@ -0,0 +1,10 @@
+/**
+ * Raised when the user stops a run. Used as the AbortSignal reason, so aborted
+ * fetch calls, retry waits and child processes all reject with it.
+ */
+export class RunCancelledError extends Error {
+  constructor(message = 'Run cancelled by user') {
+    super(message);
+    this.name = 'RunCancelledError';
+  }
+}
@@ -0,0 +1,163 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+const PHASES = ['planning', 'modeling', 'writing'];
+
+/**
+ * Checkpoint Store - Persists the output of every workflow step to checkpoint.json
+ *
+ * Each phase records its input, the result of each completed step and, once finished,
+ * the phase result. A resumed run reuses completed steps instead of repeating them.
+ * The file is rewritten atomically after every step so a crash never leaves it half-written.
+ */
+class CheckpointStore {
+  constructor(workspacePath) {
+    this.checkpointPath = path.join(workspacePath, 'checkpoint.json');
+    this.state = this._emptyState();
+    this.pendingWrite = Promise.resolve();
+  }
+
+  _emptyState() {
+    return {
+      runId: null,
+      status: 'idle', // idle, running, cancelled, failed, complete
+      phase: null,
+      error: null,
+      phases: {},
+      updatedAt: null
+    };
+  }
+
+  /**
+   * Load the checkpoint from disk. Returns false when there is none.
+   */
+  async load() {
+    try {
+      this.state = { ...this._emptyState(), ...JSON.parse(await fs.readFile(this.checkpointPath, 'utf8')) };
+      return true;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`⚠️ Could not read checkpoint, starting fresh: ${error.message}`);
+      }
+      this.state = this._emptyState();
+      return false;
+    }
+  }
+
+  /**
+   * Whether any step has been checkpointed
+   */
+  exists() {
+    return Object.keys(this.state.phases).length > 0;
+  }
+
+  /**
+   * Start a phase. Unless resuming, earlier step results for this phase and every later
+   * phase are discarded, since they were built on outputs that are about to change.
+   */
+  async startPhase(phase, input = {}, { resume = false, runId = null } = {}) {
+    const existing = this.state.phases[phase];
+
+    if (!resume || !existing) {
+      for (const later of PHASES.slice(PHASES.indexOf(phase))) {
+        delete this.state.phases[later];
+      }
+      this.state.phases[phase] = { status: 'running', input, steps: {}, result: null };
+    } else {
+      existing.status = 'running';
+    }
+
+    this.state.runId = runId || this.state.runId;
+    this.state.status = 'running';
+    this.state.phase = phase;
+    this.state.error = null;
+    await this._save();
+  }
+
+  /**
+   * Result of a completed step, or undefined
+   */
+  getStep(phase, step) {
+    return this.state.phases[phase]?.steps[step]?.data;
+  }
+
+  /**
+   * Record a completed step
+   */
+  async saveStep(phase, step, data) {
+    const phaseState = this.state.phases[phase];
+    if (!phaseState) {
+      throw new Error(`Cannot checkpoint step ${step}: phase ${phase} was not started`);
+    }
+
+    phaseState.steps[step] = { data, completedAt: new Date().toISOString() };
+    await this._save();
+  }
+
+  /**
+   * Mark a phase finished with its result
+   */
+  async completePhase(phase, result) {
+    const phaseState = this.state.phases[phase];
+    if (!phaseState) return;
+
+    phaseState.status = 'complete';
+    phaseState.result = result;
+    this.state.status = phase === PHASES[PHASES.length - 1] ? 'complete' : 'idle';
+    await this._save();
+  }
+
+  /**
+   * Record why the run stopped (cancelled or failed) and where
+   */
+  async setStatus(status, details = {}) {
+    this.state.status = status;
+    this.state.error = details.error || null;
+    if (details.phase) {
+      this.state.phase = details.phase;
+    }
+    if (details.clones) {
+      this.state.clones = details.clones;
+    }
+    await this._save();
+  }
+
+  getPhase(phase) {
+    return this.state.phases[phase] || null;
+  }
+
+  isPhaseComplete(phase) {
+    return this.state.phases[phase]?.status === 'complete';
+  }
+
+  /**
+   * Phase to resume: the first started phase that did not complete, otherwise the phase after
+   * the last completed one. Null when the workflow has finished (or nothing was checkpointed).
+   */
+  getResumePhase() {
+    const started = PHASES.filter(phase => this.state.phases[phase]);
+    const interrupted = started.find(phase => !this.isPhaseComplete(phase));
+    if (interrupted) return interrupted;
+
+    const last = started[started.length - 1];
+    return last ? PHASES[PHASES.indexOf(last) + 1] || null : null;
+  }
+
+  /**
+   * Write via a temporary file and rename, so readers never see a partial checkpoint.
+   * Writes are queued so concurrent steps cannot interleave.
+   */
+  _save() {
+    this.state.updatedAt = new Date().toISOString();
+    const content = JSON.stringify(this.state, null, 2);
+    const tempPath = `${this.checkpointPath}.tmp`;
+
+    this.pendingWrite = this.pendingWrite.catch(() => {}).then(async () => {
+      await fs.writeFile(tempPath, content, 'utf8');
+      await fs.rename(tempPath, this.checkpointPath);
+    });
+    return this.pendingWrite;
+  }
+}
+
+export default CheckpointStore;
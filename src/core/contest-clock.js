@@ -0,0 +1,184 @@
+import fs from 'fs/promises';
+import path from 'path';
+import config from './config.js';
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Offset of a time zone from UTC at a given instant, in milliseconds
+ */
+function zoneOffsetMs(date, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date).map(part => [part.type, Number(part.value)]));
+
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Parse a contest time. ISO strings with an offset ("...Z", "...-05:00") are absolute; a wall-clock
+ * time such as "2027-02-03T20:00" is read in the given time zone.
+ */
+export function parseContestTime(value, timeZone) {
+  if (value instanceof Date) return value;
+
+  const text = String(value).trim().replace(' ', 'T');
+  const absolute = /(Z|[+-]\d{2}:?\d{2})$/i.test(text);
+  const date = new Date(absolute ? text : `${text}Z`);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid contest time "${value}" (expected e.g. 2027-02-03T20:00)`);
+  }
+  if (absolute) return date;
+
+  // Shift the wall-clock time by the zone's offset, re-checking across a DST change
+  const offset = zoneOffsetMs(date, timeZone);
+  const utc = new Date(date.getTime() - offset);
+  const corrected = zoneOffsetMs(utc, timeZone);
+  return corrected === offset ? utc : new Date(date.getTime() - corrected);
+}
+
+/**
+ * Human-readable duration, e.g. "2d 5h", "3h 20m" or "12m"
+ */
+export function formatDuration(ms) {
+  const sign = ms < 0 ? '-' : '';
+  const minutes = Math.floor(Math.abs(ms) / 60000);
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+
+  if (days > 0) return `${sign}${days}d ${hours}h`;
+  if (hours > 0) return `${sign}${hours}h ${minutes % 60}m`;
+  return `${sign}${minutes % 60}m`;
+}
+
+function checkTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return timeZone;
+  } catch {
+    throw new Error(`Unknown time zone "${timeZone}" (expected an IANA name such as America/New_York)`);
+  }
+}
+
+/**
+ * Contest Clock - Start time, submission deadline and time zone of a workspace's contest,
+ * stored in contest.json. The deadline defaults to contest.duration_hours after the start;
+ * `explicit` records whether a start or deadline was ever set for the workspace.
+ */
+class ContestClock {
+  constructor(workspacePath) {
+    this.filePath = path.join(workspacePath, 'contest.json');
+    this.startedAt = null; // ISO timestamps
+    this.deadline = null;
+    this.timeZone = null;
+    this.explicit = false;
+  }
+
+  /**
+   * Read contest.json. Returns false when the workspace has no clock yet.
+   */
+  async load() {
+    try {
+      const saved = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+      this.startedAt = saved.startedAt;
+      this.deadline = saved.deadline;
+      this.timeZone = saved.timeZone;
+      this.explicit = !!saved.explicit;
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw new Error(`Invalid contest.json: ${error.message}`);
+    }
+  }
+
+  /**
+   * Use the workspace's clock, or start one now. Options override what contest.json has.
+   */
+  async start(options = {}) {
+    const loaded = await this.load();
+    if (loaded && !Object.values(options).some(Boolean)) {
+      return this;
+    }
+    return this.set(options);
+  }
+
+  /**
+   * Set the start time, deadline and time zone; fields left out keep their current value.
+   * Times are Dates or ISO strings, read in the clock's time zone when they have no UTC offset.
+   */
+  async set({ startedAt = null, deadline = null, timeZone = null } = {}) {
+    this.timeZone = checkTimeZone(timeZone || this.timeZone || config.get('contest.time_zone') ||
+      Intl.DateTimeFormat().resolvedOptions().timeZone);
+
+    const start = startedAt
+      ? parseContestTime(startedAt, this.timeZone)
+      : new Date(this.startedAt || Date.now());
+    const end = deadline
+      ? parseContestTime(deadline, this.timeZone)
+      : this.deadline && !startedAt
+        ? new Date(this.deadline)
+        : new Date(start.getTime() + (config.get('contest.duration_hours') ?? 96) * HOUR);
+
+    if (end <= start) {
+      throw new Error(`The submission deadline (${end.toISOString()}) must be after the contest start (${start.toISOString()})`);
+    }
+
+    this.startedAt = start.toISOString();
+    this.deadline = end.toISOString();
+    this.explicit = this.explicit || !!(startedAt || deadline);
+    await fs.writeFile(this.filePath, JSON.stringify({
+      startedAt: this.startedAt,
+      deadline: this.deadline,
+      timeZone: this.timeZone,
+      explicit: this.explicit
+    }, null, 2), 'utf8');
+    return this;
+  }
+
+  remainingMs(now = Date.now()) {
+    return new Date(this.deadline).getTime() - now;
+  }
+
+  elapsedMs(now = Date.now()) {
+    return now - new Date(this.startedAt).getTime();
+  }
+
+  /**
+   * A timestamp in the contest's time zone, e.g. "Feb 3, 2027, 8:00 PM EST"
+   */
+  formatTime(timestamp) {
+    return new Intl.DateTimeFormat('en-US', {
+      timeZone: this.timeZone,
+      dateStyle: 'medium',
+      timeStyle: 'short'
+    }).format(new Date(timestamp)) + ` ${this._zoneName(timestamp)}`;
+  }
+
+  _zoneName(timestamp) {
+    return new Intl.DateTimeFormat('en-US', { timeZone: this.timeZone, timeZoneName: 'short' })
+      .formatToParts(new Date(timestamp))
+      .find(part => part.type === 'timeZoneName')?.value || this.timeZone;
+  }
+
+  getStatus(now = Date.now()) {
+    return {
+      startedAt: this.startedAt,
+      deadline: this.deadline,
+      timeZone: this.timeZone,
+      explicit: this.explicit,
+      deadlineLocal: this.formatTime(this.deadline),
+      elapsedMs: this.elapsedMs(now),
+      remainingMs: this.remainingMs(now)
+    };
+  }
+}
+
+export default ContestClock;
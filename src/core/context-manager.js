@@ -0,0 +1,183 @@
+import config from './config.js';
+
+// Rough characters-per-token ratio; good enough for budgeting without a tokenizer
+const CHARS_PER_TOKEN = 4;
+// Per-message overhead for role markers and formatting
+const MESSAGE_OVERHEAD_TOKENS = 4;
+// Typical cost of one image part; providers bill images by size, not by base64 length
+const IMAGE_TOKENS = 1600;
+
+/**
+ * Context Manager - Keeps an agent's conversation within its model's context window
+ *
+ * Older turns are summarized (or dropped) once the history passes a share of the budget.
+ * Tool calls are never separated from their results, and the most recent turns are kept verbatim.
+ */
+class ContextManager {
+  constructor(options = {}) {
+    const contextConfig = config.get('llm.context') || {};
+    this.contextWindows = options.contextWindows || config.get('llm.context_windows') || {};
+    this.compactThreshold = options.compactThreshold ?? contextConfig.compact_threshold ?? 0.8;
+    this.keepRatio = options.keepRatio ?? contextConfig.keep_ratio ?? 0.5;
+    this.strategy = options.strategy || contextConfig.strategy || 'summarize';
+  }
+
+  /**
+   * Estimate tokens in a string
+   */
+  estimateTokens(text) {
+    if (!text) return 0;
+    return Math.ceil(text.length / CHARS_PER_TOKEN);
+  }
+
+  /**
+   * Estimate tokens for a single history message, including any tool calls
+   */
+  estimateMessageTokens(message) {
+    const images = Array.isArray(message.content)
+      ? message.content.filter(part => part.type === 'image').length
+      : 0;
+    const toolCalls = message.toolCalls ? JSON.stringify(message.toolCalls) : '';
+
+    return this.estimateTokens(this._contentText(message.content)) + images * IMAGE_TOKENS +
+      this.estimateTokens(toolCalls) + MESSAGE_OVERHEAD_TOKENS;
+  }
+
+  /**
+   * Text of a message's content; image parts become a short placeholder
+   */
+  _contentText(content) {
+    if (typeof content === 'string') return content;
+    if (content === null || content === undefined) return '';
+    if (Array.isArray(content)) {
+      return content.map(part => part.type === 'image' ? '[image]' : (part.text || '')).join('\n');
+    }
+    return JSON.stringify(content);
+  }
+
+  /**
+   * Estimate tokens for a list of messages
+   */
+  estimateHistoryTokens(messages) {
+    return messages.reduce((sum, message) => sum + this.estimateMessageTokens(message), 0);
+  }
+
+  /**
+   * Context window for a model: exact match, then the longest configured prefix
+   * (so "llama3.1:8b" uses the "llama3.1" entry), then the default
+   */
+  getContextWindow(model) {
+    if (model && this.contextWindows[model]) {
+      return this.contextWindows[model];
+    }
+
+    const prefix = Object.keys(this.contextWindows)
+      .filter(key => key !== 'default' && model && model.startsWith(key))
+      .sort((a, b) => b.length - a.length)[0];
+
+    return prefix ? this.contextWindows[prefix] : (this.contextWindows.default || 128000);
+  }
+
+  /**
+   * Tokens available for history once the system prompt and response are reserved
+   */
+  getBudget(model, systemPrompt, maxOutputTokens) {
+    return this.getContextWindow(model) - this.estimateTokens(systemPrompt) - (maxOutputTokens || 0);
+  }
+
+  /**
+   * Whether the history has grown past the compaction threshold
+   */
+  needsCompaction(messages, budget) {
+    return this.estimateHistoryTokens(messages) > budget * this.compactThreshold;
+  }
+
+  /**
+   * Index where the verbatim tail should start. The tail fits in keepRatio of the budget,
+   * always includes the last message, and never starts on a tool result.
+   */
+  findSplitIndex(messages, budget) {
+    const target = budget * this.keepRatio;
+    let tokens = 0;
+    let index = messages.length;
+
+    while (index > 0) {
+      const next = tokens + this.estimateMessageTokens(messages[index - 1]);
+      if (next > target && index < messages.length) break;
+      tokens = next;
+      index--;
+    }
+
+    // Tool results must stay with the assistant message that requested them
+    while (index < messages.length - 1 && messages[index].role === 'tool') {
+      index++;
+    }
+    while (index > 0 && messages[index].role === 'tool') {
+      index--;
+    }
+
+    return index;
+  }
+
+  /**
+   * Compact a history. summarize(olderMessages) returns a summary string; if it is not
+   * provided or fails, older turns are dropped instead.
+   * Returns { messages, compacted, droppedMessages, summarized }
+   */
+  async compact(messages, budget, summarize = null) {
+    const splitIndex = this.findSplitIndex(messages, budget);
+    if (splitIndex <= 0) {
+      return { messages, compacted: false, droppedMessages: 0, summarized: false };
+    }
+
+    const older = messages.slice(0, splitIndex);
+    const recent = messages.slice(splitIndex);
+
+    let summary = null;
+    if (this.strategy === 'summarize' && summarize) {
+      try {
+        summary = await summarize(older);
+      } catch (error) {
+        console.warn(`⚠️ Context summarization failed, dropping older turns instead: ${error.message}`);
+      }
+    }
+
+    const note = summary
+      ? `[Summary of earlier conversation]\n${summary}`
+      : `[${older.length} earlier messages were removed to fit the context window]`;
+
+    // Merge the note into the first kept user message, or start the tail with one
+    const first = recent[0];
+    if (first.role === 'user' && typeof first.content === 'string') {
+      recent[0] = { ...first, content: `${note}\n\n${first.content}` };
+    } else {
+      recent.unshift({ role: 'user', content: note });
+    }
+
+    return {
+      messages: recent,
+      compacted: true,
+      droppedMessages: older.length,
+      summarized: !!summary
+    };
+  }
+
+  /**
+   * Render older messages as plain text for a summarization request
+   */
+  formatTranscript(messages) {
+    return messages.map(message => {
+      if (message.role === 'tool') {
+        return `TOOL RESULT (${message.name}):\n${message.content}`;
+      }
+
+      const calls = message.toolCalls?.length
+        ? `\n[Called tools: ${message.toolCalls.map(c => c.name).join(', ')}]`
+        : '';
+      const content = this._contentText(message.content);
+      return `${message.role.toUpperCase()}:\n${content || ''}${calls}`;
+    }).join('\n\n---\n\n');
+  }
+}
+
+export default ContextManager;
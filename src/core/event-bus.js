@@ -0,0 +1,158 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { AsyncLocalStorage } from 'async_hooks';
+import config from './config.js';
+import { redactSecrets } from '../utils/redact.js';
+
+/**
+ * Run event types:
+ * - step-started / step-finished   { step, status, durationMs, error } for every checkpointed step
+ * - llm-call                       { agentId, mode, provider, model, inputTokens, outputTokens, cost, durationMs, status, callFile }
+ * - tool-call                      { agentId, mode, tool, durationMs, isError }
+ * - artifact                       { name, kind, version, path, calls }
+ * - warning / error                { message }
+ *
+ * Events published inside runStep() also carry the step; an artifact's `calls` are the seqs of
+ * the llm-call events of its step so far, the calls that produced it.
+ */
+export const EVENT_TYPES = ['step-started', 'step-finished', 'llm-call', 'tool-call', 'artifact', 'warning', 'error'];
+
+/**
+ * Event Bus - Typed events for a run, each stamped with a sequence number, run id, phase and
+ * timestamp, with API keys redacted. Events are appended to runs/<runId>/events.jsonl in the
+ * workspace once attached, and every event is emitted as 'event' to listeners.
+ * With audit.enabled, the full exchange of every LLM call is saved next to it in calls/<seq>.json.
+ */
+class EventBus extends EventEmitter {
+  constructor() {
+    super();
+    this.runId = null;
+    this.phase = 'idle';
+    this.logPath = null;
+    this.seq = 0;
+    this.pendingWrite = Promise.resolve(); // Appends are queued so events stay in order
+    this.steps = new AsyncLocalStorage(); // { step, parent, calls } of the step running in this async context
+  }
+
+  /**
+   * Write this run's events to <workspace>/runs/<runId>/events.jsonl. A resumed run keeps
+   * appending to its existing log.
+   */
+  async attach(workspacePath, runId) {
+    await this.flush();
+    this.runId = runId;
+    this.logPath = path.join(workspacePath, 'runs', runId, 'events.jsonl');
+    this.seq = (await EventBus.read(this.logPath)).at(-1)?.seq || 0;
+  }
+
+  /**
+   * Set the phase that subsequent events are attributed to
+   */
+  setPhase(phase) {
+    this.phase = phase;
+  }
+
+  /**
+   * Run fn with every event it publishes, including from parallel async work, attributed to the step
+   */
+  runStep(step, fn) {
+    return this.steps.run({ step, parent: this.steps.getStore() || null, calls: [] }, fn);
+  }
+
+  /**
+   * Publish an event of one of EVENT_TYPES and return it
+   */
+  publish(type, data = {}) {
+    if (!EVENT_TYPES.includes(type)) {
+      throw new Error(`Unknown event type "${type}" (expected one of ${EVENT_TYPES.join(', ')})`);
+    }
+
+    const scope = this.steps.getStore();
+    const event = redactSecrets({
+      seq: ++this.seq,
+      type,
+      runId: this.runId,
+      phase: this.phase,
+      ...(scope && { step: scope.step }),
+      timestamp: new Date().toISOString(),
+      ...(type === 'artifact' && { calls: scope ? [...scope.calls] : [] }),
+      ...data
+    });
+
+    // A call counts towards its own step and every step it is nested in
+    if (type === 'llm-call') {
+      for (let step = scope; step; step = step.parent) {
+        step.calls.push(event.seq);
+      }
+    }
+
+    if (this.logPath) {
+      const logPath = this.logPath;
+      this._enqueue(() => fs.appendFile(logPath, JSON.stringify(event) + '\n', 'utf8'), logPath, 'run event');
+    }
+
+    this.emit('event', event);
+    return event;
+  }
+
+  /**
+   * Publish an llm-call event and, with audit.enabled, save the full exchange (settings, system
+   * prompt, messages and response) to calls/<seq>.json in the run folder, named by the event's callFile
+   */
+  publishCall(data, exchange) {
+    const callFile = this.logPath && config.get('audit.enabled') !== false
+      ? `calls/${String(this.seq + 1).padStart(5, '0')}.json`
+      : null;
+    const event = this.publish('llm-call', { ...data, ...(callFile && { callFile }) });
+
+    if (callFile) {
+      const filePath = path.join(path.dirname(this.logPath), callFile);
+      const record = { ...event, ...redactSecrets(exchange) };
+      this._enqueue(() => fs.writeFile(filePath, JSON.stringify(record, null, 2), 'utf8'), filePath, 'LLM call record');
+    }
+    return event;
+  }
+
+  /**
+   * Queue a write behind the previous ones, creating its folder first. The run folder is created
+   * with its first event, so runs that publish nothing leave no trace.
+   */
+  _enqueue(write, filePath, what) {
+    this.pendingWrite = this.pendingWrite
+      .then(async () => {
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await write();
+      })
+      .catch(error => console.warn(`⚠️  Could not write ${what}: ${error.message}`));
+  }
+
+  /**
+   * Resolves once every published event has been written
+   */
+  flush() {
+    return this.pendingWrite;
+  }
+
+  /**
+   * Read the events of a run log, skipping lines that do not parse
+   */
+  static async read(logPath) {
+    let text;
+    try {
+      text = await fs.readFile(logPath, 'utf8');
+    } catch {
+      return [];
+    }
+
+    return text.split('\n').filter(Boolean).flatMap(line => {
+      try {
+        return [JSON.parse(line)];
+      } catch {
+        return [];
+      }
+    });
+  }
+}
+
+export default EventBus;
@@ -0,0 +1,179 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import config from './config.js';
+
+/**
+ * Raised in replay mode when a request has no recorded response
+ */
+export class CassetteMissError extends Error {
+  constructor(key, preview) {
+    super(`No recorded LLM response for prompt ${key.substring(0, 12)} in cassette. Prompt starts: "${preview}"`);
+    this.name = 'CassetteMissError';
+    this.key = key;
+  }
+}
+
+/**
+ * LLM Cassette - Records provider request/response pairs and replays them offline
+ *
+ * Requests are keyed by a hash of the normalized system prompt, messages and tools.
+ * Identical prompts are replayed in the order they were recorded; once those run out the
+ * last response is reused. Entries are appended to llm-cassette.jsonl in the workspace.
+ */
+class LLMCassette {
+  constructor(cassettePath, mode, options = {}) {
+    if (!['record', 'replay'].includes(mode)) {
+      throw new Error(`Unknown cassette mode: ${mode} (expected record or replay)`);
+    }
+
+    this.cassettePath = cassettePath;
+    this.mode = mode;
+    this.workspacePath = options.workspacePath || null;
+    this.entries = new Map(); // key -> recorded responses in order
+    this.replayCounts = new Map();
+  }
+
+  /**
+   * Create a cassette for a workspace from AUTOMCM_CASSETTE or llm.cassette config.
+   * Returns null when cassette mode is off. A resumed run keeps recording onto the existing cassette.
+   */
+  static async fromConfig(workspacePath, options = {}) {
+    const mode = process.env.AUTOMCM_CASSETTE || config.get('llm.cassette.mode');
+    if (mode !== 'record' && mode !== 'replay') {
+      return null;
+    }
+
+    const file = config.get('llm.cassette.file') || 'llm-cassette.jsonl';
+    const cassettePath = path.isAbsolute(file) ? file : path.join(workspacePath, file);
+
+    console.log(`📼 LLM cassette ${mode === 'record' ? 'recording to' : 'replaying from'} ${cassettePath}`);
+    const cassette = new LLMCassette(cassettePath, mode, { workspacePath });
+    if (mode === 'replay') {
+      await cassette.load();
+    } else if (!options.resume) {
+      // Each recording starts a fresh cassette so old responses are not replayed out of order
+      await fs.rm(cassettePath, { force: true });
+    }
+    return cassette;
+  }
+
+  /**
+   * Load recorded entries for replay
+   */
+  async load() {
+    let content;
+    try {
+      content = await fs.readFile(this.cassettePath, 'utf8');
+    } catch {
+      throw new Error(`Cassette not found: ${this.cassettePath}. Record one first with AUTOMCM_CASSETTE=record.`);
+    }
+
+    const lines = content.split('\n').filter(line => line.trim());
+    for (const line of lines) {
+      const entry = JSON.parse(line);
+      if (!this.entries.has(entry.key)) {
+        this.entries.set(entry.key, []);
+      }
+      this.entries.get(entry.key).push(entry.response);
+    }
+
+    console.log(`📼 Loaded ${lines.length} recorded responses (${this.entries.size} distinct prompts)`);
+  }
+
+  /**
+   * Normalize text so incidental differences do not change the key: workspace location,
+   * timestamps, temporary script names (they show up in Python tracebacks), object addresses
+   * and whitespace runs
+   */
+  _normalizeText(text) {
+    let normalized = typeof text === 'string' ? text : JSON.stringify(text ?? '');
+    if (this.workspacePath) {
+      normalized = normalized.split(this.workspacePath).join('<workspace>');
+    }
+    return normalized
+      .replace(/\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z/g, '<timestamp>')
+      .replace(/temp_\d+_[a-z0-9]+\.py/g, 'temp_<script>.py')
+      .replace(/\b0x[0-9a-f]{6,}\b/gi, '0x<address>')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Hash of the normalized request
+   */
+  keyFor(messages, systemPrompt, tools = []) {
+    const normalized = {
+      system: this._normalizeText(systemPrompt),
+      messages: messages.map(msg => ({
+        role: msg.role,
+        content: this._normalizeText(msg.content),
+        ...(msg.toolCalls && { toolCalls: msg.toolCalls.map(c => ({ name: c.name, arguments: this._normalizeText(c.arguments) })) }),
+        ...(msg.name && { name: msg.name })
+      })),
+      tools: (tools || []).map(t => t.name).sort()
+    };
+
+    return crypto.createHash('sha256').update(JSON.stringify(normalized)).digest('hex');
+  }
+
+  /**
+   * Send through the cassette: record the provider's response, or replay a recorded one
+   */
+  async sendMessage(provider, messages, systemPrompt, options = {}) {
+    const key = this.keyFor(messages, systemPrompt, options.tools);
+
+    if (this.mode === 'replay') {
+      const response = this._replay(key, messages);
+      if (options.onToken && response.message) {
+        options.onToken(response.message);
+      }
+      return response;
+    }
+
+    const response = await provider.sendMessage(messages, systemPrompt, options);
+    await this._append({
+      key,
+      timestamp: new Date().toISOString(),
+      request: {
+        provider: response.provider || provider.name,
+        model: response.model || provider.config.model,
+        system: systemPrompt,
+        messages,
+        tools: (options.tools || []).map(t => t.name)
+      },
+      response
+    });
+
+    return response;
+  }
+
+  /**
+   * Next recorded response for a key
+   */
+  _replay(key, messages) {
+    const responses = this.entries.get(key);
+    if (!responses || responses.length === 0) {
+      const last = messages[messages.length - 1];
+      const preview = this._normalizeText(last?.content).substring(0, 120);
+      console.error(`❌ Cassette miss for prompt ${key.substring(0, 12)}`);
+      throw new CassetteMissError(key, preview);
+    }
+
+    const count = this.replayCounts.get(key) || 0;
+    this.replayCounts.set(key, count + 1);
+
+    const response = responses[Math.min(count, responses.length - 1)];
+    return { ...response, replayed: true };
+  }
+
+  /**
+   * Append an entry to the cassette file
+   */
+  async _append(entry) {
+    await fs.mkdir(path.dirname(this.cassettePath), { recursive: true });
+    await fs.appendFile(this.cassettePath, JSON.stringify(entry) + '\n', 'utf8');
+  }
+}
+
+export default LLMCassette;
@@ -1,9 +1,51 @@
+import { redactSecrets } from '../utils/redact.js';
+
 /**
  * Base LLM Provider interface
+ *
+ * Tool calling uses one shared schema across providers:
+ * - Tool definitions: { name, description, parameters } where parameters is a JSON Schema object
+ * - Tool calls (returned as response.toolCalls): { id, name, arguments }
+ * - History entries: assistant messages carry toolCalls, and each result is a
+ *   { role: 'tool', toolCallId, name, content } message
+ * Each provider maps these to and from its native format.
+ *
+ * Structured output: options.jsonSchema = { name, schema } asks for a JSON response, using the
+ * provider's native JSON mode where it has one (Claude: a forced tool call with the schema as
+ * its input). Callers still validate the result.
+ *
+ * Cancellation: options.signal (an AbortSignal) aborts the in-flight request and any retry wait.
+ *
+ * Streaming: options.onToken receives each text delta. When a fallback chain fails over after
+ * tokens were streamed, options.onStreamReset() is called first so the partial output can be dropped.
+ *
+ * Multimodal messages: content may be a string or an array of parts, either
+ * { type: 'text', text } or { type: 'image', mediaType, data } with base64 image data.
+ * The model must support vision for image parts.
+ */
+// HTTP statuses worth retrying: timeouts, rate limits (429), server errors and Anthropic overload (529)
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504, 529]);
+
+/**
+ * Error raised for a failed provider request, carrying the HTTP status when there is one
  */
+class ProviderError extends Error {
+  constructor(message, { status = null, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
 class LLMProvider {
   constructor(config) {
     this.config = config;
+    this.retry = {
+      maxRetries: config.retry?.maxRetries ?? 3,
+      baseDelayMs: config.retry?.baseDelayMs ?? 1000,
+      maxDelayMs: config.retry?.maxDelayMs ?? 30000
+    };
   }
 
   async sendMessage(messages, systemPrompt, options = {}) {
@@ -14,22 +56,23 @@ class LLMProvider {
     return messages;
   }
 
-  async request(endpoint, body, headers = {}) {
+  async request(endpoint, body, headers = {}, signal = null) {
     const url = `${this.config.baseUrl}${endpoint}`;
 
     console.log(`\n🌐 API Request:`);
-    console.log(`   URL: ${url}`);
+    console.log(`   URL: ${redactSecrets(url)}`);
     console.log(`   Method: POST`);
     console.log(`   Headers:`, Object.keys(headers));
     console.log(`   Body preview: ${JSON.stringify(body).substring(0, 200)}...`);
 
-    const response = await fetch(url, {
+    const response = await this._fetchWithRetry(url, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
         ...headers
       },
-      body: JSON.stringify(body)
+      body: JSON.stringify(body),
+      signal
     });
 
     console.log(`   Response status: ${response.status} ${response.statusText}`);
@@ -37,29 +80,14 @@ class LLMProvider {
     console.log(`   Response content-type: ${contentType}`);
 
     if (!response.ok) {
-      let errorMessage = `${response.status} ${response.statusText}`;
-
-      try {
-        if (contentType && contentType.includes('application/json')) {
-          const errorData = await response.json();
-          errorMessage = JSON.stringify(errorData);
-        } else {
-          const errorText = await response.text();
-          errorMessage = errorText.substring(0, 500); // Limit error message length
-        }
-      } catch (parseError) {
-        // If we can't parse the error, use the status text
-      }
-
-      console.error(`❌ API Error: ${errorMessage}`);
-      throw new Error(`API request failed: ${errorMessage}`);
+      await this._throwResponseError(response, contentType);
     }
 
     // Ensure response is JSON
     if (!contentType || !contentType.includes('application/json')) {
       const text = await response.text();
       console.error(`\n❌ API Error Details:`);
-      console.error(`   URL: ${url}`);
+      console.error(`   URL: ${redactSecrets(url)}`);
       console.error(`   Content-Type: ${contentType}`);
       console.error(`   Response preview: ${text.substring(0, 500)}`);
       throw new Error(`Expected JSON response but got ${contentType}. Check console for details.`);
@@ -68,6 +96,193 @@ class LLMProvider {
     console.log(`   ✅ Response received successfully\n`);
     return await response.json();
   }
+
+  /**
+   * GET a JSON resource from the provider (e.g. model listings)
+   */
+  async getJson(endpoint, headers = {}) {
+    const url = `${this.config.baseUrl}${endpoint}`;
+    const response = await this._fetchWithRetry(url, { headers });
+
+    if (!response.ok) {
+      await this._throwResponseError(response, response.headers.get('content-type'));
+    }
+
+    return await response.json();
+  }
+
+  /**
+   * Send a streaming request and yield each Server-Sent Event payload as parsed JSON
+   */
+  async *requestStream(endpoint, body, headers = {}, signal = null) {
+    const url = `${this.config.baseUrl}${endpoint}`;
+
+    console.log(`\n🌐 API Stream Request:`);
+    console.log(`   URL: ${redactSecrets(url)}`);
+    console.log(`   Headers:`, Object.keys(headers));
+
+    // Retries only cover opening the stream; a stream that breaks midway fails the request
+    const response = await this._fetchWithRetry(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'text/event-stream',
+        ...headers
+      },
+      body: JSON.stringify(body),
+      signal
+    });
+
+    console.log(`   Response status: ${response.status} ${response.statusText}`);
+
+    if (!response.ok) {
+      await this._throwResponseError(response, response.headers.get('content-type'));
+    }
+
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const chunk of response.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+
+      // Events are separated by a blank line
+      let boundary;
+      while ((boundary = buffer.search(/\r?\n\r?\n/)) !== -1) {
+        const rawEvent = buffer.substring(0, boundary);
+        buffer = buffer.substring(boundary).replace(/^\r?\n\r?\n/, '');
+
+        const data = this._parseSSEData(rawEvent);
+        if (data === null) continue;
+        if (data === '[DONE]') return;
+
+        yield JSON.parse(data);
+      }
+    }
+
+    const trailing = this._parseSSEData(buffer);
+    if (trailing && trailing !== '[DONE]') {
+      yield JSON.parse(trailing);
+    }
+  }
+
+  /**
+   * fetch() with exponential backoff and jitter for network errors and retryable statuses.
+   * Honors Retry-After on 429/529. Returns the last response once retries run out so the
+   * caller can report the error.
+   */
+  async _fetchWithRetry(url, init) {
+    for (let attempt = 0; ; attempt++) {
+      let response;
+      try {
+        response = await fetch(url, init);
+      } catch (error) {
+        // A cancelled request is not retried
+        if (init.signal?.aborted) {
+          throw init.signal.reason;
+        }
+        if (attempt >= this.retry.maxRetries) {
+          throw new ProviderError(`Network error: ${error.message}`);
+        }
+        const delay = this._backoffDelay(attempt);
+        console.warn(`   ⚠️ Network error (${error.message}), retrying in ${Math.round(delay / 1000)}s (${attempt + 1}/${this.retry.maxRetries})`);
+        await this._sleep(delay, init.signal);
+        continue;
+      }
+
+      if (response.ok || !RETRYABLE_STATUSES.has(response.status) || attempt >= this.retry.maxRetries) {
+        return response;
+      }
+
+      const retryAfterMs = this._parseRetryAfter(response.headers.get('retry-after'));
+      const delay = retryAfterMs ?? this._backoffDelay(attempt);
+      console.warn(`   ⚠️ ${response.status} ${response.statusText}, retrying in ${Math.round(delay / 1000)}s (${attempt + 1}/${this.retry.maxRetries})`);
+
+      // Drain the body so the connection can be reused
+      await response.text().catch(() => {});
+      await this._sleep(delay, init.signal);
+    }
+  }
+
+  /**
+   * Wait between retries; rejects with the signal's reason as soon as it is aborted
+   */
+  _sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+      }
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  /**
+   * Exponential backoff with full jitter, capped at maxDelayMs
+   */
+  _backoffDelay(attempt) {
+    const ceiling = Math.min(this.retry.maxDelayMs, this.retry.baseDelayMs * 2 ** attempt);
+    return Math.round(Math.random() * ceiling);
+  }
+
+  /**
+   * Retry-After is either a number of seconds or an HTTP date
+   */
+  _parseRetryAfter(value) {
+    if (!value) return null;
+
+    const seconds = Number(value);
+    const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(value) - Date.now();
+    if (!Number.isFinite(ms)) return null;
+
+    return Math.min(Math.max(ms, 0), this.retry.maxDelayMs);
+  }
+
+  /**
+   * Join the data lines of a single SSE event (null if the event carries no data)
+   */
+  _parseSSEData(rawEvent) {
+    const dataLines = rawEvent
+      .split(/\r?\n/)
+      .filter(line => line.startsWith('data:'))
+      .map(line => line.substring(5).trimStart());
+
+    return dataLines.length > 0 ? dataLines.join('\n') : null;
+  }
+
+  /**
+   * Read an error body and throw a descriptive error
+   */
+  async _throwResponseError(response, contentType) {
+    let errorMessage = `${response.status} ${response.statusText}`;
+
+    try {
+      if (contentType && contentType.includes('application/json')) {
+        const errorData = await response.json();
+        errorMessage = JSON.stringify(errorData);
+      } else {
+        const errorText = await response.text();
+        errorMessage = errorText.substring(0, 500); // Limit error message length
+      }
+    } catch (parseError) {
+      // If we can't parse the error, use the status text
+    }
+    // Providers sometimes echo the key back (e.g. "API key not valid: AIza...")
+    errorMessage = redactSecrets(errorMessage);
+
+    console.error(`❌ API Error: ${errorMessage}`);
+    throw new ProviderError(`API request failed: ${errorMessage}`, {
+      status: response.status,
+      retryAfterMs: this._parseRetryAfter(response.headers.get('retry-after'))
+    });
+  }
 }
 
 /**
@@ -77,6 +292,7 @@ class ClaudeProvider extends LLMProvider {
   constructor(config) {
     super(config);
     this.config.baseUrl = config.baseUrl || 'https://api.anthropic.com';
+    this.name = 'anthropic';
   }
 
   async sendMessage(messages, systemPrompt, options = {}) {
@@ -84,19 +300,50 @@ class ClaudeProvider extends LLMProvider {
     console.log(`   Model: ${this.config.model}`);
     console.log(`   Messages count: ${messages.length}`);
 
-    const response = await this.request('/v1/messages', {
+    const body = {
       model: this.config.model,
+      max_tokens: options.maxTokens || this.config.maxTokens,
       system: systemPrompt,
       messages: this.formatMessages(messages)
-    }, {
+    };
+    const headers = {
       'x-api-key': this.config.apiKey,
       'anthropic-version': '2023-06-01'
-    });
+    };
+
+    // Claude has no JSON mode: structured output is a single tool it must call, whose input is the JSON
+    const schemaTool = options.jsonSchema && !options.tools?.length ? options.jsonSchema.name : null;
+
+    if (options.tools?.length) {
+      body.tools = options.tools.map(tool => ({
+        name: tool.name,
+        description: tool.description,
+        input_schema: tool.parameters
+      }));
+    } else if (schemaTool) {
+      body.tools = [{
+        name: schemaTool,
+        description: 'Return the response as this JSON object',
+        input_schema: options.jsonSchema.schema
+      }];
+      body.tool_choice = { type: 'tool', name: schemaTool };
+    } else if (options.onToken) {
+      return this._streamMessage(body, headers, options.onToken, options.signal);
+    }
+
+    const response = await this.request('/v1/messages', body, headers, options.signal);
 
     console.log(`   ✅ Response received - ${response.usage.output_tokens} tokens`);
 
+    const blocks = response.content || [];
+    const toolUses = blocks.filter(b => b.type === 'tool_use');
+    const structured = schemaTool ? toolUses.find(b => b.name === schemaTool) : null;
+
     return {
-      message: response.content[0].text,
+      message: structured
+        ? JSON.stringify(structured.input ?? {})
+        : blocks.filter(b => b.type === 'text').map(b => b.text).join(''),
+      toolCalls: structured ? [] : toolUses.map(b => ({ id: b.id, name: b.name, arguments: b.input || {} })),
       usage: {
         inputTokens: response.usage.input_tokens,
         outputTokens: response.usage.output_tokens
@@ -105,11 +352,98 @@ class ClaudeProvider extends LLMProvider {
     };
   }
 
+  /**
+   * Stream a message, passing each text delta to onToken
+   */
+  async _streamMessage(body, headers, onToken, signal) {
+    let message = '';
+    let inputTokens = 0;
+    let outputTokens = 0;
+    let stopReason = null;
+
+    for await (const event of this.requestStream('/v1/messages', { ...body, stream: true }, headers, signal)) {
+      switch (event.type) {
+        case 'message_start':
+          inputTokens = event.message?.usage?.input_tokens || 0;
+          break;
+        case 'content_block_delta':
+          if (event.delta?.type === 'text_delta') {
+            message += event.delta.text;
+            onToken(event.delta.text);
+          }
+          break;
+        case 'message_delta':
+          outputTokens = event.usage?.output_tokens || outputTokens;
+          stopReason = event.delta?.stop_reason || stopReason;
+          break;
+        case 'error':
+          throw new Error(`API stream failed: ${JSON.stringify(event.error)}`);
+      }
+    }
+
+    console.log(`   ✅ Stream complete - ${outputTokens} tokens`);
+
+    return {
+      message,
+      toolCalls: [],
+      usage: { inputTokens, outputTokens },
+      stopReason
+    };
+  }
+
   formatMessages(messages) {
-    return messages.map(msg => ({
-      role: msg.role,
-      content: msg.content
-    }));
+    const formatted = [];
+
+    for (const msg of messages) {
+      if (msg.role === 'tool') {
+        // Claude expects tool results as user content blocks; consecutive results share one message
+        const result = {
+          type: 'tool_result',
+          tool_use_id: msg.toolCallId,
+          content: msg.content
+        };
+        const previous = formatted[formatted.length - 1];
+        if (previous?.role === 'user' && Array.isArray(previous.content) &&
+            previous.content.every(block => block.type === 'tool_result')) {
+          previous.content.push(result);
+        } else {
+          formatted.push({ role: 'user', content: [result] });
+        }
+      } else if (msg.role === 'assistant' && msg.toolCalls?.length) {
+        formatted.push({
+          role: 'assistant',
+          content: [
+            ...(msg.content ? [{ type: 'text', text: msg.content }] : []),
+            ...msg.toolCalls.map(call => ({
+              type: 'tool_use',
+              id: call.id,
+              name: call.name,
+              input: call.arguments
+            }))
+          ]
+        });
+      } else {
+        formatted.push({
+          role: msg.role,
+          content: Array.isArray(msg.content) ? msg.content.map(part => this._formatPart(part)) : msg.content
+        });
+      }
+    }
+
+    return formatted;
+  }
+
+  /**
+   * Map a shared content part to a Claude content block
+   */
+  _formatPart(part) {
+    if (part.type === 'image') {
+      return {
+        type: 'image',
+        source: { type: 'base64', media_type: part.mediaType, data: part.data }
+      };
+    }
+    return { type: 'text', text: part.text };
   }
 }
 
@@ -120,10 +454,12 @@ class OpenAIProvider extends LLMProvider {
   constructor(config) {
     super(config);
     this.config.baseUrl = config.baseUrl || 'https://api.openai.com';
+    this.name = 'openai';
+    this.displayName = 'OpenAI';
   }
 
   async sendMessage(messages, systemPrompt, options = {}) {
-    console.log(`\n🤖 OpenAI Provider - Sending message`);
+    console.log(`\n🤖 ${this.displayName} Provider - Sending message`);
     console.log(`   Model: ${this.config.model}`);
     console.log(`   Messages count: ${messages.length}`);
 
@@ -132,17 +468,42 @@ class OpenAIProvider extends LLMProvider {
       ...this.formatMessages(messages)
     ];
 
-    const response = await this.request('/v1/chat/completions', {
+    const body = {
       model: this.config.model,
       messages: formattedMessages
-    }, {
-      'Authorization': `Bearer ${this.config.apiKey}`
-    });
+    };
+    const headers = this.getAuthHeaders();
+
+    if (options.jsonSchema) {
+      body.response_format = this.getResponseFormat(options.jsonSchema);
+    }
+
+    if (options.tools?.length) {
+      body.tools = options.tools.map(tool => ({
+        type: 'function',
+        function: {
+          name: tool.name,
+          description: tool.description,
+          parameters: tool.parameters
+        }
+      }));
+    } else if (options.onToken) {
+      return this._streamMessage(body, headers, options.onToken, options.signal);
+    }
+
+    const response = await this.request('/v1/chat/completions', body, headers, options.signal);
 
     console.log(`   ✅ Response received - ${response.usage.completion_tokens} tokens`);
 
+    const responseMessage = response.choices[0].message;
+
     return {
-      message: response.choices[0].message.content,
+      message: responseMessage.content || '',
+      toolCalls: (responseMessage.tool_calls || []).map(call => ({
+        id: call.id,
+        name: call.function.name,
+        arguments: this._parseToolArguments(call.function.arguments)
+      })),
       usage: {
         inputTokens: response.usage.prompt_tokens,
         outputTokens: response.usage.completion_tokens
@@ -151,11 +512,126 @@ class OpenAIProvider extends LLMProvider {
     };
   }
 
+  /**
+   * Authorization headers for each request
+   */
+  getAuthHeaders() {
+    return {
+      'Authorization': `Bearer ${this.config.apiKey}`
+    };
+  }
+
+  /**
+   * Stream a chat completion, passing each content delta to onToken
+   */
+  async _streamMessage(body, headers, onToken, signal) {
+    const streamBody = {
+      ...body,
+      stream: true,
+      stream_options: { include_usage: true }
+    };
+
+    let message = '';
+    let usage = null;
+    let stopReason = null;
+
+    for await (const chunk of this.requestStream('/v1/chat/completions', streamBody, headers, signal)) {
+      const choice = chunk.choices?.[0];
+      const delta = choice?.delta?.content;
+      if (delta) {
+        message += delta;
+        onToken(delta);
+      }
+      if (choice?.finish_reason) {
+        stopReason = choice.finish_reason;
+      }
+      // The usage chunk arrives last with an empty choices array
+      if (chunk.usage) {
+        usage = chunk.usage;
+      }
+    }
+
+    console.log(`   ✅ Stream complete - ${usage?.completion_tokens || 0} tokens`);
+
+    return {
+      message,
+      toolCalls: [],
+      usage: {
+        inputTokens: usage?.prompt_tokens || 0,
+        outputTokens: usage?.completion_tokens || 0
+      },
+      stopReason
+    };
+  }
+
+  /**
+   * Native structured output: JSON constrained to the requested schema
+   */
+  getResponseFormat(jsonSchema) {
+    return {
+      type: 'json_schema',
+      json_schema: {
+        name: jsonSchema.name,
+        schema: jsonSchema.schema
+      }
+    };
+  }
+
+  /**
+   * Tool arguments arrive as a JSON string; fall back to the raw text if the model produced invalid JSON
+   */
+  _parseToolArguments(rawArguments) {
+    if (!rawArguments) return {};
+    try {
+      return JSON.parse(rawArguments);
+    } catch {
+      return { _raw: rawArguments };
+    }
+  }
+
   formatMessages(messages) {
-    return messages.map(msg => ({
-      role: msg.role,
-      content: msg.content
-    }));
+    return messages.map(msg => {
+      if (msg.role === 'tool') {
+        return {
+          role: 'tool',
+          tool_call_id: msg.toolCallId,
+          content: msg.content
+        };
+      }
+
+      if (msg.role === 'assistant' && msg.toolCalls?.length) {
+        return {
+          role: 'assistant',
+          content: msg.content || null,
+          tool_calls: msg.toolCalls.map(call => ({
+            id: call.id,
+            type: 'function',
+            function: {
+              name: call.name,
+              arguments: JSON.stringify(call.arguments)
+            }
+          }))
+        };
+      }
+
+      return {
+        role: msg.role,
+        content: Array.isArray(msg.content) ? msg.content.map(part => this._formatPart(part)) : msg.content
+      };
+    });
+  }
+
+  /**
+   * Map a shared content part to an OpenAI content part (images as data URLs)
+   */
+  _formatPart(part) {
+    if (part.type === 'image') {
+      return {
+        type: 'image_url',
+        image_url: { url: `data:${part.mediaType};base64,${part.data}` }
+      };
+    }
+    return { type: 'text', text: part.text };
   }
 }
 
@@ -166,6 +642,7 @@ class GeminiProvider extends LLMProvider {
   constructor(config) {
     super(config);
     this.config.baseUrl = config.baseUrl || 'https://generativelanguage.googleapis.com';
+    this.name = 'gemini';
   }
 
   async sendMessage(messages, systemPrompt, options = {}) {
@@ -176,39 +653,285 @@ class GeminiProvider extends LLMProvider {
     // Prepend system prompt to first user message
     const messagesWithSystem = [...messages];
     if (messagesWithSystem.length > 0 && systemPrompt) {
+      const firstContent = messagesWithSystem[0].content;
       messagesWithSystem[0] = {
         ...messagesWithSystem[0],
-        content: `${systemPrompt}\n\n${messagesWithSystem[0].content}`
+        content: Array.isArray(firstContent)
+          ? [{ type: 'text', text: systemPrompt }, ...firstContent]
+          : `${systemPrompt}\n\n${firstContent}`
       };
     }
 
     const contents = this.formatMessages(messagesWithSystem);
+    const body = { contents };
+
+    if (options.jsonSchema) {
+      // Gemini's responseSchema only accepts an OpenAPI subset, so request plain JSON and validate afterwards
+      body.generationConfig = { responseMimeType: 'application/json' };
+    }
+
+    if (options.tools?.length) {
+      body.tools = [{
+        functionDeclarations: options.tools.map(tool => ({
+          name: tool.name,
+          description: tool.description,
+          parameters: tool.parameters
+        }))
+      }];
+    } else if (options.onToken) {
+      return this._streamMessage(body, options.onToken, options.signal);
+    }
 
     const response = await this.request(
       `/v1beta/models/${this.config.model}:generateContent?key=${this.config.apiKey}`,
-      {
-        contents,
-      },
-      {}
+      body,
+      {},
+      options.signal
     );
 
     console.log(`   ✅ Response received - ${response.usageMetadata?.candidatesTokenCount || 0} tokens`);
 
+    const candidate = response.candidates[0];
+    const parts = candidate.content?.parts || [];
+
     return {
-      message: response.candidates[0].content.parts[0].text,
+      message: parts.filter(p => p.text).map(p => p.text).join(''),
+      // Gemini does not assign call ids, so generate stable ones for the shared schema
+      toolCalls: parts
+        .filter(p => p.functionCall)
+        .map((p, i) => ({ id: `call_${Date.now()}_${i}`, name: p.functionCall.name, arguments: p.functionCall.args || {} })),
       usage: {
         inputTokens: response.usageMetadata?.promptTokenCount || 0,
         outputTokens: response.usageMetadata?.candidatesTokenCount || 0
       },
-      stopReason: 'stop'
+      // STOP, MAX_TOKENS, SAFETY, ... lowercased like the streaming path
+      stopReason: candidate.finishReason?.toLowerCase() || 'stop'
+    };
+  }
+
+  /**
+   * Stream generated content, passing each text part to onToken
+   */
+  async _streamMessage(body, onToken, signal) {
+    let message = '';
+    let usageMetadata = null;
+    let stopReason = 'stop';
+
+    const stream = this.requestStream(
+      `/v1beta/models/${this.config.model}:streamGenerateContent?alt=sse&key=${this.config.apiKey}`,
+      body,
+      {},
+      signal
+    );
+
+    for await (const chunk of stream) {
+      const candidate = chunk.candidates?.[0];
+      for (const part of candidate?.content?.parts || []) {
+        if (part.text) {
+          message += part.text;
+          onToken(part.text);
+        }
+      }
+      if (candidate?.finishReason) {
+        stopReason = candidate.finishReason.toLowerCase();
+      }
+      // Usage metadata is cumulative, so the last chunk carries the totals
+      if (chunk.usageMetadata) {
+        usageMetadata = chunk.usageMetadata;
+      }
+    }
+
+    console.log(`   ✅ Stream complete - ${usageMetadata?.candidatesTokenCount || 0} tokens`);
+
+    return {
+      message,
+      toolCalls: [],
+      usage: {
+        inputTokens: usageMetadata?.promptTokenCount || 0,
+        outputTokens: usageMetadata?.candidatesTokenCount || 0
+      },
+      stopReason
     };
   }
 
   formatMessages(messages) {
-    return messages.map(msg => ({
-      role: msg.role === 'assistant' ? 'model' : 'user',
-      parts: [{ text: msg.content }]
-    }));
+    const formatted = [];
+
+    for (const msg of messages) {
+      if (msg.role === 'tool') {
+        // Consecutive tool results are sent together as functionResponse parts
+        const part = {
+          functionResponse: {
+            name: msg.name,
+            response: { content: msg.content }
+          }
+        };
+        const previous = formatted[formatted.length - 1];
+        if (previous?.role === 'user' && previous.parts.every(p => p.functionResponse)) {
+          previous.parts.push(part);
+        } else {
+          formatted.push({ role: 'user', parts: [part] });
+        }
+      } else if (msg.role === 'assistant' && msg.toolCalls?.length) {
+        formatted.push({
+          role: 'model',
+          parts: [
+            ...(msg.content ? [{ text: msg.content }] : []),
+            ...msg.toolCalls.map(call => ({
+              functionCall: { name: call.name, args: call.arguments }
+            }))
+          ]
+        });
+      } else {
+        formatted.push({
+          role: msg.role === 'assistant' ? 'model' : 'user',
+          parts: Array.isArray(msg.content)
+            ? msg.content.map(part => this._formatPart(part))
+            : [{ text: msg.content }]
+        });
+      }
+    }
+
+    return formatted;
+  }
+
+  /**
+   * Map a shared content part to a Gemini part (images inline)
+   */
+  _formatPart(part) {
+    if (part.type === 'image') {
+      return { inlineData: { mimeType: part.mediaType, data: part.data } };
+    }
+    return { text: part.text };
+  }
+}
+
+/**
+ * Local Provider - OpenAI-compatible servers running on the team's machine
+ * (Ollama, llama.cpp server, vLLM). No API key is required, and when no model
+ * is configured the first installed model is used.
+ */
+class LocalProvider extends OpenAIProvider {
+  constructor(config) {
+    super({
+      ...config,
+      // Accept both "http://host:port" and "http://host:port/v1" style base URLs
+      baseUrl: (config.baseUrl || 'http://localhost:11434').replace(/\/+$/, '').replace(/\/v1$/, '')
+    });
+    this.name = 'local';
+    this.displayName = 'Local';
+  }
+
+  async sendMessage(messages, systemPrompt, options = {}) {
+    if (!this.config.model) {
+      const models = await this.listModels();
+      if (models.length === 0) {
+        throw new Error(`No models installed on local LLM server at ${this.config.baseUrl}`);
+      }
+      this.config.model = models[0];
+      console.log(`🔎 No local model configured, using ${this.config.model}`);
+    }
+
+    return super.sendMessage(messages, systemPrompt, options);
+  }
+
+  /**
+   * Local servers differ in json_schema support; plain JSON mode works across Ollama, llama.cpp and vLLM
+   */
+  getResponseFormat() {
+    return { type: 'json_object' };
+  }
+
+  getAuthHeaders() {
+    return this.config.apiKey
+      ? { 'Authorization': `Bearer ${this.config.apiKey}` }
+      : {};
+  }
+
+  /**
+   * List the models installed on the local server.
+   * Tries the OpenAI-compatible /v1/models listing first, then Ollama's native /api/tags.
+   */
+  async listModels() {
+    try {
+      const response = await this.getJson('/v1/models', this.getAuthHeaders());
+      return (response.data || []).map(model => model.id);
+    } catch (openaiError) {
+      try {
+        const response = await this.getJson('/api/tags', this.getAuthHeaders());
+        return (response.models || []).map(model => model.name);
+      } catch (ollamaError) {
+        throw new Error(`Could not list local models at ${this.config.baseUrl}: ${openaiError.message}`);
+      }
+    }
+  }
+}
+
+/**
+ * Fallback Provider - Tries an ordered chain of providers, moving to the next one when a
+ * provider still fails after its own retries. A failed provider is skipped for a cooldown
+ * period so later calls do not wait on it again.
+ */
+class FallbackProvider extends LLMProvider {
+  constructor(providers, options = {}) {
+    super(providers[0].config);
+    this.providers = providers;
+    this.name = providers[0].name;
+    this.cooldownMs = options.cooldownMs ?? 60000;
+    this.unavailableUntil = new Map();
+  }
+
+  async sendMessage(messages, systemPrompt, options = {}) {
+    const now = Date.now();
+    const available = this.providers.filter(p => (this.unavailableUntil.get(p) || 0) <= now);
+    // If everything is cooling down, try the whole chain again rather than failing outright
+    const candidates = available.length > 0 ? available : this.providers;
+
+    let lastError;
+    for (let i = 0; i < candidates.length; i++) {
+      const provider = candidates[i];
+      let streamed = false;
+      const onToken = options.onToken && ((text) => {
+        streamed = true;
+        options.onToken(text);
+      });
+      try {
+        const response = await provider.sendMessage(messages, systemPrompt, { ...options, onToken });
+        this.unavailableUntil.delete(provider);
+        return {
+          ...response,
+          provider: provider.name,
+          model: provider.config.model
+        };
+      } catch (error) {
+        // Cancellation is not a provider failure
+        if (options.signal?.aborted) throw error;
+
+        lastError = error;
+        this.unavailableUntil.set(provider, Date.now() + this.cooldownMs);
+
+        const next = candidates[i + 1];
+        if (!next) break;
+
+        const event = {
+          from: { provider: provider.name, model: provider.config.model },
+          to: { provider: next.name, model: next.config.model },
+          status: error.status || null,
+          error: error.message,
+          timestamp: new Date().toISOString()
+        };
+        console.warn(`🔀 Failing over from ${event.from.provider}/${event.from.model} to ${event.to.provider}/${event.to.model}: ${error.message}`);
+        // The next provider starts its answer over
+        if (streamed && options.onStreamReset) {
+          options.onStreamReset();
+        }
+        if (options.onFailover) {
+          options.onFailover(event);
+        }
+      }
+    }
+
+    throw lastError;
   }
 }
 
@@ -217,14 +940,15 @@ class GeminiProvider extends LLMProvider {
  */
 class ProviderFactory {
   static createProvider(providerConfig) {
-    const { provider, apiKey, baseUrl, model, maxTokens, temperature } = providerConfig;
+    const { provider, apiKey, baseUrl, model, maxTokens, temperature, retry } = providerConfig;
 
     const config = {
       apiKey,
       baseUrl,
       model,
       maxTokens: maxTokens || 8192,
-      temperature: temperature || 0.7
+      temperature: temperature || 0.7,
+      retry
     };
 
     switch (provider.toLowerCase()) {
@@ -240,14 +964,31 @@ class ProviderFactory {
       case 'gemini':
         return new GeminiProvider(config);
 
+      case 'local':
+      case 'ollama':
+        return new LocalProvider(config);
+
       default:
         throw new Error(`Unsupported LLM provider: ${provider}`);
     }
   }
 
+  /**
+   * Create the primary provider, wrapped in a FallbackProvider when a fallback chain is given
+   */
+  static createWithFallback(primaryConfig, fallbackConfigs = [], options = {}) {
+    const primary = ProviderFactory.createProvider(primaryConfig);
+    if (!fallbackConfigs || fallbackConfigs.length === 0) {
+      return primary;
+    }
+
+    const chain = [primary, ...fallbackConfigs.map(c => ProviderFactory.createProvider(c))];
+    return new FallbackProvider(chain, options);
+  }
+
   static getSupportedProviders() {
-    return ['anthropic', 'claude', 'openai', 'gpt', 'google', 'gemini'];
+    return ['anthropic', 'claude', 'openai', 'gpt', 'google', 'gemini', 'local', 'ollama'];
   }
 }
 
-export { ProviderFactory, ClaudeProvider, OpenAIProvider, GeminiProvider };
+export { ProviderFactory, ProviderError, FallbackProvider, ClaudeProvider, OpenAIProvider, GeminiProvider, LocalProvider };
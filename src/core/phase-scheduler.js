@@ -0,0 +1,243 @@
+import config from './config.js';
+import { formatDuration } from './contest-clock.js';
+
+const HOUR = 60 * 60 * 1000;
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+export const SCHEDULED_PHASES = ['planning', 'modeling', 'writing'];
+
+/**
+ * Raised (as the abort reason of the phase's signal) when a time-boxed phase runs past its limit.
+ * Retrying cannot help: a retry would start over with a fresh limit.
+ */
+export class PhaseTimeoutError extends Error {
+  constructor(phase, limitMs) {
+    super(`The ${phase} phase ran past its ${formatDuration(limitMs)} time limit`);
+    this.name = 'PhaseTimeoutError';
+    this.phase = phase;
+    this.limitMs = limitMs;
+  }
+}
+
+/**
+ * Degraded modes from least to most severe; each one also applies the modes before it.
+ * skips lists the workflow handlers (a step's "run") that are skipped while the mode is on.
+ */
+export const DEGRADED_MODES = [
+  {
+    name: 'fewer_experiments',
+    skips: ['generate_visualizations'],
+    description: 'baseline and parameter sweep experiments only, one repair attempt, no extra visualizations'
+  },
+  {
+    name: 'skip_expansion',
+    skips: ['review_figures', 'expand_paper', 'review_paper'],
+    description: 'no figure review, paper expansion or paper review'
+  },
+  {
+    name: 'minimal',
+    skips: ['sensitivity_analysis'],
+    description: 'no sensitivity analysis'
+  }
+];
+
+/**
+ * Phase Scheduler - Splits the time left on the contest clock into phase and sub-question
+ * budgets, warns when work runs behind, and switches on degraded modes as the deadline gets
+ * close so that a compiled paper exists before it. With contest.enabled off, or once the
+ * default deadline of a workspace that never set one has passed, it schedules nothing.
+ */
+class PhaseScheduler {
+  /**
+   * options.warn (message, data) reports warnings; options.onDegrade (mode) is called once
+   * for each degraded mode when it switches on
+   */
+  constructor(clock, options = {}) {
+    const settings = config.get('contest') || {};
+    this.clock = clock;
+    this.enabled = settings.enabled !== false;
+    this.warn = options.warn || (message => console.warn(message));
+    this.onDegrade = options.onDegrade || null;
+    this.weights = { planning: 0.15, modeling: 0.55, writing: 0.3, ...settings.phase_budget };
+    this.reserveMs = (settings.reserve_hours ?? 2) * HOUR;
+    this.warnRatio = settings.warn_ratio ?? 0.8;
+    this.subQuestionShare = settings.subquestion_share ?? 0.6;
+    this.planningLimitFactor = settings.planning_limit_factor ?? 2;
+    this.thresholds = { fewer_experiments: 12, skip_expansion: 6, minimal: 3, ...settings.degraded };
+    this.current = null; // { phase, startedAt, budgetMs, stop } for the running phase
+    this.announced = new Set(); // Degraded modes already reported
+  }
+
+  /**
+   * Whether budgets and degraded modes apply. A practice workspace resumed after its default
+   * 96-hour clock ran out would otherwise stay in every degraded mode for good.
+   */
+  isScheduling(now = Date.now()) {
+    return this.enabled && (this.clock.explicit || this.clock.remainingMs(now) > 0);
+  }
+
+  /**
+   * Time left before the deadline, less the reserve kept for compiling and submitting
+   */
+  availableMs(now = Date.now()) {
+    return Math.max(0, this.clock.remainingMs(now) - this.reserveMs);
+  }
+
+  /**
+   * A phase's share of the available time, split between it and the phases after it
+   */
+  phaseBudgetMs(phase, now = Date.now()) {
+    const remaining = SCHEDULED_PHASES.slice(SCHEDULED_PHASES.indexOf(phase));
+    const totalWeight = remaining.reduce((sum, p) => sum + (this.weights[p] || 0), 0);
+    return totalWeight > 0
+      ? Math.floor(this.availableMs(now) * (this.weights[phase] || 0) / totalWeight)
+      : 0;
+  }
+
+  /**
+   * Planning has nothing to degrade, so it is stopped once it takes planning_limit_factor times
+   * its budget (at least 10 minutes). Null when nothing is scheduled.
+   */
+  planningTimeLimitMs() {
+    if (!this.isScheduling()) {
+      return null;
+    }
+    const limitMs = Math.max(10 * 60 * 1000, this.phaseBudgetMs('planning') * this.planningLimitFactor);
+    return Math.min(limitMs, MAX_TIMER_MS);
+  }
+
+  /**
+   * Start timing a phase. Returns its budget in milliseconds, or null when it is not scheduled.
+   */
+  startPhase(phase) {
+    this.finishPhase();
+    if (!SCHEDULED_PHASES.includes(phase) || !this.isScheduling()) {
+      return null;
+    }
+
+    const budgetMs = this.phaseBudgetMs(phase);
+    this.current = { phase, startedAt: Date.now(), budgetMs, stop: this.track(`The ${phase} phase`, budgetMs) };
+    console.log(`⏳ ${phase} phase budget: ${formatDuration(budgetMs)} (deadline ${this.clock.formatTime(this.clock.deadline)}, ${formatDuration(this.clock.remainingMs())} left)`);
+    this.checkDegraded();
+    return budgetMs;
+  }
+
+  /**
+   * Stop timing the current phase. Returns { phase, budgetMs, usedMs }, or null if none was running.
+   */
+  finishPhase() {
+    if (!this.current) {
+      return null;
+    }
+
+    const { phase, startedAt, budgetMs, stop } = this.current;
+    stop();
+    this.current = null;
+
+    const usedMs = Date.now() - startedAt;
+    console.log(`⏳ ${phase} phase took ${formatDuration(usedMs)} of its ${formatDuration(budgetMs)} budget`);
+    return { phase, budgetMs, usedMs };
+  }
+
+  /**
+   * Budget for one of `count` sub-questions modeled `concurrency` at a time, out of
+   * subquestion_share of what is left of the modeling phase
+   */
+  subQuestionBudgetMs(count, concurrency = 1) {
+    if (!this.current) {
+      return null;
+    }
+    const leftMs = Math.max(0, this.current.budgetMs - (Date.now() - this.current.startedAt));
+    const rounds = Math.ceil(count / Math.max(1, concurrency));
+    return Math.floor(leftMs * this.subQuestionShare / Math.max(1, rounds));
+  }
+
+  /**
+   * Warn once a task has used warn_ratio of its budget, and again when it runs over.
+   * Returns a function that stops tracking.
+   */
+  track(label, budgetMs) {
+    const schedule = (delay, fn) => delay <= MAX_TIMER_MS ? setTimeout(fn, delay) : null;
+    const timers = [
+      schedule(budgetMs * this.warnRatio, () => {
+        this.warn(`⏳ ${label} has used ${Math.round(this.warnRatio * 100)}% of its ${formatDuration(budgetMs)} budget`,
+          { schedule: { label, budgetMs, status: 'warning' } });
+      }),
+      schedule(budgetMs, () => {
+        this.warn(`⏰ ${label} is over its ${formatDuration(budgetMs)} budget (${formatDuration(this.clock.remainingMs())} to the deadline)`,
+          { schedule: { label, budgetMs, status: 'over' } });
+        this.checkDegraded();
+      })
+    ].filter(Boolean);
+
+    // Budget timers never keep the process alive
+    timers.forEach(timer => timer.unref?.());
+    return () => timers.forEach(timer => clearTimeout(timer));
+  }
+
+  /**
+   * Whether the running phase has used up its budget
+   */
+  isBehind(now = Date.now()) {
+    return !!this.current && now - this.current.startedAt > this.current.budgetMs;
+  }
+
+  /**
+   * Degraded modes in effect: a mode is on when fewer than contest.degraded.<mode> hours are
+   * available, and fewer_experiments also when the running phase is behind its budget
+   */
+  activeModes(now = Date.now()) {
+    if (!this.isScheduling(now)) {
+      return [];
+    }
+    const hoursLeft = this.availableMs(now) / HOUR;
+    const deepest = DEGRADED_MODES.reduce((deepest, mode, index) => {
+      const on = hoursLeft < (this.thresholds[mode.name] ?? 0) || (index === 0 && this.isBehind(now));
+      return on ? index : deepest;
+    }, -1);
+    return DEGRADED_MODES.slice(0, deepest + 1);
+  }
+
+  isDegraded(name) {
+    return this.activeModes().some(mode => mode.name === name);
+  }
+
+  /**
+   * Report degraded modes that have switched on since the last check
+   */
+  checkDegraded() {
+    for (const mode of this.activeModes()) {
+      if (this.announced.has(mode.name)) continue;
+      this.announced.add(mode.name);
+      this.warn(`🪫 Degraded mode ${mode.name}: ${mode.description} (${formatDuration(this.clock.remainingMs())} to the deadline)`,
+        { schedule: { degradedMode: mode.name } });
+      this.onDegrade?.(mode);
+    }
+  }
+
+  /**
+   * Why a workflow step should be skipped under the current degraded modes, or null to run it
+   */
+  skipReason(step) {
+    this.checkDegraded();
+    const mode = step.run && this.activeModes().find(m => m.skips.includes(step.run));
+    return mode ? `degraded mode ${mode.name}, ${formatDuration(this.clock.remainingMs())} to the deadline` : null;
+  }
+
+  getStatus(now = Date.now()) {
+    return {
+      ...this.clock.getStatus(now),
+      availableMs: this.availableMs(now),
+      scheduling: this.isScheduling(now),
+      phase: this.current && {
+        name: this.current.phase,
+        budgetMs: this.current.budgetMs,
+        usedMs: now - this.current.startedAt,
+        behind: this.isBehind(now)
+      },
+      degradedModes: this.activeModes(now).map(mode => mode.name)
+    };
+  }
+}
+
+export default PhaseScheduler;
@@ -0,0 +1,122 @@
+/**
+ * Plan Schema - Typed shape of the approved modeling plan
+ * Produced by the planning phase as structured output and consumed by later phases
+ */
+const ASSUMPTION = {
+  type: 'object',
+  required: ['statement', 'justification'],
+  properties: {
+    statement: { type: 'string', minLength: 1 },
+    justification: { type: 'string' },
+    component: { type: 'string', description: 'Model component the assumption affects' }
+  }
+};
+
+export const PLAN_SCHEMA = {
+  type: 'object',
+  required: ['modelType', 'summary', 'subQuestions', 'variables', 'assumptions', 'experiments', 'dataNeeds'],
+  properties: {
+    modelType: { type: 'string', minLength: 1, description: 'Primary mathematical model type, e.g. "SIR compartmental ODE model"' },
+    summary: { type: 'string', minLength: 1, description: 'Two or three sentence overview of the approach' },
+    subQuestions: {
+      type: 'array',
+      minItems: 1,
+      description: 'Numbered tasks from the problem statement, in order',
+      items: {
+        type: 'object',
+        required: ['id', 'question', 'approach'],
+        properties: {
+          id: { type: 'string', description: 'Short id such as "q1"' },
+          question: { type: 'string', minLength: 1 },
+          approach: { type: 'string', minLength: 1 },
+          deliverables: { type: 'array', items: { type: 'string' } }
+        }
+      }
+    },
+    variables: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['symbol', 'definition', 'units'],
+        properties: {
+          symbol: { type: 'string', minLength: 1 },
+          definition: { type: 'string' },
+          units: { type: 'string' },
+          constraints: { type: 'string' }
+        }
+      }
+    },
+    assumptions: {
+      type: 'array',
+      items: ASSUMPTION
+    },
+    experiments: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['name', 'description'],
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          description: { type: 'string' },
+          subQuestion: { type: 'string', description: 'Id of the sub-question this experiment answers' }
+        }
+      }
+    },
+    dataNeeds: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['description'],
+        properties: {
+          description: { type: 'string', minLength: 1 },
+          source: { type: 'string' }
+        }
+      }
+    },
+    validationApproach: { type: 'string' },
+    challenges: { type: 'array', items: { type: 'string' } }
+  }
+};
+
+/**
+ * Assumptions extracted from an agent's output, registered in AUTOMCM.md
+ */
+export const ASSUMPTIONS_SCHEMA = {
+  type: 'object',
+  required: ['assumptions'],
+  properties: {
+    assumptions: { type: 'array', items: ASSUMPTION }
+  }
+};
+
+/**
+ * Render a structured plan as markdown for prompts and documents
+ */
+export function renderPlan(plan) {
+  const list = (items, format) => (items && items.length > 0)
+    ? items.map(format).join('\n')
+    : '_None_';
+
+  return `## Model Type
+${plan.modelType}
+
+## Summary
+${plan.summary}
+
+## Sub-Questions
+${list(plan.subQuestions, q => `### ${q.id}: ${q.question}\n**Approach**: ${q.approach}${q.deliverables?.length ? `\n**Deliverables**: ${q.deliverables.join('; ')}` : ''}`)}
+
+## Variables
+${list(plan.variables, v => `- $${v.symbol}$: ${v.definition} [${v.units}]${v.constraints ? ` (${v.constraints})` : ''}`)}
+
+## Assumptions
+${list(plan.assumptions, (a, i) => `${i + 1}. ${a.statement}${a.justification ? ` — *${a.justification}*` : ''}${a.component ? ` (affects: ${a.component})` : ''}`)}
+
+## Experiments
+${list(plan.experiments, e => `- **${e.name}**${e.subQuestion ? ` (${e.subQuestion})` : ''}: ${e.description}`)}
+
+## Data Needs
+${list(plan.dataNeeds, d => `- ${d.description}${d.source ? ` — source: ${d.source}` : ''}`)}
+${plan.validationApproach ? `\n## Validation Approach\n${plan.validationApproach}\n` : ''}${plan.challenges?.length ? `\n## Potential Challenges\n${plan.challenges.map(c => `- ${c}`).join('\n')}\n` : ''}`;
+}
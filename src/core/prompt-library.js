@@ -0,0 +1,139 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_PROMPTS_DIR = path.join(__dirname, '../../templates/prompts');
+
+/**
+ * Prompt Library - Loads versioned prompt templates from templates/prompts/
+ *
+ * Each template is a markdown file with a front-matter header (id, version, description).
+ * Template syntax:
+ * - {{name}}                       variable (missing variables are an error)
+ * - {{> name}}                     partial from partials/name.md
+ * - {{#if name}}...{{else}}...{{/if}}  section included when the variable is truthy
+ *
+ * A workspace can override any template or partial by placing a file with the same
+ * relative path under <workspace>/prompts/.
+ */
+class PromptLibrary {
+  constructor(options = {}) {
+    this.promptsDir = options.promptsDir || DEFAULT_PROMPTS_DIR;
+    this.overrideDir = options.workspacePath ? path.join(options.workspacePath, 'prompts') : null;
+  }
+
+  /**
+   * Load a template by id (e.g. "planning/parse"), preferring a workspace override
+   */
+  load(id) {
+    const candidates = [
+      ...(this.overrideDir ? [{ dir: this.overrideDir, source: 'workspace' }] : []),
+      { dir: this.promptsDir, source: 'default' }
+    ];
+
+    for (const { dir, source } of candidates) {
+      const filePath = path.join(dir, `${id}.md`);
+      if (fs.existsSync(filePath)) {
+        const { meta, body } = this._parseFrontMatter(fs.readFileSync(filePath, 'utf8'));
+        return {
+          id,
+          version: meta.version || '0',
+          description: meta.description || '',
+          source,
+          body
+        };
+      }
+    }
+
+    throw new Error(`Prompt template not found: ${id}`);
+  }
+
+  /**
+   * Check whether a template exists
+   */
+  has(id) {
+    return fs.existsSync(path.join(this.promptsDir, `${id}.md`)) ||
+      (!!this.overrideDir && fs.existsSync(path.join(this.overrideDir, `${id}.md`)));
+  }
+
+  /**
+   * Render a template with variables
+   * Returns { text, id, version, source }
+   */
+  render(id, variables = {}) {
+    const template = this.load(id);
+    const withPartials = this._expandPartials(template.body, new Set([id]));
+    const text = this._substitute(this._applyConditionals(withPartials, variables), variables, id);
+
+    return {
+      text: text.trim(),
+      id,
+      version: template.version,
+      source: template.source
+    };
+  }
+
+  /**
+   * Split "---\nkey: value\n---\nbody" into metadata and body
+   */
+  _parseFrontMatter(content) {
+    const match = content.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?([\s\S]*)$/);
+    if (!match) {
+      return { meta: {}, body: content };
+    }
+
+    const meta = {};
+    for (const line of match[1].split(/\r?\n/)) {
+      const separator = line.indexOf(':');
+      if (separator > 0) {
+        meta[line.substring(0, separator).trim()] = line.substring(separator + 1).trim();
+      }
+    }
+
+    return { meta, body: match[2] };
+  }
+
+  /**
+   * Inline {{> partial}} references (partials may include other partials)
+   */
+  _expandPartials(body, seen) {
+    return body.replace(/\{\{>\s*([\w\-/]+)\s*\}\}/g, (_, name) => {
+      const partialId = `partials/${name}`;
+      if (seen.has(partialId)) {
+        throw new Error(`Circular prompt partial: ${partialId}`);
+      }
+      const partial = this.load(partialId);
+      return this._expandPartials(partial.body.trim(), new Set([...seen, partialId]));
+    });
+  }
+
+  /**
+   * Resolve {{#if name}}...{{else}}...{{/if}} sections (not nested)
+   */
+  _applyConditionals(body, variables) {
+    // Tags on a line of their own do not leave an empty line behind
+    const standalone = body.replace(/^[ \t]*(\{\{(?:#if\s+\w+\s*|else|\/if)\}\})[ \t]*\r?\n/gm, '$1');
+
+    return standalone.replace(
+      /\{\{#if\s+(\w+)\s*\}\}([\s\S]*?)(?:\{\{else\}\}([\s\S]*?))?\{\{\/if\}\}/g,
+      (_, name, truthy, falsy = '') => (variables[name] ? truthy : falsy)
+    );
+  }
+
+  /**
+   * Replace {{name}} with variable values
+   */
+  _substitute(body, variables, id) {
+    return body.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, name) => {
+      if (!(name in variables) || variables[name] === undefined || variables[name] === null) {
+        throw new Error(`Prompt ${id} is missing variable "${name}"`);
+      }
+      return String(variables[name]);
+    });
+  }
+}
+
+export default PromptLibrary;
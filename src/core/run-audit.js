@@ -0,0 +1,268 @@
+import fs from 'fs/promises';
+import path from 'path';
+import EventBus from './event-bus.js';
+
+export const EXPORT_FORMATS = { markdown: 'md', json: 'json' };
+
+const RUN_ID = /^[\w.-]+$/;
+
+/**
+ * Raised for a run, or an LLM call of a run, that has no audit trail in the workspace
+ */
+export class RunNotFoundError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RunNotFoundError';
+  }
+}
+
+/**
+ * File name of an LLM call's exchange record in the run folder
+ */
+function callFileName(seq) {
+  return `calls/${String(seq).padStart(5, '0')}.json`;
+}
+
+/**
+ * Messages sent for the first time in a call: everything after the last assistant reply
+ */
+function newMessages(messages = []) {
+  const lastReply = messages.map(m => m.role).lastIndexOf('assistant');
+  return messages.slice(lastReply + 1);
+}
+
+/**
+ * Text of a message whose content is a string or a list of text/image parts
+ */
+function messageText(message) {
+  if (typeof message.content === 'string') return message.content;
+  return (message.content || [])
+    .map(part => part.type === 'image' ? `[image: ${part.mediaType}, ${part.bytes} bytes]` : part.text || '')
+    .join('\n');
+}
+
+/**
+ * Longest run of backticks in the text plus one, so a fence cannot be closed by the content
+ */
+function fence(text) {
+  const longest = Math.max(2, ...(text.match(/`+/g) || []).map(ticks => ticks.length));
+  return '`'.repeat(longest + 1);
+}
+
+function codeBlock(text) {
+  const ticks = fence(text);
+  return `${ticks}\n${text}\n${ticks}`;
+}
+
+/**
+ * Run Audit - Reads the audit trail of a workspace's runs: runs/<runId>/events.jsonl and the
+ * calls/<seq>.json records with each LLM call's settings, system prompt, messages and response.
+ * LLM calls are linked to the artifacts they produced, and a run exports as Markdown or JSON.
+ */
+class RunAudit {
+  constructor(workspacePath) {
+    this.workspacePath = workspacePath;
+    this.runsPath = path.join(workspacePath, 'runs');
+  }
+
+  /**
+   * Summaries of every run in the workspace, newest first
+   */
+  async listRuns() {
+    let entries;
+    try {
+      entries = await fs.readdir(this.runsPath, { withFileTypes: true });
+    } catch {
+      return [];
+    }
+
+    const runs = [];
+    for (const entry of entries.filter(e => e.isDirectory() && RUN_ID.test(e.name))) {
+      const events = await EventBus.read(path.join(this.runsPath, entry.name, 'events.jsonl'));
+      if (events.length > 0) {
+        runs.push(this._summarize(entry.name, events));
+      }
+    }
+    return runs.sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+  }
+
+  /**
+   * A run's summary and its events in order. llm-call events list the artifacts they produced.
+   */
+  async getRun(runId) {
+    const events = await this._readEvents(runId);
+    const producedBy = this._artifactsByCall(events);
+    return {
+      summary: this._summarize(runId, events),
+      events: events.map(event => event.type === 'llm-call'
+        ? { ...event, artifacts: producedBy.get(event.seq) || [] }
+        : event)
+    };
+  }
+
+  /**
+   * The full record of one LLM call, with the artifacts it produced
+   */
+  async getCall(runId, seq) {
+    const events = await this._readEvents(runId);
+    const record = await this._readCall(runId, seq);
+    if (!record) {
+      throw new RunNotFoundError(`No record of LLM call #${seq} in run ${runId}`);
+    }
+    return { ...record, artifacts: this._artifactsByCall(events).get(Number(seq)) || [] };
+  }
+
+  /**
+   * The whole trail of a run as one document: 'markdown' for reading and AI-use disclosure,
+   * or 'json' with every event and call record
+   */
+  async exportRun(runId, format = 'markdown') {
+    if (!EXPORT_FORMATS[format]) {
+      throw new Error(`Unknown export format "${format}" (expected ${Object.keys(EXPORT_FORMATS).join(' or ')})`);
+    }
+
+    const { summary, events } = await this.getRun(runId);
+    const calls = new Map();
+    for (const event of events.filter(e => e.type === 'llm-call' && e.callFile)) {
+      const record = await this._readCall(runId, event.seq);
+      if (record) calls.set(event.seq, record);
+    }
+
+    if (format === 'json') {
+      return JSON.stringify({ summary, events, calls: [...calls.values()] }, null, 2);
+    }
+    return this._formatMarkdown(summary, events, calls);
+  }
+
+  async _readEvents(runId) {
+    if (!RUN_ID.test(String(runId))) {
+      throw new RunNotFoundError(`Invalid run id "${runId}"`);
+    }
+    const events = await EventBus.read(path.join(this.runsPath, runId, 'events.jsonl'));
+    if (events.length === 0) {
+      throw new RunNotFoundError(`Run ${runId} not found in this workspace`);
+    }
+    return events;
+  }
+
+  async _readCall(runId, seq) {
+    try {
+      return JSON.parse(await fs.readFile(path.join(this.runsPath, runId, callFileName(Number(seq))), 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Map from llm-call seq to the names of the artifacts whose step made that call before saving them
+   */
+  _artifactsByCall(events) {
+    const producedBy = new Map();
+    for (const artifact of events.filter(e => e.type === 'artifact')) {
+      for (const seq of artifact.calls || []) {
+        producedBy.set(seq, [...new Set([...(producedBy.get(seq) || []), artifact.name])]);
+      }
+    }
+    return producedBy;
+  }
+
+  _summarize(runId, events) {
+    const calls = events.filter(e => e.type === 'llm-call');
+    const total = field => calls.reduce((sum, call) => sum + (call[field] || 0), 0);
+    return {
+      runId,
+      startedAt: events[0].timestamp,
+      finishedAt: events.at(-1).timestamp,
+      phases: [...new Set(events.map(e => e.phase).filter(phase => phase && phase !== 'idle'))],
+      calls: calls.length,
+      failedCalls: calls.filter(c => c.status !== 'completed').length,
+      inputTokens: total('inputTokens'),
+      outputTokens: total('outputTokens'),
+      cost: total('cost'),
+      models: [...new Set(calls.map(c => `${c.provider}/${c.model}`))],
+      artifacts: events.filter(e => e.type === 'artifact').length,
+      errors: events.filter(e => e.type === 'error').length
+    };
+  }
+
+  _formatMarkdown(summary, events, calls) {
+    const lines = [
+      `# Audit Trail: ${summary.runId}`,
+      '',
+      `- **Workspace:** ${path.basename(this.workspacePath)}`,
+      `- **Period:** ${summary.startedAt} to ${summary.finishedAt}`,
+      `- **Phases:** ${summary.phases.join(', ') || 'none'}`,
+      `- **Models:** ${summary.models.join(', ') || 'none'}`,
+      `- **LLM calls:** ${summary.calls} (${summary.failedCalls} failed or cancelled), ` +
+        `${summary.inputTokens.toLocaleString('en-US')} input / ${summary.outputTokens.toLocaleString('en-US')} output tokens, $${summary.cost.toFixed(4)}`,
+      `- **Artifacts:** ${summary.artifacts}`,
+      '',
+      '## Timeline',
+      ''
+    ];
+
+    for (const event of events) {
+      const time = event.timestamp.slice(11, 19);
+      const where = [event.phase, event.step].filter(Boolean).join(' / ');
+
+      switch (event.type) {
+        case 'llm-call': {
+          lines.push(`### #${event.seq} ${time} LLM call: ${event.agentId} (${where})`, '');
+          lines.push(`${event.provider}/${event.model}, ${event.status}` +
+            (event.status === 'completed' ? `, ${event.inputTokens} in / ${event.outputTokens} out tokens, $${(event.cost || 0).toFixed(4)}` : `: ${event.error}`) +
+            `, ${(event.durationMs / 1000).toFixed(1)}s${event.replayed ? ' (replayed from cassette)' : ''}`, '');
+          if (event.artifacts.length > 0) {
+            lines.push(`Produced: ${event.artifacts.join(', ')}`, '');
+          }
+
+          const record = calls.get(event.seq);
+          if (!record) {
+            lines.push('_No exchange recorded for this call._', '');
+            break;
+          }
+          const { settings, systemPrompt, messages = [], response } = record;
+          lines.push(`Settings: max tokens ${settings.maxTokens ?? 'default'}, temperature ${settings.temperature ?? 'default'}` +
+            (settings.tools.length > 0 ? `, tools ${settings.tools.join(', ')}` : '') +
+            (settings.jsonSchema ? `, schema ${settings.jsonSchema}` : ''), '');
+          lines.push('<details><summary>System prompt</summary>', '', codeBlock(systemPrompt || ''), '', '</details>', '');
+
+          const sent = newMessages(messages);
+          if (sent.length < messages.length) {
+            lines.push(`_${messages.length - sent.length} earlier messages of this conversation are in ${event.callFile}._`, '');
+          }
+          for (const message of sent) {
+            lines.push(`**${message.role === 'tool' ? `Tool result (${message.name})` : 'Prompt'}:**`, '', codeBlock(messageText(message)), '');
+          }
+          if (response) {
+            lines.push('**Response:**', '', codeBlock(response.message || ''), '');
+            for (const call of response.toolCalls || []) {
+              lines.push(`Tool call \`${call.name}\`:`, '', codeBlock(JSON.stringify(call.arguments ?? {}, null, 2)), '');
+            }
+          }
+          break;
+        }
+        case 'step-started':
+          lines.push(`- ${time} ▶ step ${event.step} started (${event.phase})`, '');
+          break;
+        case 'step-finished':
+          lines.push(`- ${time} ■ step ${event.step} ${event.status}` +
+            (event.durationMs ? ` in ${(event.durationMs / 1000).toFixed(1)}s` : '') +
+            (event.error ? `: ${event.error}` : ''), '');
+          break;
+        case 'tool-call':
+          lines.push(`- ${time} 🔧 ${event.agentId} called ${event.tool}${event.isError ? ` (error: ${event.error})` : ''}`, '');
+          break;
+        case 'artifact':
+          lines.push(`- ${time} 💾 artifact ${event.path} (v${event.version})` +
+            (event.calls?.length > 0 ? ` from LLM call${event.calls.length > 1 ? 's' : ''} ${event.calls.map(seq => `#${seq}`).join(', ')}` : ''), '');
+          break;
+        default:
+          lines.push(`- ${time} ${event.type === 'error' ? '❌' : '⚠️'} ${event.message}`, '');
+      }
+    }
+
+    return lines.join('\n');
+  }
+}
+
+export default RunAudit;
@@ -0,0 +1,249 @@
+const HISTORY_SIZE = 50; // Finished tasks kept for getStatus()
+const FINISHED = new Set(['completed', 'failed', 'cancelled']);
+
+/**
+ * Raised (and used as the abort reason of the task's signal) when an attempt runs past the timeout
+ */
+export class TaskTimeoutError extends Error {
+  constructor(label, timeoutMs) {
+    super(`${label} timed out after ${timeoutMs / 1000}s`);
+    this.name = 'TaskTimeoutError';
+    this.label = label;
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+/**
+ * Resolve after `ms`, or reject with the signal's reason when it aborts first
+ */
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Resolve once `promise` settles, or reject with the signal's reason when it aborts first
+ */
+function settledOrAborted(promise, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => reject(signal.reason);
+    signal?.addEventListener('abort', onAbort, { once: true });
+    promise.then(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    });
+  });
+}
+
+/**
+ * Task Queue - Runs async tasks with at most `concurrency` in flight, shared by every batch.
+ * Each attempt gets its own AbortSignal (aborted by the batch signal or the timeout); failed
+ * attempts are retried, and a batch resolves with one settled result per task, in order.
+ * A fatal error (options.isFatal) is not retried: it cancels the batch's queued tasks and
+ * rejects the batch once its running tasks have settled. An attempt that times out but ignores
+ * its signal keeps its slot, and is not retried, until it actually stops.
+ */
+class TaskQueue {
+  constructor(options = {}) {
+    this.concurrency = Math.max(1, options.concurrency || 1);
+    this.timeoutMs = options.timeoutMs || 0;
+    this.retries = Math.max(0, options.retries || 0);
+    this.retryDelayMs = options.retryDelayMs ?? 1000;
+    this.isFatal = options.isFatal || (() => false);
+
+    this.pending = []; // Jobs waiting for a free slot
+    this.running = 0;
+    this.tasks = []; // Lifecycle of queued and running tasks, plus the most recent finished ones
+    this.nextId = 1;
+  }
+
+  /**
+   * Queue tasks, each a function or { label, fn }; fn receives { signal, attempt }.
+   * Resolves with { id, label, status: 'completed' | 'failed' | 'cancelled', value, error, attempts }
+   * per task.
+   */
+  async run(tasks, options = {}) {
+    const batch = { signal: options.signal || null, fatal: null };
+
+    const settled = tasks.map((task, index) => {
+      const { label, fn } = typeof task === 'function' ? { label: null, fn: task } : task;
+      const entry = {
+        id: this.nextId++,
+        label: label || `task ${index + 1}`,
+        status: 'queued',
+        attempts: 0,
+        queuedAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null,
+        error: null
+      };
+      this.tasks.push(entry);
+      return new Promise(resolve => this.pending.push({ entry, fn, batch, resolve }));
+    });
+
+    this._drain();
+    const results = await Promise.all(settled);
+    if (batch.fatal) {
+      throw batch.fatal;
+    }
+    return results;
+  }
+
+  /**
+   * Counts by lifecycle state and the tracked tasks, for status reports
+   */
+  getStatus() {
+    const count = status => this.tasks.filter(t => t.status === status).length;
+    return {
+      concurrency: this.concurrency,
+      queued: this.pending.length,
+      running: this.running,
+      completed: count('completed'),
+      failed: count('failed'),
+      cancelled: count('cancelled'),
+      tasks: this.tasks.map(t => ({ ...t }))
+    };
+  }
+
+  _drain() {
+    while (this.running < this.concurrency && this.pending.length > 0) {
+      const job = this.pending.shift();
+      this.running++;
+      this._execute(job)
+        .then(() => job.abandoned)
+        .finally(() => {
+          this.running--;
+          this._drain();
+        });
+    }
+  }
+
+  async _execute(job) {
+    const { entry, batch } = job;
+    entry.status = 'running';
+    entry.startedAt = new Date().toISOString();
+
+    for (;;) {
+      entry.attempts++;
+      try {
+        const value = await this._attempt(job);
+        this._settle(job, 'completed', { value });
+        return;
+      } catch (error) {
+        if (this.isFatal(error) || batch.signal?.aborted) {
+          this._cancelBatch(batch, error);
+          this._settle(job, 'failed', { error });
+          return;
+        }
+        if (entry.attempts > this.retries) {
+          this._settle(job, 'failed', { error });
+          return;
+        }
+
+        entry.error = error.message;
+        console.warn(`⚠️  ${entry.label} failed (attempt ${entry.attempts}): ${error.message}, retrying...`);
+        try {
+          // A retry next to a timed-out attempt that is still running would write the same files
+          if (job.abandoned) {
+            console.warn(`⏳ Waiting for the timed-out attempt of ${entry.label} to stop before retrying`);
+            await settledOrAborted(job.abandoned, batch.signal);
+            job.abandoned = null;
+          }
+          await wait(this.retryDelayMs * entry.attempts, batch.signal);
+        } catch (reason) {
+          this._cancelBatch(batch, reason);
+          this._settle(job, 'failed', { error: reason });
+          return;
+        }
+      }
+    }
+  }
+
+  /**
+   * One attempt, on a signal linked to the batch signal and aborted at the timeout.
+   * When the timeout wins, job.abandoned settles once the attempt's work does.
+   */
+  async _attempt(job) {
+    const { fn, entry } = job;
+    const parentSignal = job.batch.signal;
+    const controller = new AbortController();
+    const onAbort = () => controller.abort(parentSignal.reason);
+    if (parentSignal?.aborted) {
+      controller.abort(parentSignal.reason);
+    }
+    parentSignal?.addEventListener('abort', onAbort, { once: true });
+
+    let timer = null;
+    try {
+      const work = Promise.resolve().then(() => fn({ signal: controller.signal, attempt: entry.attempts }));
+      if (!this.timeoutMs) {
+        return await work;
+      }
+
+      // The race settles the attempt even if the task ignores its signal
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+          const error = new TaskTimeoutError(entry.label, this.timeoutMs);
+          controller.abort(error);
+          job.abandoned = work.then(() => {}, () => {});
+          reject(error);
+        }, this.timeoutMs);
+      });
+      return await Promise.race([work, timeout]);
+    } finally {
+      clearTimeout(timer);
+      parentSignal?.removeEventListener('abort', onAbort);
+    }
+  }
+
+  /**
+   * Record the batch's fatal error and cancel its tasks that have not started
+   */
+  _cancelBatch(batch, error) {
+    batch.fatal = batch.fatal || error;
+    const cancelled = this.pending.filter(job => job.batch === batch);
+    this.pending = this.pending.filter(job => job.batch !== batch);
+    for (const job of cancelled) {
+      this._settle(job, 'cancelled', { error: batch.fatal });
+    }
+  }
+
+  _settle({ entry, resolve }, status, { value = null, error = null }) {
+    entry.status = status;
+    entry.finishedAt = new Date().toISOString();
+    entry.error = error ? error.message : null;
+    this._prune();
+
+    resolve({ id: entry.id, label: entry.label, status, value, error, attempts: entry.attempts });
+  }
+
+  /**
+   * Drop the oldest finished tasks beyond HISTORY_SIZE
+   */
+  _prune() {
+    const finished = this.tasks.filter(t => FINISHED.has(t.status));
+    if (finished.length > HISTORY_SIZE) {
+      const dropped = new Set(finished.slice(0, finished.length - HISTORY_SIZE));
+      this.tasks = this.tasks.filter(t => !dropped.has(t));
+    }
+  }
+}
+
+export default TaskQueue;
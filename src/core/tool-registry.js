@@ -0,0 +1,83 @@
+/**
+ * Tool Registry - Holds tools that agents can call during a tool-calling loop
+ *
+ * Each tool is { name, description, parameters, handler } where parameters is a
+ * JSON Schema object and handler receives the parsed arguments.
+ */
+class ToolRegistry {
+  constructor(tools = []) {
+    this.tools = new Map();
+    for (const tool of tools) {
+      this.register(tool);
+    }
+  }
+
+  /**
+   * Register a tool
+   */
+  register(tool) {
+    if (!tool.name || typeof tool.handler !== 'function') {
+      throw new Error('Tool requires a name and a handler function');
+    }
+
+    this.tools.set(tool.name, {
+      name: tool.name,
+      description: tool.description || '',
+      parameters: tool.parameters || { type: 'object', properties: {} },
+      handler: tool.handler
+    });
+
+    return this;
+  }
+
+  /**
+   * Check if a tool is registered
+   */
+  has(name) {
+    return this.tools.has(name);
+  }
+
+  /**
+   * Get provider-neutral tool definitions (no handlers)
+   */
+  getDefinitions() {
+    return Array.from(this.tools.values()).map(({ name, description, parameters }) => ({
+      name,
+      description,
+      parameters
+    }));
+  }
+
+  /**
+   * Create a registry containing only the named tools
+   */
+  pick(names) {
+    return new ToolRegistry(
+      names.filter(name => this.tools.has(name)).map(name => this.tools.get(name))
+    );
+  }
+
+  /**
+   * Execute a tool call and return its result as text for the model
+   */
+  async execute(call) {
+    const tool = this.tools.get(call.name);
+    if (!tool) {
+      return { content: `Error: unknown tool "${call.name}"`, isError: true };
+    }
+
+    try {
+      const result = await tool.handler(call.arguments || {});
+      return {
+        content: typeof result === 'string' ? result : JSON.stringify(result, null, 2),
+        isError: false
+      };
+    } catch (error) {
+      // PythonExecutor rejects with plain result objects rather than Error instances
+      const message = error?.message || error?.stderr || error?.error || String(error);
+      return { content: `Error: ${message}`, isError: true };
+    }
+  }
+}
+
+export default ToolRegistry;
@@ -0,0 +1,159 @@
+import fs from 'fs/promises';
+import path from 'path';
+import config from './config.js';
+
+/**
+ * Raised when a run's LLM spend passes llm.budget.max_cost_per_run
+ */
+export class BudgetExceededError extends Error {
+  constructor(spent, limit) {
+    super(`LLM budget exceeded: $${spent.toFixed(4)} spent of $${limit} allowed for this run`);
+    this.name = 'BudgetExceededError';
+    this.spent = spent;
+    this.limit = limit;
+  }
+}
+
+/**
+ * Usage Ledger - Persists every LLM call with token counts and cost
+ * Records are appended to usage-ledger.jsonl in the workspace
+ */
+class UsageLedger {
+  constructor(workspacePath, options = {}) {
+    this.ledgerPath = path.join(workspacePath, 'usage-ledger.jsonl');
+    this.runId = options.runId || `run-${Date.now()}`;
+    this.phase = 'idle';
+    this.pricing = options.pricing || config.get('llm.pricing') || {};
+    this.maxCostPerRun = options.maxCostPerRun ?? config.get('llm.budget.max_cost_per_run') ?? 0;
+    this.runCost = 0;
+    this.unpriced = new Set(); // Models already warned about having no pricing
+  }
+
+  /**
+   * Set the phase that subsequent calls are attributed to
+   */
+  setPhase(phase) {
+    this.phase = phase;
+  }
+
+  /**
+   * Per-million-token pricing for a model: exact match, then the longest configured prefix
+   * (so "claude-sonnet-4-5-20250929" uses the "claude-sonnet-4-5" entry)
+   */
+  getPricing(model) {
+    if (model && this.pricing[model]) {
+      return this.pricing[model];
+    }
+
+    const prefix = Object.keys(this.pricing)
+      .filter(key => model && model.startsWith(key))
+      .sort((a, b) => b.length - a.length)[0];
+
+    return prefix ? this.pricing[prefix] : null;
+  }
+
+  /**
+   * Cost in USD for a call, using per-million-token pricing for the model
+   */
+  calculateCost(model, usage) {
+    const price = this.getPricing(model);
+    if (!price) return 0;
+
+    return ((usage.inputTokens || 0) * (price.input || 0) +
+      (usage.outputTokens || 0) * (price.output || 0)) / 1_000_000;
+  }
+
+  /**
+   * Append a call to the ledger. Throws BudgetExceededError once the run is over budget,
+   * after the call has been recorded.
+   */
+  async record({ provider, model, mode, cloneId = null, usage, replayed = false }) {
+    // Responses replayed from a cassette were already paid for when recorded
+    const cost = replayed ? 0 : this.calculateCost(model, usage);
+    if (!replayed && provider !== 'local' && !this.getPricing(model) && !this.unpriced.has(model)) {
+      this.unpriced.add(model);
+      console.warn(`⚠️  No pricing for model ${model}: its calls are recorded at $0 and do not count toward the budget (set llm.pricing.${model})`);
+    }
+    const entry = {
+      timestamp: new Date().toISOString(),
+      runId: this.runId,
+      phase: this.phase,
+      provider,
+      model,
+      mode,
+      cloneId,
+      inputTokens: usage.inputTokens || 0,
+      outputTokens: usage.outputTokens || 0,
+      cost,
+      ...(replayed && { replayed })
+    };
+
+    await fs.appendFile(this.ledgerPath, JSON.stringify(entry) + '\n', 'utf8');
+    this.runCost += cost;
+
+    this.checkBudget();
+
+    return entry;
+  }
+
+  /**
+   * Throw if the current run has spent more than its budget
+   */
+  checkBudget() {
+    if (this.maxCostPerRun > 0 && this.runCost > this.maxCostPerRun) {
+      throw new BudgetExceededError(this.runCost, this.maxCostPerRun);
+    }
+  }
+
+  /**
+   * Read all ledger entries
+   */
+  async getEntries() {
+    try {
+      const content = await fs.readFile(this.ledgerPath, 'utf8');
+      return content.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Aggregate spend by phase, model and agent mode (defaults to the current run)
+   */
+  async getSummary(runId = this.runId) {
+    const entries = (await this.getEntries()).filter(e => !runId || e.runId === runId);
+
+    const summary = {
+      runId,
+      budget: this.maxCostPerRun,
+      calls: entries.length,
+      inputTokens: 0,
+      outputTokens: 0,
+      cost: 0,
+      byPhase: {},
+      byModel: {},
+      byMode: {}
+    };
+
+    const add = (group, key, entry) => {
+      const bucket = group[key] || (group[key] = { calls: 0, inputTokens: 0, outputTokens: 0, cost: 0 });
+      bucket.calls++;
+      bucket.inputTokens += entry.inputTokens;
+      bucket.outputTokens += entry.outputTokens;
+      bucket.cost += entry.cost;
+    };
+
+    for (const entry of entries) {
+      summary.inputTokens += entry.inputTokens;
+      summary.outputTokens += entry.outputTokens;
+      summary.cost += entry.cost;
+      add(summary.byPhase, entry.phase, entry);
+      add(summary.byModel, `${entry.provider}/${entry.model}`, entry);
+      add(summary.byMode, entry.mode, entry);
+    }
+
+    return summary;
+  }
+}
+
+export default UsageLedger;
@@ -0,0 +1,274 @@
+import fs from 'fs';
+import path from 'path';
+import { setTimeout as sleep } from 'timers/promises';
+import { fileURLToPath } from 'url';
+import YAML from 'yaml';
+import config from './config.js';
+import { BudgetExceededError } from './usage-ledger.js';
+import { CassetteMissError } from './llm-cassette.js';
+import { RunCancelledError } from './cancellation.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const ROOT_DIR = path.join(__dirname, '../..');
+const DEFAULT_WORKFLOW = path.join(ROOT_DIR, 'config/workflows/default.yaml');
+const PHASES = ['planning', 'modeling', 'writing'];
+const PROMPT_OUTPUTS = ['message', 'code', 'latex'];
+
+/**
+ * Workflow Engine - Runs the pipeline described by a YAML workflow definition
+ *
+ * A definition is a DAG of steps grouped into phases. Each step either sends a prompt
+ * template to an agent (optionally with tools) or runs a built-in handler supplied by the
+ * host. Inputs reference phase variables or earlier step outputs ("rag.summary"), which
+ * also determine the order steps run in. See config/workflows/default.yaml for the format.
+ */
+class WorkflowEngine {
+  constructor(definition, source = 'inline') {
+    this.source = source;
+    this.name = definition?.name || 'workflow';
+    this.version = String(definition?.version ?? '0');
+    this.defaults = definition?.defaults || {};
+    this.phases = definition?.phases || {};
+    this.steps = Array.isArray(definition?.steps) ? definition.steps : [];
+
+    this._validate();
+    this.order = Object.fromEntries(PHASES.map(phase => [phase, this._sortPhase(phase)]));
+  }
+
+  /**
+   * Load a workflow definition from a YAML file
+   */
+  static load(filePath) {
+    let definition;
+    try {
+      definition = YAML.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not load workflow ${filePath}: ${error.message}`);
+    }
+    return new WorkflowEngine(definition, filePath);
+  }
+
+  /**
+   * Workflow for a workspace: <workspace>/workflow.yaml if present, otherwise
+   * workflow.definition from config, otherwise the default pipeline
+   */
+  static fromConfig(workspacePath = null) {
+    const override = workspacePath ? path.join(workspacePath, 'workflow.yaml') : null;
+    const configured = config.get('workflow.definition');
+
+    let filePath = DEFAULT_WORKFLOW;
+    if (override && fs.existsSync(override)) {
+      filePath = override;
+    } else if (configured) {
+      filePath = path.isAbsolute(configured) ? configured : path.join(ROOT_DIR, configured);
+    }
+
+    const workflow = WorkflowEngine.load(filePath);
+    console.log(`🧭 Workflow: ${workflow.name}@${workflow.version} (${path.relative(ROOT_DIR, filePath) || filePath})`);
+    return workflow;
+  }
+
+  /**
+   * Steps of a phase in the order they run
+   */
+  getPhaseSteps(phase) {
+    return this.order[phase] || [];
+  }
+
+  /**
+   * Run every step of a phase.
+   *
+   * host.handlers    { name: async (inputs, step) => output } for "run" steps
+   * host.runPrompt   async (step, inputs) => output for agent/prompt steps
+   * host.checkpoint  async (step, fn) => output; may return a saved output instead of calling fn
+   * host.previousOutput (step) => output of a step from an earlier phase
+   * host.skip        (step) => reason to skip the step, or null to run it
+   * host.warn        (message) => void for retry warnings (defaults to console.warn)
+   * host.signal      AbortSignal that stops retry waits
+   *
+   * Returns { outputs, result } where result is built from the phase's result mapping.
+   */
+  async runPhase(phase, variables = {}, host = {}) {
+    const steps = this.getPhaseSteps(phase);
+
+    for (const step of steps) {
+      if (step.run && typeof host.handlers?.[step.run] !== 'function') {
+        throw new Error(`Workflow step "${step.id}" uses unknown handler "${step.run}"`);
+      }
+    }
+
+    const outputs = {};
+    const checkpoint = host.checkpoint || ((step, fn) => fn());
+
+    for (const [index, step] of steps.entries()) {
+      console.log(`━━━ Step ${index + 1}: ${step.title || step.id} ━━━`);
+
+      const skipReason = step.when && config.get(step.when) === false
+        ? `${step.when} is off`
+        : host.skip?.(step);
+      if (skipReason) {
+        console.log(`⏭️  Skipped (${skipReason})\n`);
+        outputs[step.id] = null;
+        continue;
+      }
+
+      outputs[step.id] = await checkpoint(step, () => this._runWithRetry(step, host, () => {
+        const inputs = this._resolveInputs(step.inputs, variables, outputs, host);
+        return step.run ? host.handlers[step.run](inputs, step) : host.runPrompt(step, inputs);
+      }));
+    }
+
+    const result = this._resolveInputs(this.phases[phase]?.result, variables, outputs, host);
+    return { outputs, result };
+  }
+
+  /**
+   * Run a step, retrying failures up to its retry policy. Cancellation, budget and
+   * cassette errors are never retried.
+   */
+  async _runWithRetry(step, host, fn) {
+    const policy = { ...this.defaults.retry, ...step.retry };
+    const attempts = Math.max(1, policy.attempts || 1);
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await fn();
+      } catch (error) {
+        const fatal = error instanceof RunCancelledError ||
+          error instanceof BudgetExceededError ||
+          error instanceof CassetteMissError;
+        if (fatal || attempt >= attempts) {
+          throw error;
+        }
+
+        (host.warn || console.warn)(`⚠️  Step "${step.id}" failed (attempt ${attempt}/${attempts}): ${error.message}, retrying...`);
+        await sleep(policy.delay_ms ?? 2000, undefined, { signal: host.signal || undefined })
+          .catch(() => host.signal.throwIfAborted());
+      }
+    }
+  }
+
+  /**
+   * Resolve { name: reference } against phase variables and step outputs
+   */
+  _resolveInputs(mapping = {}, variables, outputs, host) {
+    const resolved = {};
+
+    for (const [name, reference] of Object.entries(mapping || {})) {
+      const [source, field] = String(reference).split('.');
+      if (!field) {
+        resolved[name] = variables[source];
+        continue;
+      }
+
+      const output = source in outputs
+        ? outputs[source]
+        : host.previousOutput?.(this.steps.find(s => s.id === source));
+      resolved[name] = output?.[field];
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Check ids, phases, step kinds, references and ordering constraints
+   */
+  _validate() {
+    const fail = (message) => {
+      throw new Error(`Invalid workflow ${this.source}: ${message}`);
+    };
+
+    if (this.steps.length === 0) fail('no steps defined');
+
+    const byId = new Map();
+    for (const step of this.steps) {
+      if (!step?.id) fail('every step needs an id');
+      if (byId.has(step.id)) fail(`duplicate step id "${step.id}"`);
+      if (!PHASES.includes(step.phase)) {
+        fail(`step "${step.id}" has phase "${step.phase}" (expected ${PHASES.join(', ')})`);
+      }
+      if (!step.run && !(step.agent && step.prompt)) {
+        fail(`step "${step.id}" needs either run (a handler) or agent and prompt`);
+      }
+      if (!step.run && step.outputs?.some(o => !PROMPT_OUTPUTS.includes(o))) {
+        fail(`prompt step "${step.id}" can only output ${PROMPT_OUTPUTS.join(', ')}`);
+      }
+      byId.set(step.id, step);
+    }
+
+    const checkReference = (owner, reference, phase) => {
+      const [source, field] = String(reference).split('.');
+      if (!field) {
+        const variables = this.phases[phase]?.variables || [];
+        if (!variables.includes(source)) {
+          fail(`${owner} uses "${source}", which is not a ${phase} phase variable (${variables.join(', ') || 'none'})`);
+        }
+        return;
+      }
+
+      const target = byId.get(source);
+      if (!target) fail(`${owner} references unknown step "${source}"`);
+      if (PHASES.indexOf(target.phase) > PHASES.indexOf(phase)) {
+        fail(`${owner} references "${source}" from the later ${target.phase} phase`);
+      }
+      if (!(target.outputs || []).includes(field)) {
+        fail(`${owner} references "${reference}", but step "${source}" does not output "${field}"`);
+      }
+    };
+
+    for (const step of this.steps) {
+      for (const reference of Object.values(step.inputs || {})) {
+        checkReference(`step "${step.id}"`, reference, step.phase);
+      }
+      for (const id of step.after || []) {
+        const target = byId.get(id);
+        if (!target) fail(`step "${step.id}" runs after unknown step "${id}"`);
+        if (PHASES.indexOf(target.phase) > PHASES.indexOf(step.phase)) {
+          fail(`step "${step.id}" cannot run after "${id}" from the later ${target.phase} phase`);
+        }
+      }
+    }
+
+    for (const [phase, phaseDef] of Object.entries(this.phases)) {
+      if (!PHASES.includes(phase)) fail(`unknown phase "${phase}"`);
+      for (const reference of Object.values(phaseDef?.result || {})) {
+        checkReference(`${phase} result`, reference, phase);
+      }
+    }
+  }
+
+  /**
+   * Topological order of a phase's steps; ties keep definition order
+   */
+  _sortPhase(phase) {
+    const steps = this.steps.filter(step => step.phase === phase);
+    const ids = new Set(steps.map(step => step.id));
+
+    const dependencies = new Map(steps.map(step => {
+      const fromInputs = Object.values(step.inputs || {})
+        .map(reference => String(reference).split('.'))
+        .filter(([, field]) => field)
+        .map(([source]) => source);
+      return [step.id, new Set([...fromInputs, ...(step.after || [])].filter(id => ids.has(id)))];
+    }));
+
+    const ordered = [];
+    const placed = new Set();
+    while (ordered.length < steps.length) {
+      const next = steps.find(step =>
+        !placed.has(step.id) && [...dependencies.get(step.id)].every(id => placed.has(id)));
+      if (!next) {
+        const stuck = steps.filter(step => !placed.has(step.id)).map(step => step.id);
+        throw new Error(`Invalid workflow ${this.source}: dependency cycle among ${stuck.join(', ')}`);
+      }
+      ordered.push(next);
+      placed.add(next.id);
+    }
+
+    return ordered;
+  }
+}
+
+export default WorkflowEngine;
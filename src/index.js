@@ -1,16 +1,104 @@
 #!/usr/bin/env node
 
-import MasterAgent from './agents/master-agent.js';
+import AgentService from './core/agent-service.js';
 import config from './core/config.js';
+import { RunCancelledError } from './core/cancellation.js';
+import { formatDuration } from './core/contest-clock.js';
+import LatexCompiler from './tools/latex-compiler.js';
+import PaperValidator from './validators/paper-validator.js';
+import AutomcmParser from './core/automcm-parser.js';
+import PDFParser from './utils/pdf-parser.js';
+import ApiServer from './server/api-server.js';
+import RunAudit, { EXPORT_FORMATS } from './core/run-audit.js';
+import { formatUnifiedDiff } from './utils/text-diff.js';
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
+import { parseArgs } from 'util';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Bare workspace names live next to the desktop app's workspaces
+const WORKSPACE_ROOT = path.join(__dirname, '..', 'workspace');
+
+const USAGE = `Usage: automcm <command> <workspace> [options]
+
+Commands:
+  init <ws> --pdf <file>   Create a workspace and extract the problem statement from the PDF
+                           (--title <title>, --deadline 2027-02-03T20:00, --time-zone America/New_York)
+  plan <ws>                Run the planning phase (--candidates <n>, --resume)
+  approve <ws>             Approve the plan (--candidate C2, --edit, --approver <name>);
+                           --feedback "<text>" re-plans from feedback instead of approving
+  model <ws>               Run the modeling phase with the approved plan (--resume)
+  write <ws>               Write the paper (--resume)
+  compile <ws>             Compile paper.tex to paper.pdf
+  validate <ws>            Check paper.tex against MCM requirements (exit code 1 if it needs work)
+  status <ws>              Show phases, plan approval, deadline, usage and artifacts
+  export <ws>              Copy the paper, figures and code to a submission folder (--out <dir>)
+  runs <ws>                List runs; --run <id|latest> exports that run's prompts and responses
+                           (--format markdown|json, --out <file>; default runs/<id>/audit.md)
+  serve                    Run the local REST + WebSocket server (--host, --port; defaults in config server:)
+
+Options:
+  --json                   Print the result as JSON on stdout; logs go to stderr
+  -h, --help               Show this help
+
+<ws> is a workspace path, or a name for workspace/<name> (shared with the desktop app).
+Ctrl+C stops a running phase and saves a checkpoint; continue it with --resume.`;
+
+const OPTIONS = {
+  json: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+  pdf: { type: 'string' },
+  title: { type: 'string' },
+  deadline: { type: 'string' },
+  'time-zone': { type: 'string' },
+  candidates: { type: 'string' },
+  resume: { type: 'boolean' },
+  candidate: { type: 'string' },
+  edit: { type: 'boolean' },
+  feedback: { type: 'string' },
+  approver: { type: 'string' },
+  out: { type: 'string' },
+  run: { type: 'string' },
+  format: { type: 'string' },
+  host: { type: 'string' },
+  port: { type: 'string' }
+};
+
+// Files and folders copied by export, when present
+const SUBMISSION_FILES = ['paper.pdf', 'paper.tex', 'references.bib', 'figures', 'models'];
+
+function listFiles(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const entryPath = path.join(dir, entry.name);
+    return entry.isDirectory() ? listFiles(entryPath) : [entryPath];
+  });
+}
 
 /**
- * AutoMCM CLI Entry Point
+ * AutoMCM CLI - Headless subcommands over AgentService, one workflow step per invocation.
+ * Every command returns { data, lines, exitCode }: data is printed with --json, lines otherwise.
  */
-class AutoMCM {
+class AutoMCMCli {
   constructor() {
-    this.master = new MasterAgent();
+    this.service = new AgentService();
+    this.json = false;
+    this.stopping = false;
+    this.commands = {
+      init: this.init,
+      plan: this.plan,
+      approve: this.approve,
+      model: this.model,
+      write: this.write,
+      compile: this.compile,
+      validate: this.validate,
+      status: this.status,
+      export: this.export,
+      runs: this.runs
+    };
   }
 
   /**
@@ -26,123 +114,515 @@ class AutoMCM {
   }
 
   /**
-   * Run interactive mode
+   * Parse the command line and run one command. Returns the process exit code.
    */
-  async run() {
-    this.displayBanner();
+  async run(argv) {
+    const { values: options, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    const [command, workspace] = positionals;
 
-    // Check if API key is configured
-    const apiKey = config.get('llm.api_key');
-    if (!apiKey || apiKey.startsWith('${')) {
-      console.error('❌ Error: ANTHROPIC_API_KEY not set');
-      console.log('Please create a .env file with your API key:');
-      console.log('  cp .env.example .env');
-      console.log('  # Edit .env and add your key');
-      process.exit(1);
+    if (options.help || !command) {
+      this.displayBanner();
+      console.log(USAGE);
+      return command || options.help ? 0 : 1;
+    }
+    if (command === 'serve') {
+      return this.serve(options);
+    }
+    if (!this.commands[command]) {
+      throw new Error(`Unknown command "${command}". Run automcm --help for the list of commands.`);
+    }
+    if (!workspace) {
+      throw new Error(`Missing workspace: automcm ${command} <workspace>`);
     }
 
-    console.log('✓ Configuration loaded');
-    console.log(`✓ Model: ${config.get('llm.model')}`);
-    console.log('\n');
+    this.json = !!options.json;
+    if (this.json) {
+      // Keep stdout for the JSON result
+      console.log = console.info = (...args) => console.error(...args);
+    }
+    this._forwardServiceEvents();
+    process.on('SIGINT', () => this._interrupt());
+
+    const workspacePath = this.resolveWorkspace(workspace);
+    const { data, lines, exitCode = 0 } = await this.commands[command].call(this, workspacePath, options);
+    await this.service.events.flush();
+
+    this.print({ success: true, command, workspace: workspacePath, result: data }, lines);
+    return exitCode;
+  }
 
-    // Demo workflow
-    await this.runDemo();
+  /**
+   * A path (relative to the current directory) or the name of a workspace under workspace/
+   */
+  resolveWorkspace(workspace) {
+    return /[\\/]/.test(workspace) || workspace.startsWith('.')
+      ? path.resolve(workspace)
+      : path.join(WORKSPACE_ROOT, workspace);
+  }
+
+  print(output, lines = []) {
+    if (this.json) {
+      process.stdout.write(JSON.stringify(output, null, 2) + '\n');
+    } else {
+      console.log('\n' + lines.join('\n'));
+    }
   }
 
   /**
-   * Demo workflow
+   * Create a workspace, optionally from the problem PDF, with its contest clock
    */
-  async runDemo() {
-    console.log('=== DEMO: AutoMCM Workflow ===\n');
+  async init(workspacePath, options) {
+    if (fs.existsSync(path.join(workspacePath, 'AUTOMCM.md'))) {
+      throw new Error(`Workspace already exists: ${workspacePath}`);
+    }
+    const pdfPath = options.pdf && path.resolve(options.pdf);
+    if (pdfPath && !fs.existsSync(pdfPath)) {
+      throw new Error(`Problem PDF not found: ${pdfPath}`);
+    }
 
-    // Initialize workspace
-    const workspacePath = './workspace/demo_problem';
-    await this.master.initializeWorkspace(workspacePath, {
-      title: 'Demo MCM Problem'
+    await this.service.initializeWorkspace(workspacePath, {
+      title: options.title || path.basename(workspacePath),
+      description: '',
+      contest: { deadline: options.deadline || null, timeZone: options['time-zone'] || null }
     });
 
-    // Example problem
-    const problemStatement = `
-Problem: Optimize Emergency Vehicle Routing
-
-You are tasked with developing a mathematical model to optimize emergency vehicle
-routing in an urban environment. The model should minimize response time while
-considering:
-- Traffic patterns (time-varying)
-- Multiple emergency types (fire, medical, police)
-- Vehicle availability and location
-- Road network constraints
-
-Deliverables:
-1. Mathematical model with clearly defined variables
-2. Solution algorithm
-3. Sensitivity analysis on key parameters
-4. Visualizations showing optimal routes
-5. Recommendations for dispatcher system
-    `.trim();
-
-    // Planning phase
-    console.log('\n' + '='.repeat(60));
-    const planResult = await this.master.executePlanningPhase(problemStatement);
-
-    console.log('\n📄 PLANNING RESULTS:');
-    console.log('-'.repeat(60));
-    console.log('\n🔍 RAG ANALYSIS:');
-    console.log(planResult.ragAnalysis);
-    console.log('\n📝 PROBLEM PARSE:');
-    console.log(planResult.parse);
-    console.log('\n🔬 RESEARCH:');
-    console.log(planResult.research);
-    console.log('\n📋 PROPOSED PLAN:');
-    console.log(planResult.plan);
-    console.log('\n' + '-'.repeat(60));
-
-    console.log('\nWould you like to approve this plan? [For demo, auto-approving]\n');
-
-    // Execution phase
-    console.log('='.repeat(60));
-    const execResult = await this.master.executeImplementationPhase(planResult.plan);
-
-    console.log('\n✅ EXECUTION COMPLETE\n');
-    console.log('📊 Model Status: Implemented');
-    console.log('📝 Paper Status: Drafted');
-    console.log(`📁 Workspace: ${workspacePath}`);
-
-    // Demonstrate workspace features
-    console.log('\n' + '='.repeat(60));
-    console.log('📦 Workspace Features Demo:\n');
-
-    const parser = this.master.getParser();
-    const artifactStore = this.master.getArtifactStore();
-
-    // Show artifact stats
-    const stats = artifactStore.getStats();
-    console.log(`Artifacts tracked: ${stats.total}`);
-    if (stats.total > 0) {
-      console.log('By type:', stats.byType);
-    }
-
-    // Show variable registry
-    const variables = parser.getVariableRegistry();
-    console.log(`\nVariables registered: ${variables.length}`);
-
-    // Show assumptions
-    const assumptions = parser.getAssumptions();
-    console.log(`Assumptions documented: ${assumptions.length}`);
-
-    console.log('\n' + '='.repeat(60));
-    console.log('Demo complete! 🎉');
-    console.log('\nNext steps:');
-    console.log('  1. Review generated files in workspace/');
-    console.log('  2. Run sensitivity analysis');
-    console.log('  3. Compile LaTeX paper');
-    console.log('  4. Generate final PDF');
+    const problem = pdfPath ? await new PDFParser().importProblem(pdfPath, workspacePath) : null;
+    const contest = this.service.masterAgent.getContestStatus();
+
+    return {
+      data: { problem: problem && { file: 'problem.md', ...problem.metadata }, contest },
+      lines: [
+        `✅ Workspace created: ${workspacePath}`,
+        problem
+          ? `📄 Problem statement extracted from ${path.basename(pdfPath)} (${problem.metadata.pages} pages) to problem.md`
+          : '📄 No problem PDF given: put the problem statement in problem.md before planning',
+        `⏳ Submission deadline: ${contest.deadlineLocal} (${formatDuration(contest.remainingMs)} left)`,
+        '',
+        `Next: automcm plan ${workspacePath}`
+      ]
+    };
+  }
+
+  /**
+   * Run the planning phase on problem.md
+   */
+  async plan(workspacePath, options) {
+    this._checkApiKey();
+    this._requireWorkspace(workspacePath);
+
+    let problemStatement;
+    try {
+      problemStatement = fs.readFileSync(path.join(workspacePath, 'problem.md'), 'utf8');
+    } catch {
+      throw new Error(`No problem statement in ${path.join(workspacePath, 'problem.md')}. Create the workspace with automcm init <ws> --pdf <file>, or write problem.md yourself.`);
+    }
+
+    const candidates = options.candidates === undefined ? undefined : Number(options.candidates);
+    if (candidates !== undefined && !(Number.isInteger(candidates) && candidates > 0)) {
+      throw new Error(`--candidates must be a positive integer (got "${options.candidates}")`);
+    }
+
+    await this._load(workspacePath);
+
+    const result = await this.service.executePlanningPhase(problemStatement, 2, { resume: options.resume, candidates });
+    const ranked = (result.candidates || []).map(c => ({
+      id: c.id,
+      rank: c.rank,
+      score: c.score,
+      modelType: c.structuredPlan?.modelType || null,
+      rationale: c.rationale
+    }));
+    const needsApproval = this.service.planApprovalRequired();
+
+    const lines = ['📋 PROPOSED PLAN:', '-'.repeat(60), result.plan, '-'.repeat(60)];
+    if (ranked.length > 1) {
+      lines.push('', '🏆 CANDIDATE PLANS (ranked by the judge, full comparison in artifacts/plan-candidates.md):');
+      for (const c of ranked) {
+        lines.push(`  ${c.rank}. ${c.id}  score ${c.score.toFixed(2)}  ${c.modelType || 'free-text plan'}: ${c.rationale}`);
+      }
+    }
+    lines.push('', needsApproval
+      ? `Next: review the plan, then automcm approve ${workspacePath} (or --feedback "..." to re-plan)`
+      : `Next: automcm model ${workspacePath}`);
+
+    return {
+      data: { plan: result.structuredPlan || null, planText: result.plan, candidates: ranked, needsApproval },
+      lines
+    };
+  }
+
+  /**
+   * Approve the plan from the last planning run, a candidate or an edited version of it,
+   * or re-plan from feedback
+   */
+  async approve(workspacePath, options) {
+    const master = await this._load(workspacePath);
+    const pending = master.getPendingPlan();
+    if (!pending) {
+      throw new Error(`No plan to approve yet. Run automcm plan ${workspacePath} first.`);
+    }
+
+    let plan = pending.structuredPlan ?? pending.planText;
+    let candidate = null;
+    if (options.candidate) {
+      const candidates = master.getPlanCandidates();
+      const picked = candidates.find(c => c.id === options.candidate.toUpperCase());
+      if (!picked) {
+        throw new Error(`Unknown candidate plan ${options.candidate} (have ${candidates.map(c => c.id).join(', ') || 'none'})`);
+      }
+      plan = picked.structuredPlan ?? picked.planText;
+      candidate = picked.id;
+    }
+    if (options.edit) {
+      plan = this.editPlan(plan);
+    }
+
+    if (options.feedback) {
+      this._checkApiKey();
+      const revised = await master.revisePlan(plan, options.feedback);
+      return {
+        data: {
+          approved: false,
+          revision: revised.revision,
+          plan: revised.structuredPlan || null,
+          planText: revised.planText,
+          diff: revised.diff
+        },
+        lines: [
+          revised.diff || 'No changes from the previous version',
+          '',
+          `Plan v${revised.revision} is ready for review. Approve it with: automcm approve ${workspacePath}`
+        ]
+      };
+    }
+
+    const approval = await master.approvePlan(plan, {
+      approver: options.approver || os.userInfo().username,
+      candidate
+    });
+    return {
+      data: {
+        approved: true,
+        revision: approval.revision,
+        approver: approval.approver,
+        approvedAt: approval.approvedAt,
+        candidate
+      },
+      lines: [
+        `✅ Plan v${approval.revision}${candidate ? ` (candidate ${candidate})` : ''} approved by ${approval.approver}`,
+        '',
+        `Next: automcm model ${workspacePath}`
+      ]
+    };
+  }
+
+  /**
+   * Open the plan in $EDITOR (JSON for structured plans) and return the edited version
+   */
+  editPlan(plan) {
+    const structured = typeof plan === 'object';
+    const before = structured ? JSON.stringify(plan, null, 2) : plan;
+    const editPath = path.join(os.tmpdir(), `automcm-plan-${process.pid}.${structured ? 'json' : 'md'}`);
+    fs.writeFileSync(editPath, before, 'utf8');
+
+    try {
+      spawnSync(process.env.EDITOR || 'vi', [editPath], { stdio: 'inherit' });
+      const after = fs.readFileSync(editPath, 'utf8');
+      const edited = structured ? JSON.parse(after) : after;
+
+      console.log(`\n${formatUnifiedDiff(before, after, { fromLabel: 'plan', toLabel: 'edited plan' }) || 'No changes'}`);
+      return edited;
+    } catch (error) {
+      throw new Error(`Could not use the edited plan: ${error.message}`);
+    } finally {
+      fs.rmSync(editPath, { force: true });
+    }
+  }
+
+  /**
+   * Run the modeling phase with the approved plan
+   */
+  async model(workspacePath, options) {
+    this._checkApiKey();
+    const master = await this._load(workspacePath);
+    const pending = master.getPendingPlan();
+    if (!pending) {
+      throw new Error(`No plan yet. Run automcm plan ${workspacePath} first.`);
+    }
+    if (this.service.planApprovalRequired() && !master.isPlanApproved()) {
+      throw new Error(`Plan v${pending.revision} is not approved yet. Review it, then run automcm approve ${workspacePath}.`);
+    }
+
+    const plan = master.getPlanApproval()?.plan ?? pending.structuredPlan ?? pending.planText;
+    await this.service.executeModelingPhase(plan, { resume: options.resume });
+
+    const artifacts = master.getArtifactStore().getStats();
+    return {
+      data: { artifacts },
+      lines: [
+        `✅ Modeling complete: ${artifacts.byType.figure || 0} figures, ${artifacts.byType.code || 0} code files`,
+        '📄 Results: artifacts/modeling-report.md',
+        '',
+        `Next: automcm write ${workspacePath}`
+      ]
+    };
+  }
+
+  /**
+   * Run the writing phase (paper.tex, compiled to paper.pdf when LaTeX is installed)
+   */
+  async write(workspacePath, options) {
+    this._checkApiKey();
+    const master = await this._load(workspacePath);
+    if (!master.checkpoints.isPhaseComplete('modeling')) {
+      throw new Error(`Modeling has not finished. Run automcm model ${workspacePath} first.`);
+    }
+
+    const result = await this.service.executeWritingPhase({ resume: options.resume });
+    return {
+      data: { paper: 'paper.tex', pdfCompiled: !!result.pdfCompiled },
+      lines: [
+        `✅ Paper written: ${path.join(workspacePath, 'paper.tex')}`,
+        result.pdfCompiled ? `📄 PDF: ${path.join(workspacePath, 'paper.pdf')}` : `📄 No PDF yet: run automcm compile ${workspacePath}`,
+        '',
+        `Next: automcm validate ${workspacePath}`
+      ]
+    };
+  }
+
+  /**
+   * Compile paper.tex with the LaTeX compiler the writing phase uses
+   */
+  async compile(workspacePath) {
+    const paperPath = this._requirePaper(workspacePath);
+    const compiler = new LatexCompiler(workspacePath);
+    if (!(await compiler.checkInstallation())) {
+      throw new Error('LaTeX is not installed (pdflatex not found). On Linux: sudo apt-get install texlive-latex-base');
+    }
+
+    const result = await compiler.compile(paperPath);
+    const errors = result.errors || [];
+    return {
+      data: { pdfCompiled: result.success, pdf: result.success ? 'paper.pdf' : null, errors },
+      lines: result.success
+        ? [`✅ PDF compiled: ${path.join(workspacePath, 'paper.pdf')}`]
+        : ['❌ PDF compilation failed:', ...errors.slice(0, 10).map(error => `  ${typeof error === 'string' ? error : JSON.stringify(error)}`)],
+      exitCode: result.success ? 0 : 1
+    };
+  }
+
+  /**
+   * Check paper.tex against MCM requirements and the assumptions registered in AUTOMCM.md
+   */
+  async validate(workspacePath) {
+    const latex = fs.readFileSync(this._requirePaper(workspacePath), 'utf8');
+    const automcmPath = path.join(workspacePath, 'AUTOMCM.md');
+    const assumptions = fs.existsSync(automcmPath) ? (await new AutomcmParser(automcmPath).load()).getAssumptions() : [];
+    const validator = new PaperValidator();
+    const results = validator.validatePaper(latex, { assumptions });
+
+    return {
+      data: results,
+      lines: [validator.generateReport(results)],
+      exitCode: results.valid ? 0 : 1
+    };
+  }
+
+  /**
+   * Phases, plan approval, contest clock, LLM usage and artifacts of a workspace
+   */
+  async status(workspacePath) {
+    const master = await this._load(workspacePath);
+    const checkpoints = master.checkpoints;
+
+    const phases = Object.fromEntries(['planning', 'modeling', 'writing']
+      .map(phase => [phase, checkpoints.getPhase(phase)?.status || 'not started']));
+    const pending = master.getPendingPlan();
+    const approval = master.getPlanApproval();
+    const plan = pending && {
+      revision: pending.revision,
+      approved: !!approval,
+      approver: approval?.approver || null,
+      approvedAt: approval?.approvedAt || null
+    };
+    const contest = master.getContestStatus();
+    const usage = await master.usageLedger.getSummary();
+    const artifacts = master.getArtifactStore().getStats();
+    const paper = {
+      tex: fs.existsSync(path.join(workspacePath, 'paper.tex')),
+      pdf: fs.existsSync(path.join(workspacePath, 'paper.pdf'))
+    };
+
+    const resumePhase = checkpoints.getResumePhase();
+    return {
+      data: { run: { status: checkpoints.state.status, phase: checkpoints.state.phase, resumePhase }, phases, plan, contest, usage, artifacts, paper },
+      lines: [
+        `📁 ${workspacePath}`,
+        `Run: ${checkpoints.state.status}${checkpoints.state.error ? ` (${checkpoints.state.error})` : ''}${resumePhase ? `, next phase: ${resumePhase}` : ''}`,
+        ...Object.entries(phases).map(([phase, status]) => `  ${phase}: ${status}`),
+        `Plan: ${!plan ? 'none yet' : `v${plan.revision}, ${plan.approved ? `approved by ${plan.approver} on ${plan.approvedAt}` : 'awaiting approval'}`}`,
+        `Deadline: ${contest.deadlineLocal} (${contest.remainingMs > 0 ? `${formatDuration(contest.remainingMs)} left` : 'passed'})` +
+          (contest.degradedModes.length > 0 ? `, degraded: ${contest.degradedModes.join(', ')}` : ''),
+        `LLM usage: ${usage.calls} calls, ${usage.inputTokens.toLocaleString()} in / ${usage.outputTokens.toLocaleString()} out tokens, $${usage.cost.toFixed(4)}` +
+          (usage.budget ? ` of $${usage.budget}` : ''),
+        `Artifacts: ${artifacts.total}${artifacts.total > 0 ? ` (${Object.entries(artifacts.byType).map(([type, count]) => `${count} ${type}`).join(', ')})` : ''}`,
+        `Paper: ${paper.pdf ? 'paper.pdf' : paper.tex ? 'paper.tex (not compiled)' : 'not written'}`
+      ]
+    };
+  }
+
+  /**
+   * Copy the paper, figures and model code to a submission folder (default <ws>/submission)
+   */
+  async export(workspacePath, options) {
+    this._requireWorkspace(workspacePath);
+    const outDir = path.resolve(options.out || path.join(workspacePath, 'submission'));
+    const entries = SUBMISSION_FILES.filter(name => fs.existsSync(path.join(workspacePath, name)));
+    if (!entries.includes('paper.tex') && !entries.includes('paper.pdf')) {
+      throw new Error(`No paper to export yet. Run automcm write ${workspacePath} first.`);
+    }
+
+    fs.mkdirSync(outDir, { recursive: true });
+    for (const name of entries) {
+      fs.cpSync(path.join(workspacePath, name), path.join(outDir, name), {
+        recursive: true,
+        filter: source => path.basename(source) !== '__pycache__'
+      });
+    }
+
+    const files = listFiles(outDir).map(file => path.relative(outDir, file)).sort();
+    return {
+      data: { out: outDir, files },
+      lines: [
+        `📦 Exported ${files.length} files to ${outDir}`,
+        ...(entries.includes('paper.pdf') ? [] : ['⚠️  No paper.pdf: only the LaTeX source was exported'])
+      ]
+    };
+  }
+
+  /**
+   * List the workspace's runs, or export the audit trail of one (--run) as Markdown or JSON
+   */
+  async runs(workspacePath, options) {
+    this._requireWorkspace(workspacePath);
+    const audit = new RunAudit(workspacePath);
+    const runs = await audit.listRuns();
+
+    if (!options.run) {
+      return {
+        data: { runs },
+        lines: runs.length === 0 ? ['No runs recorded yet'] : runs.map(run =>
+          `${run.runId}  ${run.startedAt}  ${run.phases.join(', ') || 'no phase'}: ${run.calls} LLM calls, ` +
+          `${run.inputTokens.toLocaleString()} in / ${run.outputTokens.toLocaleString()} out tokens, $${run.cost.toFixed(4)}, ${run.artifacts} artifacts`)
+      };
+    }
+
+    const format = options.format || 'markdown';
+    if (!EXPORT_FORMATS[format]) {
+      throw new Error(`--format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    }
+    const runId = options.run === 'latest' ? runs[0]?.runId : options.run;
+    if (!runId) {
+      throw new Error('No runs recorded yet');
+    }
+
+    const content = await audit.exportRun(runId, format);
+    const out = path.resolve(options.out || path.join(workspacePath, 'runs', runId, `audit.${EXPORT_FORMATS[format]}`));
+    fs.mkdirSync(path.dirname(out), { recursive: true });
+    fs.writeFileSync(out, content, 'utf8');
+
+    return {
+      data: { runId, format, out },
+      lines: [`🧾 Audit trail of ${runId} exported to ${out}`]
+    };
+  }
+
+  /**
+   * Serve the REST API and WebSocket events until Ctrl+C, then stop any running phase
+   */
+  async serve(options) {
+    const server = new ApiServer({ service: this.service, host: options.host, port: options.port });
+    this._forwardServiceEvents();
+    await server.start();
+
+    await new Promise(resolve => process.once('SIGINT', resolve));
+    console.log('\n⏹️  Shutting down the server...');
+    await server.stop();
+    return 0;
+  }
+
+  /**
+   * Open a workspace in the agent service (picks up its checkpoint, ledger and contest clock)
+   */
+  async _load(workspacePath) {
+    await this.service.loadWorkspace(workspacePath);
+    return this.service.masterAgent;
+  }
+
+  _requireWorkspace(workspacePath) {
+    if (!fs.existsSync(path.join(workspacePath, 'AUTOMCM.md'))) {
+      throw new Error(`Not an AutoMCM workspace (no AUTOMCM.md): ${workspacePath}`);
+    }
+  }
+
+  _requirePaper(workspacePath) {
+    this._requireWorkspace(workspacePath);
+    const paperPath = path.join(workspacePath, 'paper.tex');
+    if (!fs.existsSync(paperPath)) {
+      throw new Error(`No paper.tex yet. Run automcm write ${workspacePath} first.`);
+    }
+    return paperPath;
+  }
+
+  /**
+   * Local servers and cassette replay run without an API key
+   */
+  _checkApiKey() {
+    const apiKey = config.get('llm.api_key');
+    const isLocal = ['local', 'ollama'].includes(config.get('llm.provider'));
+    const isReplay = (process.env.AUTOMCM_CASSETTE || config.get('llm.cassette.mode')) === 'replay';
+    if (!isLocal && !isReplay && (!apiKey || apiKey.startsWith('${'))) {
+      throw new Error('No LLM API key configured. Create a .env file with your key: cp .env.example .env');
+    }
+  }
+
+  /**
+   * Print the service's status lines. Agents print their own warnings, so only warnings and
+   * errors from the service itself (retries, stopping, budget) are shown from run events.
+   */
+  _forwardServiceEvents() {
+    this.service.on('log', ({ message }) => console.log(message));
+    this.service.on('run-event', (event) => {
+      if ((event.type === 'warning' || event.type === 'error') && !event.agentId) {
+        console.error(event.message);
+      }
+    });
+    // Failures are reported once, by the command that threw
+    this.service.on('error', () => {});
+  }
+
+  /**
+   * First Ctrl+C stops the running phase (saving its checkpoint); a second one quits at once
+   */
+  _interrupt() {
+    if (this.stopping || !this.service.isRunning) {
+      process.exit(130);
+    }
+    this.stopping = true;
+    console.error('\n⏹️  Stopping... (Ctrl+C again to quit immediately)');
+    this.service.stop();
   }
 }
 
 // Run CLI
-const app = new AutoMCM();
-app.run().catch(error => {
-  console.error('\n❌ Error:', error.message);
-  process.exit(1);
-});
+const cli = new AutoMCMCli();
+cli.run(process.argv.slice(2))
+  .then(exitCode => process.exit(exitCode))
+  .catch(error => {
+    if (cli.json) {
+      cli.print({ success: false, error: error.message });
+    } else {
+      console.error(`\n❌ Error: ${error.message}`);
+    }
+    process.exit(error instanceof RunCancelledError ? 130 : 1);
+  });
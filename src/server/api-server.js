@@ -0,0 +1,674 @@
+import http from 'http';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import { existsSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import AgentService from '../core/agent-service.js';
+import ArtifactStore from '../core/artifact-store.js';
+import ContestClock from '../core/contest-clock.js';
+import RunAudit, { EXPORT_FORMATS, RunNotFoundError } from '../core/run-audit.js';
+import UsageLedger from '../core/usage-ledger.js';
+import config from '../core/config.js';
+import DataManager from '../utils/data-manager.js';
+import PDFParser from '../utils/pdf-parser.js';
+import WebSocketConnection from './websocket.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const MAX_JSON_BYTES = 5 * 1024 * 1024;
+const MAX_UPLOAD_BYTES = 100 * 1024 * 1024; // Data files and problem PDFs
+const WORKSPACE_NAME = /^[a-zA-Z0-9_-]+$/;
+const LOOPBACK_HOSTS = ['127.0.0.1', 'localhost', '::1'];
+
+// AgentService events streamed to WebSocket clients, under the desktop app's IPC channel names
+const STREAMED_EVENTS = {
+  'log': 'agent-log',
+  'run-event': 'run-event',
+  'agent-token': 'agent-token',
+  'phase-change': 'phase-change',
+  'error': 'agent-error',
+  'equations-extracted': 'equations-extracted',
+  'sensitivity-results': 'sensitivity-results',
+  'validation-update': 'validation-update',
+  'budget-exceeded': 'budget-exceeded',
+  'run-cancelled': 'run-cancelled',
+  'approval-required': 'approval-required',
+  'plan-revised': 'plan-revised',
+  'plan-approved': 'plan-approved',
+  'planning-complete': 'planning-complete',
+  'modeling-complete': 'modeling-complete',
+  'writing-complete': 'writing-complete',
+  'workflow-complete': 'workflow-complete'
+};
+
+const CONTENT_TYPES = {
+  '.md': 'text/markdown; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.tex': 'text/x-tex; charset=utf-8',
+  '.py': 'text/x-python; charset=utf-8',
+  '.diff': 'text/plain; charset=utf-8',
+  '.csv': 'text/csv; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.jsonl': 'application/x-ndjson; charset=utf-8',
+  '.pdf': 'application/pdf',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.svg': 'image/svg+xml'
+};
+
+export class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+/**
+ * API Server - Local REST API over one AgentService, with its events streamed to WebSocket
+ * clients on /ws as { type, data } messages (type is the desktop app's IPC channel name).
+ * Phases run in the background: their endpoints answer 202 and a 'run-finished' message
+ * reports the outcome. Binds to 127.0.0.1 unless configured otherwise; with server.token set
+ * every request needs "Authorization: Bearer <token>" (or ?token= for WebSocket clients).
+ */
+class ApiServer {
+  constructor(options = {}) {
+    const settings = config.get('server') || {};
+    const token = options.token ?? settings.token;
+
+    this.host = options.host || settings.host || '127.0.0.1';
+    this.port = Number(options.port ?? settings.port ?? 3210);
+    this.token = token && !String(token).startsWith('${') ? String(token) : null;
+    this.workspaceRoot = options.workspaceRoot || path.join(__dirname, '..', '..', 'workspace');
+    this.service = options.service || new AgentService();
+    this.workspaceName = null; // Workspace open in the agent service
+    this.busy = false; // A phase is running (set before the service's own isRunning)
+    this.currentRun = null; // Settles when the background phase has finished and saved its state
+    this.clients = new Set();
+    this.server = null;
+
+    for (const [event, type] of Object.entries(STREAMED_EVENTS)) {
+      this.service.on(event, (data) => this.broadcast(type, event === 'error' ? data.message : data));
+    }
+
+    this.routes = [
+      ['GET', /^\/api\/status$/, this.getStatus],
+      ['POST', /^\/api\/stop$/, this.stopRun],
+      ['POST', /^\/api\/plan\/approve$/, this.approvePlan],
+      ['POST', /^\/api\/plan\/feedback$/, this.submitPlanFeedback],
+      ['GET', /^\/api\/workspaces$/, this.listWorkspaces],
+      ['POST', /^\/api\/workspaces$/, this.createWorkspace],
+      ['GET', /^\/api\/workspaces\/([^/]+)$/, this.getWorkspace],
+      ['POST', /^\/api\/workspaces\/([^/]+)\/load$/, this.loadWorkspace],
+      ['PUT', /^\/api\/workspaces\/([^/]+)\/problem$/, this.uploadProblem],
+      ['POST', /^\/api\/workspaces\/([^/]+)\/(planning|modeling|writing|resume)$/, this.runPhase],
+      ['GET', /^\/api\/workspaces\/([^/]+)\/usage$/, this.getUsage],
+      ['GET', /^\/api\/workspaces\/([^/]+)\/runs$/, this.listRuns],
+      ['GET', /^\/api\/workspaces\/([^/]+)\/runs\/([^/]+)$/, this.getRun],
+      ['GET', /^\/api\/workspaces\/([^/]+)\/runs\/([^/]+)\/calls\/(\d+)$/, this.getRunCall],
+      ['GET', /^\/api\/workspaces\/([^/]+)\/runs\/([^/]+)\/export$/, this.exportRun],
+      ['GET', /^\/api\/workspaces\/([^/]+)\/artifacts$/, this.listArtifacts],
+      ['GET', /^\/api\/workspaces\/([^/]+)\/artifacts\/(.+)$/, this.readArtifact],
+      ['GET', /^\/api\/workspaces\/([^/]+)\/files\/(.+)$/, this.readFile],
+      ['GET', /^\/api\/workspaces\/([^/]+)\/data$/, this.listData],
+      ['PUT', /^\/api\/workspaces\/([^/]+)\/data\/([^/]+)$/, this.uploadData],
+      ['DELETE', /^\/api\/workspaces\/([^/]+)\/data\/([^/]+)$/, this.deleteData]
+    ];
+  }
+
+  /**
+   * Start listening. Resolves once the server accepts connections.
+   */
+  async start() {
+    this.server = http.createServer((req, res) => this._handleRequest(req, res));
+    this.server.on('upgrade', (req, socket) => this._handleUpgrade(req, socket));
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.off('error', reject);
+        resolve();
+      });
+    });
+    this.port = this.server.address().port;
+
+    console.log(`🌐 AutoMCM server on http://${this.host}:${this.port} (events: ws://${this.host}:${this.port}/ws)`);
+    if (!this.token && !LOOPBACK_HOSTS.includes(this.host)) {
+      console.warn(`⚠️  Listening on ${this.host} without server.token: only requests addressed to ${this.host} or a loopback name are served, and anyone who can reach this port can run AutoMCM`);
+    }
+    return this;
+  }
+
+  /**
+   * Stop the running phase (waiting for its checkpoint to be saved), disconnect WebSocket
+   * clients and close the server
+   */
+  async stop() {
+    if (this.service.isRunning) {
+      this.service.stop();
+    }
+    await this.currentRun;
+    for (const client of this.clients) {
+      client.close(1001, 'Server shutting down');
+    }
+    if (this.server) {
+      const closed = new Promise(resolve => this.server.close(resolve));
+      this.server.closeAllConnections?.();
+      await closed;
+      this.server = null;
+    }
+  }
+
+  /**
+   * Send a message to every connected WebSocket client
+   */
+  broadcast(type, data) {
+    const message = JSON.stringify({ type, data });
+    for (const client of this.clients) {
+      client.send(message);
+    }
+  }
+
+  getStatus() {
+    return { workspace: this.workspaceName, status: this.service.getStatus() };
+  }
+
+  stopRun() {
+    return { stopped: this.service.stop() };
+  }
+
+  async approvePlan(req) {
+    const { plan = null, approver = null, candidate = null } = await this._readJson(req);
+    this._requirePendingApproval();
+    return { approval: await this.service.approvePlan(plan, { approver, candidate }) };
+  }
+
+  async submitPlanFeedback(req) {
+    const { feedback, plan = null } = await this._readJson(req);
+    if (!feedback || !String(feedback).trim()) {
+      throw new HttpError(400, 'feedback is required');
+    }
+    this._requirePendingApproval();
+    return { revision: await this.service.submitPlanFeedback(feedback, plan) };
+  }
+
+  async listWorkspaces() {
+    let entries = [];
+    try {
+      entries = await fs.readdir(this.workspaceRoot, { withFileTypes: true });
+    } catch {
+      // No workspaces yet
+    }
+    return { workspaces: entries.filter(entry => entry.isDirectory()).map(entry => entry.name) };
+  }
+
+  /**
+   * Body: { name, title, description, contest: { startedAt, deadline, timeZone } }
+   */
+  async createWorkspace(req) {
+    const { name, title, description = '', contest = null } = await this._readJson(req);
+    const workspacePath = this._workspacePath(name, { mustExist: false });
+    try {
+      await fs.access(workspacePath);
+      throw new HttpError(409, `Workspace already exists: ${name}`);
+    } catch (error) {
+      if (error instanceof HttpError) throw error;
+    }
+
+    this._claim();
+    try {
+      await this.service.initializeWorkspace(workspacePath, { title: title || name, description, contest });
+      this.workspaceName = name;
+    } finally {
+      this.busy = false;
+    }
+    return { workspace: name, contest: this.service.masterAgent.getContestStatus() };
+  }
+
+  /**
+   * AUTOMCM.md, artifact file names and contest clock, as the desktop app shows them
+   */
+  async getWorkspace(req, res, [name]) {
+    const workspacePath = this._workspacePath(name);
+    const content = await fs.readFile(path.join(workspacePath, 'AUTOMCM.md'), 'utf-8');
+
+    let artifacts = [];
+    try {
+      artifacts = (await fs.readdir(path.join(workspacePath, 'artifacts'))).filter(file => file !== 'index.json');
+    } catch {
+      // No artifacts yet
+    }
+
+    const clock = new ContestClock(workspacePath);
+    const contest = await clock.load() ? clock.getStatus() : null;
+
+    return { workspace: name, content, artifacts, contest };
+  }
+
+  /**
+   * Open a workspace in the agent service (its checkpoint, ledger and contest clock)
+   */
+  async loadWorkspace(req, res, [name]) {
+    const workspacePath = this._workspacePath(name);
+    this._claim();
+    try {
+      const result = await this.service.loadWorkspace(workspacePath);
+      this.workspaceName = name;
+      return { workspace: name, ...result };
+    } finally {
+      this.busy = false;
+    }
+  }
+
+  /**
+   * Body: the problem PDF. Extracted to problem.md, like the desktop app's upload.
+   * 409 while a phase is running, since planning reads problem.md.
+   */
+  async uploadProblem(req, res, [name]) {
+    const workspacePath = this._workspacePath(name);
+    this._claim();
+    let tempPath = null;
+    try {
+      tempPath = await this._saveUpload(req);
+      const problem = await new PDFParser().importProblem(tempPath, workspacePath);
+      return { problemStatement: problem.problemStatement, metadata: problem.metadata };
+    } finally {
+      this.busy = false;
+      if (tempPath) {
+        await fs.rm(tempPath, { force: true });
+      }
+    }
+  }
+
+  /**
+   * Start a phase in the background. Bodies:
+   *   planning: { problemStatement (default: problem.md), candidates, resume }
+   *   modeling: { plan (default: the approved or latest plan), resume }
+   *   writing:  { resume }
+   *   resume:   {} continues an interrupted workflow from its checkpoint
+   */
+  async runPhase(req, res, [name, phase]) {
+    const workspacePath = this._workspacePath(name);
+    const body = await this._readJson(req);
+
+    this._claim();
+    let run;
+    try {
+      if (phase === 'resume') {
+        run = () => this.service.resumeWorkflow(workspacePath);
+        this.workspaceName = name;
+      } else {
+        await this._open(name);
+        run = await this._phaseRunner(phase, workspacePath, body);
+      }
+    } catch (error) {
+      this.busy = false;
+      throw error;
+    }
+
+    // Progress streams over the WebSocket; failures are also reported there as agent-error
+    this.currentRun = run()
+      .then(
+        () => this.broadcast('run-finished', { workspace: name, phase, status: 'complete' }),
+        (error) => this.broadcast('run-finished', {
+          workspace: name,
+          phase,
+          status: error.name === 'RunCancelledError' ? 'cancelled' : 'failed',
+          error: error.message
+        })
+      )
+      .finally(() => {
+        this.busy = false;
+        this.currentRun = null;
+      });
+
+    res.statusCode = 202;
+    return { started: phase, workspace: name };
+  }
+
+  async _phaseRunner(phase, workspacePath, body) {
+    const options = { resume: !!body.resume };
+
+    if (phase === 'planning') {
+      let problemStatement = body.problemStatement;
+      if (!problemStatement) {
+        try {
+          problemStatement = await fs.readFile(path.join(workspacePath, 'problem.md'), 'utf-8');
+        } catch {
+          throw new HttpError(400, 'No problemStatement given and no problem.md in the workspace; upload the problem PDF first');
+        }
+      }
+      return () => this.service.executePlanningPhase(problemStatement, 2, { ...options, candidates: body.candidates });
+    }
+
+    if (phase === 'modeling') {
+      const master = this.service.masterAgent;
+      const pending = master.getPendingPlan();
+      const plan = body.plan ?? master.getPlanApproval()?.plan ?? pending?.structuredPlan ?? pending?.planText;
+      if (!plan) {
+        throw new HttpError(400, 'No plan yet; run the planning phase first');
+      }
+      return () => this.service.executeModelingPhase(plan, options);
+    }
+
+    return () => this.service.executeWritingPhase(options);
+  }
+
+  async getUsage(req, res, [name]) {
+    // Current run when the workspace is open, otherwise every run in its ledger
+    const summary = this.workspaceName === name ? await this.service.getUsageSummary() : null;
+    return { summary: summary || await new UsageLedger(this._workspacePath(name)).getSummary(null) };
+  }
+
+  async listRuns(req, res, [name]) {
+    return { runs: await new RunAudit(this._workspacePath(name)).listRuns() };
+  }
+
+  async getRun(req, res, [name, runId]) {
+    return await this._audit(() => new RunAudit(this._workspacePath(name)).getRun(runId));
+  }
+
+  async getRunCall(req, res, [name, runId, seq]) {
+    return { call: await this._audit(() => new RunAudit(this._workspacePath(name)).getCall(runId, Number(seq))) };
+  }
+
+  /**
+   * ?format=markdown (default) or json, sent as a download
+   */
+  async exportRun(req, res, [name, runId], url) {
+    const format = url.searchParams.get('format') || 'markdown';
+    if (!EXPORT_FORMATS[format]) {
+      throw new HttpError(400, `format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    }
+
+    const content = await this._audit(() => new RunAudit(this._workspacePath(name)).exportRun(runId, format));
+    const extension = EXPORT_FORMATS[format];
+    res.writeHead(200, {
+      'Content-Type': CONTENT_TYPES[`.${extension}`],
+      'Content-Length': Buffer.byteLength(content),
+      'Content-Disposition': `attachment; filename="audit-${runId}.${extension}"`
+    });
+    res.end(content);
+  }
+
+  async listArtifacts(req, res, [name]) {
+    const store = new ArtifactStore(this._workspacePath(name));
+    await store.initialize();
+    return { artifacts: await store.listArtifacts() };
+  }
+
+  async readArtifact(req, res, [name, file]) {
+    const workspacePath = this._workspacePath(name);
+    await this._sendFile(res, workspacePath, path.join('artifacts', decodeURIComponent(file)));
+  }
+
+  /**
+   * Any file in the workspace (paper.tex, paper.pdf, figures/q1/...)
+   */
+  async readFile(req, res, [name, file]) {
+    await this._sendFile(res, this._workspacePath(name), decodeURIComponent(file));
+  }
+
+  listData(req, res, [name]) {
+    const dataManager = new DataManager(this._workspacePath(name));
+    return { files: dataManager.listFiles(), summary: dataManager.getSummary() };
+  }
+
+  /**
+   * Body: the file's bytes; the file name comes from the URL
+   */
+  async uploadData(req, res, [name, file]) {
+    const filename = this._fileName(file);
+    const dataManager = new DataManager(this._workspacePath(name));
+    const tempPath = await this._saveUpload(req);
+    try {
+      const uploaded = await dataManager.uploadFile(tempPath, filename);
+      res.statusCode = 201;
+      return { file: uploaded };
+    } finally {
+      await fs.rm(tempPath, { force: true });
+    }
+  }
+
+  deleteData(req, res, [name, file]) {
+    const deleted = new DataManager(this._workspacePath(name)).deleteFile(this._fileName(file));
+    if (!deleted) {
+      throw new HttpError(404, `No data file ${decodeURIComponent(file)}`);
+    }
+    return { deleted: true };
+  }
+
+  async _handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    try {
+      this._authorize(req, url);
+
+      const methodRoutes = this.routes.filter(([, pattern]) => pattern.test(url.pathname));
+      const route = methodRoutes.find(([method]) => method === req.method);
+      if (!route) {
+        throw methodRoutes.length > 0
+          ? new HttpError(405, `${req.method} not allowed on ${url.pathname}`)
+          : new HttpError(404, `No route for ${url.pathname}`);
+      }
+
+      const params = url.pathname.match(route[1]).slice(1);
+      const result = await route[2].call(this, req, res, params, url);
+      if (!res.headersSent) {
+        this._sendJson(res, res.statusCode || 200, { success: true, ...result });
+      }
+    } catch (error) {
+      const status = error instanceof HttpError ? error.status : 500;
+      if (status === 500) {
+        console.error(`❌ ${req.method} ${url.pathname}: ${error.message}`);
+      }
+      if (!res.headersSent) {
+        this._sendJson(res, status, { success: false, error: error.message });
+      } else {
+        res.destroy();
+      }
+    }
+  }
+
+  _handleUpgrade(req, socket) {
+    const url = new URL(req.url, 'http://localhost');
+    try {
+      if (url.pathname !== '/ws') {
+        throw new HttpError(404, 'WebSocket endpoint is /ws');
+      }
+      this._authorize(req, url);
+    } catch (error) {
+      socket.end(`HTTP/1.1 ${error.status || 400} ${http.STATUS_CODES[error.status] || 'Bad Request'}\r\nConnection: close\r\n\r\n`);
+      return;
+    }
+
+    const client = WebSocketConnection.accept(req, socket);
+    if (!client) return;
+
+    this.clients.add(client);
+    client.on('close', () => this.clients.delete(client));
+    client.send({ type: 'status', data: this.getStatus() });
+  }
+
+  /**
+   * With a token configured, require it. Without one, refuse requests addressed to a host name
+   * other than loopback or the bound host (DNS rebinding) and cross-origin browser requests, so
+   * a web page cannot drive the local server.
+   */
+  _authorize(req, url) {
+    if (this.token) {
+      const header = req.headers.authorization || '';
+      const given = header.startsWith('Bearer ') ? header.slice(7) : url.searchParams.get('token') || '';
+      const expected = Buffer.from(this.token);
+      const actual = Buffer.from(given);
+      if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+        throw new HttpError(401, 'Missing or invalid token');
+      }
+      return;
+    }
+
+    if (!this._isAllowedHost(req.headers.host)) {
+      throw new HttpError(403, `Requests for host ${req.headers.host || '(none)'} are not allowed; set server.token to allow them`);
+    }
+
+    const origin = req.headers.origin;
+    if (origin && origin !== 'null') {
+      let originHost;
+      try {
+        originHost = new URL(origin).host;
+      } catch {
+        originHost = null;
+      }
+      if (originHost !== req.headers.host) {
+        throw new HttpError(403, `Cross-origin requests from ${origin} are not allowed; set server.token to allow them`);
+      }
+    }
+  }
+
+  /**
+   * Whether a Host header names loopback or the address the server is bound to
+   */
+  _isAllowedHost(hostHeader) {
+    let hostname;
+    try {
+      hostname = new URL(`http://${hostHeader}`).hostname.replace(/^\[(.*)\]$/, '$1');
+    } catch {
+      return false;
+    }
+    return !!hostHeader && (LOOPBACK_HOSTS.includes(hostname) || hostname === this.host.replace(/^\[(.*)\]$/, '$1'));
+  }
+
+  _workspacePath(name, { mustExist = true } = {}) {
+    const workspaceName = decodeURIComponent(name || '');
+    if (!WORKSPACE_NAME.test(workspaceName)) {
+      throw new HttpError(400, 'Invalid workspace name. Use only letters, numbers, dashes, and underscores.');
+    }
+
+    const workspacePath = path.join(this.workspaceRoot, workspaceName);
+    if (mustExist && !existsSync(path.join(workspacePath, 'AUTOMCM.md'))) {
+      throw new HttpError(404, `No workspace named ${workspaceName}`);
+    }
+    return workspacePath;
+  }
+
+  /**
+   * Open the workspace in the agent service unless it is the one already open
+   */
+  async _open(name) {
+    if (this.service.masterAgent && this.workspaceName === name) return;
+    await this.service.loadWorkspace(this._workspacePath(name));
+    this.workspaceName = name;
+  }
+
+  /**
+   * Reserve the agent service for a phase or workspace change; 409 while one is running
+   */
+  _claim() {
+    if (this.busy || this.service.isRunning) {
+      throw new HttpError(409, 'A phase is already running; stop it first (POST /api/stop)');
+    }
+    this.busy = true;
+  }
+
+  _requirePendingApproval() {
+    if (!this.service.pendingApproval) {
+      throw new HttpError(409, 'No plan is waiting for approval');
+    }
+  }
+
+  _fileName(file) {
+    const filename = decodeURIComponent(file);
+    if (!filename || filename !== path.basename(filename) || filename.startsWith('.')) {
+      throw new HttpError(400, `Invalid file name: ${filename}`);
+    }
+    return filename;
+  }
+
+  async _readBody(req, limit) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+      size += chunk.length;
+      if (size > limit) {
+        throw new HttpError(413, `Request body over ${Math.round(limit / 1024 / 1024)} MB`);
+      }
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+
+  async _readJson(req) {
+    const body = await this._readBody(req, MAX_JSON_BYTES);
+    if (body.length === 0) return {};
+
+    // A JSON content type forces a CORS preflight, so a web page cannot post here unnoticed
+    if (!(req.headers['content-type'] || '').startsWith('application/json')) {
+      throw new HttpError(415, 'Send JSON bodies with Content-Type: application/json');
+    }
+    try {
+      const data = JSON.parse(body.toString('utf8'));
+      if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('expected an object');
+      }
+      return data;
+    } catch (error) {
+      throw new HttpError(400, `Invalid JSON body: ${error.message}`);
+    }
+  }
+
+  /**
+   * Write an uploaded request body to a temporary file and return its path
+   */
+  async _saveUpload(req) {
+    const body = await this._readBody(req, MAX_UPLOAD_BYTES);
+    if (body.length === 0) {
+      throw new HttpError(400, 'Empty upload');
+    }
+    const tempPath = path.join(os.tmpdir(), `automcm-upload-${process.pid}-${crypto.randomUUID()}`);
+    await fs.writeFile(tempPath, body);
+    return tempPath;
+  }
+
+  async _sendFile(res, workspacePath, relativePath) {
+    const filePath = path.resolve(workspacePath, relativePath);
+    if (!filePath.startsWith(workspacePath + path.sep)) {
+      throw new HttpError(403, 'Path is outside the workspace');
+    }
+
+    let content;
+    try {
+      content = await fs.readFile(filePath);
+    } catch {
+      throw new HttpError(404, `No file ${relativePath}`);
+    }
+    res.writeHead(200, {
+      'Content-Type': CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+      'Content-Length': content.length
+    });
+    res.end(content);
+  }
+
+  /**
+   * Run an audit trail lookup, answering 404 for an unknown run or call
+   */
+  async _audit(fn) {
+    try {
+      return await fn();
+    } catch (error) {
+      throw error instanceof RunNotFoundError ? new HttpError(404, error.message) : error;
+    }
+  }
+
+  _sendJson(res, status, body) {
+    const json = JSON.stringify(body);
+    res.writeHead(status, {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Content-Length': Buffer.byteLength(json)
+    });
+    res.end(json);
+  }
+}
+
+export default ApiServer;
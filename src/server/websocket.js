@@ -0,0 +1,194 @@
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_BYTES = 1024 * 1024; // Clients only send small control messages
+
+const OPCODE = {
+  continuation: 0x0,
+  text: 0x1,
+  binary: 0x2,
+  close: 0x8,
+  ping: 0x9,
+  pong: 0xa
+};
+
+/**
+ * Encode a single unmasked (server to client) frame
+ */
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Decode the frame at the start of the buffer: { fin, opcode, masked, payload, length },
+ * or null until the whole frame has arrived
+ */
+function decodeFrame(buffer) {
+  if (buffer.length < 2) return null;
+
+  const fin = (buffer[0] & 0x80) !== 0;
+  const opcode = buffer[0] & 0x0f;
+  const masked = (buffer[1] & 0x80) !== 0;
+  let payloadLength = buffer[1] & 0x7f;
+  let offset = 2;
+
+  if (payloadLength === 126) {
+    if (buffer.length < 4) return null;
+    payloadLength = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (payloadLength === 127) {
+    if (buffer.length < 10) return null;
+    payloadLength = Number(buffer.readBigUInt64BE(2));
+    offset = 10;
+  }
+
+  const maskLength = masked ? 4 : 0;
+  const length = offset + maskLength + payloadLength;
+  if (payloadLength > MAX_MESSAGE_BYTES) {
+    return { fin, opcode, masked, payload: null, length, tooLarge: true };
+  }
+  if (buffer.length < length) return null;
+
+  const payload = Buffer.from(buffer.subarray(offset + maskLength, length));
+  if (masked) {
+    const mask = buffer.subarray(offset, offset + 4);
+    for (let i = 0; i < payload.length; i++) {
+      payload[i] ^= mask[i % 4];
+    }
+  }
+  return { fin, opcode, masked, payload, length };
+}
+
+/**
+ * WebSocket Connection - Server side of RFC 6455 on a socket upgraded by Node's http server:
+ * text messages, ping/pong and the close handshake. Emits 'message' (text) and 'close'.
+ */
+class WebSocketConnection extends EventEmitter {
+  constructor(socket) {
+    super();
+    this.socket = socket;
+    this.open = true;
+    this.buffer = Buffer.alloc(0);
+    this.fragments = []; // Payloads of a fragmented message until its final frame
+
+    socket.setNoDelay(true);
+    socket.on('data', (chunk) => this._receive(chunk));
+    socket.on('close', () => this._closed());
+    socket.on('error', () => socket.destroy());
+  }
+
+  /**
+   * Complete the opening handshake for an 'upgrade' request. Returns the connection, or null
+   * (after answering 400) when the request is not a valid WebSocket upgrade.
+   */
+  static accept(req, socket) {
+    const key = req.headers['sec-websocket-key'];
+    if (req.headers.upgrade?.toLowerCase() !== 'websocket' || !key) {
+      socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+      return null;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+    socket.write([
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${accept}`,
+      '',
+      ''
+    ].join('\r\n'));
+    return new WebSocketConnection(socket);
+  }
+
+  /**
+   * Send a text message (objects are sent as JSON)
+   */
+  send(message) {
+    if (!this.open) return;
+    const text = typeof message === 'string' ? message : JSON.stringify(message);
+    this.socket.write(encodeFrame(OPCODE.text, Buffer.from(text, 'utf8')));
+  }
+
+  /**
+   * Start the close handshake (1000 = normal closure)
+   */
+  close(code = 1000, reason = '') {
+    if (!this.open) return;
+    this.open = false;
+
+    const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+    payload.writeUInt16BE(code, 0);
+    payload.write(reason, 2);
+    this.socket.end(encodeFrame(OPCODE.close, payload));
+  }
+
+  _receive(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    let frame;
+    while (this.open && (frame = decodeFrame(this.buffer))) {
+      if (frame.tooLarge) {
+        this.close(1009, 'Message too large');
+        return;
+      }
+      this.buffer = this.buffer.subarray(frame.length);
+      this._handleFrame(frame);
+    }
+  }
+
+  _handleFrame({ fin, opcode, masked, payload }) {
+    // Clients must mask every frame
+    if (!masked) {
+      this.close(1002, 'Unmasked frame');
+      return;
+    }
+
+    switch (opcode) {
+      case OPCODE.text:
+      case OPCODE.binary:
+      case OPCODE.continuation:
+        this.fragments.push(payload);
+        if (this.fragments.reduce((sum, part) => sum + part.length, 0) > MAX_MESSAGE_BYTES) {
+          this.close(1009, 'Message too large');
+        } else if (fin) {
+          const message = Buffer.concat(this.fragments).toString('utf8');
+          this.fragments = [];
+          this.emit('message', message);
+        }
+        break;
+      case OPCODE.ping:
+        this.socket.write(encodeFrame(OPCODE.pong, payload));
+        break;
+      case OPCODE.pong:
+        break;
+      case OPCODE.close:
+        // Echo the close code, then let the client close the TCP connection
+        this.close(payload.length >= 2 ? payload.readUInt16BE(0) : 1000);
+        break;
+      default:
+        this.close(1002, 'Unknown opcode');
+    }
+  }
+
+  _closed() {
+    this.open = false;
+    this.emit('close');
+  }
+}
+
+export default WebSocketConnection;
@@ -0,0 +1,141 @@
+import path from 'path';
+import ToolRegistry from '../core/tool-registry.js';
+import PythonExecutor from './python-executor.js';
+import SymPyWrapper from './sympy-wrapper.js';
+import WebSearch from './web-search.js';
+
+// Keep tool output small enough to send back to the model
+const MAX_OUTPUT_CHARS = 8000;
+
+function truncate(text) {
+  if (!text || text.length <= MAX_OUTPUT_CHARS) return text || '';
+  return text.substring(0, MAX_OUTPUT_CHARS) + `\n... [truncated ${text.length - MAX_OUTPUT_CHARS} chars]`;
+}
+
+/**
+ * Create the standard set of workspace tools for agent tool-calling loops.
+ * With an area (e.g. "q1"), scripts run from models/<area>/ and figures are saved to figures/<area>/.
+ */
+export function createWorkspaceTools({ workspacePath, parser = null, artifactStore = null, webSearch = null, signal = null, area = null }) {
+  const executor = new PythonExecutor(workspacePath, { signal, ...(area && { scriptDir: path.join('models', area) }) });
+  const figuresDir = area ? `figures/${area}/` : 'figures/';
+  const sympy = new SymPyWrapper(workspacePath, { signal });
+  const search = webSearch || new WebSearch({ maxResults: 5 });
+  const registry = new ToolRegistry();
+
+  registry.register({
+    name: 'run_python',
+    description: `Execute a Python 3 script in the workspace directory and return stdout/stderr. numpy, scipy, pandas and matplotlib are available. Save figures to ${figuresDir} and data to data/.`,
+    parameters: {
+      type: 'object',
+      properties: {
+        code: { type: 'string', description: 'Complete Python script to execute' }
+      },
+      required: ['code']
+    },
+    handler: async ({ code }) => {
+      try {
+        const result = await executor.executeCode(code);
+        return { success: true, stdout: truncate(result.stdout), stderr: truncate(result.stderr) };
+      } catch (error) {
+        return {
+          success: false,
+          stdout: truncate(error.stdout),
+          stderr: truncate(error.stderr),
+          error: error.error || error.message
+        };
+      }
+    }
+  });
+
+  registry.register({
+    name: 'solve_equation',
+    description: 'Solve an equation symbolically with SymPy. The equation is an expression assumed equal to zero, e.g. "x**2 - 4".',
+    parameters: {
+      type: 'object',
+      properties: {
+        equation: { type: 'string', description: 'SymPy expression equal to zero' },
+        solveFor: { type: 'string', description: 'Symbol to solve for' }
+      },
+      required: ['equation', 'solveFor']
+    },
+    handler: async ({ equation, solveFor }) => sympy.solveEquation(equation, solveFor)
+  });
+
+  registry.register({
+    name: 'search_arxiv',
+    description: 'Search arXiv for academic papers relevant to a modeling approach.',
+    parameters: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'Search query' },
+        category: { type: 'string', description: 'Optional arXiv category, e.g. math.OC' }
+      },
+      required: ['query']
+    },
+    handler: async ({ query, category }) => {
+      const papers = await search.searchArxiv(query, category || null);
+      return papers.map(p => ({
+        title: p.title,
+        authors: p.authors,
+        year: p.year,
+        url: p.url,
+        abstract: p.abstract ? p.abstract.substring(0, 500) : ''
+      }));
+    }
+  });
+
+  if (parser) {
+    registry.register({
+      name: 'add_variable',
+      description: 'Register a model variable in the AUTOMCM.md Variable Registry.',
+      parameters: {
+        type: 'object',
+        properties: {
+          symbol: { type: 'string' },
+          definition: { type: 'string' },
+          units: { type: 'string' },
+          constraints: { type: 'string' },
+          source: { type: 'string' }
+        },
+        required: ['symbol', 'definition', 'units']
+      },
+      handler: async ({ symbol, definition, units, constraints = '', source = '' }) => {
+        await parser.addVariable({ symbol, definition, units, constraints, source });
+        return `Variable ${symbol} registered`;
+      }
+    });
+  }
+
+  if (artifactStore) {
+    registry.register({
+      name: 'save_artifact',
+      description: 'Save a text artifact (notes, code, results table) to the workspace artifact store.',
+      parameters: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', description: 'File name, e.g. results_summary.md' },
+          type: { type: 'string', description: 'Artifact type: code, data, report or note' },
+          content: { type: 'string' },
+          description: { type: 'string' }
+        },
+        required: ['name', 'content']
+      },
+      handler: async ({ name, type = 'note', content, description = '' }) => {
+        // Never let the model write outside the artifacts directory
+        const result = await artifactStore.saveArtifact({
+          name: path.basename(name),
+          type,
+          content,
+          description,
+          generatedBy: 'tool-call'
+        });
+        return `Artifact saved: ${result.name} (v${result.version || 1})`;
+      }
+    });
+  }
+
+  return registry;
+}
+
+export default createWorkspaceTools;
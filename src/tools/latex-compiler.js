@@ -11,6 +11,7 @@ class LatexCompiler {
     this.engine = options.engine || 'pdflatex';
     this.timeout = options.timeout || 60000; // 60 seconds
     this.maxRetries = options.maxRetries || 2;
+    this.signal = options.signal || null; // Kills the LaTeX process when the run is cancelled
   }
 
   /**
@@ -46,7 +47,7 @@ class LatexCompiler {
           };
         }
       } catch (error) {
-        if (attempt >= retries) {
+        if (attempt >= retries || this.signal?.aborted) {
           throw error;
         }
       }
@@ -65,7 +66,8 @@ class LatexCompiler {
       ];
 
       const process = spawn(this.engine, args, {
-        cwd: this.workspacePath
+        cwd: this.workspacePath,
+        ...(this.signal && { signal: this.signal })
       });
 
       let stdout = '';
@@ -89,6 +91,10 @@ class LatexCompiler {
       });
 
       process.on('error', (error) => {
+        if (this.signal?.aborted) {
+          reject(this.signal.reason);
+          return;
+        }
         reject({
           success: false,
           error: error.message
@@ -252,7 +258,8 @@ class LatexCompiler {
   async _runCommand(command, args) {
     return new Promise((resolve, reject) => {
       const process = spawn(command, args, {
-        cwd: this.workspacePath
+        cwd: this.workspacePath,
+        ...(this.signal && { signal: this.signal })
       });
 
       let stdout = '';
@@ -276,6 +283,10 @@ class LatexCompiler {
       });
 
       process.on('error', (error) => {
+        if (this.signal?.aborted) {
+          reject(this.signal.reason);
+          return;
+        }
         reject({
           success: false,
           error: error.message
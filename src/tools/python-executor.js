@@ -10,16 +10,19 @@ class PythonExecutor {
     this.workspacePath = workspacePath;
     this.pythonCommand = options.pythonCommand || 'python3';
     this.timeout = options.timeout || 120000; // 120 seconds (2 minutes) default
+    this.signal = options.signal || null; // Kills running scripts when the run is cancelled
+    this.scriptDir = options.scriptDir || 'models'; // Where temporary scripts are written, relative to the workspace
   }
 
   /**
    * Execute Python code from a string
    */
   async executeCode(code, options = {}) {
+    // Concurrent clones may run scripts in the same millisecond
     const tempFile = path.join(
       this.workspacePath,
-      'models',
-      `temp_${Date.now()}.py`
+      this.scriptDir,
+      `temp_${Date.now()}_${Math.random().toString(36).slice(2, 8)}.py`
     );
 
     try {
@@ -48,10 +51,13 @@ class PythonExecutor {
    */
   async executeFile(filePath, options = {}) {
     const timeout = options.timeout || this.timeout;
+    const signal = options.signal || this.signal;
 
     return new Promise((resolve, reject) => {
+      // spawn kills the child when the signal aborts
       const process = spawn(this.pythonCommand, [filePath], {
-        cwd: this.workspacePath
+        cwd: this.workspacePath,
+        ...(signal && { signal })
       });
 
       let stdout = '';
@@ -85,6 +91,10 @@ class PythonExecutor {
       });
 
       process.on('error', (error) => {
+        if (signal?.aborted) {
+          reject(signal.reason);
+          return;
+        }
         reject({
           success: false,
           stdout,
@@ -4,8 +4,8 @@ import PythonExecutor from './python-executor.js';
  * SymPy Wrapper - Interface to SymPy for symbolic mathematics
  */
 class SymPyWrapper {
-  constructor(workspacePath) {
-    this.executor = new PythonExecutor(workspacePath);
+  constructor(workspacePath, options = {}) {
+    this.executor = new PythonExecutor(workspacePath, { signal: options.signal });
   }
 
   /**
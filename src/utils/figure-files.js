@@ -0,0 +1,32 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * List figure files under a figures/ directory, including the per-sub-question
+ * folders (figures/q1/, figures/q2/, ...). Paths are relative to figures/ and sorted,
+ * e.g. "baseline.png" or "q1/growth_curve.png".
+ */
+export async function listFigureFiles(figuresPath, extensions = ['.png']) {
+  let entries;
+  try {
+    entries = await fs.readdir(figuresPath, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+
+  const files = [];
+  for (const entry of entries) {
+    if (entry.isDirectory()) {
+      const nested = await fs.readdir(path.join(figuresPath, entry.name)).catch(() => []);
+      files.push(...nested.map(name => `${entry.name}/${name}`));
+    } else {
+      files.push(entry.name);
+    }
+  }
+
+  return files
+    .filter(file => extensions.includes(path.extname(file).toLowerCase()))
+    .sort();
+}
+
+export default listFigureFiles;
@@ -62,6 +62,30 @@ class PDFParser {
     return { problemFile, metadataFile };
   }
 
+  /**
+   * Extract a problem PDF into a workspace: problem.md, problem-metadata.json and a copy of
+   * the PDF as problem.pdf
+   */
+  async importProblem(pdfPath, workspacePath) {
+    const problemData = await this.extractProblemStatement(pdfPath);
+    await this.saveProblemToWorkspace(workspacePath, problemData);
+    fs.copyFileSync(pdfPath, path.join(workspacePath, 'problem.pdf'));
+
+    // Point AUTOMCM.md at problem.md instead of the placeholder problem statement
+    const automcmPath = path.join(workspacePath, 'AUTOMCM.md');
+    try {
+      const automcmContent = fs.readFileSync(automcmPath, 'utf-8').replace(
+        /## Problem Statement\s*\nTo be filled in during planning/,
+        `## Problem Statement\n**See problem.md for the full problem statement**\n\nThe actual MCM problem has been extracted from the uploaded PDF and saved to problem.md in this workspace. All agents will receive the problem content from problem.md during execution.`
+      );
+      fs.writeFileSync(automcmPath, automcmContent, 'utf-8');
+    } catch (error) {
+      console.warn('Could not update AUTOMCM.md:', error.message);
+    }
+
+    return problemData;
+  }
+
   /**
    * Format extracted text as markdown
    */
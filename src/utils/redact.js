@@ -0,0 +1,54 @@
+import config from '../core/config.js';
+
+// Credentials that show up in URLs, headers and provider error messages
+const SECRET_PATTERNS = [
+  /\bsk-[A-Za-z0-9_-]{16,}/g,                 // Anthropic / OpenAI keys
+  /\bAIza[0-9A-Za-z_-]{30,}/g,                // Google keys
+  /([?&](?:key|api_key|apikey|access_token)=)[^&\s"']+/gi,
+  /(\bBearer\s+)[A-Za-z0-9._~+/=-]{8,}/g,
+  /((?:x-api-key|x-goog-api-key|authorization)["']?\s*[:=]\s*["']?)[^\s"',}]{8,}/gi
+];
+
+const MASK = '[REDACTED]';
+
+/**
+ * API keys from the configuration (primary, task overrides, fallback chain) and from
+ * *_KEY / *_TOKEN / *_SECRET environment variables
+ */
+function knownSecrets() {
+  const llm = config.get('llm') || {};
+  const keys = [
+    llm.api_key,
+    ...Object.values(llm.task_overrides || {}).map(override => override?.api_key),
+    ...(llm.fallback_chain || []).map(entry => entry?.api_key),
+    ...Object.entries(process.env)
+      .filter(([name]) => /(KEY|TOKEN|SECRET|PASSWORD)$/i.test(name))
+      .map(([, value]) => value)
+  ];
+  return [...new Set(keys.filter(key => typeof key === 'string' && key.length >= 8 && !key.startsWith('${')))];
+}
+
+/**
+ * Mask API keys and tokens in a string, or in every string of an object or array
+ */
+export function redactSecrets(value, secrets = knownSecrets()) {
+  if (typeof value === 'string') {
+    let text = value;
+    for (const secret of secrets) {
+      text = text.split(secret).join(MASK);
+    }
+    for (const pattern of SECRET_PATTERNS) {
+      text = text.replace(pattern, (match, prefix) => typeof prefix === 'string' ? prefix + MASK : MASK);
+    }
+    return text;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redactSecrets(item, secrets));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redactSecrets(item, secrets)]));
+  }
+  return value;
+}
+
+export default redactSecrets;
@@ -0,0 +1,103 @@
+/**
+ * Line diff between two versions of a text (e.g. a plan before and after a revision).
+ * Uses the longest common subsequence of lines, which is plenty for documents of a few
+ * hundred lines.
+ */
+
+/**
+ * Diff two texts line by line. Returns [{ type: 'equal' | 'add' | 'remove', line }] in order.
+ */
+export function diffLines(before = '', after = '') {
+  const a = String(before).split('\n');
+  const b = String(after).split('\n');
+
+  // lcs[i][j] = length of the longest common subsequence of a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const changes = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      changes.push({ type: 'equal', line: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      changes.push({ type: 'remove', line: a[i++] });
+    } else {
+      changes.push({ type: 'add', line: b[j++] });
+    }
+  }
+  while (i < a.length) changes.push({ type: 'remove', line: a[i++] });
+  while (j < b.length) changes.push({ type: 'add', line: b[j++] });
+
+  return changes;
+}
+
+/**
+ * Count added and removed lines
+ */
+export function diffStats(changes) {
+  return {
+    added: changes.filter(c => c.type === 'add').length,
+    removed: changes.filter(c => c.type === 'remove').length
+  };
+}
+
+/**
+ * Unified diff ("--- a", "+++ b", "@@ -l,n +l,n @@" hunks) with `context` unchanged lines
+ * around each change. Empty when the texts are identical.
+ */
+export function formatUnifiedDiff(before, after, { context = 3, fromLabel = 'before', toLabel = 'after' } = {}) {
+  const changes = diffLines(before, after);
+  if (changes.every(c => c.type === 'equal')) return '';
+
+  // Line numbers of each change in the old and new text
+  let oldLine = 1;
+  let newLine = 1;
+  const numbered = changes.map(change => {
+    const entry = { ...change, oldLine, newLine };
+    if (change.type !== 'add') oldLine++;
+    if (change.type !== 'remove') newLine++;
+    return entry;
+  });
+
+  // Group changes that are within 2 * context lines of each other into hunks
+  const hunks = [];
+  let current = null;
+  numbered.forEach((change, index) => {
+    if (change.type === 'equal') return;
+    const start = Math.max(0, index - context);
+    const end = Math.min(numbered.length - 1, index + context);
+    if (current && start <= current.end + 1) {
+      current.end = end;
+    } else {
+      current = { start, end };
+      hunks.push(current);
+    }
+  });
+
+  const lines = [`--- ${fromLabel}`, `+++ ${toLabel}`];
+  for (const { start, end } of hunks) {
+    const slice = numbered.slice(start, end + 1);
+    const oldCount = slice.filter(c => c.type !== 'add').length;
+    const newCount = slice.filter(c => c.type !== 'remove').length;
+    const oldStart = oldCount > 0 ? slice.find(c => c.type !== 'add').oldLine : slice[0].oldLine - 1;
+    const newStart = newCount > 0 ? slice.find(c => c.type !== 'remove').newLine : slice[0].newLine - 1;
+
+    lines.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    for (const change of slice) {
+      const prefix = change.type === 'add' ? '+' : change.type === 'remove' ? '-' : ' ';
+      lines.push(prefix + change.line);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+export default formatUnifiedDiff;
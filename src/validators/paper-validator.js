@@ -1,3 +1,24 @@
+// Words that say nothing about which assumption a sentence discusses
+const STOPWORDS = new Set([
+  'that', 'this', 'with', 'from', 'have', 'their', 'there', 'which', 'will', 'into', 'than',
+  'then', 'they', 'each', 'been', 'over', 'such', 'only', 'also', 'more', 'most', 'these',
+  'those', 'does', 'when', 'where', 'while', 'assume', 'assumed', 'assumes', 'assumption'
+]);
+
+/**
+ * Distinct content words of a text without LaTeX commands, cut to six letters so that
+ * forms of a word ("homogeneous", "homogeneously") match
+ */
+function keywords(text) {
+  const words = text
+    .replace(/\\[a-zA-Z]+\*?/g, ' ')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word.length >= 4 && !STOPWORDS.has(word.replace(/s$/, '')))
+    .map(word => word.slice(0, 6));
+  return [...new Set(words)];
+}
+
 /**
  * Paper Validator - Validates MCM paper completeness and quality
  */
@@ -10,12 +31,14 @@ class PaperValidator {
     this.minTables = 2;
     this.minEquations = 5;
     this.minReferences = 5;
+    this.minAssumptionOverlap = 0.6; // Share of an assumption's key words that counts as discussing it
   }
 
   /**
-   * Validate complete paper for MCM submission
+   * Validate complete paper for MCM submission. With options.assumptions (the AUTOMCM.md
+   * registry), also warns about assumptions the assumptions section does not discuss.
    */
-  validatePaper(latexContent) {
+  validatePaper(latexContent, options = {}) {
     const results = {
       valid: true,
       score: 0,
@@ -35,6 +58,9 @@ class PaperValidator {
     this._checkReferences(latexContent, results);
     this._checkSections(latexContent, results);
     this._checkQuality(latexContent, results);
+    if (options.assumptions?.length > 0) {
+      this._checkAssumptionCoverage(latexContent, options.assumptions, results);
+    }
 
     // Calculate final score
     results.score = this._calculateScore(results.checks);
@@ -219,6 +245,60 @@ class PaperValidator {
     }
   }
 
+  /**
+   * Check that registered assumptions are discussed (informational, not scored)
+   */
+  _checkAssumptionCoverage(content, assumptions, results) {
+    const coverage = this.checkAssumptions(content, assumptions);
+    results.metrics.assumptionsDiscussed = `${coverage.discussed.length}/${assumptions.length}`;
+
+    if (!coverage.sectionFound) {
+      results.warnings.push(`No assumptions section to discuss the ${assumptions.length} registered assumptions`);
+    } else if (coverage.missing.length > 0) {
+      results.warnings.push(`Assumptions not discussed in the paper: ${coverage.missing.map(a => a.id).join(', ')}`);
+    }
+  }
+
+  /**
+   * Check which registered assumptions ({ id, text }) the paper's assumptions section discusses:
+   * it cites the id (e.g. "A3") or uses most of the assumption's key words
+   */
+  checkAssumptions(latexContent, assumptions) {
+    const section = this._assumptionsSection(latexContent);
+    const sectionWords = new Set(keywords(section || ''));
+    const discussed = [];
+    const missing = [];
+
+    for (const assumption of assumptions) {
+      const terms = keywords(assumption.text);
+      const cited = new RegExp(`\\b${assumption.id}\\b`).test(section || '');
+      const overlap = terms.length > 0 ? terms.filter(term => sectionWords.has(term)).length / terms.length : 0;
+      const isDiscussed = section !== null && (cited || overlap >= this.minAssumptionOverlap);
+      (isDiscussed ? discussed : missing).push(assumption);
+    }
+
+    return { sectionFound: section !== null, discussed, missing };
+  }
+
+  /**
+   * Text under every (sub)section titled with "assumption", up to the next heading of the same
+   * or a higher level; null when the paper has none
+   */
+  _assumptionsSection(content) {
+    const headings = [...content.matchAll(/\\((?:sub)*)section\*?\{([^}]*)\}/g)]
+      .map(match => ({ index: match.index, end: match.index + match[0].length, level: match[1].length / 3, title: match[2] }));
+
+    const parts = [];
+    headings.forEach((heading, i) => {
+      if (!/assumption/i.test(heading.title)) return;
+      const next = headings.slice(i + 1).find(h => h.level <= heading.level);
+      const end = next ? next.index : content.search(/\\end\{document\}|$/);
+      parts.push(content.slice(heading.end, end));
+    });
+
+    return parts.length > 0 ? parts.join('\n') : null;
+  }
+
   /**
    * Check overall quality indicators
    */
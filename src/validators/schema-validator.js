@@ -0,0 +1,101 @@
+/**
+ * Schema Validator - Validates parsed JSON against a JSON Schema subset
+ * Supports type, properties, required, items, enum, minItems, minLength and nullable unions
+ * (e.g. type: ['string', 'null']), which covers the schemas agents are asked to produce.
+ */
+class SchemaValidator {
+  /**
+   * Validate data against a schema
+   * Returns { valid, errors } where each error names the offending path
+   */
+  validate(data, schema) {
+    const errors = [];
+    this._validateNode(data, schema, '$', errors);
+    return {
+      valid: errors.length === 0,
+      errors
+    };
+  }
+
+  _validateNode(value, schema, pathLabel, errors) {
+    if (!schema) return;
+
+    if (schema.type) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      if (!types.some(type => this._matchesType(value, type))) {
+        errors.push(`${pathLabel}: expected ${types.join(' or ')}, got ${this._typeOf(value)}`);
+        return;
+      }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push(`${pathLabel}: must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+    }
+
+    if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${pathLabel}: must be at least ${schema.minLength} characters`);
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push(`${pathLabel}: must contain at least ${schema.minItems} items`);
+      }
+      if (schema.items) {
+        value.forEach((item, index) => {
+          this._validateNode(item, schema.items, `${pathLabel}[${index}]`, errors);
+        });
+      }
+    }
+
+    if (this._typeOf(value) === 'object') {
+      for (const key of schema.required || []) {
+        if (value[key] === undefined) {
+          errors.push(`${pathLabel}.${key}: is required`);
+        }
+      }
+      for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+        if (value[key] !== undefined) {
+          this._validateNode(value[key], propertySchema, `${pathLabel}.${key}`, errors);
+        }
+      }
+    }
+  }
+
+  _matchesType(value, type) {
+    if (type === 'integer') return Number.isInteger(value);
+    if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+    return this._typeOf(value) === type;
+  }
+
+  _typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+  }
+
+  /**
+   * Extract a JSON value from model output, tolerating code fences and surrounding prose
+   */
+  parseJson(text) {
+    const trimmed = (text || '').trim();
+
+    try {
+      return JSON.parse(trimmed);
+    } catch {}
+
+    const fenced = trimmed.match(/```(?:json)?\s*\n([\s\S]*?)\n```/);
+    if (fenced) {
+      return JSON.parse(fenced[1]);
+    }
+
+    const start = trimmed.search(/[{[]/);
+    const end = Math.max(trimmed.lastIndexOf('}'), trimmed.lastIndexOf(']'));
+    if (start >= 0 && end > start) {
+      return JSON.parse(trimmed.substring(start, end + 1));
+    }
+
+    throw new Error('Response does not contain JSON');
+  }
+}
+
+export default SchemaValidator;
@@ -0,0 +1,69 @@
+import http from 'http';
+
+/**
+ * Stub OpenAI-compatible LLM server for tests
+ *
+ * Answers /v1/models, Ollama's /api/tags and /v1/chat/completions (plain JSON or SSE when the
+ * request sets stream). reply(body) returns the assistant text for each chat request.
+ * With openaiModels: false, /v1/models answers 404 so clients fall back to /api/tags.
+ */
+export async function startStubLLMServer({ reply = () => 'OK', models = ['stub-model'], openaiModels = true } = {}) {
+  const requests = [];
+
+  const server = http.createServer(async (req, res) => {
+    let raw = '';
+    for await (const chunk of req) raw += chunk;
+    const body = raw ? JSON.parse(raw) : null;
+    requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+
+    const sendJson = (status, data) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(data));
+    };
+
+    if (req.method === 'GET' && req.url === '/v1/models' && openaiModels) {
+      return sendJson(200, { object: 'list', data: models.map(id => ({ id, object: 'model' })) });
+    }
+    if (req.method === 'GET' && req.url === '/api/tags') {
+      return sendJson(200, { models: models.map(name => ({ name })) });
+    }
+    if (req.method !== 'POST' || req.url !== '/v1/chat/completions') {
+      return sendJson(404, { error: { message: `Not found: ${req.method} ${req.url}` } });
+    }
+
+    const content = await reply(body);
+    const usage = { prompt_tokens: raw.length, completion_tokens: content.length, total_tokens: raw.length + content.length };
+
+    if (!body.stream) {
+      return sendJson(200, {
+        id: `chatcmpl-${requests.length}`,
+        object: 'chat.completion',
+        model: body.model,
+        choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+        usage
+      });
+    }
+
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    const send = (data) => res.write(`data: ${JSON.stringify(data)}\n\n`);
+    // Several deltas so clients have to reassemble the message
+    for (const piece of content.match(/[\s\S]{1,8}/g) || []) {
+      send({ choices: [{ index: 0, delta: { content: piece }, finish_reason: null }] });
+    }
+    send({ choices: [{ index: 0, delta: {}, finish_reason: 'stop' }] });
+    send({ choices: [], usage });
+    res.end('data: [DONE]\n\n');
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    requests,
+    close: () => new Promise(resolve => {
+      server.close(resolve);
+      server.closeAllConnections(); // fetch keeps connections alive
+    })
+  };
+}
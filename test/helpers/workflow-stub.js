@@ -0,0 +1,59 @@
+import config from '../../src/core/config.js';
+
+export const PROBLEM = 'Model how a rumor spreads through a town of 10,000 people. 1. Build a model of the spread. 2. Estimate when half the town has heard it.';
+
+export const PLAN = {
+  modelType: 'SIR compartmental ODE model',
+  summary: 'Ignorants, spreaders and stiflers exchange through contact rates.',
+  subQuestions: [{ id: 'q1', question: 'Build a model of the spread', approach: 'Solve the ODE system numerically' }],
+  variables: [{ symbol: 'S', definition: 'People who have not heard the rumor', units: 'people' }],
+  assumptions: [{ statement: 'The town is closed', justification: 'The rumor spreads within days' }],
+  experiments: [{ name: 'baseline', description: 'Nominal contact rate' }],
+  dataNeeds: []
+};
+
+/**
+ * Canned answers to the workflow's prompts, for startStubLLMServer. Generated scripts fail on
+ * their first run, so the repair prompts carry a Python traceback that names the temporary script.
+ */
+export function replyToWorkflow(body) {
+  const last = body.messages[body.messages.length - 1];
+  const text = typeof last.content === 'string' ? last.content : JSON.stringify(last.content);
+
+  if (text.includes('failed when it was run')) {
+    return '```python\nprint("half the town by day 12")\n```';
+  }
+  if (body.response_format) {
+    return text.includes('List every modeling assumption')
+      ? JSON.stringify({ assumptions: [] })
+      : JSON.stringify(PLAN);
+  }
+  if (/python|code/i.test(text)) {
+    return '```python\nraise RuntimeError("solver diverged")\n```';
+  }
+  if (/paper/i.test(text)) {
+    return '```latex\n\\documentclass{article}\n\\begin{document}\nRumor model.\n\\end{document}\n```';
+  }
+  return 'The rumor spreads through contacts between spreaders and ignorants.';
+}
+
+/**
+ * Point every agent at the stub server and turn off what a test run cannot reach or wait for
+ */
+export function useStubLLM(url, overrides = {}) {
+  const settings = config.getAll();
+  Object.assign(settings.llm, {
+    provider: 'local',
+    base_url: url,
+    model: 'stub-model',
+    retry: { max_retries: 0 },
+    ...overrides
+  });
+  delete settings.llm.task_overrides;
+  delete settings.llm.fallback_chain;
+  settings.planning.enable_approval_checkpoint = false;
+  settings.contest.enabled = false;
+  settings.web_search.enable_real_search = false;
+  settings.execution.tool_calling = false;
+  return settings;
+}
@@ -0,0 +1,83 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import AgentService from '../../src/core/agent-service.js';
+import LLMCassette from '../../src/core/llm-cassette.js';
+import { startStubLLMServer } from '../helpers/stub-llm-server.js';
+import { PROBLEM, replyToWorkflow, useStubLLM } from '../helpers/workflow-stub.js';
+
+let server;
+let cassettePath;
+let recorded;
+const tempDirs = [];
+
+async function tempDir(prefix) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), prefix));
+  tempDirs.push(dir);
+  return dir;
+}
+
+async function runWorkflow(mode) {
+  process.env.AUTOMCM_CASSETTE = mode;
+  const workspacePath = await tempDir(`automcm-${mode}-`);
+  const service = new AgentService();
+  return service.runCompleteWorkflow(workspacePath, { title: 'Rumor', problem: PROBLEM }, PROBLEM);
+}
+
+before(async () => {
+  // A full run logs thousands of progress lines; failures still reach console.error
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+
+  server = await startStubLLMServer({ reply: replyToWorkflow });
+  cassettePath = path.join(await tempDir('automcm-cassette-'), 'llm-cassette.jsonl');
+  useStubLLM(server.url, { cassette: { mode: 'off', file: cassettePath } });
+
+  recorded = await runWorkflow('record');
+  await server.close();
+});
+
+after(async () => {
+  delete process.env.AUTOMCM_CASSETTE;
+  mock.restoreAll();
+  await Promise.all(tempDirs.map(dir => fs.rm(dir, { recursive: true, force: true, maxRetries: 5 })));
+});
+
+test('MasterAgent replays a recorded run offline', async (t) => {
+  await t.test('records every provider call', async () => {
+    const lines = (await fs.readFile(cassettePath, 'utf8')).split('\n').filter(Boolean);
+    const chatRequests = server.requests.filter(r => r.url === '/v1/chat/completions');
+    assert.strictEqual(lines.length, chatRequests.length);
+  });
+
+  await t.test('covers a script that failed and was repaired', async () => {
+    const content = await fs.readFile(cassettePath, 'utf8');
+    assert.match(content, /temp_\d+_[a-z0-9]+\.py/);
+  });
+
+  await t.test('re-runs runCompleteWorkflow from the cassette', async () => {
+    const requestsBefore = server.requests.length;
+    const replayed = await runWorkflow('replay');
+
+    assert.strictEqual(server.requests.length, requestsBefore);
+    assert.deepStrictEqual(replayed.plan.structuredPlan, recorded.plan.structuredPlan);
+    assert.ok(replayed.paper);
+  });
+});
+
+test('LLMCassette keys ignore run-specific tokens', () => {
+  const cassette = new LLMCassette('/tmp/unused.jsonl', 'replay', { workspacePath: '/tmp/ws-a' });
+  const prompt = (workspace, script, address, time) => [{
+    role: 'user',
+    content: `Traceback:\n  File "${workspace}/models/${script}", line 1\nat ${time}: <Model object at ${address}>`
+  }];
+
+  const first = cassette.keyFor(prompt('/tmp/ws-a', 'temp_1760000000000_ab12cd.py', '0x7f3a2c1b9e80', '2026-10-18T06:00:00.000Z'), 'system');
+  const second = cassette.keyFor(prompt('/tmp/ws-a', 'temp_1760000099999_zz9x0q.py', '0x7f00deadbeef', '2026-10-18T07:30:12Z'), 'system');
+  const other = cassette.keyFor(prompt('/tmp/ws-a', 'model.py', '0x7f3a2c1b9e80', '2026-10-18T06:00:00.000Z'), 'system');
+
+  assert.strictEqual(first, second);
+  assert.notStrictEqual(first, other);
+});
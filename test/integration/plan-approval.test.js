@@ -0,0 +1,49 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import AgentService from '../../src/core/agent-service.js';
+import { startStubLLMServer } from '../helpers/stub-llm-server.js';
+import { PLAN, PROBLEM, replyToWorkflow, useStubLLM } from '../helpers/workflow-stub.js';
+
+let server;
+let workspacePath;
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+
+  server = await startStubLLMServer({ reply: replyToWorkflow });
+  useStubLLM(server.url).planning.enable_approval_checkpoint = true;
+});
+
+after(async () => {
+  await server.close();
+  mock.restoreAll();
+  if (workspacePath) {
+    await fs.rm(workspacePath, { recursive: true, force: true, maxRetries: 5 });
+  }
+});
+
+test('Plan approval checkpoint', async (t) => {
+  await t.test('registers the assumptions of the approved plan, not the proposed one', async () => {
+    workspacePath = await fs.mkdtemp(path.join(os.tmpdir(), 'automcm-approval-'));
+    const service = new AgentService();
+    await service.initializeWorkspace(workspacePath, { title: 'Rumor', problem: PROBLEM });
+
+    const planning = await service.executePlanningPhase(PROBLEM);
+    assert.deepStrictEqual(service.masterAgent.parser.getAssumptions(), []);
+
+    const edited = {
+      ...PLAN,
+      assumptions: [{ statement: 'Every resident meets ten others a day', justification: 'Survey of a comparable town' }]
+    };
+    service.once('approval-required', () => service.approvePlan(edited, { approver: 'tester' }));
+    await service.executeModelingPhase(planning.structuredPlan);
+
+    const registered = service.masterAgent.parser.getAssumptions();
+    assert.deepStrictEqual(registered.map(a => a.text), ['Every resident meets ten others a day']);
+    assert.strictEqual(registered[0].source, 'planning');
+  });
+});
@@ -0,0 +1,52 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert';
+import AgentService from '../../src/core/agent-service.js';
+import { PhaseTimeoutError } from '../../src/core/phase-scheduler.js';
+
+before(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+});
+
+after(() => {
+  mock.restoreAll();
+});
+
+test('AgentService planning time limit', async (t) => {
+  await t.test('stops a timed-out plan without retrying it', async () => {
+    const service = new AgentService();
+    service.on('error', () => {});
+
+    const starts = [];
+    service.masterAgent = {
+      scheduler: { planningTimeLimitMs: () => 20 },
+      executePlanningPhase: (problemStatement, { signal }) => {
+        starts.push(signal);
+        return new Promise(() => {}); // Never finishes on its own
+      }
+    };
+
+    await assert.rejects(service.executePlanningPhase('Problem', 2), PhaseTimeoutError);
+    assert.strictEqual(starts.length, 1);
+    assert.ok(starts[0].reason instanceof PhaseTimeoutError);
+    assert.strictEqual(service.isRunning, false);
+  });
+
+  await t.test('still retries other planning failures', async () => {
+    const service = new AgentService();
+    mock.method(service, '_delay', async () => {});
+
+    let calls = 0;
+    service.masterAgent = {
+      scheduler: { planningTimeLimitMs: () => null },
+      executePlanningPhase: async () => {
+        calls++;
+        if (calls === 1) throw new Error('Malformed plan');
+        return { plan: 'Plan' };
+      }
+    };
+
+    assert.deepStrictEqual(await service.executePlanningPhase('Problem', 2), { plan: 'Plan' });
+    assert.strictEqual(calls, 2);
+  });
+});
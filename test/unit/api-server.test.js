@@ -0,0 +1,43 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { EventEmitter } from 'events';
+import ApiServer from '../../src/server/api-server.js';
+
+let workspaceRoot;
+let service;
+let server;
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+
+  workspaceRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'automcm-server-'));
+  await fs.mkdir(path.join(workspaceRoot, 'contest-a'));
+  await fs.writeFile(path.join(workspaceRoot, 'contest-a', 'AUTOMCM.md'), '# AutoMCM\n');
+  await fs.writeFile(path.join(workspaceRoot, 'contest-a', 'problem.md'), 'Original problem');
+
+  service = Object.assign(new EventEmitter(), { isRunning: false, stop: () => {} });
+  server = await new ApiServer({ service, workspaceRoot, port: 0, token: '' }).start();
+});
+
+after(async () => {
+  await server.stop();
+  await fs.rm(workspaceRoot, { recursive: true, force: true });
+  mock.restoreAll();
+});
+
+test('ApiServer problem upload', async (t) => {
+  await t.test('refuses to replace problem.md while a phase is running', async () => {
+    service.isRunning = true;
+    const response = await fetch(`http://127.0.0.1:${server.port}/api/workspaces/contest-a/problem`, {
+      method: 'PUT',
+      body: Buffer.from('%PDF-1.4 new problem')
+    });
+
+    assert.strictEqual(response.status, 409);
+    assert.strictEqual(await fs.readFile(path.join(workspaceRoot, 'contest-a', 'problem.md'), 'utf8'), 'Original problem');
+    assert.strictEqual(server.busy, false);
+  });
+});
@@ -0,0 +1,75 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert';
+import { ClaudeProvider } from '../../src/core/llm-providers.js';
+
+const MESSAGES = [{ role: 'user', content: 'Propose a plan.' }];
+const SCHEMA = {
+  type: 'object',
+  required: ['modelType'],
+  properties: { modelType: { type: 'string' } }
+};
+
+let requests;
+
+function respondWith(content, stopReason = 'tool_use') {
+  requests = [];
+  mock.method(globalThis, 'fetch', async (url, init) => {
+    requests.push(JSON.parse(init.body));
+    return new Response(JSON.stringify({
+      content,
+      stop_reason: stopReason,
+      usage: { input_tokens: 12, output_tokens: 34 }
+    }), { status: 200, headers: { 'Content-Type': 'application/json' } });
+  });
+}
+
+before(() => {
+  mock.method(console, 'log', () => {});
+});
+
+after(() => {
+  mock.restoreAll();
+});
+
+test('ClaudeProvider structured output', async (t) => {
+  const provider = new ClaudeProvider({ apiKey: 'key', model: 'claude-sonnet-4-5', maxTokens: 1024, retry: { maxRetries: 0 } });
+
+  await t.test('forces a single tool whose input schema is the requested schema', async () => {
+    respondWith([{ type: 'tool_use', id: 'toolu_1', name: 'mcm_plan', input: { modelType: 'SIR' } }]);
+
+    const response = await provider.sendMessage(MESSAGES, 'system', {
+      jsonSchema: { name: 'mcm_plan', schema: SCHEMA },
+      onToken: () => {}
+    });
+
+    const [body] = requests;
+    assert.deepStrictEqual(body.tools.map(tool => tool.name), ['mcm_plan']);
+    assert.deepStrictEqual(body.tools[0].input_schema, SCHEMA);
+    assert.deepStrictEqual(body.tool_choice, { type: 'tool', name: 'mcm_plan' });
+    assert.strictEqual(body.stream, undefined);
+
+    assert.deepStrictEqual(JSON.parse(response.message), { modelType: 'SIR' });
+    assert.deepStrictEqual(response.toolCalls, []);
+  });
+
+  await t.test('leaves real tool calls alone', async () => {
+    respondWith([{ type: 'tool_use', id: 'toolu_2', name: 'run_python', input: { code: 'print(1)' } }]);
+
+    const response = await provider.sendMessage(MESSAGES, 'system', {
+      jsonSchema: { name: 'mcm_plan', schema: SCHEMA },
+      tools: [{ name: 'run_python', description: 'Run Python', parameters: { type: 'object', properties: {} } }]
+    });
+
+    assert.strictEqual(requests[0].tool_choice, undefined);
+    assert.deepStrictEqual(response.toolCalls, [{ id: 'toolu_2', name: 'run_python', arguments: { code: 'print(1)' } }]);
+  });
+
+  await t.test('sends plain requests without tools', async () => {
+    respondWith([{ type: 'text', text: 'A plan.' }], 'end_turn');
+
+    const response = await provider.sendMessage(MESSAGES, 'system');
+
+    assert.strictEqual(requests[0].tools, undefined);
+    assert.strictEqual(response.message, 'A plan.');
+  });
+});
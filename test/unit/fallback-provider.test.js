@@ -0,0 +1,61 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert';
+import { FallbackProvider } from '../../src/core/llm-providers.js';
+
+/**
+ * Provider that streams `tokens` and then fails, or answers with them when fail is false
+ */
+function fakeProvider(name, tokens, { fail = false } = {}) {
+  return {
+    name,
+    config: { model: `${name}-model` },
+    sendMessage: async (messages, systemPrompt, options) => {
+      for (const token of tokens) {
+        options.onToken?.(token);
+      }
+      if (fail) {
+        throw new Error(`${name} dropped the connection`);
+      }
+      return { message: tokens.join(''), toolCalls: [], usage: { inputTokens: 1, outputTokens: 1 } };
+    }
+  };
+}
+
+before(() => {
+  mock.method(console, 'warn', () => {});
+});
+
+after(() => {
+  mock.restoreAll();
+});
+
+test('FallbackProvider streaming failover', async (t) => {
+  await t.test('resets the stream before the next provider answers', async () => {
+    const chain = new FallbackProvider([
+      fakeProvider('primary', ['The ans'], { fail: true }),
+      fakeProvider('backup', ['Four', '.'])
+    ]);
+
+    const events = [];
+    const response = await chain.sendMessage([], 'system', {
+      onToken: text => events.push(text),
+      onStreamReset: () => events.push('<reset>')
+    });
+
+    assert.deepStrictEqual(events, ['The ans', '<reset>', 'Four', '.']);
+    assert.strictEqual(response.message, 'Four.');
+    assert.strictEqual(response.provider, 'backup');
+  });
+
+  await t.test('does not reset when nothing was streamed', async () => {
+    const chain = new FallbackProvider([
+      fakeProvider('primary', [], { fail: true }),
+      fakeProvider('backup', ['Four.'])
+    ]);
+
+    let resets = 0;
+    await chain.sendMessage([], 'system', { onToken: () => {}, onStreamReset: () => resets++ });
+
+    assert.strictEqual(resets, 0);
+  });
+});
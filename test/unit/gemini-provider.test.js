@@ -0,0 +1,49 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert';
+import { GeminiProvider } from '../../src/core/llm-providers.js';
+
+const MESSAGES = [{ role: 'user', content: 'Revise the paper.' }];
+
+const CUT_OFF = {
+  candidates: [{ content: { parts: [{ text: '\\section{Intro' }] }, finishReason: 'MAX_TOKENS' }],
+  usageMetadata: { promptTokenCount: 10, candidatesTokenCount: 8192 }
+};
+
+function respondWith(body, contentType) {
+  mock.method(globalThis, 'fetch', async () => new Response(body, {
+    status: 200,
+    headers: { 'Content-Type': contentType }
+  }));
+}
+
+before(() => {
+  mock.method(console, 'log', () => {});
+});
+
+after(() => {
+  mock.restoreAll();
+});
+
+test('GeminiProvider stop reasons', async (t) => {
+  const provider = new GeminiProvider({ apiKey: 'key', model: 'gemini-2.5-pro', retry: { maxRetries: 0 } });
+
+  await t.test('reports MAX_TOKENS on a blocking response', async () => {
+    respondWith(JSON.stringify(CUT_OFF), 'application/json');
+    const response = await provider.sendMessage(MESSAGES, 'system');
+    assert.strictEqual(response.stopReason, 'max_tokens');
+  });
+
+  await t.test('reports MAX_TOKENS on a streamed response', async () => {
+    respondWith(`data: ${JSON.stringify(CUT_OFF)}\n\n`, 'text/event-stream');
+    const response = await provider.sendMessage(MESSAGES, 'system', { onToken: () => {} });
+    assert.strictEqual(response.stopReason, 'max_tokens');
+  });
+
+  await t.test('reports stop for a finished response', async () => {
+    respondWith(JSON.stringify({
+      candidates: [{ content: { parts: [{ text: 'Done.' }] }, finishReason: 'STOP' }]
+    }), 'application/json');
+    const response = await provider.sendMessage(MESSAGES, 'system');
+    assert.strictEqual(response.stopReason, 'stop');
+  });
+});
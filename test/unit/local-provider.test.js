@@ -0,0 +1,104 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert';
+import { ProviderFactory, LocalProvider } from '../../src/core/llm-providers.js';
+import { startStubLLMServer } from '../helpers/stub-llm-server.js';
+
+const MESSAGES = [{ role: 'user', content: 'What is 2 + 2?' }];
+
+function createLocal(server, overrides = {}) {
+  return ProviderFactory.createProvider({
+    provider: 'local',
+    baseUrl: server.url,
+    retry: { maxRetries: 0 },
+    ...overrides
+  });
+}
+
+let server;
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  server = await startStubLLMServer({
+    models: ['llama3.1:8b', 'qwen2.5:7b'],
+    reply: (body) => body.response_format ? '{"answer": 4}' : 'The answer is 4.'
+  });
+});
+
+after(async () => {
+  await server.close();
+  mock.restoreAll();
+});
+
+test('LocalProvider', async (t) => {
+  await t.test('is created for "local" and "ollama"', () => {
+    assert.ok(createLocal(server) instanceof LocalProvider);
+    assert.ok(createLocal(server, { provider: 'ollama' }) instanceof LocalProvider);
+  });
+
+  await t.test('lists models from /v1/models', async () => {
+    assert.deepStrictEqual(await createLocal(server).listModels(), ['llama3.1:8b', 'qwen2.5:7b']);
+  });
+
+  await t.test('falls back to Ollama /api/tags', async () => {
+    const ollama = await startStubLLMServer({ models: ['mistral'], openaiModels: false });
+    try {
+      assert.deepStrictEqual(await createLocal(ollama).listModels(), ['mistral']);
+    } finally {
+      await ollama.close();
+    }
+  });
+
+  await t.test('accepts a base URL ending in /v1', async () => {
+    const provider = createLocal(server, { baseUrl: `${server.url}/v1/` });
+    assert.strictEqual(provider.config.baseUrl, server.url);
+  });
+
+  await t.test('sends a non-streamed chat completion without an API key', async () => {
+    const response = await createLocal(server, { model: 'qwen2.5:7b' }).sendMessage(MESSAGES, 'Be brief.');
+
+    assert.strictEqual(response.message, 'The answer is 4.');
+    assert.strictEqual(response.stopReason, 'stop');
+    assert.ok(response.usage.outputTokens > 0);
+
+    const request = server.requests[server.requests.length - 1];
+    assert.strictEqual(request.body.model, 'qwen2.5:7b');
+    assert.strictEqual(request.body.stream, undefined);
+    assert.deepStrictEqual(request.body.messages[0], { role: 'system', content: 'Be brief.' });
+    assert.strictEqual(request.headers.authorization, undefined);
+  });
+
+  await t.test('uses the first installed model when none is configured', async () => {
+    const provider = createLocal(server);
+    await provider.sendMessage(MESSAGES, 'Be brief.');
+
+    assert.strictEqual(provider.config.model, 'llama3.1:8b');
+    assert.strictEqual(server.requests[server.requests.length - 1].body.model, 'llama3.1:8b');
+  });
+
+  await t.test('streams tokens to onToken', async () => {
+    const tokens = [];
+    const response = await createLocal(server, { model: 'llama3.1:8b' })
+      .sendMessage(MESSAGES, 'Be brief.', { onToken: token => tokens.push(token) });
+
+    assert.ok(tokens.length > 1);
+    assert.strictEqual(tokens.join(''), 'The answer is 4.');
+    assert.strictEqual(response.message, 'The answer is 4.');
+    assert.strictEqual(response.stopReason, 'stop');
+    assert.ok(response.usage.inputTokens > 0);
+    assert.strictEqual(server.requests[server.requests.length - 1].body.stream, true);
+  });
+
+  await t.test('asks for plain JSON mode for structured output', async () => {
+    const response = await createLocal(server, { model: 'llama3.1:8b' }).sendMessage(MESSAGES, 'Be brief.', {
+      jsonSchema: { name: 'answer', schema: { type: 'object', properties: { answer: { type: 'number' } } } }
+    });
+
+    assert.deepStrictEqual(JSON.parse(response.message), { answer: 4 });
+    assert.deepStrictEqual(server.requests[server.requests.length - 1].body.response_format, { type: 'json_object' });
+  });
+
+  await t.test('sends the API key when one is configured', async () => {
+    await createLocal(server, { model: 'llama3.1:8b', apiKey: 'secret' }).sendMessage(MESSAGES, 'Be brief.');
+    assert.strictEqual(server.requests[server.requests.length - 1].headers.authorization, 'Bearer secret');
+  });
+});
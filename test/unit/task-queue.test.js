@@ -0,0 +1,65 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert';
+import TaskQueue, { TaskTimeoutError } from '../../src/core/task-queue.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+before(() => {
+  mock.method(console, 'warn', () => {});
+});
+
+after(() => {
+  mock.restoreAll();
+});
+
+/**
+ * A task that ignores its signal and tracks how many copies of it run at once
+ */
+function stubbornTask(label, durationMs, tracker) {
+  return {
+    label,
+    fn: async () => {
+      tracker.active++;
+      tracker.peak = Math.max(tracker.peak, tracker.active);
+      await sleep(durationMs);
+      tracker.active--;
+      return label;
+    }
+  };
+}
+
+test('TaskQueue timeouts', async (t) => {
+  await t.test('keeps the slot of a timed-out task that ignores its signal', async () => {
+    const queue = new TaskQueue({ concurrency: 1, timeoutMs: 20 });
+    const tracker = { active: 0, peak: 0 };
+
+    const results = await queue.run([
+      stubbornTask('slow', 80, tracker),
+      stubbornTask('next', 5, tracker)
+    ]);
+
+    assert.ok(results[0].error instanceof TaskTimeoutError);
+    assert.strictEqual(results[1].status, 'completed');
+    assert.strictEqual(tracker.peak, 1);
+  });
+
+  await t.test('retries only once the timed-out attempt has stopped', async () => {
+    const queue = new TaskQueue({ concurrency: 2, timeoutMs: 20, retries: 1, retryDelayMs: 0 });
+    const tracker = { active: 0, peak: 0 };
+
+    const [result] = await queue.run([stubbornTask('slow', 50, tracker)]);
+
+    assert.strictEqual(result.status, 'failed');
+    assert.strictEqual(result.attempts, 2);
+    assert.strictEqual(tracker.peak, 1);
+  });
+
+  await t.test('frees the slot once the timed-out task stops', async () => {
+    const queue = new TaskQueue({ concurrency: 1, timeoutMs: 20 });
+    await queue.run([stubbornTask('slow', 40, { active: 0, peak: 0 })]);
+
+    assert.strictEqual(queue.getStatus().running, 1);
+    await sleep(40);
+    assert.strictEqual(queue.getStatus().running, 0);
+  });
+});